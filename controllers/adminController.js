@@ -4,6 +4,8 @@ import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import crypto from "crypto";
 import nodemailer from "nodemailer";
+import { normalizeLocale } from "../utils/designTranslations.js";
+import { normalizeTimeZone, validateRegionalSettings } from "../utils/regionalSettings.js";
 
 // Configure nodemailer (you'll need to set up your email service)
 // import nodemailer from "nodemailer";
@@ -293,6 +295,10 @@ export const getSettings = async (req, res) => {
         weeklyReports: admin.weeklyReports !== false, // default true
         securityAlerts: admin.securityAlerts !== false // default true
       },
+      regional: {
+        locale: admin.locale || null,
+        timezone: admin.timezone || null
+      },
       account: {
         isVerified: admin.isVerified,
         createdAt: admin.createdAt,
@@ -550,11 +556,56 @@ export const updateNotificationSettings = async (req, res) => {
   }
 };
 
+// UPDATE REGIONAL SETTINGS (locale and time zone for credential dates and numbers)
+export const updateRegionalSettings = async (req, res) => {
+  try {
+    const { adminId } = req.params;
+    const { locale, timezone } = req.body;
+
+    const problems = validateRegionalSettings({ locale, timezone });
+    if (problems.length) {
+      return res.status(400).json({ msg: problems.join("; ") });
+    }
+
+    // Check if admin exists
+    const admin = await Admin.findById(adminId);
+    if (!admin) {
+      return res.status(404).json({ msg: "Admin not found" });
+    }
+
+    // Empty values clear a setting
+    const updateData = {};
+    if (locale !== undefined) updateData.locale = normalizeLocale(locale) || null;
+    if (timezone !== undefined) updateData.timezone = normalizeTimeZone(timezone) || null;
+
+    const updatedAdmin = await Admin.findByIdAndUpdate(
+      adminId,
+      updateData,
+      { new: true, select: 'locale timezone' }
+    );
+
+    res.json({
+      success: true,
+      msg: "Regional settings updated successfully",
+      data: {
+        regional: {
+          locale: updatedAdmin.locale || null,
+          timezone: updatedAdmin.timezone || null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Update regional settings error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
 // UPDATE ALL SETTINGS AT ONCE
 export const updateSettings = async (req, res) => {
   try {
     const { adminId } = req.params;
-    const { profile, security, notifications } = req.body;
+    const { profile, security, notifications, regional } = req.body;
 
     // Check if admin exists
     const admin = await Admin.findById(adminId);
@@ -617,6 +668,16 @@ export const updateSettings = async (req, res) => {
       }
     }
 
+    // Handle regional settings updates
+    if (regional) {
+      const problems = validateRegionalSettings(regional);
+      if (problems.length) {
+        return res.status(400).json({ msg: problems.join("; ") });
+      }
+      if (regional.locale !== undefined) updateData.locale = normalizeLocale(regional.locale) || null;
+      if (regional.timezone !== undefined) updateData.timezone = normalizeTimeZone(regional.timezone) || null;
+    }
+
     const updatedAdmin = await Admin.findByIdAndUpdate(
       adminId,
       updateData,
@@ -644,6 +705,10 @@ export const updateSettings = async (req, res) => {
         pushNotifications: updatedAdmin.pushNotifications,
         weeklyReports: updatedAdmin.weeklyReports,
         securityAlerts: updatedAdmin.securityAlerts
+      },
+      regional: {
+        locale: updatedAdmin.locale || null,
+        timezone: updatedAdmin.timezone || null
       }
     };
 
@@ -3,16 +3,20 @@ import Credential from "../models/Credentials.js"; // Import the actual Credenti
 // Import other models as needed
 import Event from "../models/Event.js";
 import Participant from "../models/Participant.js";
+import Verification from "../models/Verification.js";
+import { buildVerificationFilter, summarizeVerifications } from "../utils/verificationTracking.js";
 
 // Get dashboard analytics summary
 export const getDashboardAnalytics = async (req, res) => {
   try {
     const { period = '30' } = req.query; // days
+    const organizationId = new mongoose.Types.ObjectId(String(req.user.organizationId || req.user.id));
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(period));
 
     // Total credentials issued in the period
     const totalCredentials = await Credential.countDocuments({
+      createdBy: organizationId,
       issuedAt: { $gte: startDate },
       status: { $ne: 'draft' } // Exclude drafts
     });
@@ -22,6 +26,7 @@ export const getDashboardAnalytics = async (req, res) => {
     previousPeriodStart.setDate(previousPeriodStart.getDate() - parseInt(period));
     
     const previousCredentials = await Credential.countDocuments({
+      createdBy: organizationId,
       issuedAt: { $gte: previousPeriodStart, $lt: startDate },
       status: { $ne: 'draft' }
     });
@@ -31,29 +36,23 @@ export const getDashboardAnalytics = async (req, res) => {
       ? ((totalCredentials - previousCredentials) / previousCredentials * 100).toFixed(1)
       : totalCredentials > 0 ? 100 : 0;
 
-    // Total verification views (using viewCount from credentials)
-    const verificationViews = await Credential.aggregate([
-      {
-        $match: {
-          issuedAt: { $gte: startDate },
-          status: { $ne: 'draft' }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalViews: { $sum: "$viewCount" }
-        }
-      }
+    // Verifications of the organization's credentials in the period
+    const verificationFilter = buildVerificationFilter({ organizationId }, { from: startDate });
+    const [totalViews, verifiedCredentialIds, verificationsByChannel] = await Promise.all([
+      Verification.countDocuments(verificationFilter),
+      Verification.distinct("credentialId", verificationFilter),
+      Verification.aggregate([
+        { $match: verificationFilter },
+        { $group: { _id: "$channel", count: { $sum: 1 } } }
+      ])
     ]);
 
-    const totalViews = verificationViews.length > 0 ? verificationViews[0].totalViews : 0;
-
-    // Engagement rate calculation (credentials with views vs total)
+    // Engagement rate calculation (credentials verified at least once vs total)
     const credentialsWithViews = await Credential.countDocuments({
+      createdBy: organizationId,
       issuedAt: { $gte: startDate },
       status: { $ne: 'draft' },
-      viewCount: { $gt: 0 }
+      _id: { $in: verifiedCredentialIds.filter(Boolean) }
     });
 
     const engagementRate = totalCredentials > 0 
@@ -62,6 +61,7 @@ export const getDashboardAnalytics = async (req, res) => {
 
     // Active recipients (unique participants who received credentials)
     const activeRecipients = await Credential.distinct("participantId", {
+      createdBy: organizationId,
       issuedAt: { $gte: startDate },
       status: { $ne: 'draft' }
     });
@@ -74,6 +74,7 @@ export const getDashboardAnalytics = async (req, res) => {
         engagementRate: `${engagementRate}%`,
         activeRecipients: activeRecipients.length,
         verificationViews: totalViews,
+        verificationsByChannel,
         period: parseInt(period)
       }
     });
@@ -113,6 +114,15 @@ export const getTopPerformingEvents = async (req, res) => {
           preserveNullAndEmptyArrays: true
         }
       },
+      {
+        $lookup: {
+          from: "verifications",
+          localField: "_id",
+          foreignField: "credentialId",
+          pipeline: [{ $project: { _id: 1 } }],
+          as: "verifications"
+        }
+      },
       {
         $group: {
           _id: "$eventId",
@@ -122,7 +132,7 @@ export const getTopPerformingEvents = async (req, res) => {
             }
           },
           credentialsIssued: { $sum: 1 },
-          totalViews: { $sum: "$viewCount" },
+          totalViews: { $sum: { $size: "$verifications" } },
           totalDownloads: { $sum: "$downloadCount" },
           participantCount: { $addToSet: "$participantId" }
         }
@@ -187,7 +197,13 @@ export const getRecentActivity = async (req, res) => {
     .populate('issuedBy', 'name')
     .sort({ issuedAt: -1 })
     .limit(parseInt(limit))
-    .select('title type issuedAt participantId eventId issuedBy status viewCount downloadCount');
+    .select('title type issuedAt participantId eventId issuedBy status downloadCount');
+
+    const viewCounts = await Verification.aggregate([
+      { $match: { credentialId: { $in: recentActivity.map(credential => credential._id) } } },
+      { $group: { _id: "$credentialId", count: { $sum: 1 } } }
+    ]);
+    const viewsByCredential = new Map(viewCounts.map(entry => [String(entry._id), entry.count]));
 
     // Format the activity data
     const formattedActivity = recentActivity.map(credential => ({
@@ -199,7 +215,7 @@ export const getRecentActivity = async (req, res) => {
         credentialType: credential.type,
         eventTitle: credential.eventId?.title || credential.participantData?.eventTitle,
         issuedBy: credential.issuedBy?.name || 'System',
-        views: credential.viewCount,
+        views: viewsByCredential.get(String(credential._id)) || 0,
         downloads: credential.downloadCount
       }
     }));
@@ -283,63 +299,23 @@ export const getVerificationAnalytics = async (req, res) => {
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(period));
 
-    // Hourly pattern based on when credentials were last viewed
-    const hourlyPattern = await Credential.aggregate([
-      {
-        $match: {
-          lastViewed: { $gte: startDate },
-          status: { $ne: 'draft' }
-        }
-      },
-      {
-        $group: {
-          _id: {
-            hour: { $hour: "$lastViewed" }
-          },
-          count: { $sum: 1 }
-        }
-      },
-      {
-        $sort: { "_id.hour": 1 }
-      },
-      {
-        $project: {
-          hour: "$_id.hour",
-          count: 1,
-          _id: 0
-        }
-      }
-    ]);
-
-    // Verification attempts analysis
-    const verificationMethods = await Credential.aggregate([
-      {
-        $match: {
-          "verificationAttempts.0": { $exists: true },
-          issuedAt: { $gte: startDate }
-        }
-      },
-      {
-        $unwind: "$verificationAttempts"
-      },
-      {
-        $match: {
-          "verificationAttempts.timestamp": { $gte: startDate }
-        }
-      },
-      {
-        $group: {
-          _id: "$verificationAttempts.result",
-          count: { $sum: 1 }
-        }
-      }
-    ]);
+    const organizationId = new mongoose.Types.ObjectId(String(req.user.organizationId || req.user.id));
+    const summary = await summarizeVerifications(buildVerificationFilter({ organizationId }, { from: startDate }));
 
     res.json({
       success: true,
       data: {
-        hourlyPattern,
-        methods: verificationMethods
+        total: summary.total,
+        valid: summary.valid,
+        uniqueCredentials: summary.uniqueCredentials,
+        anonymous: summary.anonymous,
+        uniqueVerifierOrganizations: summary.uniqueVerifierOrganizations,
+        hourlyPattern: summary.hourly,
+        daily: summary.daily,
+        methods: summary.byChannel,
+        results: summary.byResult,
+        userAgents: summary.byUserAgentClass,
+        countries: summary.byCountry
       }
     });
 
@@ -399,12 +375,23 @@ export const getDetailedMetrics = async (req, res) => {
           status: { $ne: 'draft' }
         }
       },
+      {
+        $lookup: {
+          from: "verifications",
+          let: { credentialId: "$_id" },
+          pipeline: [
+            { $match: { $expr: { $eq: ["$credentialId", "$$credentialId"] } } },
+            { $limit: 1 }
+          ],
+          as: "verifications"
+        }
+      },
       {
         $group: {
           _id: null,
           total: { $sum: 1 },
           verified: {
-            $sum: { $cond: [{ $gt: ["$viewCount", 0] }, 1, 0] }
+            $sum: { $cond: [{ $gt: [{ $size: "$verifications" }, 0] }, 1, 0] }
           }
         }
       },
@@ -444,11 +431,13 @@ export const exportAnalyticsReport = async (req, res) => {
     startDate.setDate(startDate.getDate() - parseInt(period));
 
     // Get comprehensive analytics data
+    const organizationId = new mongoose.Types.ObjectId(String(req.user.organizationId || req.user.id));
+
     const analyticsData = {
-      summary: await getDashboardAnalyticsSummary(startDate),
+      summary: await getDashboardAnalyticsSummary(startDate, organizationId),
       trends: await getCredentialTrendData(startDate),
       events: await getEventAnalytics(startDate),
-      verifications: await getVerificationData(startDate)
+      verifications: await getVerificationData(startDate, organizationId)
     };
 
     if (format === 'csv') {
@@ -477,28 +466,16 @@ export const exportAnalyticsReport = async (req, res) => {
 };
 
 // Helper functions
-async function getDashboardAnalyticsSummary(startDate) {
+async function getDashboardAnalyticsSummary(startDate, organizationId) {
   const totalCredentials = await Credential.countDocuments({
+    createdBy: organizationId,
     issuedAt: { $gte: startDate },
     status: { $ne: 'draft' }
   });
 
-  const verificationViews = await Credential.aggregate([
-    {
-      $match: {
-        issuedAt: { $gte: startDate },
-        status: { $ne: 'draft' }
-      }
-    },
-    {
-      $group: {
-        _id: null,
-        totalViews: { $sum: "$viewCount" }
-      }
-    }
-  ]);
-
-  const totalViews = verificationViews.length > 0 ? verificationViews[0].totalViews : 0;
+  const totalViews = await Verification.countDocuments(
+    buildVerificationFilter({ organizationId }, { from: startDate })
+  );
 
   return {
     totalCredentials,
@@ -547,20 +524,12 @@ async function getEventAnalytics(startDate) {
   ]);
 }
 
-async function getVerificationData(startDate) {
-  return await Credential.aggregate([
-    {
-      $match: {
-        "verificationAttempts.0": { $exists: true },
-        issuedAt: { $gte: startDate }
-      }
-    },
-    {
-      $unwind: "$verificationAttempts"
-    },
+async function getVerificationData(startDate, organizationId) {
+  return await Verification.aggregate([
+    { $match: buildVerificationFilter({ organizationId }, { from: startDate }) },
     {
       $group: {
-        _id: "$verificationAttempts.result",
+        _id: "$result",
         count: { $sum: 1 }
       }
     }
@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+import Credential from "../models/Credentials.js";
+import { evaluateCredential } from "../utils/credentialVerification.js";
+import { getVerificationChannel, recordVerification } from "../utils/verificationTracking.js";
+import { getVerificationPageUrl } from "../utils/verificationPage.js";
+import {
+    buildVerificationKeySet,
+    decodeCompactQrPayload,
+    isCompactQrPayload,
+    verifyCompactQrPayload
+} from "../utils/compactCredential.js";
+
+/**
+ * Verify a scanned compact QR payload. Runs the same check an offline
+ * verifier does (signature against the issuer key), then, being online,
+ * adds the credential's current status (revocation, suspension).
+ */
+export const verifyCompactCredential = async (req, res) => {
+    try {
+        const { payload } = req.body;
+
+        if (!isCompactQrPayload(payload)) {
+            return res.status(400).json({
+                success: false,
+                message: "payload must be a compact credential QR payload (SP1:...)"
+            });
+        }
+
+        let kid = null;
+        try {
+            kid = decodeCompactQrPayload(payload).header.kid;
+        } catch {
+            // Reported as malformed by the verifier below
+        }
+
+        const keySet = kid ? await buildVerificationKeySet({ kid: String(kid) }) : { keys: [] };
+        const offline = verifyCompactQrPayload(payload, keySet);
+
+        // The signature proves the claims; the stored credential says whether they still hold
+        const credentialId = offline.credential?.id;
+        const credential = offline.status !== "invalid" && mongoose.Types.ObjectId.isValid(credentialId)
+            ? await Credential.findById(credentialId)
+            : null;
+        const matches = credential && (!offline.credential.hash || credential.blockchainHash === offline.credential.hash);
+        const current = matches ? await evaluateCredential(credential) : null;
+
+        const status = offline.valid && current ? current.status : offline.status;
+
+        await recordVerification(req, {
+            credential: matches ? credential : null,
+            channel: getVerificationChannel(req, "qr"),
+            method: "compact_qr",
+            result: status
+        });
+
+        res.json({
+            success: true,
+            valid: status === "valid",
+            status,
+            offline,
+            current,
+            links: matches ? { verificationPage: getVerificationPageUrl(credential.blockchainHash) } : {}
+        });
+    } catch (error) {
+        console.error("Verify Compact Credential Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to verify compact credential",
+            error: error.message
+        });
+    }
+};
@@ -2,12 +2,10 @@ import Credential from "../models/Credentials.js";
 import CredentialTemplate from "../models/CredentialTemplate.js";
 import crypto from "crypto";
 import { v2 as cloudinary } from "cloudinary";
-import puppeteer from 'puppeteer';
 import sharp from 'sharp';
-import PDFDocument from 'pdfkit';
-import fs from 'fs';
-import path from 'path';
 import mongoose from 'mongoose';
+import axios from 'axios';
+import JSZip from 'jszip';
 import {
     trackCredentialIssued,
     trackCredentialVerified,
@@ -16,8 +14,41 @@ import {
 import Admin from '../models/Admin.js';
 import Participant from '../models/Participant.js'
 import Event from '../models/Event.js'
-import { createCanvas, loadImage, registerFont } from 'canvas';
+import ActivityLog from '../models/ActivityLog.js';
 import QRCode from 'qrcode';
+import { buildCredentialPayload, signCredentialPayload } from '../utils/credentialSigning.js';
+import { evaluateCredential } from '../utils/credentialVerification.js';
+import { getBaseUrl, getCredentialVcId } from '../utils/verifiableCredential.js';
+import { getVerificationPageUrl, getVerificationQrUrl } from '../utils/verificationPage.js';
+import { bakeBadgeImage } from './openBadgesController.js';
+import { recordLedgerEvent } from '../utils/ledger.js';
+import {
+    detectFileFormat,
+    embedCredentialReference,
+    extractCredentialReferences,
+    extractReferencesFromText,
+    decodeQrCode,
+    fingerprintFile,
+    getComparisonRegions
+} from '../utils/credentialFileVerification.js';
+import { compareImageRegion, getImageSize } from '../utils/perceptualHash.js';
+import { getVerificationChannel, recordVerification } from '../utils/verificationTracking.js';
+import { getRenewalLinks, resolveExpiresAt } from '../utils/credentialExpiry.js';
+import { getVersionLinks } from '../utils/credentialVersions.js';
+import { COMPACT_QR_OPTIONS, createCompactQrPayload } from '../utils/compactCredential.js';
+import { getCredentialOrganizationId, renderCredential, renderCredentialPages } from '../utils/credentialRenderer.js';
+import { getOrganizationFonts } from '../utils/fontRegistry.js';
+import { checkTextFit, normalizeDesign } from '../utils/credentialScene.js';
+import { getDesignPageCount, getDesignPages } from '../utils/designPages.js';
+import { formatDate, getCredentialMergeData, getMissingCustomFields } from '../utils/mergeFields.js';
+import { localizeDesign, pickDesignLocale } from '../utils/designTranslations.js';
+import { applyRegionalSettings, resolveRegionalSettings } from '../utils/regionalSettings.js';
+import { validateDesign } from '../utils/designValidation.js';
+import { getBrowserPoolSize, runBrowserJob } from '../utils/browserPool.js';
+import {
+    allocateStatusListEntry,
+    buildCredentialStatusEntries
+} from '../utils/statusList.js';
 /**
  * Configure Cloudinary
  */
@@ -26,208 +57,24 @@ cloudinary.config({
     api_key: process.env.CLOUDINARY_API_KEY,
     api_secret: process.env.CLOUDINARY_API_SECRET,
 });
-// credentialController.js - Replace the generateCertificateImage function with this
-const generateCredentialImage = async (designData, participantData, credentialId) => {
-    console.log('Generating credential image with Canvas...');
-
-    try {
-        // Validate input data
-        if (!designData || typeof designData !== 'object') {
-            console.warn('Invalid design data, using defaults');
-            designData = {};
-        }
-
-        if (!participantData || typeof participantData !== 'object') {
-            console.warn('Invalid participant data, using defaults');
-            participantData = {};
-        }
-
-        // Get canvas dimensions from design data with fallbacks
-        const width = designData?.canvasSettings?.width ||
-            designData?.canvas?.width || 1200;
-        const height = designData?.canvasSettings?.height ||
-            designData?.canvas?.height || 800;
-
-        console.log('Canvas dimensions:', { width, height });
-
-        // Create canvas
-        const canvas = createCanvas(width, height);
-        const ctx = canvas.getContext('2d');
-
-        // Set high quality rendering
-        ctx.antialias = 'subpixel';
-        ctx.quality = 'best';
-        if (ctx.textRenderingOptimization) {
-            ctx.textRenderingOptimization = 'optimizeQuality';
-        }
-
-        // Clear canvas and set default background
-        ctx.fillStyle = '#ffffff';
-        ctx.fillRect(0, 0, width, height);
-
-        // Apply background from design data
-        await applyBackground(ctx, designData.canvasSettings || designData.background, width, height);
-
-        // Render elements from design data
-        if (designData.elements && Array.isArray(designData.elements) && designData.elements.length > 0) {
-            console.log('Rendering', designData.elements.length, 'elements');
-
-            for (const element of designData.elements) {
-                try {
-                    await renderElementOnCanvas(ctx, element, participantData, width, height);
-                } catch (elementError) {
-                    console.error('Error rendering element:', element, elementError);
-                    // Continue with other elements
-                }
-            }
-        } else {
-            // If no elements, create default certificate content
-            console.log('No elements found, creating default content');
-            await renderDefaultContent(ctx, participantData, width, height);
-        }
-
-        // Add QR code if verification is enabled
-        try {
-            if (participantData.verificationUrl || participantData.blockchainHash) {
-                await addQRCodeToCanvas(ctx, participantData, width, height);
-            }
-        } catch (qrError) {
-            console.warn('QR code generation failed, continuing without QR code:', qrError);
-        }
-
-        console.log('Canvas rendering complete, converting to buffer...');
-
-        // Convert to PNG buffer
-        const buffer = canvas.toBuffer('image/png');
-        console.log('PNG buffer created, size:', buffer.length);
-
-        // Validate buffer
-        if (!buffer || buffer.length === 0) {
-            throw new Error('Generated buffer is empty');
-        }
-
-        return buffer;
-
-    } catch (error) {
-        console.error('Canvas generation error:', error);
-        throw new Error(`Failed to generate image: ${error.message}`);
-    }
-};
-
-
-
-// Helper function to generate HTML from design data
-const generateHTMLFromDesign = (designData, participantData, qrCodeDataUrl) => {
-    const canvasWidth = designData.canvas?.width || 1200;
-    const canvasHeight = designData.canvas?.height || 800;
-
-    // Generate background CSS
-    let backgroundCSS = 'background: #ffffff;';
-    if (designData.background) {
-        if (designData.background.type === 'gradient') {
-            const primary = designData.background.primaryColor || '#3498db';
-            const secondary = designData.background.secondaryColor || '#e74c3c';
-            backgroundCSS = `background: linear-gradient(135deg, ${primary}, ${secondary});`;
-        } else {
-            backgroundCSS = `background: ${designData.background.color || '#ffffff'};`;
-        }
-    }
-
-    // Generate elements HTML
-    let elementsHTML = '';
-    if (designData.elements && Array.isArray(designData.elements)) {
-        elementsHTML = designData.elements.map(element => {
-            if (element.type === 'text') {
-                // Replace placeholders with actual data
-                let text = element.text || '';
-                text = text.replace('{{participantName}}', participantData.name || 'Participant');
-                text = text.replace('{{eventTitle}}', participantData.eventTitle || 'Event');
-                text = text.replace('{{eventDate}}', participantData.eventDate || new Date().toDateString());
-                text = text.replace('{{skills}}', participantData.skills || '');
-
-                // Handle multiline text
-                const formattedText = text.split('\n').join('<br>');
-
-                return `
-          <div style="
-            position: absolute;
-            left: ${element.x || 0}px;
-            top: ${element.y || 0}px;
-            width: ${element.width || 'auto'}px;
-            height: ${element.height || 'auto'}px;
-            font-size: ${element.fontSize || 24}px;
-            font-family: ${element.fontFamily || 'Arial, sans-serif'};
-            font-weight: ${element.fontWeight || 'normal'};
-            color: ${element.color || '#000000'};
-            text-align: ${element.textAlign || 'left'};
-            line-height: 1.2;
-            overflow: hidden;
-          ">
-            ${formattedText}
-          </div>
-        `;
-            }
-            return '';
-        }).join('');
-    }
-
-    // Add QR code if available
-    let qrCodeHTML = '';
-    if (qrCodeDataUrl) {
-        qrCodeHTML = `
-      <div style="
-        position: absolute;
-        bottom: 50px;
-        right: 50px;
-        width: 100px;
-        height: 100px;
-      ">
-        <img src="${qrCodeDataUrl}" style="width: 100%; height: 100%;" alt="QR Code">
-      </div>
-    `;
-    }
-
-    return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <style>
-        * {
-          margin: 0;
-          padding: 0;
-          box-sizing: border-box;
-        }
-        body {
-          width: ${canvasWidth}px;
-          height: ${canvasHeight}px;
-          ${backgroundCSS}
-          position: relative;
-          font-family: Arial, sans-serif;
-          overflow: hidden;
-        }
-      </style>
-    </head>
-    <body>
-      ${elementsHTML}
-      ${qrCodeHTML}
-    </body>
-    </html>
-  `;
-};
-
 /**
  * Create or Import Credential
  */
 export const createCredential = async (req, res) => {
     try {
-        const { participantId, eventId, title, type } = req.body;
+        const { participantId, eventId, title, type, expiresAt: requestedExpiry } = req.body;
 
         // Validate required fields
         if (!participantId || !eventId || !title || !type) {
             return res.status(400).json({ message: "Missing required fields" });
         }
 
+        const issuedAt = new Date();
+        const { expiresAt, error: expiryError } = resolveExpiresAt(requestedExpiry, null, issuedAt);
+        if (expiryError) {
+            return res.status(400).json({ message: expiryError });
+        }
+
         if (!["certificate", "badge"].includes(type)) {
             return res
                 .status(400)
@@ -260,30 +107,50 @@ export const createCredential = async (req, res) => {
 
         const downloadLink = uploadResult.secure_url;
 
-        // Generate blockchain hash
-        const blockchainHash = crypto
-            .createHash("sha256")
-            .update(
-                JSON.stringify({ participantId, eventId, title, type }) + Date.now()
-            )
-            .digest("hex");
+        // Sign the credential with the organization's key; the hash is derived from the signed payload
+        const organizationId = req.user.organizationId || req.user.id;
+        const credentialId = new mongoose.Types.ObjectId();
+        const signed = await signCredentialPayload(organizationId, buildCredentialPayload({
+            credentialId,
+            organizationId,
+            participantId,
+            recipientName: participant.fullName,
+            eventId,
+            eventTitle: event.title,
+            title,
+            type,
+            issuedAt,
+            expiresAt
+        }));
+        const blockchainHash = signed.blockchainHash;
 
         // Generate QR code from hash
-        const qrCode = await QRCode.toDataURL(`https://sifapass.onrender.com/verify/${blockchainHash}`);
+        const qrCode = await QRCode.toDataURL(getVerificationQrUrl(blockchainHash));
 
         // Save to DB
         const credential = await Credential.create({
+            _id: credentialId,
             participantId,
             eventId,
             title,
             type,
+            status: 'issued',
+            designData: {},
+            participantData: {
+                name: participant.fullName,
+                eventTitle: event.title
+            },
             downloadLink,
-            blockchainHash,
+            ...signed,
+            statusListEntry: await allocateStatusListEntry(organizationId),
             qrCode,
-            issuedBy: req.user.id,
-            issuedAt: new Date()
+            createdBy: req.user.id,
+            issuedAt,
+            expiresAt
         });
 
+        await recordLedgerEvent('issue', credential);
+
         // Track the credential issuance
         await trackCredentialIssued({
             id: credential._id,
@@ -338,6 +205,49 @@ export const createCredential = async (req, res) => {
 
 // credentialController.js - Updated createCredentialWithDesign function
 
+/**
+ * The design a new credential is issued with: in the first of the preferred
+ * locales the design has text for, else the event's, with the regional
+ * settings of the template, else the participant's, event's or organization's
+ * @param {Object} templateDesign
+ * @param {Array<string>} preferredLocales - request and participant locales, most specific first
+ * @param {Object} event
+ * @param {Object} organization - the issuing Admin, with locale and timezone selected
+ * @returns {{ locale: string|null, designData: Object }}
+ */
+const prepareIssuanceDesign = (templateDesign, preferredLocales, event, organization) => {
+    const locale = pickDesignLocale(templateDesign, [...preferredLocales, event.locale]);
+    const regional = resolveRegionalSettings(locale, [
+        templateDesign?.content,
+        ...preferredLocales.map(preferred => ({ locale: preferred })),
+        event,
+        organization
+    ]);
+    return { locale, designData: applyRegionalSettings(localizeDesign(templateDesign, locale), regional) };
+};
+
+// Participant and event merge data a new credential is rendered with; the
+// legacy date fields print in the design's date format and regional settings
+const getIssuanceRenderData = (participant, event, participantData, designData) => ({
+    name: participantData?.name || participant.fullName || participant.name,
+    eventTitle: participantData?.eventTitle || event.title || event.name,
+    eventDate: participantData?.eventDate || formatDate(event.startDate || new Date(), designData?.content?.dateFormat, designData?.content),
+    skills: participantData?.skills || participant.skills || '',
+    issueDate: formatDate(new Date(), designData?.content?.dateFormat, designData?.content),
+    participantEmail: participant.email,
+    // Raw values for merge fields and display conditions (see utils/mergeFields.js)
+    firstName: participantData?.firstName || participant.firstName,
+    lastName: participantData?.lastName || participant.lastName,
+    role: participantData?.role,
+    eventId: event._id.toString(),
+    eventStartDate: participantData?.eventDate || event.startDate,
+    eventEndDate: event.endDate,
+    eventLocation: event.location,
+    eventDescription: event.description,
+    eventCategory: event.category,
+    customFields: participantData?.customFields || {}
+});
+
 export const createCredentialWithDesign = async (req, res) => {
     try {
         const {
@@ -346,8 +256,11 @@ export const createCredentialWithDesign = async (req, res) => {
             title,
             type,
             templateId,
-            designData,
+            designData: templateDesign,
             participantData,
+            locale: requestedLocale,
+            expiresAt: requestedExpiry,
+            qrMode = 'url'
         } = req.body;
 
         console.log('Creating credential with design...', { participantId, eventId, type });
@@ -360,6 +273,16 @@ export const createCredentialWithDesign = async (req, res) => {
             });
         }
 
+        // The design is checked like a saved template, before anything is signed or recorded
+        const designErrors = validateDesign(templateDesign);
+        if (designErrors.length) {
+            return res.status(400).json({
+                success: false,
+                message: "Design has errors",
+                errors: designErrors
+            });
+        }
+
         // Validate participant and event exist
         const participant = await Participant.findById(participantId);
         const event = await Event.findById(eventId);
@@ -378,48 +301,98 @@ export const createCredentialWithDesign = async (req, res) => {
             });
         }
 
-        // Generate blockchain hash for verification
-        const blockchainHash = crypto
-            .createHash("sha256")
-            .update(JSON.stringify({ participantId, eventId, title, type }) + Date.now())
-            .digest("hex");
+        // Multilingual designs are issued in the participant's language, else the event's
+        const organizationId = req.user.organizationId || req.user.id;
+        const organization = await Admin.findById(organizationId).select('locale timezone');
+        const { locale, designData } = prepareIssuanceDesign(
+            templateDesign,
+            [requestedLocale, participantData?.locale, participant.locale],
+            event,
+            organization
+        );
+
+        const customFields = participantData?.customFields || {};
+        const missingFields = getMissingCustomFields(designData, customFields);
+        if (missingFields.length) {
+            return res.status(400).json({
+                success: false,
+                message: `Missing required custom fields: ${missingFields.join(', ')}`
+            });
+        }
+
+        // Expiry: explicit date, else the template's default validity period
+        const issuedAt = new Date();
+        const template = templateId && mongoose.Types.ObjectId.isValid(templateId)
+            ? await CredentialTemplate.findById(templateId).select('validity')
+            : null;
+        const { expiresAt, error: expiryError } = resolveExpiresAt(requestedExpiry, template, issuedAt);
+        if (expiryError) {
+            return res.status(400).json({ success: false, message: expiryError });
+        }
+
+        // Sign the credential with the organization's key; the hash is derived from the signed payload
+        const credentialId = new mongoose.Types.ObjectId();
+        const signed = await signCredentialPayload(organizationId, buildCredentialPayload({
+            credentialId,
+            organizationId,
+            participantId,
+            recipientName: participantData?.name || participant.fullName || participant.name,
+            eventId,
+            eventTitle: participantData?.eventTitle || event.title || event.name,
+            title,
+            type,
+            issuedAt,
+            expiresAt
+        }));
+        const blockchainHash = signed.blockchainHash;
 
-        // Generate verification URL and QR code
-        const verificationUrl = `${process.env.FRONTEND_URL || 'https://sifapass.onrender.com'}/verify/${blockchainHash}`;
-        const qrCode = await QRCode.toDataURL(verificationUrl);
+        // Generate verification URL and QR code; compact mode signs the key facts into the QR itself
+        const verificationUrl = getVerificationPageUrl(blockchainHash);
+        const compactQrPayload = qrMode === 'compact'
+            ? await createCompactQrPayload({ _id: credentialId, ...signed })
+            : undefined;
+        const qrCode = compactQrPayload
+            ? await QRCode.toDataURL(compactQrPayload, COMPACT_QR_OPTIONS)
+            : await QRCode.toDataURL(getVerificationQrUrl(blockchainHash));
 
         console.log('Generated blockchain hash and QR code');
 
         // Prepare participant data for rendering
         const renderData = {
-            name: participantData?.name || participant.fullName || participant.name,
-            eventTitle: participantData?.eventTitle || event.title || event.name,
-            eventDate: participantData?.eventDate || (event.startDate ? new Date(event.startDate).toLocaleDateString() : new Date().toLocaleDateString()),
-            skills: participantData?.skills || participant.skills || '',
-            issueDate: new Date().toLocaleDateString(),
-            participantEmail: participant.email,
+            ...getIssuanceRenderData(participant, event, participantData, designData),
             verificationUrl: verificationUrl,
-            blockchainHash: blockchainHash
+            blockchainHash: blockchainHash,
+            qrPayload: compactQrPayload,
+            credentialId: credentialId.toString(),
+            credentialTitle: title,
+            credentialType: type,
+            issuedAt,
+            expiresAt
         };
 
         console.log('Render data prepared:', renderData);
 
         // Create credential record first (so we have an ID for image generation)
         const credential = await Credential.create({
+            _id: credentialId,
             participantId,
             eventId,
             title,
             type,
             templateId,
             designData: designData || {},
-            blockchainHash,
+            locale: locale || undefined,
+            ...signed,
+            statusListEntry: await allocateStatusListEntry(organizationId),
             qrCode,
+            compactQrPayload,
             verificationUrl,
             participantData: renderData,
             issuedBy: req.user.id,
             createdBy: req.user.id, // Add this for admin queries
             status: 'generating', // Temporary status while generating
-            issuedAt: new Date()
+            issuedAt,
+            expiresAt
         });
 
         console.log('Credential record created:', credential._id);
@@ -431,8 +404,9 @@ export const createCredentialWithDesign = async (req, res) => {
         try {
             console.log('Starting image generation...');
 
-            // Use Canvas method (more reliable than Puppeteer)
-            const pngBuffer = await generateCredentialImage(designData, renderData, credential._id);
+            let pngBuffer = await renderCredential(designData, renderData, { format: 'png', organizationId });
+            pngBuffer = await bakeIfBadge(credential, pngBuffer);
+            pngBuffer = await stampCredentialFile(credential, pngBuffer, 'png');
 
             console.log('Image generated, buffer size:', pngBuffer.length);
 
@@ -476,6 +450,8 @@ export const createCredentialWithDesign = async (req, res) => {
                 status: 'issued' // Mark as complete
             });
 
+            await recordLedgerEvent('issue', credential);
+
             // Track the credential issuance
             await trackCredentialIssued({
                 id: credential._id,
@@ -549,287 +525,98 @@ export const createCredentialWithDesign = async (req, res) => {
     }
 };
 
-// Helper function to generate SVG
-const generateSVGCertificate = (designData, participantData, width, height) => {
-    // Generate background
-    let backgroundDef = '';
-    let backgroundRect = `<rect width="${width}" height="${height}" fill="#ffffff"/>`;
-
-    if (designData.background?.type === 'gradient') {
-        const primary = designData.background.primaryColor || '#3498db';
-        const secondary = designData.background.secondaryColor || '#e74c3c';
-        backgroundDef = `
-      <defs>
-        <linearGradient id="bgGrad" x1="0%" y1="0%" x2="100%" y2="100%">
-          <stop offset="0%" style="stop-color:${primary};stop-opacity:1" />
-          <stop offset="100%" style="stop-color:${secondary};stop-opacity:1" />
-        </linearGradient>
-      </defs>
-    `;
-        backgroundRect = `<rect width="${width}" height="${height}" fill="url(#bgGrad)"/>`;
-    } else if (designData.background?.color) {
-        backgroundRect = `<rect width="${width}" height="${height}" fill="${designData.background.color}"/>`;
-    }
-
-    // Generate text elements
-    let textElements = '';
-    if (designData.elements && Array.isArray(designData.elements)) {
-        textElements = designData.elements
-            .filter(element => element.type === 'text')
-            .map(element => {
-                // Replace placeholders
-                let text = element.text || '';
-                text = text.replace('{{participantName}}', participantData.name || 'Participant');
-                text = text.replace('{{eventTitle}}', participantData.eventTitle || 'Event');
-                text = text.replace('{{eventDate}}', participantData.eventDate || new Date().toDateString());
-                text = text.replace('{{skills}}', participantData.skills || '');
-
-                const fontSize = element.fontSize || 24;
-                const fontFamily = element.fontFamily || 'Arial, sans-serif';
-                const fontWeight = element.fontWeight || 'normal';
-                const color = element.color || '#000000';
-                const x = element.x || 0;
-                const y = (element.y || 0) + fontSize; // Adjust y for SVG text baseline
-
-                // Handle multiline text
-                if (text.includes('\n')) {
-                    const lines = text.split('\n');
-                    const lineHeight = fontSize * 1.2;
-                    return lines.map((line, index) => `
-            <text x="${x}" y="${y + (index * lineHeight)}" 
-                  font-family="${fontFamily}" 
-                  font-size="${fontSize}" 
-                  font-weight="${fontWeight}" 
-                  fill="${color}"
-                  text-anchor="start">
-              ${escapeXml(line)}
-            </text>
-          `).join('');
-                } else {
-                    return `
-            <text x="${x}" y="${y}" 
-                  font-family="${fontFamily}" 
-                  font-size="${fontSize}" 
-                  font-weight="${fontWeight}" 
-                  fill="${color}"
-                  text-anchor="start">
-              ${escapeXml(text)}
-            </text>
-          `;
-                }
-            }).join('');
-    }
-
-    // Create the complete SVG
-    const svg = `
-    <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
-      ${backgroundDef}
-      ${backgroundRect}
-      ${textElements}
-    </svg>
-  `;
-
-    return svg;
-};
-
-// Helper to escape XML characters
-const escapeXml = (text) => {
-    return text
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#39;');
-};
-
+/**
+ * Bake Open Badges data into a badge image. Non-badge credentials, and any
+ * baking failure, fall back to the plain image so downloads never break.
+ */
+const bakeIfBadge = async (credential, image, format = 'png') => {
+    if (credential?.type !== 'badge') return image;
 
-const wrapText = (ctx, text, x, y, maxWidth, lineHeight) => {
     try {
-        const words = text.split(' ');
-        let line = '';
-        let currentY = y;
-
-        for (let i = 0; i < words.length; i++) {
-            const testLine = line + words[i] + ' ';
-            const testWidth = ctx.measureText(testLine).width;
-
-            if (testWidth > maxWidth && i > 0) {
-                ctx.fillText(line.trim(), x, currentY);
-                line = words[i] + ' ';
-                currentY += lineHeight;
-            } else {
-                line = testLine;
-            }
-        }
-
-        if (line.trim()) {
-            ctx.fillText(line.trim(), x, currentY);
+        const result = await bakeBadgeImage(credential._id, image, format);
+        if (result.baked) {
+            await Credential.findByIdAndUpdate(credential._id, { $set: { bakedAt: new Date() } });
         }
+        return result.image;
     } catch (error) {
-        console.error('Text wrapping error:', error);
-        // Fallback to simple text rendering
-        ctx.fillText(text, x, y);
+        console.warn('Badge baking failed, continuing with unbaked image:', error.message);
+        return image;
     }
 };
 
+/**
+ * Render a stored credential's image from its designData and participantData,
+ * bake and stamp it, and upload it. Used when a credential is reissued.
+ * @returns {Promise<{ downloadLink: string, exportLinks: { png: string } }>}
+ */
+export const renderCredentialArtifacts = async (credential) => {
+    let pngBuffer = await renderCredential(credential.designData, getCredentialMergeData(credential), {
+        format: 'png',
+        organizationId: getCredentialOrganizationId(credential)
+    });
+    pngBuffer = await bakeIfBadge(credential, pngBuffer);
+    pngBuffer = await stampCredentialFile(credential, pngBuffer, 'png');
 
-const renderElementOnCanvas = async (ctx, element, participantData, canvasWidth, canvasHeight) => {
-    try {
-        if (!element || !element.type) {
-            console.warn('Invalid element:', element);
-            return;
-        }
-
-        console.log('Rendering element:', element.type, element);
-
-        if (element.type === 'text') {
-            // Replace placeholders in text content
-            let content = element.content || element.text || '';
-
-            // Enhanced placeholder replacement with fallbacks
-            content = content.replace(/\{\{participantName\}\}/g, participantData.name || 'Participant Name');
-            content = content.replace(/\{\{eventTitle\}\}/g, participantData.eventTitle || 'Event Title');
-            content = content.replace(/\{\{eventDate\}\}/g, participantData.eventDate || new Date().toLocaleDateString());
-            content = content.replace(/\{\{skills\}\}/g, participantData.skills || '');
-            content = content.replace(/\{\{issueDate\}\}/g, participantData.issueDate || new Date().toLocaleDateString());
-
-            // Set text properties with fallbacks
-            const fontSize = element.fontSize || 16;
-            const fontFamily = (element.fontFamily || 'Arial').split(',')[0].trim();
-            const fontWeight = element.fontWeight || 'normal';
-            const color = element.color || '#000000';
-            const textAlign = element.textAlign || 'left';
-
-            // Apply text styling
-            ctx.fillStyle = color;
-            ctx.font = `${fontWeight} ${fontSize}px ${fontFamily}`;
-            ctx.textAlign = textAlign;
-            ctx.textBaseline = 'top';
-
-            // Position and draw text
-            const x = element.x || 0;
-            const y = element.y || 0;
-            const maxWidth = element.width || (canvasWidth - x - 20); // Leave some margin
-
-            // Handle multiline text
-            if (content.includes('\n')) {
-                const lines = content.split('\n');
-                const lineHeight = fontSize + 5;
-                lines.forEach((line, index) => {
-                    if (maxWidth > 0) {
-                        ctx.fillText(line, x, y + (index * lineHeight), maxWidth);
-                    } else {
-                        ctx.fillText(line, x, y + (index * lineHeight));
-                    }
-                });
-            } else if (content.length > 50 && maxWidth > 0) {
-                wrapText(ctx, content, x, y, maxWidth, fontSize + 5);
-            } else {
-                if (maxWidth > 0) {
-                    ctx.fillText(content, x, y, maxWidth);
-                } else {
-                    ctx.fillText(content, x, y);
-                }
+    const uploadResult = await new Promise((resolve, reject) => {
+        cloudinary.uploader.upload_stream(
+            {
+                resource_type: "image",
+                folder: "credentials/generated",
+                format: "png",
+                public_id: `credential_${credential._id}`,
+                overwrite: true,
+                timeout: 60000
+            },
+            (error, result) => {
+                if (error) return reject(error);
+                resolve(result);
             }
+        ).end(pngBuffer);
+    });
 
-        } else if (element.type === 'image' && element.src) {
-            try {
-                const img = await loadImage(element.src);
-                const x = element.x || 0;
-                const y = element.y || 0;
-                const width = element.width || 100;
-                const height = element.height || 100;
-
-                ctx.drawImage(img, x, y, width, height);
-            } catch (imgError) {
-                console.warn('Failed to load element image:', element.src, imgError.message);
-                // Draw placeholder rectangle
-                const x = element.x || 0;
-                const y = element.y || 0;
-                const width = element.width || 100;
-                const height = element.height || 100;
-
-                ctx.fillStyle = '#f0f0f0';
-                ctx.fillRect(x, y, width, height);
-                ctx.strokeStyle = '#cccccc';
-                ctx.strokeRect(x, y, width, height);
-            }
-        } else if (element.type === 'shape') {
-            ctx.fillStyle = element.color || '#000000';
-            const x = element.x || 0;
-            const y = element.y || 0;
-            const width = element.width || 100;
-            const height = element.height || 50;
-
-            if (element.shape === 'rectangle') {
-                ctx.fillRect(x, y, width, height);
-            } else if (element.shape === 'circle') {
-                ctx.beginPath();
-                ctx.arc(x + width / 2, y + height / 2, Math.min(width, height) / 2, 0, 2 * Math.PI);
-                ctx.fill();
-            }
-        }
+    return { downloadLink: uploadResult.secure_url, exportLinks: { png: uploadResult.secure_url } };
+};
 
-    } catch (error) {
-        console.error('Error rendering element:', error);
-        // Don't throw, just continue with other elements
-    }
+// Badges rendered before baking was introduced are regenerated instead of served from cache
+const hasReusableImage = (credential) => {
+    return credential.type !== 'badge' || !!credential.bakedAt;
 };
 
+/**
+ * The credential an export names, when the caller's organization issued it
+ * @returns {Promise<Object|null>} null when no valid credential id is given
+ * @throws {Error} status 404 for an unknown credential, 403 for another organization's
+ */
+const findOrganizationCredential = async (credentialId, organizationId) => {
+    if (!credentialId || !mongoose.Types.ObjectId.isValid(credentialId)) return null;
 
-const applyBackground = async (ctx, backgroundSettings, width, height) => {
-    try {
-        if (!backgroundSettings) {
-            ctx.fillStyle = '#ffffff';
-            ctx.fillRect(0, 0, width, height);
-            return;
-        }
+    const credential = await Credential.findById(credentialId);
+    if (!credential) throw Object.assign(new Error('Credential not found'), { status: 404 });
+    if (String(getCredentialOrganizationId(credential)) !== String(organizationId)) {
+        throw Object.assign(new Error('Access denied to this credential'), { status: 403 });
+    }
+    return credential;
+};
 
-        const bgType = backgroundSettings.backgroundType || backgroundSettings.type || 'solid';
+/**
+ * Embed the credential reference in a rendered file and, for files rendered
+ * from the stored credential data, remember its fingerprint so an unmodified
+ * copy can later be recognised byte-for-byte by verify-by-file.
+ */
+const stampCredentialFile = async (credential, buffer, format, { fingerprint = true } = {}) => {
+    if (!credential?.blockchainHash) return buffer;
 
-        if (bgType === 'gradient') {
-            try {
-                const gradient = ctx.createLinearGradient(0, 0, width, 0);
-                const primaryColor = backgroundSettings.gradientFrom ||
-                    backgroundSettings.primaryColor || '#3498db';
-                const secondaryColor = backgroundSettings.gradientTo ||
-                    backgroundSettings.secondaryColor || '#e74c3c';
-
-                gradient.addColorStop(0, primaryColor);
-                gradient.addColorStop(1, secondaryColor);
-                ctx.fillStyle = gradient;
-                ctx.fillRect(0, 0, width, height);
-            } catch (gradientError) {
-                console.warn('Gradient creation failed, using solid color:', gradientError);
-                ctx.fillStyle = backgroundSettings.primaryColor || '#ffffff';
-                ctx.fillRect(0, 0, width, height);
-            }
-        } else if (bgType === 'solid') {
-            ctx.fillStyle = backgroundSettings.backgroundColor ||
-                backgroundSettings.primaryColor ||
-                backgroundSettings.color || '#ffffff';
-            ctx.fillRect(0, 0, width, height);
-        } else if (bgType === 'image' && backgroundSettings.backgroundImage) {
-            try {
-                const bgImage = await loadImage(backgroundSettings.backgroundImage);
-                ctx.drawImage(bgImage, 0, 0, width, height);
-            } catch (imgError) {
-                console.warn('Failed to load background image, using fallback:', imgError);
-                ctx.fillStyle = backgroundSettings.primaryColor || '#ffffff';
-                ctx.fillRect(0, 0, width, height);
-            }
-        } else {
-            ctx.fillStyle = '#ffffff';
-            ctx.fillRect(0, 0, width, height);
-        }
-    } catch (error) {
-        console.error('Background application error:', error);
-        // Fallback to white background
-        ctx.fillStyle = '#ffffff';
-        ctx.fillRect(0, 0, width, height);
+    const stamped = embedCredentialReference(buffer, format, credential.blockchainHash);
+
+    if (fingerprint) {
+        await Credential.updateOne(
+            { _id: credential._id },
+            { $push: { fileFingerprints: { format, sha256: fingerprintFile(stamped), createdAt: new Date() } } }
+        );
     }
-};
 
+    return stamped;
+};
 
 /**
  * Get All Credentials (for user)
@@ -978,8 +765,35 @@ export const downloadCredentialDirect = async (req, res) => {
             });
         }
 
+        // A multi-page credential downloads as an image per page, or a ZIP of them
+        if (getDesignPageCount(credential.designData) > 1) {
+            const pageOutput = getPageOutput(req.query.pageOutput);
+            const { exportUrl, pages } = await getCredentialPageImages(credential, 'png', pageOutput);
+
+            credential.downloadCount += 1;
+            credential.lastDownloaded = new Date();
+            await credential.save();
+            await trackCredentialDownloaded(credential._id, 'png', credential.participantId?.email || 'anonymous');
+
+            return res.json({
+                success: true,
+                downloadUrl: exportUrl,
+                pages,
+                pageOutput,
+                credential: {
+                    title: credential.title,
+                    type: credential.type,
+                    eventTitle: credential.eventId?.title,
+                    participantName: credential.participantData?.name || credential.participantId?.name,
+                    issuedDate: credential.issuedAt,
+                    blockchainHash: credential.blockchainHash,
+                    qrCode: credential.qrCode
+                }
+            });
+        }
+
         // Check if we have a pre-generated image
-        const imageUrl = credential.downloadLink || credential.exportLinks?.png;
+        const imageUrl = hasReusableImage(credential) && (credential.downloadLink || credential.exportLinks?.png);
 
         if (imageUrl) {
             // Update download count
@@ -1013,11 +827,13 @@ export const downloadCredentialDirect = async (req, res) => {
             console.log('No pre-generated image found, generating on-demand...');
 
             try {
-                const pngBuffer = await generatePNGWithCanvas(
+                let pngBuffer = await renderCredential(
                     credential.designData,
-                    credential.participantData,
-                    credential._id
+                    getCredentialMergeData(credential),
+                    { format: 'png', organizationId: getCredentialOrganizationId(credential) }
                 );
+                pngBuffer = await bakeIfBadge(credential, pngBuffer);
+                pngBuffer = await stampCredentialFile(credential, pngBuffer, 'png');
 
                 // Upload the generated image
                 const uploadResult = await new Promise((resolve, reject) => {
@@ -1038,7 +854,7 @@ export const downloadCredentialDirect = async (req, res) => {
                 // Update credential with the new URL
                 credential.exportLinks = credential.exportLinks || {};
                 credential.exportLinks.png = uploadResult.secure_url;
-                if (!credential.downloadLink) {
+                if (!credential.downloadLink || !hasReusableImage(credential)) {
                     credential.downloadLink = uploadResult.secure_url;
                 }
                 credential.downloadCount += 1;
@@ -1085,6 +901,9 @@ export const downloadCredentialDirect = async (req, res) => {
         }
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
         console.error("Direct Download Error:", error);
         res.status(500).json({
             success: false,
@@ -1115,13 +934,41 @@ export const getCredentialStats = async (req, res) => {
 /**
  * Update Credential
  */
+// Where the credential's files are hosted. Issued content and lifecycle state
+// change only by reissue, revoke, suspend and reinstate; downloadLink and
+// exportLinks are written by server-side renders only, as they are fingerprinted.
+const EDITABLE_CREDENTIAL_FIELDS = ['credentialUrl', 'qrCodeUrl', 'hasGeneratedImage'];
+
+// Keys MongoDB would read as paths or operators
+const hasUnsafeKey = (value) => value !== null && typeof value === 'object' &&
+    Object.entries(value).some(([key, entry]) => key.includes('.') || key.startsWith('$') || hasUnsafeKey(entry));
+
 export const updateCredential = async (req, res) => {
     try {
         const { id } = req.params;
+        const body = req.body || {};
+
+        if (hasUnsafeKey(body)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Field names cannot contain "." or start with "$"'
+            });
+        }
+
+        const lockedFields = Object.keys(body).filter(field => !EDITABLE_CREDENTIAL_FIELDS.includes(field));
+        if (lockedFields.length) {
+            return res.status(400).json({
+                success: false,
+                message: `Issued credentials cannot be edited in place (${lockedFields.join(", ")}). ` +
+                    "Reissue the credential to amend it, or revoke or suspend it to change its status.",
+                editableFields: EDITABLE_CREDENTIAL_FIELDS
+            });
+        }
+
         const credential = await Credential.findByIdAndUpdate(
             id,
-            { ...req.body },
-            { new: true }
+            { $set: body },
+            { new: true, runValidators: true }
         );
 
         if (!credential) return res.status(404).json({ success: false, message: "Credential not found" });
@@ -1162,28 +1009,6 @@ export const editCredential = async (req, res) => {
     }
 };
 
-/**
- * Share Credential
- */
-export const shareCredential = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { userIds } = req.body;
-
-        const credential = await Credential.findByIdAndUpdate(
-            id,
-            { $addToSet: { sharedWith: { $each: userIds } } },
-            { new: true }
-        );
-
-        if (!credential) return res.status(404).json({ success: false, message: "Credential not found" });
-
-        res.json({ success: true, credential });
-    } catch (error) {
-        res.status(500).json({ success: false, message: error.message });
-    }
-};
-
 /**
  * Verify Credential
  */
@@ -1193,25 +1018,38 @@ export const verifyCredential = async (req, res) => {
 
         const credential = await Credential.findOne({ blockchainHash: hash })
             .populate('eventId', 'title')
-            .populate('participantId', 'name email');
+            .populate('participantId', 'name email')
+            .populate('predecessorId successorId supersedes supersededBy', 'blockchainHash');
+
+        const channel = getVerificationChannel(req, 'api');
 
         if (!credential) {
+            await recordVerification(req, { channel, method: 'blockchain_hash', result: 'not_found' });
             return res.status(404).json({
                 success: false,
                 message: "Invalid or tampered credential"
             });
         }
 
-        // Track the verification
-        await trackCredentialVerified(
-            credential._id,
-            'blockchain_hash', // verification method
-            req.ip || 'anonymous' // Use IP as identifier for anonymous verification
-        );
+        // Check the issuer signature and key status, not just that the hash exists
+        const verification = await evaluateCredential(credential);
+
+        await recordVerification(req, { credential, channel, method: 'blockchain_hash', result: verification.status });
+
+        if (!verification.checks.signature) {
+            return res.status(422).json({
+                success: false,
+                message: "Credential signature could not be verified",
+                verification
+            });
+        }
 
         res.json({
             success: true,
-            message: "Credential verified successfully",
+            message: verification.valid
+                ? "Credential verified successfully"
+                : `Credential is ${verification.status}`,
+            verification,
             credential: {
                 id: credential._id,
                 title: credential.title,
@@ -1219,8 +1057,24 @@ export const verifyCredential = async (req, res) => {
                 participantName: credential.participantId?.name,
                 eventTitle: credential.eventId?.title,
                 issuedAt: credential.issuedAt,
+                expiresAt: verification.checks.expiresAt,
                 blockchainHash: credential.blockchainHash,
-                qrCode: credential.qrCode
+                qrCode: credential.qrCode,
+                issuer: credential.signedPayload?.issuer,
+                signature: {
+                    kid: credential.signature?.kid,
+                    algorithm: credential.signature?.algorithm,
+                    value: credential.signature?.value
+                },
+                signedPayload: credential.signedPayload
+            },
+            links: {
+                verifiableCredential: getCredentialVcId(credential._id),
+                verificationPage: getVerificationPageUrl(credential.blockchainHash),
+                ledgerProof: `${getBaseUrl()}/api/ledger/credentials/${credential._id}/proof`,
+                credentialStatus: buildCredentialStatusEntries(credential),
+                ...getRenewalLinks(credential),
+                ...getVersionLinks(credential)
             }
         });
     } catch (error) {
@@ -1233,36 +1087,250 @@ export const verifyCredential = async (req, res) => {
     }
 };
 /**
- * Customize Credential
+ * Reference renderings of a stored credential: the issued image itself plus
+ * a fresh render from its stored design.
  */
-export const customizeCredential = async (req, res) => {
+const getReferenceImages = async (credential) => {
+    const references = [];
+
+    const storedUrls = [...new Set([
+        credential.exportLinks?.png,
+        credential.downloadLink
+    ].filter(Boolean))];
+
+    for (const url of storedUrls) {
+        try {
+            const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 10000 });
+            references.push({ source: 'issued_image', buffer: Buffer.from(response.data) });
+        } catch (error) {
+            console.warn('Could not fetch issued image for comparison:', url, error.message);
+        }
+    }
+
     try {
-        const credential = await Credential.findById(req.params.id);
-        if (!credential) return res.status(404).json({ message: "Not found" });
+        references.push({
+            source: 'render',
+            buffer: await renderCredential(credential.designData || {}, getCredentialMergeData(credential), {
+                format: 'png',
+                organizationId: getCredentialOrganizationId(credential)
+            })
+        });
+    } catch (error) {
+        console.warn('Reference render failed:', error.message);
+    }
 
-        credential.customData = req.body.customData || credential.customData;
-        await credential.save();
+    return references;
+};
 
-        res.status(200).json({ message: "Credential customized", credential });
-    } catch (err) {
-        res.status(400).json({ message: err.message });
+const compareWithReference = async (upload, reference, credential) => {
+    const size = await getImageSize(reference.buffer);
+    const overall = await compareImageRegion(upload, reference.buffer, { size });
+
+    const regions = [];
+    for (const region of getComparisonRegions(credential.designData, size.width, size.height, getCredentialMergeData(credential))) {
+        const result = await compareImageRegion(upload, reference.buffer, { region, size });
+        regions.push({ field: region.field, ...result });
+    }
+
+    return { source: reference.source, overall, regions };
+};
+
+const findCredentialByReferences = async ({ hashes = [], credentialIds = [] }) => {
+    if (hashes.length) {
+        const credential = await Credential.findOne({ blockchainHash: { $in: hashes } });
+        if (credential) return credential;
+    }
+
+    const validIds = credentialIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (validIds.length) {
+        return Credential.findOne({ _id: { $in: validIds } });
     }
+
+    return null;
 };
 
 /**
- * Get Default Template
+ * Verify an uploaded credential file (PDF/PNG/JPEG)
  */
-export const getDefaultTemplate = async (req, res) => {
+export const verifyCredentialFile = async (req, res) => {
     try {
-        const defaultTemplate = {
-            title: "New Credential",
-            description: "Enter your credential details here...",
-            fields: [
-                { label: "Full Name", type: "text", required: true },
-                { label: "Email", type: "email", required: true },
-                { label: "Phone Number", type: "text", required: false },
-                { label: "Address", type: "text", required: false }
-            ],
+        if (!req.file?.buffer) {
+            return res.status(400).json({ success: false, message: "A credential file is required" });
+        }
+
+        const file = req.file.buffer;
+        const format = detectFileFormat(file);
+        if (!format) {
+            return res.status(400).json({
+                success: false,
+                message: "Unsupported file type: upload a PDF, PNG or JPEG"
+            });
+        }
+
+        const sha256 = fingerprintFile(file);
+        const reasons = [];
+
+        // 1. Byte-identical copy of a file we rendered
+        let credential = await Credential.findOne({ 'fileFingerprints.sha256': sha256 });
+        let foundBy = credential ? 'fingerprint' : null;
+
+        // 2. Embedded reference (metadata, link annotations, baked badge data)
+        if (!credential) {
+            const references = extractCredentialReferences(file, format);
+            credential = await findCredentialByReferences(references);
+            if (credential) foundBy = references.sources[0] || 'metadata';
+        }
+
+        // 3. QR code printed on the image
+        if (!credential && format !== 'pdf') {
+            try {
+                const payload = await decodeQrCode(file);
+                if (payload) {
+                    credential = await findCredentialByReferences(extractReferencesFromText(payload));
+                    if (credential) foundBy = 'qr_code';
+                }
+            } catch (qrError) {
+                console.warn('QR decoding failed:', qrError.message);
+            }
+        }
+
+        if (!credential) {
+            await recordVerification(req, { channel: 'file', method: 'file_upload', result: 'not_found' });
+            return res.json({
+                success: true,
+                verdict: 'unknown',
+                reasons: ['No Sifapass credential reference (metadata or QR code) was found in the file'],
+                file: { format, sha256, size: file.length }
+            });
+        }
+
+        const verification = await evaluateCredential(credential);
+
+        let comparison = null;
+        let differingFields = [];
+        let verdict;
+
+        if (foundBy === 'fingerprint') {
+            verdict = 'authentic';
+            comparison = { method: 'fingerprint', match: true };
+        } else if (format === 'pdf') {
+            // PDFs are not compared visually: every PDF we issue is fingerprinted, so one
+            // that names the credential without matching any of them was changed afterwards
+            comparison = { method: 'fingerprint', match: false };
+            if (credential.fileFingerprints?.some(entry => entry.format === 'pdf')) {
+                verdict = 'altered';
+                reasons.push('The PDF names this credential but differs from every PDF issued for it: it was modified after it was downloaded');
+            } else {
+                verdict = 'unknown';
+                reasons.push('No PDF was issued for this credential to compare with; verify it via its link or upload an image export');
+            }
+        } else {
+            const references = await getReferenceImages(credential);
+            const results = [];
+            for (const reference of references) {
+                results.push(await compareWithReference(file, reference, credential));
+            }
+
+            // The closest reference is the renderer that produced this file
+            const best = results.sort((a, b) => a.overall.hashDistance - b.overall.hashDistance)[0];
+
+            if (!best) {
+                verdict = 'unknown';
+                reasons.push('The original credential could not be re-rendered for comparison');
+            } else {
+                comparison = { method: 'perceptual_hash', ...best };
+                differingFields = best.regions.filter(region => region.differs).map(region => region.field);
+
+                if (differingFields.length) {
+                    verdict = 'altered';
+                    reasons.push(`Content differs from the issued credential in: ${differingFields.join(', ')}`);
+                } else if (!best.overall.differs) {
+                    verdict = 'authentic';
+                } else {
+                    verdict = 'unknown';
+                    reasons.push('The file could not be aligned with the issued design (cropped, photographed or heavily edited)');
+                }
+            }
+        }
+
+        if (!verification.checks.signature) {
+            verdict = 'altered';
+            reasons.push('The stored credential record failed its signature check');
+        } else if (verification.status === 'revoked') {
+            verdict = 'revoked';
+            reasons.push('The credential has been revoked by its issuer');
+        } else if (!verification.valid) {
+            reasons.push(`The credential is currently ${verification.status}`);
+        }
+
+        await recordVerification(req, {
+            credential,
+            channel: 'file',
+            method: 'file_upload',
+            result: verdict === 'authentic' ? verification.status : verdict
+        });
+
+        res.json({
+            success: true,
+            verdict,
+            valid: verdict === 'authentic' && verification.valid,
+            reasons,
+            differingFields,
+            foundBy,
+            file: { format, sha256, size: file.length },
+            credential: {
+                id: credential._id,
+                title: credential.title,
+                type: credential.type,
+                participantName: credential.participantData?.name,
+                eventTitle: credential.participantData?.eventTitle,
+                issuedAt: credential.issuedAt,
+                blockchainHash: credential.blockchainHash
+            },
+            verification,
+            comparison
+        });
+    } catch (error) {
+        console.error("Verify Credential File Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to verify credential file",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Customize Credential
+ */
+export const customizeCredential = async (req, res) => {
+    try {
+        const credential = await Credential.findById(req.params.id);
+        if (!credential) return res.status(404).json({ message: "Not found" });
+
+        credential.customData = req.body.customData || credential.customData;
+        await credential.save();
+
+        res.status(200).json({ message: "Credential customized", credential });
+    } catch (err) {
+        res.status(400).json({ message: err.message });
+    }
+};
+
+/**
+ * Get Default Template
+ */
+export const getDefaultTemplate = async (req, res) => {
+    try {
+        const defaultTemplate = {
+            title: "New Credential",
+            description: "Enter your credential details here...",
+            fields: [
+                { label: "Full Name", type: "text", required: true },
+                { label: "Email", type: "email", required: true },
+                { label: "Phone Number", type: "text", required: false },
+                { label: "Address", type: "text", required: false }
+            ],
             createdAt: new Date(),
         };
 
@@ -1349,7 +1417,12 @@ export const createTemplate = async (req, res) => {
             designData,
             backgroundSettings,
             contentSettings,
-            verificationSettings
+            verificationSettings,
+            description,
+            category,
+            tags,
+            badge,
+            validity
         } = req.body;
 
         if (!name || !type || !designData) {
@@ -1358,16 +1431,34 @@ export const createTemplate = async (req, res) => {
             });
         }
 
+        const templateDesign = {
+            defaultLocale: designData.defaultLocale,
+            elements: designData.elements || [],
+            pages: designData.pages,
+            canvas: designData.canvas || { width: 800, height: 600 },
+            background: backgroundSettings || {},
+            content: contentSettings || {},
+            verification: verificationSettings || {}
+        };
+
+        const templateErrors = validateDesign(templateDesign);
+        if (templateErrors.length) {
+            return res.status(400).json({
+                success: false,
+                message: "Template design has errors",
+                errors: templateErrors
+            });
+        }
+
         const template = await CredentialTemplate.create({
             name,
             type,
-            designData: {
-                elements: designData.elements || [],
-                canvas: designData.canvas || { width: 800, height: 600 },
-                background: backgroundSettings || {},
-                content: contentSettings || {},
-                verification: verificationSettings || {}
-            },
+            designData: templateDesign,
+            description,
+            category,
+            tags,
+            badge: type === 'badge' ? badge : undefined,
+            validity,
             createdBy: req.user.id
         });
 
@@ -1442,6 +1533,15 @@ export const updateTemplate = async (req, res) => {
         const { id } = req.params;
         const updateData = req.body;
 
+        const templateErrors = updateData.designData ? validateDesign(updateData.designData) : [];
+        if (templateErrors.length) {
+            return res.status(400).json({
+                success: false,
+                message: "Template design has errors",
+                errors: templateErrors
+            });
+        }
+
         const template = await CredentialTemplate.findByIdAndUpdate(
             id,
             { ...updateData, updatedAt: Date.now() },
@@ -1472,6 +1572,15 @@ export const saveDesignProgress = async (req, res) => {
     try {
         const { templateId, designData } = req.body;
 
+        const templateErrors = designData ? validateDesign(designData) : [];
+        if (templateErrors.length) {
+            return res.status(400).json({
+                success: false,
+                message: "Template design has errors",
+                errors: templateErrors
+            });
+        }
+
         if (templateId) {
             await CredentialTemplate.findByIdAndUpdate(templateId, {
                 designData,
@@ -1498,7 +1607,10 @@ export const previewCredential = async (req, res) => {
     try {
         const { designData, participantData = {} } = req.body;
 
-        const previewHtml = generateCredentialHTML(designData, participantData);
+        const previewHtml = await renderCredential(designData, participantData, {
+            format: 'html',
+            organizationId: req.user.organizationId || req.user.id
+        });
 
         res.json({
             success: true,
@@ -1512,6 +1624,110 @@ export const previewCredential = async (req, res) => {
     }
 };
 
+// Participants one fit check may lay out
+const MAX_FIT_CHECK_PARTICIPANTS = 1000;
+
+/**
+ * Pre-issuance fit check: lay out the template for each participant, as
+ * issuance would, and report whose data does not fit a text box. Participants
+ * are given like for batch creation, or default to the event's participants.
+ */
+export const checkTemplateTextFit = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { eventId, participants, designData: draftDesign } = req.body;
+
+        const template = mongoose.Types.ObjectId.isValid(id)
+            ? await CredentialTemplate.findById(id).lean()
+            : null;
+        if (!template) {
+            return res.status(404).json({ success: false, message: "Template not found" });
+        }
+
+        const event = mongoose.Types.ObjectId.isValid(eventId) ? await Event.findById(eventId) : null;
+        if (!event) {
+            return res.status(400).json({ success: false, message: "eventId must name an existing event" });
+        }
+
+        if (participants !== undefined && !Array.isArray(participants)) {
+            return res.status(400).json({ success: false, message: "participants must be a list" });
+        }
+        const entries = participants || event.participants.map(participantId => ({ participantId }));
+        if (entries.length > MAX_FIT_CHECK_PARTICIPANTS) {
+            return res.status(400).json({
+                success: false,
+                message: `At most ${MAX_FIT_CHECK_PARTICIPANTS} participants can be checked at once`
+            });
+        }
+
+        const participantIds = entries
+            .map(entry => entry?.participantId)
+            .filter(participantId => mongoose.Types.ObjectId.isValid(participantId));
+        const participantDocs = await Participant.find({ _id: { $in: participantIds } })
+            .select('fullName firstName lastName email locale');
+        const participantsById = new Map(participantDocs.map(participant => [participant._id.toString(), participant]));
+
+        // Stand-ins for the values only issuance assigns
+        const designData = draftDesign || template.designData;
+        const issuedAt = new Date();
+        const blockchainHash = '0'.repeat(64);
+        const credentialData = {
+            verificationUrl: getVerificationPageUrl(blockchainHash),
+            blockchainHash,
+            credentialId: new mongoose.Types.ObjectId().toString(),
+            credentialType: template.type,
+            issuedAt,
+            expiresAt: resolveExpiresAt(undefined, template, issuedAt).expiresAt
+        };
+        const organizationId = req.user.organizationId || req.user.id;
+        const [fonts, organization] = await Promise.all([
+            getOrganizationFonts(organizationId),
+            Admin.findById(organizationId).select('locale timezone')
+        ]);
+
+        const results = [];
+        const errors = [];
+        for (const entry of entries) {
+            const participant = entry?.participantId ? participantsById.get(String(entry.participantId)) : {};
+            if (!participant) {
+                errors.push({ participantId: entry?.participantId, error: "Participant not found" });
+                continue;
+            }
+
+            const { locale, designData: issuedDesign } = prepareIssuanceDesign(
+                designData,
+                [entry?.locale, entry?.participantData?.locale, participant.locale],
+                event,
+                organization
+            );
+            const renderData = {
+                ...getIssuanceRenderData(participant, event, entry?.participantData, issuedDesign),
+                ...credentialData,
+                credentialTitle: entry?.title || `${template.type} of Achievement`
+            };
+            const problems = checkTextFit(issuedDesign, renderData, { fonts });
+            if (problems.length) {
+                results.push({ participantId: entry?.participantId, name: renderData.name, locale, problems });
+            }
+        }
+
+        res.json({
+            success: true,
+            checked: entries.length - errors.length,
+            fits: results.length === 0,
+            participants: results,
+            errors: errors.length > 0 ? errors : undefined
+        });
+    } catch (error) {
+        console.error("Check Template Text Fit Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to check template text fit",
+            error: error.message
+        });
+    }
+};
+
 // ==================== EXPORT FUNCTIONALITY ====================
 
 /**
@@ -1528,17 +1744,22 @@ export const exportCredentialPDF = async (req, res) => {
             });
         }
 
+        const organizationId = req.user.organizationId || req.user.id;
         let pdfBuffer;
 
         if (method === 'pdfkit') {
-            // Use PDFKit for simple layouts
-            pdfBuffer = await generatePDFWithPDFKit(designData, participantData, credentialId);
+            // Vector PDF drawn directly, no browser needed
+            pdfBuffer = await renderCredential(designData, participantData, { format: 'pdf', organizationId });
         } else {
-            // Use Puppeteer for complex HTML layouts (default)
-            const html = generateCredentialHTML(designData, participantData);
-            pdfBuffer = await generatePDFFromHTML(html);
+            // Printed from the HTML rendering by Puppeteer (default)
+            pdfBuffer = await renderCredentialInBrowser(designData, participantData, 'pdf', { organizationId });
         }
 
+        // The PDF carries the credential reference, but it is rendered from the request's design
+        // and data, so it is neither fingerprinted nor stored as the credential's export
+        const credential = await findOrganizationCredential(credentialId, organizationId);
+        if (credential) pdfBuffer = await stampCredentialFile(credential, pdfBuffer, 'pdf', { fingerprint: false });
+
         // Upload to Cloudinary
         const uploadResult = await new Promise((resolve, reject) => {
             cloudinary.uploader.upload_stream(
@@ -1550,13 +1771,6 @@ export const exportCredentialPDF = async (req, res) => {
             ).end(pdfBuffer);
         });
 
-        // Update credential with export link
-        if (credentialId && mongoose.Types.ObjectId.isValid(credentialId)) {
-            await Credential.findByIdAndUpdate(credentialId, {
-                $set: { "exportLinks.pdf": uploadResult.secure_url }
-            });
-        }
-
         res.json({
             success: true,
             exportUrl: uploadResult.secure_url,
@@ -1564,6 +1778,9 @@ export const exportCredentialPDF = async (req, res) => {
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
         console.error('PDF Export Error:', error);
         res.status(500).json({
             success: false,
@@ -1580,10 +1797,11 @@ export const exportCredentialPNG = async (req, res) => {
     try {
         console.log('PNG export requested...');
         const { designData, participantData, credentialId } = req.body;
+        let credential = null;
 
         // Verify user has access to this credential
         if (credentialId && mongoose.Types.ObjectId.isValid(credentialId)) {
-            const credential = await Credential.findById(credentialId);
+            credential = await Credential.findById(credentialId);
 
             if (!credential) {
                 return res.status(404).json({
@@ -1614,8 +1832,23 @@ export const exportCredentialPNG = async (req, res) => {
                 }
             }
 
-            // Check for existing generated image
-            if (credential.downloadLink || credential.exportLinks?.png) {
+            // A multi-page credential's pages are rendered once and served from then on
+            if (getDesignPageCount(credential.designData) > 1) {
+                const pageOutput = getPageOutput(req.body.pageOutput);
+                const { exportUrl, pages } = await getCredentialPageImages(credential, 'png', pageOutput);
+
+                return res.json({
+                    success: true,
+                    exportUrl,
+                    pages,
+                    pageOutput,
+                    message: "PNG exported successfully",
+                    method: 'canvas'
+                });
+            }
+
+            // Check for existing generated image (of the first page only, for multi-page designs)
+            if (getDesignPageCount(designData) === 1 && hasReusableImage(credential) && (credential.downloadLink || credential.exportLinks?.png)) {
                 console.log('Using existing generated PNG image');
                 const existingUrl = credential.downloadLink || credential.exportLinks.png;
 
@@ -1632,15 +1865,37 @@ export const exportCredentialPNG = async (req, res) => {
         console.log('No existing image found, generating new PNG...');
 
         const method = req.body.method || 'canvas';
+        // Participants export their own credentials, in the issuer's fonts
+        const organizationId = credential
+            ? getCredentialOrganizationId(credential)
+            : req.userType === 'admin' ? req.user.organizationId || req.user._id : undefined;
+
+        if (getDesignPageCount(designData) > 1) {
+            const pageOutput = getPageOutput(req.body.pageOutput);
+            const buffers = await renderCredentialPageFiles(credential, designData, participantData, 'png', { method, organizationId });
+            const { exportUrl, pages } = await uploadPageImages(designData, buffers, 'png', pageOutput);
+
+            return res.json({
+                success: true,
+                exportUrl,
+                pages,
+                pageOutput,
+                message: "PNG exported successfully",
+                method: method
+            });
+        }
+
         let pngBuffer;
 
         if (method === 'canvas') {
-            pngBuffer = await generatePNGWithCanvas(designData, participantData, credentialId);
+            pngBuffer = await renderCredential(designData, participantData, { format: 'png', organizationId });
         } else {
-            const html = generateCredentialHTML(designData, participantData);
-            pngBuffer = await generatePNGFromHTML(html);
+            pngBuffer = await renderCredentialInBrowser(designData, participantData, 'png', { organizationId });
         }
 
+        pngBuffer = await bakeIfBadge(credential, pngBuffer);
+        pngBuffer = await stampCredentialFile(credential, pngBuffer, 'png', { fingerprint: false });
+
         // Upload to Cloudinary
         const uploadResult = await new Promise((resolve, reject) => {
             cloudinary.uploader.upload_stream(
@@ -1658,16 +1913,6 @@ export const exportCredentialPNG = async (req, res) => {
             ).end(pngBuffer);
         });
 
-        // Update credential with export link
-        if (credentialId && mongoose.Types.ObjectId.isValid(credentialId)) {
-            await Credential.findByIdAndUpdate(credentialId, {
-                $set: {
-                    "exportLinks.png": uploadResult.secure_url,
-                    "downloadLink": uploadResult.secure_url
-                }
-            });
-        }
-
         res.json({
             success: true,
             exportUrl: uploadResult.secure_url,
@@ -1677,6 +1922,9 @@ export const exportCredentialPNG = async (req, res) => {
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
         console.error("PNG Export Error:", error);
         res.status(500).json({
             success: false,
@@ -1699,15 +1947,38 @@ export const exportCredentialJPEG = async (req, res) => {
             });
         }
 
+        const organizationId = req.user.organizationId || req.user.id;
+
+        if (getDesignPageCount(designData) > 1) {
+            const pageOutput = getPageOutput(req.body.pageOutput);
+            const credential = await findOrganizationCredential(credentialId, organizationId);
+
+            // A multi-page credential's pages are rendered once and served from then on
+            let exportUrl;
+            let pages;
+            if (credential && getDesignPageCount(credential.designData) > 1) {
+                ({ exportUrl, pages } = await getCredentialPageImages(credential, 'jpeg', pageOutput));
+            } else {
+                const buffers = await renderCredentialPageFiles(credential, designData, participantData, 'jpeg', { method, organizationId });
+                ({ exportUrl, pages } = await uploadPageImages(designData, buffers, 'jpg', pageOutput));
+            }
+
+            return res.json({
+                success: true,
+                exportUrl,
+                pages,
+                pageOutput,
+                message: "JPEG exported successfully"
+            });
+        }
+
         let jpegBuffer;
 
         if (method === 'canvas') {
-            // Use Canvas for simple layouts
-            jpegBuffer = await generateJPEGWithCanvas(designData, participantData, credentialId);
+            jpegBuffer = await renderCredential(designData, participantData, { format: 'jpeg', organizationId });
         } else {
-            // Use Puppeteer for complex HTML layouts (default)
-            const html = generateCredentialHTML(designData, participantData);
-            jpegBuffer = await generateJPEGFromHTML(html);
+            // Screenshot of the HTML rendering by Puppeteer (default)
+            jpegBuffer = await renderCredentialInBrowser(designData, participantData, 'jpeg', { organizationId });
         }
 
         // Upload to Cloudinary
@@ -1721,13 +1992,6 @@ export const exportCredentialJPEG = async (req, res) => {
             ).end(jpegBuffer);
         });
 
-        // Update credential with export link
-        if (credentialId && mongoose.Types.ObjectId.isValid(credentialId)) {
-            await Credential.findByIdAndUpdate(credentialId, {
-                $set: { "exportLinks.jpeg": uploadResult.secure_url }
-            });
-        }
-
         res.json({
             success: true,
             exportUrl: uploadResult.secure_url,
@@ -1735,6 +1999,9 @@ export const exportCredentialJPEG = async (req, res) => {
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
         console.error("JPEG Export Error:", error);
         res.status(500).json({
             success: false,
@@ -1747,656 +2014,195 @@ export const exportCredentialJPEG = async (req, res) => {
 // ==================== HELPER FUNCTIONS ====================
 
 /**
- * Generate HTML from Design Data
+ * Render a credential with the scene renderer's HTML backend in a headless
+ * browser. Same layout as the native backends, with the browser's text
+ * rendering. A PDF holds every page of the design; an image shows one page
+ * (from 1, the first by default).
  */
-function generateCredentialHTML(designData, participantData = {}) {
-    try {
-        console.log('Generating HTML for credential...');
-
-        if (!designData || typeof designData !== 'object') {
-            throw new Error('Invalid design data provided');
-        }
-
-        const { elements = [], canvas = {}, background = {} } = designData;
-        const canvasWidth = canvas.width || 800;
-        const canvasHeight = canvas.height || 600;
-
-        let backgroundStyle = '';
-        if (background.type === 'gradient') {
-            const direction = background.gradientDirection || 'to right';
-            const primary = background.primaryColor || '#ffffff';
-            const secondary = background.secondaryColor || '#f0f0f0';
-            backgroundStyle = `background: linear-gradient(${direction}, ${primary}, ${secondary});`;
-        } else if (background.type === 'solid') {
-            backgroundStyle = `background-color: ${background.color || background.primaryColor || '#ffffff'};`;
-        } else if (background.type === 'image' && background.imageUrl) {
-            backgroundStyle = `background-image: url('${background.imageUrl}'); background-size: cover; background-position: center;`;
-        } else {
-            backgroundStyle = 'background-color: #ffffff;';
-        }
-
-        let elementsHtml = '';
-        elements.forEach((element, index) => {
-            try {
-                let content = element.content || '';
-
-                // Replace placeholders with participant data
-                content = content.replace(/\{\{participantName\}\}/g, participantData.name || 'John Doe');
-                content = content.replace(/\{\{eventTitle\}\}/g, participantData.eventTitle || 'Sample Event');
-                content = content.replace(/\{\{eventDate\}\}/g, participantData.eventDate || new Date().toLocaleDateString());
-                content = content.replace(/\{\{skills\}\}/g, participantData.skills || 'Sample Skills');
-
-                const elementStyle = `
-                    position: absolute;
-                    left: ${element.x || 0}px;
-                    top: ${element.y || 0}px;
-                    width: ${element.width || 'auto'}px;
-                    height: ${element.height || 'auto'}px;
-                    font-family: ${element.fontFamily || 'Arial, sans-serif'};
-                    font-size: ${element.fontSize || 16}px;
-                    font-weight: ${element.fontWeight || 'normal'};
-                    color: ${element.color || '#000000'};
-                    text-align: ${element.textAlign || 'left'};
-                    z-index: ${element.zIndex || 1};
-                    box-sizing: border-box;
-                `;
-
-                if (element.type === 'text') {
-                    elementsHtml += `<div style="${elementStyle}">${content}</div>`;
-                } else if (element.type === 'image' && element.src) {
-                    elementsHtml += `<img src="${element.src}" style="${elementStyle}" alt="${element.alt || ''}" />`;
-                } else if (element.type === 'qrcode' && element.qrCodeUrl) {
-                    elementsHtml += `<div style="${elementStyle}"><img src="${element.qrCodeUrl}" alt="QR Code" style="width: 100%; height: 100%;" /></div>`;
-                }
-            } catch (elementError) {
-                console.error(`Error processing element ${index}:`, elementError);
-            }
+const renderCredentialInBrowser = async (designData, participantData, format, { organizationId, page = 1 } = {}) => {
+    if (format === 'pdf') {
+        const html = await renderCredential(designData, participantData, { format: 'html', organizationId });
+        return generatePDFFromHTML(html, normalizeDesign(getDesignPages(designData)[0]), {
+            pageCount: getDesignPageCount(designData)
         });
-
-        const htmlContent = `
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <meta charset="UTF-8">
-                <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                <style>
-                    * { box-sizing: border-box; }
-                    body { 
-                        margin: 0; 
-                        padding: 0; 
-                        font-family: Arial, sans-serif;
-                        width: ${canvasWidth}px;
-                        height: ${canvasHeight}px;
-                        overflow: hidden;
-                    }
-                    .credential-container {
-                        position: relative;
-                        width: ${canvasWidth}px;
-                        height: ${canvasHeight}px;
-                        ${backgroundStyle}
-                        overflow: hidden;
-                    }
-                </style>
-            </head>
-            <body>
-                <div class="credential-container">
-                    ${elementsHtml}
-                </div>
-            </body>
-            </html>
-        `;
-
-        return htmlContent;
-    } catch (error) {
-        console.error('HTML Generation Error:', error);
-        throw new Error(`Failed to generate HTML: ${error.message}`);
     }
-}
+
+    const html = await renderCredential(designData, participantData, { format: 'html', organizationId, page });
+    const size = normalizeDesign(getDesignPages(designData)[page - 1]);
+    if (format === 'jpeg') return generateJPEGFromHTML(html, size);
+    return generatePNGFromHTML(html, size);
+};
 
 /**
- * Generate PNG from HTML using Puppeteer
+ * Every page of a credential as an image, for per-page exports
+ * @param {'canvas'|'puppeteer'} method
+ * @returns {Promise<Array<Buffer>>}
  */
-async function generatePNGFromHTML(html) {
-    let browser;
-    try {
-        console.log('Launching Puppeteer browser...');
-
-        const possiblePaths = [
-            '/usr/bin/google-chrome-stable',
-            '/usr/bin/google-chrome',
-            '/usr/bin/chromium',
-            process.env.PUPPETEER_EXECUTABLE_PATH,
-            process.env.CHROME_BIN,
-            // Render.com specific paths
-            '/opt/render/.cache/puppeteer/chrome/linux-*/chrome-linux64/chrome',
-            '/opt/render/.cache/puppeteer/chrome/linux-*/chrome-linux/chrome'
-        ].filter(Boolean);
-
-        let executablePath;
-
-        // Check if we can find Chrome
-        for (const path of possiblePaths) {
-            if (path.includes('*')) {
-                // Handle wildcard paths
-                const glob = require('glob');
-                try {
-                    const matches = glob.sync(path);
-                    if (matches.length > 0 && fs.existsSync(matches[0])) {
-                        executablePath = matches[0];
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
-            } else if (fs.existsSync(path)) {
-                executablePath = path;
-                break;
-            }
-        }
-
-        // Configure Puppeteer options
-        const puppeteerOptions = {
-            headless: "new",
-            args: [
-                "--no-sandbox",
-                "--disable-setuid-sandbox",
-                "--disable-dev-shm-usage",
-                "--disable-accelerated-2d-canvas",
-                "--no-first-run",
-                "--no-zygote",
-                "--disable-gpu",
-                "--disable-web-security",
-                "--disable-features=VizDisplayCompositor"
-            ],
-            timeout: 30000,
-            dumpio: false
-        };
-
-        if (executablePath) {
-            puppeteerOptions.executablePath = executablePath;
-            console.log('Using Chrome at:', executablePath);
-        } else {
-            console.log('No Chrome executable found, using Puppeteer default');
-        }
-
-        browser = await puppeteer.launch(puppeteerOptions);
-        console.log('Browser launched successfully');
+const renderPageImages = async (designData, participantData, format, { method, organizationId }) => {
+    if (method === 'canvas') return renderCredentialPages(designData, participantData, { format, organizationId });
 
-        const page = await browser.newPage();
-        page.setDefaultTimeout(15000);
-
-        console.log('Setting page content...');
-        await page.setContent(html, { waitUntil: 'networkidle0', timeout: 10000 });
-
-        console.log('Setting viewport...');
-        await page.setViewport({ width: 800, height: 600 });
-
-        // Wait for fonts and styles
-        await page.waitForTimeout(1000);
-
-        console.log('Taking screenshot...');
-        const screenshot = await page.screenshot({
-            type: "png",
-            fullPage: true,
-            omitBackground: false,
-            timeout: 10000
-        });
-
-        console.log('Screenshot taken successfully');
-        return screenshot;
-
-    } catch (error) {
-        console.error('Puppeteer Error:', error);
-        throw new Error(`Failed to generate PNG: ${error.message}`);
-    } finally {
-        if (browser) {
-            try {
-                await browser.close();
-            } catch (closeError) {
-                console.error('Error closing browser:', closeError);
-            }
-        }
+    const buffers = [];
+    for (let page = 1; page <= getDesignPageCount(designData); page++) {
+        buffers.push(await renderCredentialInBrowser(designData, participantData, format, { organizationId, page }));
     }
-}
+    return buffers;
+};
+
+// PNG and JPEG exports of a multi-page design: an image per page, or a ZIP of them
+const PAGE_OUTPUTS = ['images', 'zip'];
 
 /**
- * Generate JPEG from HTML using Puppeteer
+ * @throws {Error} with status 400 for an unknown pageOutput
  */
-async function generateJPEGFromHTML(html) {
-    let browser;
-    try {
-        browser = await puppeteer.launch({
-            headless: "new",
-            args: ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage"],
-            executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
-        });
-
-        const page = await browser.newPage();
-        await page.setContent(html, { waitUntil: 'networkidle0' });
-        await page.setViewport({ width: 800, height: 600 });
-
-        const screenshot = await page.screenshot({
-            type: "jpeg",
-            quality: 90,
-            fullPage: true,
-            omitBackground: false,
-        });
-
-        return screenshot;
-    } finally {
-        if (browser) {
-            await browser.close();
-        }
+const getPageOutput = (pageOutput = 'images') => {
+    if (!PAGE_OUTPUTS.includes(pageOutput)) {
+        throw Object.assign(new Error(`pageOutput must be one of: ${PAGE_OUTPUTS.join(', ')}`), { status: 400 });
     }
-}
+    return pageOutput;
+};
 
 /**
- * Generate PDF from HTML using Puppeteer
+ * Upload the page images of a multi-page export
+ * @param {Object} designData
+ * @param {Array<Buffer>} buffers - one image per page, in order
+ * @param {string} extension - file extension of the images
+ * @param {'images'|'zip'} pageOutput
+ * @param {{ publicId?: string }} options - publicId stores the files under fixed names
+ *   in credentials/generated (for a stored credential's pages), replacing earlier uploads
+ * @returns {Promise<{ exportUrl: string, pages?: Array<{ page: number, name?: string, exportUrl: string }> }>}
+ *   exportUrl is the ZIP's, or the first page's
  */
-async function generatePDFFromHTML(html) {
-    let browser;
-    try {
-        browser = await puppeteer.launch({
-            headless: "new",
-            args: ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage"],
-            executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
-        });
-
-        const page = await browser.newPage();
-        await page.setContent(html, { waitUntil: 'networkidle0' });
-
-        const pdf = await page.pdf({
-            format: "A4",
-            landscape: true,
-            printBackground: true,
-            margin: {
-                top: "0.5in",
-                right: "0.5in",
-                bottom: "0.5in",
-                left: "0.5in",
-            },
-        });
+const uploadPageImages = async (designData, buffers, extension, pageOutput, { publicId } = {}) => {
+    const storage = (suffix) => (publicId ? { folder: 'credentials/generated', publicId: `${publicId}_${suffix}` } : {});
+
+    if (pageOutput === 'zip') {
+        const zip = new JSZip();
+        buffers.forEach((buffer, index) => zip.file(`page-${index + 1}.${extension}`, buffer));
+        const uploadResult = await uploadToCloudinary(await zip.generateAsync({ type: 'nodebuffer' }), 'raw', 'zip', storage('pages'));
+        return { exportUrl: uploadResult.secure_url };
+    }
 
-        return pdf;
-    } finally {
-        if (browser) {
-            await browser.close();
-        }
+    const names = getDesignPages(designData).map(page => page.page?.name);
+    const pages = [];
+    for (const [index, buffer] of buffers.entries()) {
+        const uploadResult = await uploadToCloudinary(buffer, 'image', extension, storage(`page${index + 1}`));
+        pages.push({ page: index + 1, name: names[index] || undefined, exportUrl: uploadResult.secure_url });
     }
-}
+    return { exportUrl: pages[0].exportUrl, pages };
+};
 
 /**
- * Generate PDF using PDFKit (Alternative method for simple layouts)
+ * Render every page of a design as PNG or JPEG files the way the
+ * credential's main image is made: the first PNG page is baked for badges
+ * and every page carries the credential reference
+ * @param {Object|null} credential - the stored credential the files belong to, if any
+ * @param {{ method?: 'canvas'|'puppeteer', organizationId?: string, fingerprint?: boolean }} options -
+ *   fingerprint records the pages for verify-by-file; only for files rendered from the stored credential data
+ * @returns {Promise<Array<Buffer>>}
  */
-async function generatePDFWithPDFKit(designData, participantData, credentialId) {
-    return new Promise((resolve, reject) => {
-        try {
-            const doc = new PDFDocument({
-                size: 'A4',
-                layout: 'landscape',
-                margins: { top: 50, bottom: 50, left: 50, right: 50 }
-            });
-
-            const buffers = [];
-            doc.on('data', buffers.push.bind(buffers));
-            doc.on('end', () => {
-                const pdfBuffer = Buffer.concat(buffers);
-                resolve(pdfBuffer);
-            });
-
-            // Add background color or gradient
-            if (designData?.background?.type === 'gradient') {
-                doc.linearGradient(0, 0, doc.page.width, doc.page.height)
-                    .stop(0, designData.background.primaryColor || '#3498db')
-                    .stop(1, designData.background.secondaryColor || '#e74c3c');
-                doc.rect(0, 0, doc.page.width, doc.page.height).fill();
-            } else if (designData?.background?.type === 'solid') {
-                doc.rect(0, 0, doc.page.width, doc.page.height)
-                    .fill(designData.background.primaryColor || '#ffffff');
-            }
-
-            // Add title
-            doc.fillColor('#000000')
-                .fontSize(36)
-                .font('Helvetica-Bold')
-                .text(designData?.content?.titleText || 'Certificate of Achievement', 50, 150, {
-                    width: doc.page.width - 100,
-                    align: 'center'
-                });
-
-            // Add participant name
-            doc.fontSize(24)
-                .font('Helvetica')
-                .text(`This is to certify that`, 50, 220, {
-                    width: doc.page.width - 100,
-                    align: 'center'
-                });
-
-            doc.fontSize(32)
-                .font('Helvetica-Bold')
-                .fillColor('#2c3e50')
-                .text(participantData.name, 50, 260, {
-                    width: doc.page.width - 100,
-                    align: 'center'
-                });
-
-            // Add event description
-            doc.fontSize(18)
-                .font('Helvetica')
-                .fillColor('#000000')
-                .text(designData?.content?.eventDescription || `has successfully completed ${participantData.eventTitle || 'the event'}`, 50, 320, {
-                    width: doc.page.width - 100,
-                    align: 'center'
-                });
-
-            // Add date
-            const date = new Date().toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric'
-            });
-            doc.fontSize(14)
-                .text(`Issued on ${date}`, 50, 400, {
-                    width: doc.page.width - 100,
-                    align: 'center'
-                });
-
-            // Add QR code if available
-            if (designData?.verification?.includeQRCode !== false && credentialId) {
-                QRCode.toBuffer(`Credential ID: ${credentialId}\nParticipant: ${participantData.name}\nEvent: ${participantData.eventTitle || 'N/A'}`, { width: 100 })
-                    .then(qrCodeBuffer => {
-                        doc.image(qrCodeBuffer, doc.page.width - 150, doc.page.height - 150, { width: 100, height: 100 });
-
-                        // Add border
-                        doc.rect(25, 25, doc.page.width - 50, doc.page.height - 50)
-                            .stroke('#cccccc');
-
-                        doc.end();
-                    })
-                    .catch(qrError => {
-                        console.error('QR code generation failed:', qrError);
-
-                        // Add border
-                        doc.rect(25, 25, doc.page.width - 50, doc.page.height - 50)
-                            .stroke('#cccccc');
-
-                        doc.end();
-                    });
-            } else {
-                // Add border
-                doc.rect(25, 25, doc.page.width - 50, doc.page.height - 50)
-                    .stroke('#cccccc');
-
-                doc.end();
-            }
-
-        } catch (error) {
-            reject(error);
-        }
-    });
-}
+const renderCredentialPageFiles = async (credential, designData, participantData, format, { method = 'canvas', organizationId, fingerprint = false } = {}) => {
+    const buffers = await renderPageImages(designData, participantData, format, { method, organizationId });
+    if (format === 'png') buffers[0] = await bakeIfBadge(credential, buffers[0]);
+    for (let index = 0; index < buffers.length; index++) {
+        buffers[index] = await stampCredentialFile(credential, buffers[index], format, { fingerprint });
+    }
+    return buffers;
+};
 
 /**
- * Generate PNG using Canvas (Alternative method for simple layouts)
+ * The page images of a stored multi-page credential. They are rendered from
+ * the stored credential data, fingerprinted and uploaded with a ZIP of them
+ * the first time, and kept in exportLinks.pages and exportLinks.pageZips;
+ * every download and export after that is served from there.
+ * @param {Object} credential - Credential document
+ * @param {'png'|'jpeg'} format
+ * @param {'images'|'zip'} pageOutput
+ * @returns {Promise<{ exportUrl: string, pages?: Array<{ page: number, name?: string, exportUrl: string }> }>}
+ *   as uploadPageImages
  */
-const generatePNGWithCanvas = async (designData, participantData, credentialId) => {
-    try {
-        console.log('Generating credential image with Canvas...');
-
-        // Get canvas dimensions from design data
-        const width = designData?.canvasSettings?.width || designData?.canvas?.width || 1200;
-        const height = designData?.canvasSettings?.height || designData?.canvas?.height || 800;
-
-        console.log('Canvas dimensions:', { width, height });
-
-        const canvas = createCanvas(width, height);
-        const ctx = canvas.getContext('2d');
-
-        // Set high quality rendering
-        ctx.antialias = 'subpixel';
-        ctx.quality = 'best';
-        ctx.textRenderingOptimization = 'optimizeQuality';
-
-        // Clear canvas and set background
-        ctx.fillStyle = '#ffffff';
-        ctx.fillRect(0, 0, width, height);
-
-        // Apply background from design data
-        await applyBackground(ctx, designData.canvasSettings || designData.background, width, height);
-
-        // Render elements from design data
-        if (designData.elements && Array.isArray(designData.elements)) {
-            console.log('Rendering', designData.elements.length, 'elements');
-
-            for (const element of designData.elements) {
-                await renderElementOnCanvas(ctx, element, participantData, width, height);
-            }
-        } else {
-            // If no elements, create default certificate content
-            console.log('No elements found, creating default content');
-            await renderDefaultContent(ctx, participantData, width, height);
-        }
-
-        // Add QR code if verification is enabled
-        if (participantData.verificationUrl || participantData.blockchainHash) {
-            await addQRCodeToCanvas(ctx, participantData, width, height);
+const getCredentialPageImages = async (credential, format, pageOutput) => {
+    let pages = credential.exportLinks?.pages?.[format];
+    let zipUrl = credential.exportLinks?.pageZips?.[format];
+    const stored = pages?.length === getDesignPageCount(credential.designData) && zipUrl
+        && (format !== 'png' || hasReusableImage(credential));
+
+    if (!stored) {
+        const extension = format === 'jpeg' ? 'jpg' : 'png';
+        const publicId = `credential_${credential._id}_${format}`;
+        const buffers = await renderCredentialPageFiles(credential, credential.designData, getCredentialMergeData(credential), format, {
+            organizationId: getCredentialOrganizationId(credential),
+            fingerprint: true
+        });
+        ({ pages } = await uploadPageImages(credential.designData, buffers, extension, 'images', { publicId }));
+        ({ exportUrl: zipUrl } = await uploadPageImages(credential.designData, buffers, extension, 'zip', { publicId }));
+
+        // The first page stands for the credential wherever one image is shown
+        const updateData = {
+            [`exportLinks.pages.${format}`]: pages,
+            [`exportLinks.pageZips.${format}`]: zipUrl,
+            [`exportLinks.${format}`]: pages[0].exportUrl
+        };
+        if (format === 'png' && (!credential.downloadLink || !hasReusableImage(credential))) {
+            updateData.downloadLink = pages[0].exportUrl;
         }
-
-        console.log('Canvas rendering complete, converting to buffer...');
-
-        // Convert to PNG buffer
-        const buffer = canvas.toBuffer('image/png');
-        console.log('PNG buffer created, size:', buffer.length);
-
-        return buffer;
-
-    } catch (error) {
-        console.error('Canvas generation error:', error);
-        throw new Error(`Failed to generate PNG with Canvas: ${error.message}`);
+        await Credential.findByIdAndUpdate(credential._id, { $set: updateData });
     }
-};
-// Enhanced renderDefaultContent function
-const renderDefaultContent = async (ctx, participantData, width, height) => {
-    try {
-        // Set default styling
-        ctx.fillStyle = '#000000';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-
-        // Add border first
-        ctx.strokeStyle = '#cccccc';
-        ctx.lineWidth = 4;
-        ctx.strokeRect(20, 20, width - 40, height - 40);
-
-        // Title
-        ctx.font = 'bold 48px Arial';
-        ctx.fillStyle = '#2c3e50';
-        ctx.fillText('Certificate of Achievement', width / 2, height * 0.25);
-
-        // "This is to certify that" text
-        ctx.font = '24px Arial';
-        ctx.fillStyle = '#000000';
-        ctx.fillText('This is to certify that', width / 2, height * 0.4);
-
-        // Participant name (larger, prominent)
-        ctx.font = 'bold 36px Arial';
-        ctx.fillStyle = '#e74c3c';
-        const participantName = participantData.name || 'Participant Name';
-        ctx.fillText(participantName, width / 2, height * 0.5);
-
-        // Event description
-        ctx.font = '20px Arial';
-        ctx.fillStyle = '#000000';
-        const eventText = `has successfully completed ${participantData.eventTitle || 'the event'}`;
-        ctx.fillText(eventText, width / 2, height * 0.65);
-
-        // Date
-        ctx.font = '16px Arial';
-        ctx.fillStyle = '#666666';
-        const dateText = participantData.eventDate ?
-            new Date(participantData.eventDate).toLocaleDateString() :
-            new Date().toLocaleDateString();
-        ctx.fillText(`Date: ${dateText}`, width / 2, height * 0.8);
 
-    } catch (error) {
-        console.error('Error rendering default content:', error);
-        // Draw minimal fallback
-        ctx.fillStyle = '#000000';
-        ctx.font = '24px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText('Certificate', width / 2, height / 2);
-    }
+    return pageOutput === 'zip' ? { exportUrl: zipUrl } : { exportUrl: pages[0].exportUrl, pages };
 };
 
-const addQRCodeToCanvas = async (ctx, participantData, canvasWidth, canvasHeight) => {
-    try {
-        const verificationText = participantData.verificationUrl ||
-            `Verification: ${participantData.blockchainHash}` ||
-            'Certificate Verification';
-
-        // Generate QR code as data URL
-        const qrCodeDataUrl = await QRCode.toDataURL(verificationText, {
-            width: 120,
-            margin: 1,
-            color: {
-                dark: '#000000',
-                light: '#ffffff'
-            }
-        });
-
-        // Load QR code image
-        const qrImage = await loadImage(qrCodeDataUrl);
-
-        // Position QR code in bottom right corner
-        const qrSize = 120;
-        const margin = 30;
-        const x = canvasWidth - qrSize - margin;
-        const y = canvasHeight - qrSize - margin;
-
-        // Draw white background for QR code
-        ctx.fillStyle = '#ffffff';
-        ctx.fillRect(x - 5, y - 5, qrSize + 10, qrSize + 10);
-
-        // Draw QR code
-        ctx.drawImage(qrImage, x, y, qrSize, qrSize);
-
-        // Add border around QR code
-        ctx.strokeStyle = '#cccccc';
-        ctx.lineWidth = 1;
-        ctx.strokeRect(x - 5, y - 5, qrSize + 10, qrSize + 10);
-
-    } catch (error) {
-        console.warn('QR code generation failed:', error);
-        // Don't throw, QR code is optional
-    }
+// Load a design's HTML into a pooled page sized to the design
+const loadDesignPage = async (page, html, { width, height }) => {
+    await page.setViewport({ width, height });
+    await page.setContent(html, { waitUntil: 'networkidle0', timeout: 10000 });
+    await page.evaluate(() => document.fonts.ready);
 };
 
+/**
+ * Generate PNG from HTML using the shared browser pool
+ */
+async function generatePNGFromHTML(html, size) {
+    return runBrowserJob(async (page) => {
+        await loadDesignPage(page, html, size);
+        return Buffer.from(await page.screenshot({ type: "png", omitBackground: false }));
+    });
+}
 
+/**
+ * Generate JPEG from HTML using the shared browser pool
+ */
+async function generateJPEGFromHTML(html, size) {
+    return runBrowserJob(async (page) => {
+        await loadDesignPage(page, html, size);
+        return Buffer.from(await page.screenshot({ type: "jpeg", quality: 90, omitBackground: false }));
+    });
+}
 
-const renderElement = async (ctx, element, canvasWidth, canvasHeight) => {
-    const x = element.x || 0;
-    const y = element.y || 0;
-    const width = element.width || 100;
-    const height = element.height || 50;
-
-    switch (element.type) {
-        case 'text':
-            ctx.fillStyle = element.color || '#000000';
-            ctx.font = `${element.fontSize || 16}px ${element.fontFamily || 'Arial'}`;
-            ctx.textAlign = element.textAlign || 'left';
-            ctx.fillText(element.content || '', x, y);
-            break;
-
-        case 'image':
-            if (element.src) {
-                try {
-                    const { loadImage } = require('canvas');
-                    const image = await loadImage(element.src);
-                    ctx.drawImage(image, x, y, width, height);
-                } catch (imageError) {
-                    console.warn('Failed to load element image:', imageError.message);
-                }
-            }
-            break;
-
-        case 'shape':
-            ctx.fillStyle = element.color || '#000000';
-            if (element.shape === 'rectangle') {
-                ctx.fillRect(x, y, width, height);
-            } else if (element.shape === 'circle') {
-                ctx.beginPath();
-                ctx.arc(x + width / 2, y + height / 2, Math.min(width, height) / 2, 0, 2 * Math.PI);
-                ctx.fill();
-            }
-            break;
-
-        case 'qr-code':
-            // QR code rendering would require a QR code library
-            // For now, just draw a placeholder
-            ctx.fillStyle = '#000000';
-            ctx.fillRect(x, y, width, height);
-            ctx.fillStyle = '#ffffff';
-            ctx.font = '12px Arial';
-            ctx.textAlign = 'center';
-            ctx.fillText('QR', x + width / 2, y + height / 2);
-            break;
-
-        default:
-            console.warn('Unknown element type:', element.type);
-    }
-};
 /**
- * Generate JPEG using Canvas (Alternative method for simple layouts)
+ * Generate PDF from HTML using the shared browser pool
  */
-async function generateJPEGWithCanvas(designData, participantData, credentialId) {
-    const canvas = createCanvas(1200, 800);
-    const ctx = canvas.getContext('2d');
-
-    // Add white background first (JPEG doesn't support transparency)
-    ctx.fillStyle = '#ffffff';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-    // Add background
-    if (designData?.background?.type === 'gradient') {
-        const gradient = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
-        gradient.addColorStop(0, designData.background.primaryColor || '#3498db');
-        gradient.addColorStop(1, designData.background.secondaryColor || '#e74c3c');
-        ctx.fillStyle = gradient;
-    } else {
-        ctx.fillStyle = designData?.background?.primaryColor || '#ffffff';
-    }
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-    // Add border
-    ctx.strokeStyle = '#cccccc';
-    ctx.lineWidth = 4;
-    ctx.strokeRect(20, 20, canvas.width - 40, canvas.height - 40);
-
-    // Add title
-    ctx.fillStyle = '#000000';
-    ctx.font = 'bold 48px Arial';
-    ctx.textAlign = 'center';
-    ctx.fillText(designData?.content?.titleText || 'Certificate of Achievement', canvas.width / 2, 150);
-
-    // Add participant name
-    ctx.font = '24px Arial';
-    ctx.fillText('This is to certify that', canvas.width / 2, 250);
-
-    ctx.font = 'bold 36px Arial';
-    ctx.fillStyle = '#2c3e50';
-    ctx.fillText(participantData.name, canvas.width / 2, 320);
-
-    // Add event description
-    ctx.font = '20px Arial';
-    ctx.fillStyle = '#000000';
-    ctx.fillText(designData?.content?.eventDescription || `has successfully completed ${participantData.eventTitle || 'the event'}`, canvas.width / 2, 400);
-
-    // Add date
-    const date = new Date().toLocaleDateString();
-    ctx.font = '16px Arial';
-    ctx.fillText(`Issued on ${date}`, canvas.width / 2, 450);
-
-    return canvas.toBuffer('image/jpeg', { quality: 0.9 });
+async function generatePDFFromHTML(html, size, { pageCount = 1 } = {}) {
+    return runBrowserJob(async (page) => {
+        await loadDesignPage(page, html, size);
+
+        // Multi-page designs size each sheet with the document's @page rules
+        if (pageCount > 1) {
+            return Buffer.from(await page.pdf({
+                preferCSSPageSize: true,
+                printBackground: true,
+                margin: { top: 0, right: 0, bottom: 0, left: 0 },
+            }));
+        }
+
+        // One page the size of the design, like the native PDF backend
+        return Buffer.from(await page.pdf({
+            width: `${size.width}px`,
+            height: `${size.height}px`,
+            printBackground: true,
+            pageRanges: "1",
+            margin: { top: 0, right: 0, bottom: 0, left: 0 },
+        }));
+    });
 }
 
 // ==================== BATCH OPERATIONS ====================
@@ -2406,7 +2212,7 @@ async function generateJPEGWithCanvas(designData, participantData, credentialId)
  */
 export const batchExportCredentials = async (req, res) => {
     try {
-        const { credentialIds, format = 'png', zipFileName } = req.body;
+        const { credentialIds, format = 'png', zipFileName, pageOutput = 'images' } = req.body;
 
         if (!Array.isArray(credentialIds) || credentialIds.length === 0) {
             return res.status(400).json({
@@ -2414,6 +2220,12 @@ export const batchExportCredentials = async (req, res) => {
                 message: "Credential IDs array is required"
             });
         }
+        if (!PAGE_OUTPUTS.includes(pageOutput)) {
+            return res.status(400).json({
+                success: false,
+                message: `pageOutput must be one of: ${PAGE_OUTPUTS.join(', ')}`
+            });
+        }
 
         const credentials = await Credential.find({ _id: { $in: credentialIds } })
             .populate('participantId', 'name fullName')
@@ -2429,27 +2241,35 @@ export const batchExportCredentials = async (req, res) => {
         const exportResults = [];
         const errors = [];
 
-        for (const credential of credentials) {
+        const exportOne = async (credential) => {
             try {
                 const participantData = {
+                    ...getCredentialMergeData(credential),
                     name: credential.participantId?.fullName || credential.participantId?.name || 'Unknown',
-                    eventTitle: credential.eventId?.title || credential.eventId?.name || 'Unknown Event'
+                    eventTitle: credential.eventId?.title || credential.eventId?.name || 'Unknown Event',
+                    blockchainHash: credential.blockchainHash
                 };
 
                 let exportUrl;
-                if (format === 'pdf') {
-                    const html = generateCredentialHTML(credential.designData, participantData);
-                    const buffer = await generatePDFFromHTML(html);
+                let pages;
+                if (format !== 'pdf' && getDesignPageCount(credential.designData) > 1) {
+                    ({ exportUrl, pages } = await getCredentialPageImages(credential, format === 'jpeg' ? 'jpeg' : 'png', pageOutput));
+                } else if (format === 'pdf') {
+                    const buffer = await renderCredentialInBrowser(credential.designData, participantData, 'pdf', {
+                        organizationId: getCredentialOrganizationId(credential)
+                    });
                     const uploadResult = await uploadToCloudinary(buffer, 'raw', 'pdf');
                     exportUrl = uploadResult.secure_url;
                 } else if (format === 'jpeg') {
-                    const html = generateCredentialHTML(credential.designData, participantData);
-                    const buffer = await generateJPEGFromHTML(html);
+                    const buffer = await renderCredentialInBrowser(credential.designData, participantData, 'jpeg', {
+                        organizationId: getCredentialOrganizationId(credential)
+                    });
                     const uploadResult = await uploadToCloudinary(buffer, 'image', 'jpg');
                     exportUrl = uploadResult.secure_url;
                 } else {
-                    const html = generateCredentialHTML(credential.designData, participantData);
-                    const buffer = await generatePNGFromHTML(html);
+                    const buffer = await renderCredentialInBrowser(credential.designData, participantData, 'png', {
+                        organizationId: getCredentialOrganizationId(credential)
+                    });
                     const uploadResult = await uploadToCloudinary(buffer, 'image', 'png');
                     exportUrl = uploadResult.secure_url;
                 }
@@ -2457,7 +2277,8 @@ export const batchExportCredentials = async (req, res) => {
                 exportResults.push({
                     credentialId: credential._id,
                     participantName: participantData.name,
-                    exportUrl
+                    exportUrl,
+                    pages
                 });
 
             } catch (error) {
@@ -2467,6 +2288,12 @@ export const batchExportCredentials = async (req, res) => {
                     error: error.message
                 });
             }
+        };
+
+        // As many at a time as the browser pool renders, so none wait long in its queue
+        const concurrency = getBrowserPoolSize();
+        for (let i = 0; i < credentials.length; i += concurrency) {
+            await Promise.all(credentials.slice(i, i + concurrency).map(exportOne));
         }
 
         res.json({
@@ -2489,13 +2316,14 @@ export const batchExportCredentials = async (req, res) => {
 /**
  * Helper function to upload to Cloudinary
  */
-async function uploadToCloudinary(buffer, resourceType, format) {
+async function uploadToCloudinary(buffer, resourceType, format, { folder = "credentials/exports", publicId } = {}) {
     return new Promise((resolve, reject) => {
         cloudinary.uploader.upload_stream(
             {
                 resource_type: resourceType,
-                folder: "credentials/exports",
+                folder,
                 format: format,
+                ...(publicId ? { public_id: publicId, overwrite: true } : {}),
                 timeout: 60000
             },
             (error, result) => {
@@ -2660,17 +2488,46 @@ export const downloadCredentialForParticipant = async (req, res) => {
             });
         }
 
+        // PNG and JPEG downloads of a multi-page credential come as an image per page, or a ZIP
+        const pagedImages = ['png', 'jpeg'].includes(format) && getDesignPageCount(credential.designData) > 1;
+        const pageOutput = pagedImages ? getPageOutput(req.query.pageOutput) : undefined;
+
         // Check if we have a pre-generated image
         let downloadUrl = null;
 
         if (format === 'png') {
-            downloadUrl = credential.exportLinks?.png || credential.downloadLink;
+            downloadUrl = hasReusableImage(credential) && (credential.exportLinks?.png || credential.downloadLink);
+        } else if (format === 'svg') {
+            downloadUrl = hasReusableImage(credential) && credential.exportLinks?.svg;
         } else if (format === 'pdf') {
             downloadUrl = credential.exportLinks?.pdf;
         } else if (format === 'jpeg') {
             downloadUrl = credential.exportLinks?.jpeg;
         }
 
+        if (pagedImages) {
+            const { exportUrl, pages } = await getCredentialPageImages(credential, format, pageOutput);
+            await Credential.findByIdAndUpdate(credentialId, {
+                $set: { downloadCount: (credential.downloadCount || 0) + 1, lastDownloaded: new Date() }
+            });
+
+            return res.json({
+                success: true,
+                downloadUrl: exportUrl,
+                pages,
+                pageOutput,
+                message: `${format.toUpperCase()} download ready`,
+                credential: {
+                    title: credential.title,
+                    type: credential.type,
+                    eventTitle: credential.eventId?.title || credential.eventId?.name,
+                    participantName: credential.participantData?.name || credential.participantId?.name || credential.participantId?.fullName,
+                    issuedDate: credential.issuedAt,
+                    blockchainHash: credential.blockchainHash
+                }
+            });
+        }
+
         if (downloadUrl) {
             // Update download tracking
             credential.downloadCount = (credential.downloadCount || 0) + 1;
@@ -2696,32 +2553,42 @@ export const downloadCredentialForParticipant = async (req, res) => {
         console.log('No pre-generated file found, generating on demand...');
 
         const participantData = {
+            ...getCredentialMergeData(credential),
             name: credential.participantData?.name || credential.participantId?.name || credential.participantId?.fullName || 'Participant',
             eventTitle: credential.participantData?.eventTitle || credential.eventId?.title || credential.eventId?.name || 'Event',
             eventDate: credential.participantData?.eventDate || credential.eventId?.startDate || credential.createdAt,
             skills: credential.participantData?.skills || '',
             issueDate: credential.issuedAt || credential.createdAt,
             participantEmail: credential.participantId?.email || '',
-            verificationUrl: credential.verificationUrl || `${process.env.FRONTEND_URL}/verify/${credential.blockchainHash}`,
+            verificationUrl: credential.verificationUrl || getVerificationPageUrl(credential.blockchainHash),
             blockchainHash: credential.blockchainHash
         };
+        const organizationId = getCredentialOrganizationId(credential);
 
         let buffer;
         let mimeType;
         let fileExtension;
 
         if (format === 'pdf') {
-            const html = generateCredentialHTML(credential.designData || {}, participantData);
-            buffer = await generatePDFFromHTML(html);
+            buffer = await renderCredential(credential.designData || {}, participantData, { format: 'pdf', organizationId });
+            buffer = await stampCredentialFile(credential, buffer, 'pdf');
             mimeType = 'application/pdf';
             fileExtension = 'pdf';
         } else if (format === 'jpeg') {
-            buffer = await generateJPEGWithCanvas(credential.designData || {}, participantData, credentialId);
+            buffer = await renderCredential(credential.designData || {}, participantData, { format: 'jpeg', organizationId });
+            buffer = await stampCredentialFile(credential, buffer, 'jpeg');
             mimeType = 'image/jpeg';
             fileExtension = 'jpeg';
+        } else if (format === 'svg') {
+            const svg = await renderCredential(credential.designData || {}, participantData, { format: 'svg', organizationId });
+            buffer = Buffer.from(await bakeIfBadge(credential, svg, 'svg'));
+            mimeType = 'image/svg+xml';
+            fileExtension = 'svg';
         } else {
             // Default to PNG
-            buffer = await generatePNGWithCanvas(credential.designData || {}, participantData, credentialId);
+            buffer = await renderCredential(credential.designData || {}, participantData, { format: 'png', organizationId });
+            buffer = await bakeIfBadge(credential, buffer);
+            buffer = await stampCredentialFile(credential, buffer, 'png');
             mimeType = 'image/png';
             fileExtension = 'png';
         }
@@ -2745,7 +2612,7 @@ export const downloadCredentialForParticipant = async (req, res) => {
         // Save the generated URL for future use
         const updateData = {};
         updateData[`exportLinks.${format}`] = uploadResult.secure_url;
-        if (!credential.downloadLink && format === 'png') {
+        if (format === 'png' && (!credential.downloadLink || !hasReusableImage(credential))) {
             updateData.downloadLink = uploadResult.secure_url;
         }
         updateData.downloadCount = (credential.downloadCount || 0) + 1;
@@ -2769,6 +2636,9 @@ export const downloadCredentialForParticipant = async (req, res) => {
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
         console.error("Participant Download Error:", error);
         res.status(500).json({
             success: false,
@@ -2791,7 +2661,6 @@ export default {
     getCredentialStats,
     updateCredential,
     editCredential,
-    shareCredential,
     verifyCredential,
     customizeCredential,
 
@@ -2815,12 +2684,6 @@ export default {
 
     // Import and reconcile
     importCredential,
-    reconcileCertificates,
-    generateCredentialImage,
-    applyBackground,
-    renderElementOnCanvas,
-    renderDefaultContent,
-    addQRCodeToCanvas,
-    wrapText
+    reconcileCertificates
 };
 '/usr/bin/chromium'
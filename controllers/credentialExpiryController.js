@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+import Credential from "../models/Credentials.js";
+import { renderCredentialArtifacts } from "./credentialController.js";
+import { issueSuccessorCredential } from "../utils/credentialExpiry.js";
+
+// Credentials issued by the caller's organization (signed issuer, or creator for older records)
+const organizationScope = (req) => {
+    const organizationId = String(req.user.organizationId || req.user.id);
+    return {
+        $or: [
+            { "signedPayload.issuer": organizationId },
+            { createdBy: { $in: [organizationId, String(req.user.id)] } }
+        ]
+    };
+};
+
+/**
+ * Renew (recertify) a credential by issuing a linked successor
+ */
+export const renewCredential = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ success: false, message: "Invalid credential id" });
+        }
+
+        const credential = await Credential.findOne({ _id: id, ...organizationScope(req) });
+        if (!credential) {
+            return res.status(404).json({ success: false, message: "Credential not found" });
+        }
+
+        const successor = await issueSuccessorCredential(credential, {
+            expiresAt: req.body?.expiresAt,
+            renewedBy: req.user.id,
+            render: renderCredentialArtifacts
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Credential renewed",
+            previousCredentialId: credential._id,
+            credential: successor
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error("Renew Credential Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to renew credential",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Issued credentials expiring within the next ?days (default 30) that have not been renewed
+ */
+export const getExpiringCredentials = async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+        const now = new Date();
+
+        const credentials = await Credential.find({
+            ...organizationScope(req),
+            status: "issued",
+            successorId: null,
+            expiresAt: { $gt: now, $lte: new Date(now.getTime() + days * 24 * 60 * 60 * 1000) }
+        })
+            .sort({ expiresAt: 1 })
+            .select("title type participantId eventId issuedAt expiresAt expiryRemindersSent blockchainHash")
+            .populate("participantId", "fullName email")
+            .populate("eventId", "title");
+
+        res.json({ success: true, days, count: credentials.length, credentials });
+    } catch (error) {
+        console.error("Get Expiring Credentials Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch expiring credentials",
+            error: error.message
+        });
+    }
+};
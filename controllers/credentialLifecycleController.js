@@ -0,0 +1,144 @@
+import mongoose from "mongoose";
+import Credential from "../models/Credentials.js";
+import {
+    buildBulkRevocationFilter,
+    changeCredentialStatus,
+    getReasonLabel,
+    getStatusReason,
+    parseStatusChange,
+    REASON_CODES,
+    revokeCredentialsInBulk
+} from "../utils/credentialLifecycle.js";
+
+// Credentials issued by the caller's organization (signed issuer, or creator for older records)
+const organizationScope = (req) => {
+    const organizationId = String(req.user.organizationId || req.user.id);
+    return {
+        $or: [
+            { "signedPayload.issuer": organizationId },
+            { createdBy: { $in: [organizationId, String(req.user.id)] } }
+        ]
+    };
+};
+
+const SUCCESS_MESSAGES = {
+    revoke: "Credential revoked",
+    suspend: "Credential suspended",
+    reinstate: "Credential reinstated"
+};
+
+const FAILURE_MESSAGES = {
+    revoke: "Failed to revoke credential",
+    suspend: "Failed to suspend credential",
+    reinstate: "Failed to reinstate credential"
+};
+
+// Revoke, suspend and reinstate share validation, scoping and responses
+const statusChangeHandler = (action) => async (req, res) => {
+    try {
+        const change = parseStatusChange(action, req.body);
+
+        const { id } = req.params;
+        const credential = mongoose.Types.ObjectId.isValid(id)
+            ? await Credential.findOne({ _id: id, ...organizationScope(req) })
+            : null;
+        if (!credential) {
+            return res.status(404).json({ success: false, message: "Credential not found" });
+        }
+
+        const { credential: updated, notified } = await changeCredentialStatus(action, credential, {
+            ...change,
+            actor: req.user.id
+        });
+
+        res.json({
+            success: true,
+            message: SUCCESS_MESSAGES[action],
+            credential: {
+                id: updated._id,
+                title: updated.title,
+                status: updated.status,
+                statusReason: getStatusReason(updated, updated.status),
+                reinstatedAt: action === "reinstate" ? updated.reinstatedAt : undefined
+            },
+            recipientNotified: notified
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error(`${SUCCESS_MESSAGES[action]} Error:`, error);
+        res.status(500).json({
+            success: false,
+            message: FAILURE_MESSAGES[action],
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Revoke a credential permanently (reasonCode and note required)
+ */
+export const revokeIssuedCredential = statusChangeHandler("revoke");
+
+/**
+ * Suspend a credential until it is reinstated (reasonCode and note required)
+ */
+export const suspendIssuedCredential = statusChangeHandler("suspend");
+
+/**
+ * Reinstate a suspended credential (reasonCode and note required)
+ */
+export const reinstateIssuedCredential = statusChangeHandler("reinstate");
+
+/**
+ * Revoke all of the organization's credentials matching an event or filter.
+ * dryRun: true reports how many would be revoked.
+ */
+export const bulkRevokeCredentials = async (req, res) => {
+    try {
+        const change = parseStatusChange("revoke", req.body);
+        const filter = buildBulkRevocationFilter(req.body);
+
+        const summary = await revokeCredentialsInBulk(
+            { $and: [filter, organizationScope(req)] },
+            { ...change, actor: req.user.id },
+            { dryRun: req.body.dryRun === true }
+        );
+
+        res.json({
+            success: true,
+            message: req.body.dryRun === true
+                ? `${summary.matched} credential(s) would be revoked`
+                : `${summary.revoked} of ${summary.matched} credential(s) revoked`,
+            dryRun: req.body.dryRun === true,
+            ...summary
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error("Bulk Revoke Credentials Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to revoke credentials",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Reason codes accepted by revoke, suspend and reinstate, with labels
+ */
+export const getStatusReasonCodes = async (req, res) => {
+    const describe = (codes) => codes.map(code => ({ code, label: getReasonLabel(code) }));
+
+    res.json({
+        success: true,
+        reasons: {
+            revoke: describe(REASON_CODES.revoke),
+            suspend: describe(REASON_CODES.suspend),
+            reinstate: describe(REASON_CODES.reinstate)
+        }
+    });
+};
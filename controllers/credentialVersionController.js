@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+import Credential from "../models/Credentials.js";
+import { renderCredentialArtifacts } from "./credentialController.js";
+import { getCredentialVersions, parseAmendment, reissueCredential } from "../utils/credentialVersions.js";
+
+// Credentials issued by the caller's organization (signed issuer, or creator for older records)
+const organizationScope = (req) => {
+    const organizationId = String(req.user.organizationId || req.user.id);
+    return {
+        $or: [
+            { "signedPayload.issuer": organizationId },
+            { createdBy: { $in: [organizationId, String(req.user.id)] } }
+        ]
+    };
+};
+
+const findOrganizationCredential = async (req) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Credential.findOne({ _id: id, ...organizationScope(req) });
+};
+
+/**
+ * Amend a credential by issuing a new version that supersedes it
+ */
+export const reissueIssuedCredential = async (req, res) => {
+    try {
+        const amendment = parseAmendment(req.body);
+
+        const credential = await findOrganizationCredential(req);
+        if (!credential) {
+            return res.status(404).json({ success: false, message: "Credential not found" });
+        }
+
+        const version = await reissueCredential(credential, amendment, {
+            amendedBy: req.user.id,
+            render: renderCredentialArtifacts
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Credential reissued as version ${version.version}`,
+            supersededCredentialId: credential._id,
+            credential: version
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error("Reissue Credential Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to reissue credential",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * All versions of a credential, oldest first, from any version's id
+ */
+export const getCredentialVersionHistory = async (req, res) => {
+    try {
+        const credential = await findOrganizationCredential(req);
+        if (!credential) {
+            return res.status(404).json({ success: false, message: "Credential not found" });
+        }
+
+        res.json({ success: true, ...await getCredentialVersions(credential) });
+    } catch (error) {
+        console.error("Get Credential Versions Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch credential versions",
+            error: error.message
+        });
+    }
+};
@@ -4,11 +4,20 @@ import Participant from "../models/Participant.js";
 import Credential from "../models/Credentials.js"; // Make sure this matches your actual file name
 import crypto from "crypto"; // ADD THIS LINE
 import bcrypt from "bcrypt"; // ADD THIS LINE
+import { normalizeLocale } from "../utils/designTranslations.js";
+import { normalizeTimeZone } from "../utils/regionalSettings.js";
 // import { sendEmail } from "../utils/sendEmail.js"; // ADD THIS LINE - adjust path as needed
 
 export const createEvent = async (req, res) => {
     try {
-        const { title, description, startDate, endDate, maxParticipants, location, certificateTemplate } = req.body;
+        const { title, description, startDate, endDate, maxParticipants, location, locale, timezone, certificateTemplate } = req.body;
+
+        if (locale && !normalizeLocale(locale)) {
+            return res.status(400).json({ message: "locale must be a language tag, like \"ar\" or \"ha-Arab\"" });
+        }
+        if (timezone && !normalizeTimeZone(timezone)) {
+            return res.status(400).json({ message: "timezone must be an IANA time zone, like \"Africa/Nairobi\"" });
+        }
 
         const event = new Event({
             title,
@@ -17,6 +26,8 @@ export const createEvent = async (req, res) => {
             endDate,
             maxParticipants,
             location,
+            locale: locale ? normalizeLocale(locale) : undefined,
+            timezone: timezone ? normalizeTimeZone(timezone) : undefined,
             certificateTemplate,
             createdBy: req.admin._id,
         });
@@ -63,7 +74,16 @@ export const getEventById = async (req, res) => {
 // Update Event
 export const updateEvent = async (req, res) => {
     try {
-        const event = await Event.findByIdAndUpdate(req.params.id, req.body, { new: true });
+        if (req.body.locale && !normalizeLocale(req.body.locale)) {
+            return res.status(400).json({ message: "locale must be a language tag, like \"ar\" or \"ha-Arab\"" });
+        }
+        if (req.body.timezone && !normalizeTimeZone(req.body.timezone)) {
+            return res.status(400).json({ message: "timezone must be an IANA time zone, like \"Africa/Nairobi\"" });
+        }
+        const updates = { ...req.body };
+        if (updates.locale) updates.locale = normalizeLocale(updates.locale);
+        if (updates.timezone) updates.timezone = normalizeTimeZone(updates.timezone);
+        const event = await Event.findByIdAndUpdate(req.params.id, updates, { new: true });
         if (!event) return res.status(404).json({ message: "Event not found" });
         res.json({ message: "Event updated", event });
     } catch (error) {
@@ -0,0 +1,202 @@
+import mongoose from "mongoose";
+import FontAsset from "../models/FontAsset.js";
+import {
+    BUILTIN_FONTS,
+    FONT_FORMATS,
+    inspectFontFile,
+    invalidateOrganizationFonts
+} from "../utils/fontRegistry.js";
+import { getRenderFormats } from "../utils/credentialRenderer.js";
+
+/**
+ * Organization font assets for the credential designer. Every font listed
+ * here is one the renderers draw; `formats` says in which output formats.
+ */
+
+// Formats drawn with node-canvas, which cannot read WOFF2
+const CANVAS_RENDER_FORMATS = ["png", "jpeg"];
+
+const getOrganizationId = (req) => req.user.organizationId || req.user.id;
+
+const toFontSummary = (asset) => ({
+    id: asset._id,
+    name: asset.family,
+    family: `"${asset.family}"`,
+    weight: asset.weight,
+    style: asset.style,
+    format: asset.format,
+    size: asset.size,
+    fileName: asset.fileName,
+    license: asset.license,
+    source: "upload",
+    formats: asset.format === "woff2"
+        ? getRenderFormats().filter(format => !CANVAS_RENDER_FORMATS.includes(format))
+        : getRenderFormats(),
+    fileUrl: `/api/designer/fonts/${asset._id}/file`,
+    createdAt: asset.createdAt
+});
+
+/**
+ * Built-in fonts plus the organization's uploads
+ */
+export const listFonts = async (req, res) => {
+    try {
+        const assets = await FontAsset.find({ organizationId: getOrganizationId(req) })
+            .sort({ family: 1, weight: 1, style: 1 });
+
+        res.json({
+            success: true,
+            fonts: [
+                ...BUILTIN_FONTS.map(font => ({ ...font, source: "builtin", formats: getRenderFormats() })),
+                ...assets.map(toFontSummary)
+            ]
+        });
+    } catch (error) {
+        console.error("List Fonts Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch fonts",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Upload a TTF, OTF or WOFF2 font. Family, weight and style are read from the
+ * file unless given; a license note is required.
+ */
+export const uploadFont = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: "No font file uploaded" });
+        }
+
+        const licenseName = req.body.licenseName?.trim();
+        const licenseNotes = req.body.licenseNotes?.trim();
+        if (!licenseName && !licenseNotes) {
+            return res.status(400).json({
+                success: false,
+                message: "licenseName or licenseNotes is required: say under which license the font may be embedded"
+            });
+        }
+
+        const details = inspectFontFile(req.file.buffer);
+        const family = req.body.family?.trim() || details.family;
+        const weight = req.body.weight !== undefined ? Number(req.body.weight) : details.weight;
+        const style = req.body.style || details.style;
+
+        if (!family) {
+            return res.status(400).json({ success: false, message: "The font has no family name; give one in family" });
+        }
+        if (!Number.isInteger(weight) || weight < 100 || weight > 900 || weight % 100 !== 0) {
+            return res.status(400).json({ success: false, message: "weight must be one of 100, 200, ... 900" });
+        }
+        if (!["normal", "italic"].includes(style)) {
+            return res.status(400).json({ success: false, message: "style must be normal or italic" });
+        }
+
+        const organizationId = getOrganizationId(req);
+        const existing = await FontAsset.findOne({ organizationId, family, weight, style });
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                message: `${family} ${weight}${style === "italic" ? " italic" : ""} is already uploaded; delete it first to replace it`
+            });
+        }
+
+        const asset = await FontAsset.create({
+            organizationId,
+            family,
+            weight,
+            style,
+            format: details.format,
+            fileName: req.file.originalname,
+            size: req.file.size,
+            sha256: details.sha256,
+            data: req.file.buffer,
+            license: {
+                name: licenseName,
+                url: req.body.licenseUrl?.trim(),
+                notes: licenseNotes
+            },
+            uploadedBy: req.user.id
+        });
+        invalidateOrganizationFonts(organizationId);
+
+        res.status(201).json({
+            success: true,
+            message: "Font uploaded successfully",
+            font: toFontSummary(asset)
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error("Upload Font Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to upload font",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * The font file, for the designer's own @font-face
+ */
+export const getFontFile = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const asset = mongoose.Types.ObjectId.isValid(id)
+            ? await FontAsset.findOne({ _id: id, organizationId: getOrganizationId(req) }).select("+data")
+            : null;
+
+        if (!asset) {
+            return res.status(404).json({ success: false, message: "Font not found" });
+        }
+
+        res.set({
+            "Content-Type": FONT_FORMATS[asset.format].mimeType,
+            "Cache-Control": "private, max-age=86400",
+            ETag: `"${asset.sha256}"`
+        });
+        res.send(asset.data);
+    } catch (error) {
+        console.error("Get Font File Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch font file",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Delete an uploaded font. Designs using it fall back to the built-in fonts.
+ */
+export const deleteFont = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const organizationId = getOrganizationId(req);
+        const asset = mongoose.Types.ObjectId.isValid(id)
+            ? await FontAsset.findOneAndDelete({ _id: id, organizationId })
+            : null;
+
+        if (!asset) {
+            return res.status(404).json({ success: false, message: "Font not found" });
+        }
+        invalidateOrganizationFonts(organizationId);
+
+        res.json({
+            success: true,
+            message: "Font deleted successfully"
+        });
+    } catch (error) {
+        console.error("Delete Font Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to delete font",
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,164 @@
+import mongoose from "mongoose";
+import LedgerEntry from "../models/LedgerEntry.js";
+import LedgerBatch from "../models/LedgerBatch.js";
+import {
+    buildInclusionProof,
+    computeEntryHash,
+    computeMerkleRoot,
+    sealLedgerBatch,
+    verifyLedgerChain
+} from "../utils/ledger.js";
+import { verifyBatchAnchors } from "../utils/ledgerAnchors.js";
+
+const serializeEntry = (entry) => ({
+    sequence: entry.sequence,
+    action: entry.action,
+    credentialId: entry.credentialId,
+    organizationId: entry.organizationId,
+    payloadHash: entry.payloadHash,
+    data: entry.data,
+    timestamp: entry.timestamp,
+    previousHash: entry.previousHash,
+    entryHash: entry.entryHash
+});
+
+/**
+ * Ledger history of a credential with a Merkle inclusion proof per entry
+ */
+export const getCredentialLedgerProof = async (req, res) => {
+    try {
+        const { credentialId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(credentialId)) {
+            return res.status(404).json({ success: false, message: "No ledger entries for this credential" });
+        }
+
+        const entries = await LedgerEntry.find({ credentialId }).sort({ sequence: 1 });
+        if (!entries.length) {
+            return res.status(404).json({ success: false, message: "No ledger entries for this credential" });
+        }
+
+        const history = await Promise.all(entries.map(async (entry) => ({
+            ...serializeEntry(entry),
+            entryHashValid: computeEntryHash(entry) === entry.entryHash,
+            inclusion: await buildInclusionProof(entry)
+        })));
+
+        res.json({
+            success: true,
+            credentialId,
+            entries: history,
+            verification: {
+                hashing: "entryHash = sha256(JCS({sequence, action, credentialId, organizationId, payloadHash, data, timestamp, previousHash}))",
+                merkle: "leaf = sha256(0x00 || entryHash), node = sha256(0x01 || left || right), odd nodes promoted"
+            }
+        });
+    } catch (error) {
+        console.error("Get Ledger Proof Error:", error);
+        res.status(500).json({ success: false, message: "Failed to build ledger proof", error: error.message });
+    }
+};
+
+/**
+ * Published batch roots, newest first
+ */
+export const getLedgerBatches = async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        const [batches, total] = await Promise.all([
+            LedgerBatch.find()
+                .sort({ batchNumber: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            LedgerBatch.countDocuments()
+        ]);
+
+        res.json({
+            success: true,
+            batches,
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        });
+    } catch (error) {
+        console.error("Get Ledger Batches Error:", error);
+        res.status(500).json({ success: false, message: "Failed to fetch ledger batches", error: error.message });
+    }
+};
+
+/**
+ * A single batch, with its root recomputed from the stored entries and its anchors re-checked
+ */
+export const getLedgerBatch = async (req, res) => {
+    try {
+        const batchNumber = Number(req.params.batchNumber);
+        if (!Number.isInteger(batchNumber) || batchNumber < 1) {
+            return res.status(400).json({ success: false, message: "Batch number must be a positive integer" });
+        }
+
+        const batch = await LedgerBatch.findOne({ batchNumber });
+
+        if (!batch) {
+            return res.status(404).json({ success: false, message: "Ledger batch not found" });
+        }
+
+        const entries = await LedgerEntry.find({
+            sequence: { $gte: batch.fromSequence, $lte: batch.toSequence }
+        }).sort({ sequence: 1 }).select("entryHash");
+
+        const rootValid = entries.length === batch.leafCount &&
+            computeMerkleRoot(entries.map(entry => entry.entryHash)) === batch.merkleRoot;
+
+        const previous = batch.batchNumber > 1
+            ? await LedgerBatch.findOne({ batchNumber: batch.batchNumber - 1 }).select("merkleRoot")
+            : null;
+        const linkValid = batch.batchNumber === 1 || previous?.merkleRoot === batch.previousRoot;
+
+        res.json({
+            success: true,
+            batch,
+            verification: {
+                rootValid,
+                linkValid,
+                anchors: await verifyBatchAnchors(batch)
+            }
+        });
+    } catch (error) {
+        console.error("Get Ledger Batch Error:", error);
+        res.status(500).json({ success: false, message: "Failed to fetch ledger batch", error: error.message });
+    }
+};
+
+/**
+ * Full (or ranged) chain integrity check
+ */
+export const verifyLedger = async (req, res) => {
+    try {
+        const fromSequence = Math.max(parseInt(req.query.from) || 1, 1);
+        const toSequence = parseInt(req.query.to) || undefined;
+
+        const result = await verifyLedgerChain({ fromSequence, toSequence });
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error("Verify Ledger Error:", error);
+        res.status(500).json({ success: false, message: "Failed to verify ledger", error: error.message });
+    }
+};
+
+/**
+ * Seal pending entries into a batch now instead of waiting for the scheduler
+ */
+export const sealBatch = async (req, res) => {
+    try {
+        const batch = await sealLedgerBatch();
+
+        if (!batch) {
+            return res.json({ success: true, message: "No pending ledger entries to seal", batch: null });
+        }
+
+        res.status(201).json({ success: true, message: `Ledger batch ${batch.batchNumber} sealed`, batch });
+    } catch (error) {
+        console.error("Seal Ledger Batch Error:", error);
+        res.status(500).json({ success: false, message: "Failed to seal ledger batch", error: error.message });
+    }
+};
@@ -0,0 +1,513 @@
+import mongoose from "mongoose";
+import Credential from "../models/Credentials.js";
+import CredentialTemplate from "../models/CredentialTemplate.js";
+import ImportedBadge from "../models/ImportedBadge.js";
+import Admin from "../models/Admin.js";
+import Participant from "../models/Participant.js";
+import { loadCredentialForExport } from "./verifiableCredentialController.js";
+import { evaluateCredential } from "../utils/credentialVerification.js";
+import { recordVerification } from "../utils/verificationTracking.js";
+import { signDocument, verifyDocument, getCredentialVcId, VC_CONTEXT_V2 } from "../utils/verifiableCredential.js";
+import { bakePng, bakeSvg, unbakeImage } from "../utils/badgeBaking.js";
+import { fetchPublicJson } from "../utils/publicFetch.js";
+import { buildCredentialStatusEntries, ensureStatusListEntry } from "../utils/statusList.js";
+import {
+    OB3_CONTEXT,
+    buildAchievement,
+    buildOpenBadgeCredential,
+    buildOb2Issuer,
+    buildOb2BadgeClass,
+    buildOb2Assertion,
+    getAssertionUrl,
+    normalizeImportedBadge,
+    recipientMatchesEmail
+} from "../utils/openBadges.js";
+
+const sendJsonLd = (res, document) => {
+    res.set("Cache-Control", "public, max-age=300");
+    res.set("Content-Type", "application/ld+json");
+    res.send(JSON.stringify(document, null, 2));
+};
+
+const loadBadgeCredential = async (credentialId) => {
+    const loaded = await loadCredentialForExport(credentialId);
+    if (!loaded || loaded.credential.type !== 'badge') return null;
+
+    const template = loaded.credential.templateId
+        ? await CredentialTemplate.findById(loaded.credential.templateId)
+        : null;
+
+    return { ...loaded, template };
+};
+
+// ==================== HOSTED OPEN BADGES 2.0 ====================
+
+/**
+ * OB 2.0 Issuer profile
+ */
+export const getIssuer = async (req, res) => {
+    try {
+        const { organizationId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(organizationId)) {
+            return res.status(404).json({ success: false, message: "Issuer not found" });
+        }
+
+        const organization = await Admin.findById(organizationId)
+            .select("organization website email description logo");
+        if (!organization) {
+            return res.status(404).json({ success: false, message: "Issuer not found" });
+        }
+
+        sendJsonLd(res, buildOb2Issuer(organizationId, organization));
+    } catch (error) {
+        console.error("Get Badge Issuer Error:", error);
+        res.status(500).json({ success: false, message: "Failed to fetch issuer", error: error.message });
+    }
+};
+
+/**
+ * OB 2.0 BadgeClass derived from a badge template
+ */
+export const getBadgeClass = async (req, res) => {
+    try {
+        const { templateId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(templateId)) {
+            return res.status(404).json({ success: false, message: "Badge class not found" });
+        }
+
+        const template = await CredentialTemplate.findOne({ _id: templateId, type: 'badge' });
+        if (!template) {
+            return res.status(404).json({ success: false, message: "Badge class not found" });
+        }
+
+        sendJsonLd(res, buildOb2BadgeClass({ template, organizationId: template.createdBy }));
+    } catch (error) {
+        console.error("Get Badge Class Error:", error);
+        res.status(500).json({ success: false, message: "Failed to fetch badge class", error: error.message });
+    }
+};
+
+/**
+ * OB 2.0 hosted Assertion for an issued badge
+ */
+export const getAssertion = async (req, res) => {
+    try {
+        const loaded = await loadBadgeCredential(req.params.credentialId);
+        if (!loaded) {
+            return res.status(404).json({ success: false, message: "Assertion not found" });
+        }
+
+        const { credential, template } = loaded;
+
+        // Hosted verification treats 410 + revoked as a revoked assertion
+        if (credential.status === 'revoked') {
+            return res.status(410).json({
+                id: req.originalUrl,
+                revoked: true,
+                revocationReason: credential.revocationReason || 'Revoked by issuer'
+            });
+        }
+
+        const participant = await Participant.findById(credential.participantId).select("email");
+
+        sendJsonLd(res, buildOb2Assertion(credential, {
+            template,
+            recipientEmail: participant?.email
+        }));
+    } catch (error) {
+        console.error("Get Assertion Error:", error);
+        res.status(500).json({ success: false, message: "Failed to fetch assertion", error: error.message });
+    }
+};
+
+/**
+ * OB 2.0 BadgeClass for a badge issued without a template
+ */
+export const getCredentialBadgeClass = async (req, res) => {
+    try {
+        const loaded = await loadBadgeCredential(req.params.credentialId);
+        if (!loaded) {
+            return res.status(404).json({ success: false, message: "Badge class not found" });
+        }
+
+        const { credential, template, event, organizationId } = loaded;
+        sendJsonLd(res, buildOb2BadgeClass({ template, credential, event, organizationId }));
+    } catch (error) {
+        console.error("Get Credential Badge Class Error:", error);
+        res.status(500).json({ success: false, message: "Failed to fetch badge class", error: error.message });
+    }
+};
+
+// ==================== OPEN BADGES 3.0 ====================
+
+/**
+ * OB 3.0 Achievement definition derived from a badge template
+ */
+export const getAchievement = async (req, res) => {
+    try {
+        const { templateId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(templateId)) {
+            return res.status(404).json({ success: false, message: "Achievement not found" });
+        }
+
+        const template = await CredentialTemplate.findOne({ _id: templateId, type: 'badge' });
+        if (!template) {
+            return res.status(404).json({ success: false, message: "Achievement not found" });
+        }
+
+        const organization = await Admin.findById(template.createdBy)
+            .select("organization website description logo");
+
+        sendJsonLd(res, {
+            "@context": [VC_CONTEXT_V2, OB3_CONTEXT],
+            ...buildAchievement({ template, organizationId: template.createdBy, organization })
+        });
+    } catch (error) {
+        console.error("Get Achievement Error:", error);
+        res.status(500).json({ success: false, message: "Failed to fetch achievement", error: error.message });
+    }
+};
+
+/**
+ * Signed OB 3.0 OpenBadgeCredential for an issued badge
+ */
+export const getOpenBadgeCredential = async (req, res) => {
+    try {
+        const loaded = await loadBadgeCredential(req.params.credentialId);
+        if (!loaded) {
+            return res.status(404).json({ success: false, message: "Badge credential not found" });
+        }
+
+        const { credential, template, event, organization, organizationId } = loaded;
+
+        if (!credential.signedPayload) {
+            return res.status(409).json({
+                success: false,
+                message: "Badge was issued before signing was enabled and cannot be exported"
+            });
+        }
+
+        await ensureStatusListEntry(credential);
+
+        const unsigned = buildOpenBadgeCredential(credential, {
+            template,
+            event,
+            organization,
+            credentialStatus: buildCredentialStatusEntries(credential)
+        });
+        const signed = await signDocument(unsigned, organizationId);
+
+        res.set("Content-Type", "application/vc+ld+json");
+        res.send(JSON.stringify(signed, null, 2));
+    } catch (error) {
+        console.error("Get OpenBadgeCredential Error:", error);
+        res.status(500).json({ success: false, message: "Failed to export badge", error: error.message });
+    }
+};
+
+// ==================== BAKING ====================
+
+/**
+ * Bake a badge image with its hosted assertion URL and signed OpenBadgeCredential.
+ * Returns the image unchanged for non-badge or unsigned credentials.
+ * @param {string} credentialId
+ * @param {Buffer|string} image - PNG buffer or SVG markup
+ * @param {'png'|'svg'} format
+ */
+export const bakeBadgeImage = async (credentialId, image, format = 'png') => {
+    const loaded = await loadBadgeCredential(credentialId);
+    if (!loaded || !loaded.credential.signedPayload) {
+        return { image, baked: false };
+    }
+
+    const { credential, template, event, organization, organizationId } = loaded;
+    await ensureStatusListEntry(credential);
+
+    const signed = await signDocument(
+        buildOpenBadgeCredential(credential, {
+            template,
+            event,
+            organization,
+            credentialStatus: buildCredentialStatusEntries(credential)
+        }),
+        organizationId
+    );
+    const assertion = { assertionUrl: getAssertionUrl(credential._id), credential: signed };
+
+    return {
+        image: format === 'svg' ? bakeSvg(image, assertion) : bakePng(image, assertion),
+        baked: true
+    };
+};
+
+// Resolve one of our own assertion / credential URLs back to the stored credential
+const findLocalCredential = async (url) => {
+    if (typeof url !== "string") return null;
+
+    const assertionPrefix = getAssertionUrl("");
+    const vcPrefix = getCredentialVcId("").replace(/\/vc$/, "");
+    const prefix = [assertionPrefix, vcPrefix].find(candidate => url.startsWith(candidate));
+    if (!prefix) return null;
+
+    const credentialId = url.slice(prefix.length).split("/")[0];
+    if (!mongoose.Types.ObjectId.isValid(credentialId)) return null;
+
+    return Credential.findById(credentialId);
+};
+
+/**
+ * Extract and verify the assertion baked into an uploaded badge image
+ */
+export const unbakeBadge = async (req, res) => {
+    try {
+        if (!req.file?.buffer) {
+            return res.status(400).json({ success: false, message: "A badge image file is required" });
+        }
+
+        let extracted;
+        try {
+            extracted = unbakeImage(req.file.buffer);
+        } catch (parseError) {
+            return res.status(400).json({ success: false, message: parseError.message });
+        }
+
+        if (!extracted.assertionUrl && !extracted.credential) {
+            return res.status(422).json({
+                success: false,
+                verified: false,
+                message: "Image does not contain a baked badge assertion",
+                format: extracted.format
+            });
+        }
+
+        const errors = [];
+        let verified = false;
+        let method = null;
+        let credentialJson = null;
+        let localCredential = null;
+
+        if (extracted.credential) {
+            method = 'proof';
+            try {
+                credentialJson = JSON.parse(extracted.credential);
+            } catch {
+                errors.push("Embedded credential is not JSON (JWS-secured credentials are not supported)");
+            }
+
+            if (credentialJson) {
+                const result = await verifyDocument(credentialJson);
+                verified = result.verified;
+                errors.push(...result.errors);
+                localCredential = await findLocalCredential(credentialJson.id);
+            }
+        } else {
+            method = 'hosted';
+            localCredential = await findLocalCredential(extracted.assertionUrl);
+
+            // This endpoint is public: hosted assertions of other issuers are not fetched from it
+            if (!localCredential) {
+                errors.push("Hosted assertion is not from this platform and was not fetched; it is unverified");
+            } else {
+                verified = true;
+            }
+        }
+
+        // Baked data from our own credentials is also checked against current state
+        let credentialStatus = null;
+        if (localCredential) {
+            credentialStatus = await evaluateCredential(localCredential);
+            if (!credentialStatus.valid) {
+                verified = false;
+                errors.push(`Credential is ${credentialStatus.status}`);
+            }
+
+            await recordVerification(req, {
+                credential: localCredential,
+                channel: "file",
+                method: "baked_badge",
+                result: verified || !credentialStatus.valid ? credentialStatus.status : "invalid"
+            });
+        }
+
+        res.json({
+            success: true,
+            verified,
+            method,
+            format: extracted.format,
+            errors,
+            assertionUrl: extracted.assertionUrl,
+            credential: credentialJson,
+            credentialStatus
+        });
+    } catch (error) {
+        console.error("Unbake Badge Error:", error);
+        res.status(500).json({ success: false, message: "Failed to verify badge image", error: error.message });
+    }
+};
+
+// ==================== WALLET IMPORT ====================
+
+/**
+ * Verify an imported badge as far as possible without trusting the input
+ */
+const verifyImportedBadge = async (normalized, json) => {
+    if (normalized.format === 'ob3') {
+        if (!normalized.hasProof) {
+            return { status: 'unverified', method: 'none', errors: ['Badge has no proof'] };
+        }
+
+        const result = await verifyDocument(json);
+        if (result.verified) {
+            return { status: 'verified', method: 'proof', errors: [] };
+        }
+
+        // Proofs from other issuers cannot be checked against our key store
+        const unknownIssuer = result.errors.some(error => error.startsWith('Unknown verification method'));
+        return {
+            status: unknownIssuer ? 'unverified' : 'failed',
+            method: 'proof',
+            errors: result.errors
+        };
+    }
+
+    if (normalized.verification?.type === 'hosted' || normalized.verification?.type === 'HostedBadge') {
+        try {
+            // Only https on public addresses, no redirects, size-capped (utils/publicFetch.js)
+            const response = await fetchPublicJson(normalized.sourceId);
+
+            if (response.status === 410 || response.data?.revoked) {
+                return { status: 'failed', method: 'hosted', errors: ['Assertion has been revoked by its issuer'] };
+            }
+            if (response.status !== 200 || response.data?.id !== normalized.sourceId) {
+                return { status: 'failed', method: 'hosted', errors: ['Hosted assertion does not match the imported JSON'] };
+            }
+
+            return { status: 'verified', method: 'hosted', errors: [] };
+        } catch (error) {
+            const reason = error.refused ? 'not fetched' : 'unreachable';
+            return { status: 'unverified', method: 'hosted', errors: [`Hosted assertion ${reason}: ${error.message}`] };
+        }
+    }
+
+    return { status: 'unverified', method: 'none', errors: ['Unsupported verification type'] };
+};
+
+/**
+ * Import an Open Badges 2.0 assertion or 3.0 credential into the participant's wallet
+ */
+export const importBadge = async (req, res) => {
+    try {
+        const json = req.body?.badge || req.body;
+
+        let normalized;
+        try {
+            normalized = normalizeImportedBadge(json);
+        } catch (parseError) {
+            return res.status(400).json({ success: false, message: parseError.message });
+        }
+
+        if (!normalized.name) {
+            return res.status(400).json({
+                success: false,
+                message: "Badge name is missing; import the assertion with its badge class embedded"
+            });
+        }
+
+        if (normalized.sourceId) {
+            const existing = await ImportedBadge.findOne({
+                participantId: req.user.id,
+                sourceId: normalized.sourceId
+            });
+            if (existing) {
+                return res.status(409).json({
+                    success: false,
+                    message: "This badge is already in your wallet",
+                    badge: existing
+                });
+            }
+        }
+
+        const verification = await verifyImportedBadge(normalized, json);
+
+        const badge = await ImportedBadge.create({
+            participantId: req.user.id,
+            format: normalized.format,
+            sourceId: normalized.sourceId,
+            name: normalized.name,
+            description: normalized.description,
+            image: normalized.image,
+            criteria: normalized.criteria,
+            issuer: normalized.issuer,
+            issuedOn: normalized.issuedOn,
+            expiresAt: normalized.expiresAt,
+            verification: { ...verification, checkedAt: new Date() },
+            recipientMatch: recipientMatchesEmail(normalized.recipient, req.user.email),
+            raw: json
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Badge imported successfully",
+            badge
+        });
+    } catch (error) {
+        console.error("Import Badge Error:", error);
+        res.status(500).json({ success: false, message: "Failed to import badge", error: error.message });
+    }
+};
+
+/**
+ * Participant wallet: Sifapass-issued badges plus imported ones
+ */
+export const getWallet = async (req, res) => {
+    try {
+        const participantId = req.user.id;
+
+        const [issued, imported] = await Promise.all([
+            Credential.find({ participantId, type: 'badge', status: { $in: ['issued', 'revoked'] } })
+                .populate('eventId', 'title startDate')
+                .sort({ issuedAt: -1 }),
+            ImportedBadge.find({ participantId }).select('-raw').sort({ issuedOn: -1 })
+        ]);
+
+        res.json({
+            success: true,
+            issued: issued.map(credential => ({
+                id: credential._id,
+                title: credential.title,
+                eventTitle: credential.eventId?.title,
+                status: credential.status,
+                issuedAt: credential.issuedAt,
+                image: credential.exportLinks?.png || credential.downloadLink,
+                blockchainHash: credential.blockchainHash
+            })),
+            imported
+        });
+    } catch (error) {
+        console.error("Get Wallet Error:", error);
+        res.status(500).json({ success: false, message: "Failed to fetch wallet", error: error.message });
+    }
+};
+
+export const deleteImportedBadge = async (req, res) => {
+    try {
+        const { badgeId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(badgeId)) {
+            return res.status(404).json({ success: false, message: "Imported badge not found" });
+        }
+
+        const badge = await ImportedBadge.findOneAndDelete({
+            _id: badgeId,
+            participantId: req.user.id
+        });
+
+        if (!badge) {
+            return res.status(404).json({ success: false, message: "Imported badge not found" });
+        }
+
+        res.json({ success: true, message: "Badge removed from wallet" });
+    } catch (error) {
+        console.error("Delete Imported Badge Error:", error);
+        res.status(500).json({ success: false, message: "Failed to remove badge", error: error.message });
+    }
+};
@@ -0,0 +1,55 @@
+import Admin from "../models/Admin.js";
+import { checkPresentation } from "../utils/selectiveDisclosure.js";
+import { getVerificationChannel, recordVerification } from "../utils/verificationTracking.js";
+
+/**
+ * Verify an SD-JWT presentation (as returned when a participant shares a
+ * credential). Returns only the disclosed fields.
+ */
+export const verifyCredentialPresentation = async (req, res) => {
+    try {
+        const { presentation } = req.body;
+
+        if (typeof presentation !== "string" || !presentation.includes("~")) {
+            return res.status(400).json({
+                success: false,
+                message: "presentation must be an SD-JWT presentation (<jwt>~<disclosure>~...)"
+            });
+        }
+
+        const { status, presentation: verified, current, credential } = await checkPresentation(presentation);
+
+        await recordVerification(req, {
+            credential,
+            channel: getVerificationChannel(req, "api"),
+            method: "sd_jwt",
+            result: status
+        });
+
+        const organization = /^[a-f0-9]{24}$/i.test(String(verified.issuer))
+            ? await Admin.findById(verified.issuer).select("organization website")
+            : null;
+
+        res.json({
+            success: true,
+            valid: status === "valid",
+            status,
+            reason: verified.reason,
+            issuer: {
+                id: verified.issuer || null,
+                name: organization?.organization || null,
+                website: organization?.website || null
+            },
+            credential: verified.credential || null,
+            disclosed: verified.disclosed || {},
+            current
+        });
+    } catch (error) {
+        console.error("Verify Presentation Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to verify presentation",
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,183 @@
+import mongoose from "mongoose";
+import QRCode from "qrcode";
+import Credential from "../models/Credentials.js";
+import ShareLink from "../models/ShareLink.js";
+import {
+    createShareLink,
+    getShareLinkAccesses,
+    parseShareLinkOptions,
+    revokeShareLink,
+    toShareLinkSummary
+} from "../utils/shareLinks.js";
+
+/**
+ * Share link management for both credential holders (participant routes,
+ * /api/participants/:id/credentials/:credId/...) and issuers (admin routes,
+ * /api/credentials/:id/...).
+ */
+
+const isParticipant = (req) => req.user.role === "participant";
+
+// Credential the caller may manage links for, or null
+const findManagedCredential = async (req, projection = "") => {
+    const credentialId = isParticipant(req) ? req.params.credId : req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(credentialId)) return null;
+
+    if (isParticipant(req)) {
+        if (String(req.user.id) !== String(req.params.id)) return null;
+        return Credential.findOne({ _id: credentialId, participantId: req.user.id }).select(projection);
+    }
+
+    const organizationId = String(req.user.organizationId || req.user.id);
+    return Credential.findOne({
+        _id: credentialId,
+        $or: [
+            { "signedPayload.issuer": organizationId },
+            { createdBy: { $in: [organizationId, String(req.user.id)] } }
+        ]
+    }).select(projection);
+};
+
+/**
+ * Create a named share link with optional expiry, passcode, view limit and allowed domains
+ */
+export const createCredentialShareLink = async (req, res) => {
+    try {
+        const options = parseShareLinkOptions(req.body);
+
+        const credential = await findManagedCredential(req, "+sdJwt");
+        if (!credential) {
+            return res.status(404).json({ success: false, message: "Credential not found" });
+        }
+
+        if (!credential.signedPayload) {
+            return res.status(409).json({
+                success: false,
+                message: "This credential was issued before signing and cannot be shared"
+            });
+        }
+
+        const link = await createShareLink(credential, {
+            createdByType: isParticipant(req) ? "participant" : "admin",
+            createdBy: req.user.id,
+            sharedWith: req.body.email,
+            message: req.body.message
+        }, options);
+
+        await Credential.updateOne({ _id: credential._id }, { isShared: true });
+
+        const shareLink = toShareLinkSummary(link);
+
+        res.status(201).json({
+            success: true,
+            message: req.body.email
+                ? `Credential "${credential.title}" shared with ${req.body.email}`
+                : `Share link created for "${credential.title}"`,
+            shareLink,
+            qrCode: await QRCode.toDataURL(shareLink.url),
+            presentation: link.presentation
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error("Create Share Link Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to create share link",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * All share links of a credential, newest first
+ */
+export const listCredentialShareLinks = async (req, res) => {
+    try {
+        const credential = await findManagedCredential(req, "_id");
+        if (!credential) {
+            return res.status(404).json({ success: false, message: "Credential not found" });
+        }
+
+        const links = await ShareLink.find({ credentialId: credential._id })
+            .select("+passcodeHash")
+            .sort({ createdAt: -1 });
+
+        res.json({ success: true, shareLinks: links.map(toShareLinkSummary) });
+    } catch (error) {
+        console.error("List Share Links Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch share links",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Revoke a share link
+ */
+export const revokeCredentialShareLink = async (req, res) => {
+    try {
+        const credential = await findManagedCredential(req, "_id");
+        if (!credential || !mongoose.Types.ObjectId.isValid(req.params.linkId)) {
+            return res.status(404).json({ success: false, message: "Share link not found" });
+        }
+
+        const link = await revokeShareLink(req.params.linkId, credential._id);
+        if (!link) {
+            return res.status(404).json({ success: false, message: "Share link not found or already revoked" });
+        }
+
+        // The credential counts as shared while any link is still usable
+        const activeLinks = await ShareLink.countDocuments({
+            credentialId: credential._id,
+            revokedAt: null,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+        });
+        if (!activeLinks) {
+            await Credential.updateOne({ _id: credential._id }, { isShared: false });
+        }
+
+        res.json({ success: true, message: "Share link revoked", shareLink: toShareLinkSummary(link) });
+    } catch (error) {
+        console.error("Revoke Share Link Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to revoke share link",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Access log of a share link (granted and refused attempts)
+ */
+export const getCredentialShareLinkAccesses = async (req, res) => {
+    try {
+        const credential = await findManagedCredential(req, "_id");
+        const link = credential && mongoose.Types.ObjectId.isValid(req.params.linkId)
+            ? await ShareLink.findOne({ _id: req.params.linkId, credentialId: credential._id }).select("+passcodeHash")
+            : null;
+
+        if (!link) {
+            return res.status(404).json({ success: false, message: "Share link not found" });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+        res.json({
+            success: true,
+            shareLink: toShareLinkSummary(link),
+            accesses: await getShareLinkAccesses(link, { limit })
+        });
+    } catch (error) {
+        console.error("Get Share Link Accesses Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch share link accesses",
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,185 @@
+import mongoose from "mongoose";
+import SigningKey from "../models/SigningKey.js";
+import Admin from "../models/Admin.js";
+import {
+    getActiveSigningKey,
+    rotateSigningKey,
+    revokeSigningKey,
+    toPublicJwk
+} from "../utils/credentialSigning.js";
+import { buildVerificationKeySet } from "../utils/compactCredential.js";
+
+/**
+ * Public: list an organization's verification keys as a JWK set
+ */
+export const getOrganizationKeys = async (req, res) => {
+    try {
+        const { organizationId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(organizationId)) {
+            return res.status(400).json({ success: false, message: "Invalid organization ID" });
+        }
+
+        const [organization, keys] = await Promise.all([
+            Admin.findById(organizationId).select("organization website logo"),
+            SigningKey.find({ organizationId }).sort({ createdAt: -1 })
+        ]);
+
+        if (!organization) {
+            return res.status(404).json({ success: false, message: "Organization not found" });
+        }
+
+        res.set("Cache-Control", "public, max-age=300");
+        res.json({
+            success: true,
+            issuer: {
+                id: organizationId,
+                name: organization.organization,
+                website: organization.website || null
+            },
+            keys: keys.map(toPublicJwk)
+        });
+    } catch (error) {
+        console.error("Get Organization Keys Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch organization keys",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Public: verification keys of all issuers (or ?issuer=id,id) for offline
+ * verifiers to cache
+ */
+export const getVerificationKeySet = async (req, res) => {
+    try {
+        const issuers = String(req.query.issuer || "")
+            .split(",")
+            .map(id => id.trim())
+            .filter(Boolean);
+
+        if (issuers.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            return res.status(400).json({ success: false, message: "Invalid issuer ID" });
+        }
+
+        const keySet = await buildVerificationKeySet(issuers.length ? { organizationId: { $in: issuers } } : {});
+
+        res.set("Cache-Control", "public, max-age=300");
+        res.json({ success: true, ...keySet });
+    } catch (error) {
+        console.error("Get Verification Key Set Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch verification keys",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Public: look up a single key by kid (as referenced in a credential signature)
+ */
+export const getKeyById = async (req, res) => {
+    try {
+        const signingKey = await SigningKey.findOne({ kid: req.params.kid });
+
+        if (!signingKey) {
+            return res.status(404).json({ success: false, message: "Key not found" });
+        }
+
+        res.set("Cache-Control", "public, max-age=300");
+        res.json({
+            success: true,
+            organizationId: signingKey.organizationId,
+            key: toPublicJwk(signingKey)
+        });
+    } catch (error) {
+        console.error("Get Key Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch key",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Admin: list own keys (creates the first key if none exists yet)
+ */
+export const getMyKeys = async (req, res) => {
+    try {
+        const organizationId = req.user.organizationId || req.user.id;
+        await getActiveSigningKey(organizationId);
+
+        const keys = await SigningKey.find({ organizationId }).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            keys: keys.map(toPublicJwk)
+        });
+    } catch (error) {
+        console.error("Get My Keys Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch signing keys",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Admin: rotate the active signing key
+ */
+export const rotateKey = async (req, res) => {
+    try {
+        const organizationId = req.user.organizationId || req.user.id;
+        const signingKey = await rotateSigningKey(organizationId);
+
+        res.status(201).json({
+            success: true,
+            message: "Signing key rotated successfully",
+            key: toPublicJwk(signingKey)
+        });
+    } catch (error) {
+        console.error("Rotate Key Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to rotate signing key",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Admin: revoke a key. Credentials signed with it will fail verification.
+ */
+export const revokeKey = async (req, res) => {
+    try {
+        const organizationId = req.user.organizationId || req.user.id;
+        const { reason } = req.body;
+
+        const signingKey = await revokeSigningKey(organizationId, req.params.kid, reason);
+
+        if (!signingKey) {
+            return res.status(404).json({
+                success: false,
+                message: "Key not found or already revoked"
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "Signing key revoked",
+            key: toPublicJwk(signingKey)
+        });
+    } catch (error) {
+        console.error("Revoke Key Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to revoke signing key",
+            error: error.message
+        });
+    }
+};
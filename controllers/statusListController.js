@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+import StatusList from "../models/StatusList.js";
+import { signDocument } from "../utils/verifiableCredential.js";
+import { buildStatusListCredential, STATUS_LIST_TTL, STATUS_PURPOSES } from "../utils/statusList.js";
+
+/**
+ * Signed BitstringStatusListCredential for one of an organization's lists
+ */
+export const getStatusListCredential = async (req, res) => {
+    try {
+        const { organizationId, listNumber, purpose } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(organizationId) || !STATUS_PURPOSES.includes(purpose)) {
+            return res.status(404).json({ success: false, message: "Status list not found" });
+        }
+
+        const list = await StatusList.findOne({ organizationId, listNumber: parseInt(listNumber) });
+        if (!list) {
+            return res.status(404).json({ success: false, message: "Status list not found" });
+        }
+
+        const statusListCredential = await signDocument(buildStatusListCredential(list, purpose), organizationId);
+
+        res.set("Cache-Control", `public, max-age=${STATUS_LIST_TTL / 1000}`);
+        res.set("Content-Type", "application/vc+ld+json");
+        res.send(JSON.stringify(statusListCredential, null, 2));
+    } catch (error) {
+        console.error("Get Status List Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch status list",
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,197 @@
+import mongoose from "mongoose";
+import Credential from "../models/Credentials.js";
+import SigningKey from "../models/SigningKey.js";
+import Admin from "../models/Admin.js";
+import Event from "../models/Event.js";
+import { evaluateCredential } from "../utils/credentialVerification.js";
+import { recordVerification } from "../utils/verificationTracking.js";
+import {
+    buildCredentialStatusEntries,
+    checkCredentialStatusEntries,
+    ensureStatusListEntry
+} from "../utils/statusList.js";
+import {
+    buildVerifiableCredential,
+    buildIssuerDidDocument,
+    getBaseUrl,
+    signDocument,
+    verifyDocument
+} from "../utils/verifiableCredential.js";
+
+/**
+ * Load a credential plus the issuer/event records needed to express it as a VC
+ */
+export const loadCredentialForExport = async (credentialId) => {
+    if (!mongoose.Types.ObjectId.isValid(credentialId)) return null;
+
+    const credential = await Credential.findById(credentialId);
+    if (!credential) return null;
+
+    const organizationId = credential.signedPayload?.issuer || credential.createdBy;
+    const [organization, event] = await Promise.all([
+        Admin.findById(organizationId).select("organization website logo"),
+        Event.findById(credential.eventId).select("title startDate endDate location")
+    ]);
+
+    return { credential, organization, event, organizationId };
+};
+
+/**
+ * Whether the signed-in user issued or holds the credential
+ */
+const isIssuerOrHolder = (user, credential, organizationId) => {
+    if (!user) return false;
+    if (user.role === "participant") return String(user.id) === String(credential.participantId);
+    return String(user.organizationId || user.id) === String(organizationId);
+};
+
+/**
+ * Export a credential as a signed W3C Verifiable Credential (JSON-LD).
+ * Every claim for its issuer and holder; the signed name and event title for anyone else.
+ */
+export const exportVerifiableCredential = async (req, res) => {
+    try {
+        const loaded = await loadCredentialForExport(req.params.id);
+
+        if (!loaded) {
+            return res.status(404).json({ success: false, message: "Credential not found" });
+        }
+
+        const { credential, organization, event, organizationId } = loaded;
+
+        if (!credential.signedPayload) {
+            return res.status(409).json({
+                success: false,
+                message: "Credential was issued before signing was enabled and cannot be exported"
+            });
+        }
+
+        if (credential.status === 'draft' || credential.status === 'generating') {
+            return res.status(409).json({
+                success: false,
+                message: `Credential is ${credential.status} and cannot be exported yet`
+            });
+        }
+
+        await ensureStatusListEntry(credential);
+
+        const unsigned = buildVerifiableCredential(credential, {
+            organization,
+            event,
+            types: ["SifapassCredential"],
+            credentialStatus: buildCredentialStatusEntries(credential),
+            allClaims: isIssuerOrHolder(req.user, credential, organizationId)
+        });
+        const verifiableCredential = await signDocument(unsigned, organizationId);
+
+        res.set("Content-Type", "application/vc+ld+json");
+        res.send(JSON.stringify(verifiableCredential, null, 2));
+    } catch (error) {
+        console.error("Export Verifiable Credential Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to export verifiable credential",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Verify a VC JSON offline against Sifapass issuer keys
+ */
+export const verifyVerifiableCredential = async (req, res) => {
+    try {
+        const document = req.body?.verifiableCredential || req.body;
+
+        if (!document || typeof document !== "object" || !document.proof) {
+            return res.status(400).json({
+                success: false,
+                message: "A verifiable credential JSON with a proof is required"
+            });
+        }
+
+        const result = await verifyDocument(document);
+
+        // Bitstring status list entries are checked against the published lists
+        const statusChecks = await checkCredentialStatusEntries(document.credentialStatus);
+        statusChecks.forEach(check => {
+            if (check.set) {
+                result.errors.push(check.purpose === "suspension" ? "Credential is suspended" : "Credential is revoked");
+                result.verified = false;
+            }
+        });
+
+        // If the VC was issued by us, also report the credential's current status
+        let credentialStatus = null;
+        const vcIdPrefix = `${getBaseUrl()}/api/credentials/`;
+        if (typeof document.id === "string" && document.id.startsWith(vcIdPrefix)) {
+            const credentialId = document.id.slice(vcIdPrefix.length).split("/")[0];
+            if (mongoose.Types.ObjectId.isValid(credentialId)) {
+                const credential = await Credential.findById(credentialId);
+                if (credential) {
+                    credentialStatus = await evaluateCredential(credential);
+                    if (!credentialStatus.valid) {
+                        result.errors.push(`Credential is ${credentialStatus.status}`);
+                        result.verified = false;
+                    }
+
+                    await recordVerification(req, {
+                        credential,
+                        channel: "api",
+                        method: "vc_json",
+                        result: result.verified || !credentialStatus.valid ? credentialStatus.status : "invalid"
+                    });
+                }
+            }
+        }
+
+        res.json({
+            success: true,
+            verified: result.verified,
+            errors: result.errors,
+            issuer: result.issuer,
+            kid: result.kid,
+            keyStatus: result.keyStatus,
+            statusChecks,
+            credentialStatus
+        });
+    } catch (error) {
+        console.error("Verify Verifiable Credential Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to verify verifiable credential",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * did:web document for an issuing organization
+ */
+export const getIssuerDidDocument = async (req, res) => {
+    try {
+        const { organizationId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(organizationId)) {
+            return res.status(404).json({ success: false, message: "Issuer not found" });
+        }
+
+        const organization = await Admin.findById(organizationId).select("_id");
+        if (!organization) {
+            return res.status(404).json({ success: false, message: "Issuer not found" });
+        }
+
+        const keys = await SigningKey.find({ organizationId }).sort({ createdAt: -1 });
+
+        res.set("Cache-Control", "public, max-age=300");
+        res.set("Content-Type", "application/did+json");
+        res.send(JSON.stringify(buildIssuerDidDocument(organizationId, keys), null, 2));
+    } catch (error) {
+        console.error("Get DID Document Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch DID document",
+            error: error.message
+        });
+    }
+};
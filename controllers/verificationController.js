@@ -0,0 +1,126 @@
+import mongoose from "mongoose";
+import Credential from "../models/Credentials.js";
+import Verification from "../models/Verification.js";
+import { buildVerificationFilter, summarizeVerifications } from "../utils/verificationTracking.js";
+import {
+    normalizeBulkRows,
+    parseBulkCsv,
+    toBulkVerificationCsv,
+    verifyBulkRows,
+    wantsCsv
+} from "../utils/bulkVerification.js";
+
+const getPagination = (query) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(parseInt(query.limit) || 50, 200);
+    return { page, limit };
+};
+
+const findVerifications = async (filter, { page, limit }) => {
+    const [verifications, total] = await Promise.all([
+        Verification.find(filter)
+            .sort({ timestamp: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate("credentialId", "title type blockchainHash")
+            .populate("verifierOrganizationId", "organization"),
+        Verification.countDocuments(filter)
+    ]);
+
+    return {
+        verifications,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+};
+
+/**
+ * Verification history across all of the organization's credentials
+ */
+export const getOrganizationVerifications = async (req, res) => {
+    try {
+        const organizationId = new mongoose.Types.ObjectId(String(req.user.organizationId || req.user.id));
+        const filter = buildVerificationFilter({ organizationId }, req.query);
+
+        if (req.query.credentialId && mongoose.Types.ObjectId.isValid(req.query.credentialId)) {
+            filter.credentialId = new mongoose.Types.ObjectId(req.query.credentialId);
+        }
+
+        res.json({ success: true, ...await findVerifications(filter, getPagination(req.query)) });
+    } catch (error) {
+        console.error("Get Verifications Error:", error);
+        res.status(500).json({ success: false, message: "Failed to fetch verifications", error: error.message });
+    }
+};
+
+/**
+ * Aggregated verification counts for the organization (channel, result, agent, country, time)
+ */
+export const getOrganizationVerificationSummary = async (req, res) => {
+    try {
+        const organizationId = new mongoose.Types.ObjectId(String(req.user.organizationId || req.user.id));
+        const filter = buildVerificationFilter({ organizationId }, req.query);
+
+        res.json({ success: true, summary: await summarizeVerifications(filter) });
+    } catch (error) {
+        console.error("Get Verification Summary Error:", error);
+        res.status(500).json({ success: false, message: "Failed to summarize verifications", error: error.message });
+    }
+};
+
+/**
+ * Verification history of one of the organization's credentials
+ */
+export const getCredentialVerifications = async (req, res) => {
+    try {
+        const organizationId = req.user.organizationId || req.user.id;
+        const { credentialId } = req.params;
+
+        const credential = mongoose.Types.ObjectId.isValid(credentialId)
+            ? await Credential.findOne({ _id: credentialId, createdBy: organizationId }).select("title type blockchainHash")
+            : null;
+
+        if (!credential) {
+            return res.status(404).json({ success: false, message: "Credential not found" });
+        }
+
+        const filter = buildVerificationFilter({ credentialId: credential._id }, req.query);
+        const [history, summary] = await Promise.all([
+            findVerifications(filter, getPagination(req.query)),
+            summarizeVerifications(filter)
+        ]);
+
+        res.json({ success: true, credential, summary, ...history });
+    } catch (error) {
+        console.error("Get Credential Verifications Error:", error);
+        res.status(500).json({ success: false, message: "Failed to fetch credential verifications", error: error.message });
+    }
+};
+
+/**
+ * Verify an uploaded CSV of credentials (hash, credentialId, or email and title
+ * per row). JSON rows in the body are accepted too.
+ */
+export const verifyCredentialsInBulk = async (req, res) => {
+    try {
+        const input = req.file
+            ? parseBulkCsv(req.file.buffer.toString("utf8"))
+            : typeof req.body?.csv === "string" ? parseBulkCsv(req.body.csv) : req.body?.rows;
+
+        const method = req.file ? "bulk_csv" : "bulk_api";
+        const { summary, results } = await verifyBulkRows(req, normalizeBulkRows(input), { method });
+
+        if (wantsCsv(req)) {
+            res.header("Content-Type", "text/csv");
+            res.attachment("verification-results.csv");
+            return res.send(toBulkVerificationCsv(results));
+        }
+
+        res.json({ success: true, summary, results });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error("Bulk Verification Error:", error);
+        res.status(500).json({ success: false, message: "Failed to verify credentials", error: error.message });
+    }
+};
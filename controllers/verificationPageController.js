@@ -0,0 +1,281 @@
+import Credential from "../models/Credentials.js";
+import Admin from "../models/Admin.js";
+import ShareLink from "../models/ShareLink.js";
+import { evaluateCredential } from "../utils/credentialVerification.js";
+import { getVerificationChannel, recordVerification } from "../utils/verificationTracking.js";
+import { getRenewalLinks } from "../utils/credentialExpiry.js";
+import { getVersionLinks } from "../utils/credentialVersions.js";
+import { checkPresentation, getClaimLabel } from "../utils/selectiveDisclosure.js";
+import { openShareLink } from "../utils/shareLinks.js";
+import { getBaseUrl, getCredentialVcId } from "../utils/verifiableCredential.js";
+import { buildCredentialStatusEntries } from "../utils/statusList.js";
+import { getCredentialRegionalSettings } from "../utils/regionalSettings.js";
+import {
+    getStatusDisplay,
+    getVerificationPageUrl,
+    renderPresentationPage,
+    renderShareLinkUnavailablePage,
+    renderSharePasscodePage,
+    renderSharePreviewPage,
+    renderVerificationNotFoundPage,
+    renderVerificationPage
+} from "../utils/verificationPage.js";
+
+// Verdicts can change (revocation, suspension), so shared caches only hold the page briefly
+const PAGE_MAX_AGE_SECONDS = 300;
+
+// The page has no scripts; images may be the issuer's logo from any HTTPS host
+const PAGE_CONTENT_SECURITY_POLICY = [
+    "default-src 'none'",
+    "style-src 'unsafe-inline'",
+    "img-src 'self' data: https:",
+    "base-uri 'none'",
+    "form-action 'none'",
+    "frame-ancestors 'none'"
+].join("; ");
+
+// Only images other sites can fetch make sense as link previews
+const publicImage = (url) => (url && /^https?:\/\//.test(url) ? url : null);
+
+/**
+ * Everything the page (and its JSON twin) shows about a credential
+ */
+const buildVerificationView = (credential, organization, verification) => {
+    const payload = credential.signedPayload || {};
+    const { status } = verification;
+
+    return {
+        status,
+        valid: status === "valid",
+        title: credential.title,
+        type: credential.type,
+        hash: credential.blockchainHash,
+        recipientName: payload.subject?.name || credential.participantId?.fullName || credential.participantData?.name || null,
+        eventTitle: payload.event?.title || credential.eventId?.title || credential.participantData?.eventTitle || null,
+        issuedAt: credential.issuedAt || credential.createdAt,
+        expiresAt: verification.checks.expiresAt,
+        revokedAt: status === "revoked" ? credential.revokedAt || null : null,
+        revocationReason: status === "revoked" ? credential.revocationReason || null : null,
+        statusReason: verification.statusReason,
+        // Dates print in the locale and time zone the credential was issued with
+        regional: getCredentialRegionalSettings(credential, organization),
+        issuer: {
+            id: payload.issuer || String(credential.createdBy),
+            name: organization?.organization || null,
+            logo: organization?.logo || null,
+            website: organization?.website || null
+        },
+        pageUrl: getVerificationPageUrl(credential.blockchainHash),
+        imageUrl: publicImage(credential.exportLinks?.png) || publicImage(credential.downloadLink) || publicImage(organization?.logo),
+        links: {
+            verifiableCredential: getCredentialVcId(credential._id),
+            ledgerProof: `${getBaseUrl()}/api/ledger/credentials/${credential._id}/proof`,
+            ...getRenewalLinks(credential),
+            ...getVersionLinks(credential)
+        }
+    };
+};
+
+/**
+ * Public verification page for a credential hash. Browsers get HTML, API
+ * clients asking for application/json get the same verdict as JSON.
+ */
+export const getVerificationPage = async (req, res) => {
+    try {
+        const hash = String(req.params.hash || "").toLowerCase();
+
+        res.set("Vary", "Accept");
+
+        const credential = /^[a-f0-9]{64}$/.test(hash)
+            ? await Credential.findOne({ blockchainHash: hash })
+                .populate("eventId", "title")
+                .populate("participantId", "fullName")
+                .populate("predecessorId successorId supersedes supersededBy", "blockchainHash")
+            : null;
+
+        const channel = getVerificationChannel(req, "link");
+
+        if (!credential) {
+            await recordVerification(req, { channel, method: "verification_page", result: "not_found" });
+            return res.status(404).format({
+                html: () => {
+                    res.set("Content-Security-Policy", PAGE_CONTENT_SECURITY_POLICY);
+                    res.send(renderVerificationNotFoundPage(hash));
+                },
+                default: () => res.json({ success: false, message: "Invalid or tampered credential" })
+            });
+        }
+
+        const organizationId = credential.signedPayload?.issuer || credential.createdBy;
+        const [verification, organization] = await Promise.all([
+            evaluateCredential(credential),
+            Admin.findById(organizationId).select("organization website logo locale timezone")
+        ]);
+
+        const view = buildVerificationView(credential, organization, verification);
+
+        await recordVerification(req, { credential, channel, method: "verification_page", result: view.status });
+
+        res.set("Cache-Control", `public, max-age=${PAGE_MAX_AGE_SECONDS}`);
+        res.format({
+            html: () => {
+                res.set("Content-Security-Policy", PAGE_CONTENT_SECURITY_POLICY);
+                res.send(renderVerificationPage(view));
+            },
+            json: () => {
+                res.json({
+                    success: true,
+                    message: getStatusDisplay(view.status).summary,
+                    verification,
+                    credential: {
+                        id: credential._id,
+                        title: view.title,
+                        type: view.type,
+                        recipientName: view.recipientName,
+                        eventTitle: view.eventTitle,
+                        issuedAt: view.issuedAt,
+                        expiresAt: view.expiresAt,
+                        revokedAt: view.revokedAt,
+                        revocationReason: view.revocationReason,
+                        blockchainHash: view.hash
+                    },
+                    issuer: view.issuer,
+                    links: {
+                        ...view.links,
+                        verificationPage: view.pageUrl,
+                        credentialStatus: buildCredentialStatusEntries(credential)
+                    }
+                });
+            },
+            default: () => res.status(406).json({ success: false, message: "Supported formats: text/html, application/json" })
+        });
+    } catch (error) {
+        console.error("Verification Page Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to verify credential",
+            error: error.message
+        });
+    }
+};
+
+// Refused share link outcomes -> HTTP status
+const SHARE_LINK_REFUSALS = {
+    revoked: 410,
+    expired: 410,
+    view_limit_reached: 410,
+    locked: 410,
+    domain_not_allowed: 403,
+    passcode_required: 401,
+    passcode_incorrect: 401
+};
+
+/**
+ * Public page for a share link (GET, or POST with a passcode). Enforces the
+ * link's controls, then shows the verdict and only the fields the holder
+ * disclosed.
+ */
+export const getSharedCredentialPage = async (req, res) => {
+    try {
+        const token = String(req.params.token || "");
+
+        res.set("Vary", "Accept");
+        // Shared links are personal; keep them out of shared caches
+        res.set("Cache-Control", "private, no-store");
+
+        const link = /^[A-Za-z0-9_-]{16,64}$/.test(token)
+            ? await ShareLink.findOne({ token }).select("+passcodeHash")
+            : null;
+
+        const channel = getVerificationChannel(req, "link");
+
+        if (!link) {
+            await recordVerification(req, { channel, method: "share_link", result: "not_found" });
+            return res.status(404).format({
+                html: () => {
+                    res.set("Content-Security-Policy", PAGE_CONTENT_SECURITY_POLICY);
+                    res.send(renderVerificationNotFoundPage(token, { label: "Share link" }));
+                },
+                default: () => res.json({ success: false, message: "Shared credential not found" })
+            });
+        }
+
+        const passcode = req.body?.passcode || req.get("x-share-passcode");
+        const outcome = await openShareLink(req, link, passcode);
+
+        if (outcome === "bot_preview") {
+            res.set("Content-Security-Policy", PAGE_CONTENT_SECURITY_POLICY);
+            return res.send(renderSharePreviewPage());
+        }
+
+        if (outcome !== "granted") {
+            return res.status(SHARE_LINK_REFUSALS[outcome] || 403).format({
+                html: () => {
+                    if (outcome === "passcode_required" || outcome === "passcode_incorrect") {
+                        // The passcode form posts back to this page
+                        res.set("Content-Security-Policy", PAGE_CONTENT_SECURITY_POLICY.replace("form-action 'none'", "form-action 'self'"));
+                        return res.send(renderSharePasscodePage({ incorrect: outcome === "passcode_incorrect" }));
+                    }
+                    res.set("Content-Security-Policy", PAGE_CONTENT_SECURITY_POLICY);
+                    res.send(renderShareLinkUnavailablePage(outcome));
+                },
+                default: () => res.json({ success: false, reason: outcome, message: "Share link cannot be opened" })
+            });
+        }
+
+        const { status, presentation, current, credential } = await checkPresentation(link.presentation);
+        const organization = /^[a-f0-9]{24}$/i.test(String(presentation.issuer))
+            ? await Admin.findById(presentation.issuer).select("organization website logo locale timezone")
+            : null;
+
+        await recordVerification(req, { credential, channel, method: "share_link", result: status });
+
+        const view = {
+            status,
+            title: presentation.credential?.title || "Credential",
+            type: presentation.credential?.type,
+            issuedAt: presentation.credential?.issuedAt,
+            expiresAt: current?.checks.expiresAt || presentation.credential?.expiresAt,
+            issuer: {
+                id: presentation.issuer,
+                name: organization?.organization || null,
+                logo: organization?.logo || null,
+                website: organization?.website || null
+            },
+            regional: getCredentialRegionalSettings(credential, organization),
+            fields: Object.entries(presentation.disclosed || {}).map(([name, value]) => ({ name, label: getClaimLabel(name), value }))
+        };
+
+        res.format({
+            html: () => {
+                res.set("Content-Security-Policy", PAGE_CONTENT_SECURITY_POLICY);
+                res.send(renderPresentationPage(view));
+            },
+            json: () => {
+                res.json({
+                    success: true,
+                    message: getStatusDisplay(status).summary,
+                    status,
+                    valid: status === "valid",
+                    issuer: view.issuer,
+                    credential: {
+                        title: view.title,
+                        type: view.type,
+                        issuedAt: view.issuedAt,
+                        expiresAt: view.expiresAt
+                    },
+                    // Only what the holder chose to reveal; the raw presentation stays server-side
+                    disclosed: presentation.disclosed || {}
+                });
+            },
+            default: () => res.status(406).json({ success: false, message: "Supported formats: text/html, application/json" })
+        });
+    } catch (error) {
+        console.error("Shared Credential Page Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to verify shared credential",
+            error: error.message
+        });
+    }
+};
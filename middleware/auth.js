@@ -42,6 +42,16 @@ export const authenticateAdminOrParticipant = async (req, res, next) => {
   }
 };
 
+/* ===============================
+   1b. ADMIN OR PARTICIPANT, IF SIGNED IN
+   Public routes that show more to the issuer or holder: without a token
+   the request continues anonymously (no req.user)
+================================= */
+export const identifyAdminOrParticipant = (req, res, next) => {
+  if (!req.headers.authorization) return next();
+  return authenticateAdminOrParticipant(req, res, next);
+};
+
 /* ===============================
    2. ADMIN ONLY
 ================================= */
@@ -71,6 +81,17 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/* ===============================
+   2b. PLATFORM OPERATOR (after authenticate)
+   Platform-wide actions such as sealing the shared ledger; organization admins can't
+================================= */
+export const requirePlatformOperator = (req, res, next) => {
+  if (req.admin?.role !== "super_admin") {
+    return res.status(403).json({ msg: "Only a platform operator can do this" });
+  }
+  next();
+};
+
 /* ===============================
    3. PARTICIPANT ONLY
 ================================= */
@@ -205,6 +205,24 @@ export const processAndUploadImages = async (req, res, next) => {
     }
 };
 
+// Font files are checked by content in the font registry; this only screens names
+const fontUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB limit
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        if (/\.(ttf|otf|woff2)$/i.test(file.originalname)) {
+            return cb(null, true);
+        }
+        cb(new Error('Only font files are allowed (ttf, otf, woff2)'));
+    }
+});
+
+// Middleware to handle a single font upload for designer
+export const uploadDesignerFont = fontUpload.single('font');
+
 // Middleware to handle background image uploads
 export const uploadBackgroundImage = [
     designerUpload.single('backgroundImage'),
@@ -229,7 +247,9 @@ export const handleUploadError = (error, req, res, next) => {
             case 'LIMIT_FILE_SIZE':
                 return res.status(400).json({
                     success: false,
-                    message: 'File too large. Maximum size is 10MB.'
+                    message: req.path.startsWith('/fonts')
+                        ? 'File too large. Maximum size is 5MB.'
+                        : 'File too large. Maximum size is 10MB.'
                 });
             case 'LIMIT_FILE_COUNT':
                 return res.status(400).json({
@@ -260,6 +280,7 @@ export const handleUploadError = (error, req, res, next) => {
 export default {
     uploadDesignerImage,
     uploadDesignerImages,
+    uploadDesignerFont,
     processAndUploadImage,
     processAndUploadImages,
     uploadBackgroundImage,
@@ -2,7 +2,29 @@ import multer from "multer";
 
 const storage = multer.memoryStorage();
 
-export const upload = multer({ storage });
+// Files are held in memory; same cap as designer uploads
+export const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
 
+export const upload = multer({
+  storage,
+  limits: {
+    fileSize: MAX_UPLOAD_BYTES,
+    files: 1
+  }
+});
 
-export default upload;
\ No newline at end of file
+// Turn multer limit errors into 400s (place after upload.single(...))
+export const handleUploadError = (error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({
+      success: false,
+      message: error.code === "LIMIT_FILE_SIZE"
+        ? `File too large. Maximum size is ${MAX_UPLOAD_BYTES / 1024 / 1024}MB.`
+        : error.message
+    });
+  }
+  next(error);
+};
+
+
+export default upload;
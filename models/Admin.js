@@ -51,6 +51,17 @@ const adminSchema = new mongoose.Schema({
     default: null
   },
 
+  // Regional Settings: defaults for the dates and numbers on credentials,
+  // which events and templates may override
+  locale: {
+    type: String, // BCP 47, e.g. 'en-KE'
+    trim: true
+  },
+  timezone: {
+    type: String, // IANA, e.g. 'Africa/Nairobi'
+    trim: true
+  },
+
   // Account Verification
   isVerified: {
     type: Boolean,
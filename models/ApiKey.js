@@ -12,6 +12,11 @@ const apiKeySchema = new mongoose.Schema({
         required: true,
         unique: true
     },
+    // Leading characters of the key, to find its record without comparing every hash
+    keyPrefix: {
+        type: String,
+        required: true
+    },
     permissions: [{
         type: String,
         enum: ['read', 'write', 'delete', 'admin'],
@@ -55,6 +60,7 @@ const apiKeySchema = new mongoose.Schema({
 
 // Index for faster lookups
 apiKeySchema.index({ keyHash: 1 });
+apiKeySchema.index({ keyPrefix: 1 });
 apiKeySchema.index({ organizationId: 1 });
 apiKeySchema.index({ isActive: 1, expiresAt: 1 });
 
@@ -98,10 +104,17 @@ const webhookConfigSchema = new mongoose.Schema({
     },
     events: [{
         type: String,
+        // WEBHOOK_EVENTS in routes/webhookRoutes.js
         enum: [
             'credential.issued',
             'credential.verified',
             'credential.revoked',
+            'credential.suspended',
+            'credential.reinstated',
+            'credential.expiring',
+            'credential.expired',
+            'credential.renewed',
+            'credential.reissued',
             'event.created',
             'participant.registered'
         ]
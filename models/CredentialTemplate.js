@@ -1,6 +1,124 @@
 // models/CredentialTemplate.js
 import mongoose from "mongoose";
 
+// Design element, on the single canvas or on a page
+const designElement = {
+    id: { type: String, required: true },
+    type: {
+        type: String,
+        enum: ['text', 'image', 'qrcode', 'shape', 'line', 'table'],
+        required: true
+    },
+    // Position and size
+    x: { type: Number, default: 0 },
+    y: { type: Number, default: 0 },
+    width: Number,
+    height: Number,
+    rotation: { type: Number, default: 0 },
+    zIndex: { type: Number, default: 1 },
+    
+    // Text properties
+    content: String,
+    placeholder: String, // For dynamic content like {{participantName}}
+    fontFamily: { type: String, default: 'Arial' },
+    fontSize: { type: Number, default: 16 },
+    fontWeight: { type: String, default: 'normal' },
+    fontStyle: { type: String, default: 'normal' },
+    color: { type: String, default: '#000000' },
+    textAlign: { type: String, default: 'left' }, // left, center, right, or start/end by direction
+    textDecoration: String,
+    lineHeight: Number,
+    letterSpacing: Number,
+    // Fitting long text to the box (see TEXT_FIT_MODES in utils/credentialScene.js)
+    textFit: {
+        type: String,
+        enum: ['none', 'shrink', 'wrap', 'ellipsis'],
+        default: 'none'
+    },
+    minFontSize: Number, // shrink: smallest font size
+    maxLines: Number, // shrink, wrap, ellipsis
+    // Bidirectional text (see utils/textDirection.js)
+    direction: {
+        type: String,
+        enum: ['auto', 'ltr', 'rtl'],
+        default: 'auto'
+    },
+    script: String, // ISO 15924, e.g. 'Arab', 'Ethi'
+    lang: String, // BCP 47, e.g. 'ha-Arab'
+    // Translated variants, picked at issuance by locale
+    translations: [{
+        _id: false,
+        locale: { type: String, required: true },
+        content: String,
+        direction: { type: String, enum: ['auto', 'ltr', 'rtl'] },
+        script: String,
+        fontFamily: String,
+        fontSize: Number,
+        fontWeight: String,
+        textAlign: String
+    }],
+    
+    // Image properties
+    src: String,
+    alt: String,
+    borderRadius: Number,
+    opacity: { type: Number, default: 1 },
+    
+    // Shape properties
+    shapeType: {
+        type: String,
+        enum: ['rectangle', 'circle', 'ellipse', 'triangle', 'star']
+    },
+    fillColor: String,
+    strokeColor: String,
+    strokeWidth: Number,
+    
+    // Table properties (see utils/credentialScene.js): a row per item of a list field
+    source: String, // e.g. 'custom.modules'
+    columns: [{
+        _id: false,
+        field: String, // key of the row value, e.g. 'grade'
+        header: String,
+        width: Number,
+        align: { type: String, enum: ['start', 'end', 'left', 'center', 'right'] },
+        type: { type: String, enum: ['text', 'date', 'number'] }
+    }],
+    showHeader: Boolean,
+    rowHeight: Number,
+    maxRows: Number,
+    headerColor: String,
+    headerBackground: String,
+    headerFontWeight: String,
+    stripeColor: String,
+    borderColor: String,
+    
+    // QR Code properties
+    qrCodeUrl: String,
+    verificationUrl: String,
+    
+    // Animation properties
+    animation: {
+        type: String,
+        duration: Number,
+        delay: Number,
+        repeat: Boolean
+    },
+    
+    // Conditional display (see utils/displayConditions.js)
+    conditions: {
+        showOnType: [String], // ['certificate', 'badge']
+        showForEvents: [String], // Event IDs
+        showForRoles: [String], // ['speaker']
+        rules: [{
+            _id: false,
+            field: String, // merge field path, e.g. 'custom.grade'
+            operator: { type: String, default: '==' },
+            value: mongoose.Schema.Types.Mixed
+        }],
+        match: { type: String, enum: ['all', 'any'], default: 'all' }
+    }
+};
+
 const credentialTemplateSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -17,6 +135,9 @@ const credentialTemplateSchema = new mongoose.Schema({
         trim: true
     },
     designData: {
+        // Language of the elements' own text; translations add others (see utils/designTranslations.js)
+        defaultLocale: String,
+
         // Canvas settings
         canvas: {
             width: { type: Number, default: 800 },
@@ -44,67 +165,31 @@ const credentialTemplateSchema = new mongoose.Schema({
             imageSize: { type: String, default: 'cover' }
         },
 
-        // Design elements array
-        elements: [{
-            id: { type: String, required: true },
-            type: {
-                type: String,
-                enum: ['text', 'image', 'qrcode', 'shape', 'line'],
-                required: true
-            },
-            // Position and size
-            x: { type: Number, default: 0 },
-            y: { type: Number, default: 0 },
-            width: Number,
-            height: Number,
-            rotation: { type: Number, default: 0 },
-            zIndex: { type: Number, default: 1 },
-            
-            // Text properties
-            content: String,
-            placeholder: String, // For dynamic content like {{participantName}}
-            fontFamily: { type: String, default: 'Arial' },
-            fontSize: { type: Number, default: 16 },
-            fontWeight: { type: String, default: 'normal' },
-            fontStyle: { type: String, default: 'normal' },
-            color: { type: String, default: '#000000' },
-            textAlign: { type: String, default: 'left' },
-            textDecoration: String,
-            lineHeight: Number,
-            letterSpacing: Number,
-            
-            // Image properties
-            src: String,
-            alt: String,
-            borderRadius: Number,
-            opacity: { type: Number, default: 1 },
-            
-            // Shape properties
-            shapeType: {
-                type: String,
-                enum: ['rectangle', 'circle', 'ellipse', 'triangle', 'star']
+        // Design elements array (single-page designs)
+        elements: [designElement],
+
+        // Ordered pages of a multi-page design, each with its own elements;
+        // canvas and background default to the design's (see utils/designPages.js)
+        pages: [{
+            _id: false,
+            id: String,
+            name: String,
+            canvas: {
+                width: Number,
+                height: Number,
+                backgroundColor: String
             },
-            fillColor: String,
-            strokeColor: String,
-            strokeWidth: Number,
-            
-            // QR Code properties
-            qrCodeUrl: String,
-            verificationUrl: String,
-            
-            // Animation properties
-            animation: {
-                type: String,
-                duration: Number,
-                delay: Number,
-                repeat: Boolean
+            background: {
+                type: { type: String, enum: ['solid', 'gradient', 'image'] },
+                color: String,
+                primaryColor: String,
+                secondaryColor: String,
+                gradientDirection: String,
+                imageUrl: String,
+                imagePosition: String,
+                imageSize: String
             },
-            
-            // Conditional display
-            conditions: {
-                showOnType: [String], // ['certificate', 'badge']
-                showForEvents: [String] // Event IDs
-            }
+            elements: [designElement]
         }],
 
         // Content configuration
@@ -113,11 +198,15 @@ const credentialTemplateSchema = new mongoose.Schema({
             participantNameLabel: { type: String, default: 'This is to certify that' },
             eventDescriptionTemplate: String,
             skillsTemplate: String,
-            dateFormat: { type: String, default: 'MMMM DD, YYYY' },
+            // Moment-style pattern, e.g. 'D MMMM YYYY'; the locale's long date when unset
+            dateFormat: String,
+            // Locale and time zone for dates and numbers, overriding the event's and organization's
+            locale: String,
+            timezone: String,
             customFields: [{
                 name: String,
                 label: String,
-                type: { type: String, enum: ['text', 'date', 'number'] },
+                type: { type: String, enum: ['text', 'date', 'number', 'list'] }, // list: rows for table elements
                 required: Boolean,
                 placeholder: String
             }]
@@ -170,7 +259,36 @@ const credentialTemplateSchema = new mongoose.Schema({
         default: 'custom'
     },
     tags: [String],
+
+    // Open Badges metadata (used when type is 'badge')
+    badge: {
+        achievementType: { type: String, default: 'Badge' },
+        criteria: {
+            narrative: String,
+            url: String
+        },
+        image: String,
+        skills: [{
+            name: String,
+            description: String,
+            framework: String,
+            targetCode: String,
+            url: String
+        }]
+    },
     
+    // Default validity of credentials issued from this template (recertification)
+    validity: {
+        period: { type: Number, min: 1 },
+        unit: {
+            type: String,
+            enum: ['days', 'months', 'years'],
+            default: 'years'
+        },
+        reminderDays: { type: [Number], default: undefined }, // defaults to 30 and 7 days before expiry
+        autoRenew: { type: Boolean, default: false }
+    },
+
     // Usage statistics
     usageCount: {
         type: Number,
@@ -1,6 +1,19 @@
 // models/Credentials.js
 import mongoose from 'mongoose';
 
+// Reason codes required when changing a credential's status (labels in utils/credentialLifecycle.js)
+export const REVOCATION_REASON_CODES = ['issued_in_error', 'data_error', 'requirements_not_met', 'misconduct', 'fraud', 'superseded', 'withdrawn', 'other'];
+export const SUSPENSION_REASON_CODES = ['under_investigation', 'pending_verification', 'payment_issue', 'disciplinary', 'other'];
+export const REINSTATEMENT_REASON_CODES = ['investigation_cleared', 'issue_resolved', 'suspended_in_error', 'other'];
+
+// One image of a multi-page credential
+const pageLinkSchema = {
+  _id: false,
+  page: Number,
+  name: String,
+  exportUrl: String
+};
+
 const credentialSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -26,15 +39,23 @@ const credentialSchema = new mongoose.Schema({
     enum: ['certificate', 'badge', 'diploma', 'award'],
     default: 'certificate'
   },
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CredentialTemplate'
+  },
   status: {
     type: String,
-    enum: ['draft', 'generating', 'issued', 'revoked', 'failed'], // Added 'generating' and 'failed'
+    enum: ['draft', 'generating', 'issued', 'suspended', 'revoked', 'expired', 'superseded', 'failed'], // Added 'generating' and 'failed'
     default: 'draft'
   },
   designData: {
     type: mongoose.Schema.Types.Mixed,
     required: true
   },
+  // Language the design was issued in (designData is stored localized)
+  locale: {
+    type: String
+  },
   participantData: {
     type: mongoose.Schema.Types.Mixed,
     required: true
@@ -57,25 +78,140 @@ const credentialSchema = new mongoose.Schema({
   },
   exportLinks: {
     png: String,
+    jpeg: String,
     pdf: String,
-    json: String
-  },
+    svg: String,
+    json: String,
+    // Multi-page designs: an image per page and a ZIP of them, by image format,
+    // rendered once from the stored credential data
+    pages: {
+      png: [pageLinkSchema],
+      jpeg: [pageLinkSchema]
+    },
+    pageZips: {
+      png: String,
+      jpeg: String
+    }
+  },
+  // When Open Badges data was last baked into the badge image
+  bakedAt: Date,
+  // sha256 of files rendered from the stored credential data (verify-by-file)
+  fileFingerprints: [{
+    format: { type: String, enum: ['png', 'jpeg', 'pdf'] },
+    sha256: String,
+    createdAt: Date
+  }],
+  // True while the credential has at least one usable share link (see models/ShareLink.js)
   isShared: {
     type: Boolean,
     default: false
   },
-  shareSettings: {
-    isPublic: {
-      type: Boolean,
-      default: false
-    },
-    shareableLink: String,
-    expiresAt: Date
-  },
   blockchainHash: {
     type: String,
     unique: true,
     sparse: true // allows multiple nulls temporarily until generated
+  },
+  qrCode: {
+    type: String
+  },
+  // Issuer-signed SD-JWT over the recipient fields, with every disclosure
+  // (salts included). Only presentations built from it leave the server.
+  sdJwt: {
+    type: {
+      jwt: String,
+      jti: String, // opaque; presentations name the credential by it
+      disclosures: [String],
+      claimsDigest: String,
+      issuedAt: Date
+    },
+    select: false
+  },
+  // Signed offline-verifiable QR content (see utils/compactCredential.js); when
+  // set, the QR on the credential encodes this instead of the verification URL
+  compactQrPayload: {
+    type: String
+  },
+  issuedAt: {
+    type: Date
+  },
+  // Canonical payload signed by the issuing organization (blockchainHash = sha256 of it)
+  signedPayload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  signature: {
+    kid: String,
+    algorithm: { type: String, enum: ['Ed25519'] },
+    value: String, // base64url
+    signedAt: Date
+  },
+  revokedAt: Date,
+  // Note shown to verifiers alongside the reason code
+  revocationReason: String,
+  revocationReasonCode: {
+    type: String,
+    enum: REVOCATION_REASON_CODES
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  // Set while suspended; reinstating clears them
+  suspendedAt: Date,
+  suspensionReason: String,
+  suspensionReasonCode: {
+    type: String,
+    enum: SUSPENSION_REASON_CODES
+  },
+  suspendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  reinstatedAt: Date,
+  reinstatementReason: String,
+  reinstatementReasonCode: {
+    type: String,
+    enum: REINSTATEMENT_REASON_CODES
+  },
+  // Expiry (also in signedPayload) and the reminder stages (days before) already sent
+  expiresAt: Date,
+  expiryRemindersSent: [Number],
+  // Renewal chain: a renewed credential links to the successor issued for it
+  predecessorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Credential'
+  },
+  successorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Credential'
+  },
+  renewedAt: Date,
+  // Version chain: an amended credential is reissued as a new version that supersedes this one
+  version: {
+    type: Number,
+    default: 1
+  },
+  supersedes: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Credential'
+  },
+  supersededBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Credential'
+  },
+  supersededAt: Date,
+  // Why this version was issued and what changed from the one it supersedes
+  amendment: {
+    reason: String,
+    changedFields: [String],
+    amendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    }
+  },
+  // Position in the issuer's Bitstring Status List (see utils/statusList.js)
+  statusListEntry: {
+    listNumber: Number,
+    index: Number
   }
 }, {
   timestamps: true
@@ -85,10 +221,24 @@ const credentialSchema = new mongoose.Schema({
 credentialSchema.index({ participantId: 1, eventId: 1 });
 credentialSchema.index({ createdBy: 1 });
 credentialSchema.index({ status: 1 });
-credentialSchema.pre('save', function (next) {
-  if (!this.blockchainHash) {
-    const hashData = `${this.participantId}-${this.eventId}-${Date.now()}-${Math.random()}`;
-    this.blockchainHash = crypto.createHash('sha256').update(hashData).digest('hex');
+credentialSchema.index({ status: 1, expiresAt: 1 });
+credentialSchema.index({ 'fileFingerprints.sha256': 1 });
+credentialSchema.index({ 'sdJwt.jti': 1 }, { sparse: true });
+// blockchainHash is the hash of the issuer-signed payload (utils/credentialSigning.js);
+// a credential is never issued with a hash that nothing signed. Credentials issued
+// before signing existed keep saving: only the move into 'issued' from a status
+// before issuance is checked, not a reinstatement or any other change.
+const PRE_ISSUANCE_STATUSES = ['draft', 'generating', 'failed'];
+
+credentialSchema.post('init', function () {
+  this.$locals.loadedStatus = this.status;
+});
+
+credentialSchema.pre('validate', function (next) {
+  const issuing = this.status === 'issued' && (this.isNew
+    || (this.isModified('status') && PRE_ISSUANCE_STATUSES.includes(this.$locals.loadedStatus)));
+  if (issuing && !(this.blockchainHash && this.signedPayload && this.signature?.value)) {
+    return next(new Error('An issued credential needs a signed payload and its blockchainHash'));
   }
   next();
 });
@@ -10,6 +10,10 @@ const eventSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   location: { type: String },
+  // Language credentials are issued in unless the participant has one (BCP 47, e.g. "ar")
+  locale: { type: String, trim: true },
+  // Time zone credential dates are printed in (IANA, e.g. "Africa/Nairobi"); defaults to the organization's
+  timezone: { type: String, trim: true },
 
   // New fields for your credential management interface
   eventCode: {
@@ -0,0 +1,64 @@
+// models/FontAsset.js
+import mongoose from "mongoose";
+
+// A font file an organization uploaded for its credential designs
+const fontAssetSchema = new mongoose.Schema({
+  // Issuing organization (the admin account that owns the designs)
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    required: true
+  },
+  // Family name designs refer to in fontFamily
+  family: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  weight: {
+    type: Number,
+    min: 100,
+    max: 900,
+    default: 400
+  },
+  style: {
+    type: String,
+    enum: ["normal", "italic"],
+    default: "normal"
+  },
+  format: {
+    type: String,
+    enum: ["ttf", "otf", "woff2"],
+    required: true
+  },
+  fileName: String,
+  size: Number,
+  // SHA-256 of the file; also names the face inside renderers
+  sha256: {
+    type: String,
+    required: true
+  },
+  // The font file itself, loaded only by the font registry
+  data: {
+    type: Buffer,
+    required: true,
+    select: false
+  },
+  // What the uploader says about the right to embed the font
+  license: {
+    name: { type: String, trim: true, maxlength: 200 },
+    url: { type: String, trim: true, maxlength: 500 },
+    notes: { type: String, trim: true, maxlength: 2000 }
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin"
+  }
+}, {
+  timestamps: true
+});
+
+fontAssetSchema.index({ organizationId: 1, family: 1, weight: 1, style: 1 }, { unique: true });
+
+export default mongoose.model("FontAsset", fontAssetSchema);
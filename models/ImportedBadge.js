@@ -0,0 +1,62 @@
+// models/ImportedBadge.js
+import mongoose from "mongoose";
+
+// Open Badges earned on other platforms and imported into a participant's wallet
+const importedBadgeSchema = new mongoose.Schema({
+  participantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Participant",
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ["ob2", "ob3"],
+    required: true
+  },
+  // Assertion / credential ID on the originating platform
+  sourceId: String,
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  image: String,
+  criteria: String,
+  issuer: {
+    id: String,
+    name: String,
+    url: String
+  },
+  issuedOn: Date,
+  expiresAt: Date,
+
+  verification: {
+    status: {
+      type: String,
+      enum: ["verified", "unverified", "failed"],
+      default: "unverified"
+    },
+    method: String, // 'hosted', 'proof', 'none'
+    errors: [String],
+    checkedAt: Date
+  },
+  // Whether the badge recipient identity matches the participant's email
+  recipientMatch: {
+    type: Boolean,
+    default: false
+  },
+
+  raw: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+importedBadgeSchema.index(
+  { participantId: 1, sourceId: 1 },
+  { unique: true, partialFilterExpression: { sourceId: { $type: "string" } } }
+);
+
+export default mongoose.model("ImportedBadge", importedBadgeSchema);
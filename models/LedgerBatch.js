@@ -0,0 +1,58 @@
+// models/LedgerBatch.js
+import mongoose from "mongoose";
+
+// A Merkle root over a contiguous range of ledger entries
+const ledgerBatchSchema = new mongoose.Schema({
+  batchNumber: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  fromSequence: {
+    type: Number,
+    required: true
+  },
+  toSequence: {
+    type: Number,
+    required: true
+  },
+  leafCount: {
+    type: Number,
+    required: true
+  },
+  merkleRoot: {
+    type: String,
+    required: true
+  },
+  // entryHash of the last entry in the batch (the chain head at sealing time)
+  headHash: {
+    type: String,
+    required: true
+  },
+  // merkleRoot of the previous batch, chaining the published roots together
+  previousRoot: {
+    type: String,
+    required: true
+  },
+
+  // Where the root has been published
+  anchors: [{
+    type: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["anchored", "pending", "failed"],
+      default: "pending"
+    },
+    reference: String,
+    error: String,
+    anchoredAt: Date
+  }],
+  sealedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model("LedgerBatch", ledgerBatchSchema);
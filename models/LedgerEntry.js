@@ -0,0 +1,73 @@
+// models/LedgerEntry.js
+import mongoose from "mongoose";
+
+// Append-only, hash-chained record of credential lifecycle events
+const ledgerEntrySchema = new mongoose.Schema({
+  // Position in the global chain, starting at 1
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  action: {
+    type: String,
+    enum: ["issue", "revoke", "reissue", "suspend", "reinstate", "expire"],
+    required: true
+  },
+  credentialId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Credential",
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin"
+  },
+  // Hash of the credential's signed payload at the time of the event
+  payloadHash: {
+    type: String,
+    required: true
+  },
+  // Small, action-specific details (reason codes, related credential ids)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  previousHash: {
+    type: String,
+    required: true
+  },
+  // sha256 over the canonical entry fields, including previousHash
+  entryHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Set once the entry has been rolled into a Merkle batch
+  batchNumber: Number,
+  leafIndex: Number
+}, {
+  timestamps: true
+});
+
+ledgerEntrySchema.index({ credentialId: 1, sequence: 1 });
+ledgerEntrySchema.index({ batchNumber: 1, leafIndex: 1 });
+
+// Entries are never modified after creation, only batched
+ledgerEntrySchema.pre(["updateOne", "updateMany", "findOneAndUpdate"], function (next) {
+  const update = this.getUpdate() || {};
+  const fields = Object.keys({ ...update, ...(update.$set || {}) }).filter(key => !key.startsWith("$"));
+  const allowed = ["batchNumber", "leafIndex", "updatedAt"];
+
+  if (fields.some(field => !allowed.includes(field))) {
+    return next(new Error("Ledger entries are append-only"));
+  }
+  next();
+});
+
+export default mongoose.model("LedgerEntry", ledgerEntrySchema);
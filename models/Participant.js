@@ -10,6 +10,7 @@ const participantSchema = new mongoose.Schema({
   phone: { type: String },
   bio: { type: String },
   profilePicture: { type: String }, // Base64 string or URL
+  locale: { type: String, trim: true }, // Preferred language for credentials (BCP 47, e.g. "ha-Arab")
 
   // Account status & reconciliation
   status: { type: String, enum: ["active", "inactive"], default: "active" },
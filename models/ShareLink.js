@@ -0,0 +1,71 @@
+// models/ShareLink.js
+import mongoose from "mongoose";
+
+// A named, controllable link to a credential, created by its holder or issuer
+const shareLinkSchema = new mongoose.Schema({
+  // Unguessable id used in the public link (/verify/shared/:token)
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  credentialId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Credential",
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  createdByType: {
+    type: String,
+    enum: ["participant", "admin"],
+    required: true
+  },
+  // Participant or admin id, depending on createdByType
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  // SD-JWT presentation revealing only disclosedFields
+  disclosedFields: [String],
+  presentation: {
+    type: String,
+    required: true
+  },
+  sharedWith: String,
+  message: String,
+
+  // Access controls; unset means unrestricted
+  expiresAt: Date,
+  passcodeHash: {
+    type: String,
+    select: false
+  },
+  maxViews: {
+    type: Number,
+    min: 1
+  },
+  // Hostnames the link may be opened from (Origin / Referer), subdomains included
+  allowedDomains: [String],
+
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  failedPasscodeAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+shareLinkSchema.index({ credentialId: 1, createdAt: -1 });
+
+export default mongoose.model("ShareLink", shareLinkSchema);
@@ -0,0 +1,52 @@
+// models/ShareLinkAccess.js
+import mongoose from "mongoose";
+
+export const SHARE_LINK_ACCESS_OUTCOMES = [
+  "granted",
+  "revoked",
+  "expired",
+  "view_limit_reached",
+  "domain_not_allowed",
+  "passcode_required",
+  "passcode_incorrect",
+  "locked",
+  // Link-preview bots get a page without details and do not use up a view
+  "bot_preview"
+];
+
+// One attempt to open a share link, allowed or not
+const shareLinkAccessSchema = new mongoose.Schema({
+  shareLinkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ShareLink",
+    required: true
+  },
+  credentialId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Credential",
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: SHARE_LINK_ACCESS_OUTCOMES,
+    required: true
+  },
+  // Host of the Origin / Referer header, when sent
+  domain: {
+    type: String,
+    default: null
+  },
+  userAgentClass: String,
+  country: {
+    type: String,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+shareLinkAccessSchema.index({ shareLinkId: 1, timestamp: -1 });
+
+export default mongoose.model("ShareLinkAccess", shareLinkAccessSchema);
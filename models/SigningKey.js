@@ -0,0 +1,58 @@
+// models/SigningKey.js
+import mongoose from "mongoose";
+
+const signingKeySchema = new mongoose.Schema({
+  // Issuing organization (the admin account that issues credentials)
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    required: true
+  },
+  // Public key identifier, embedded in every signature made with this key
+  kid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  algorithm: {
+    type: String,
+    enum: ["Ed25519"],
+    default: "Ed25519"
+  },
+  publicKeyPem: {
+    type: String,
+    required: true
+  },
+  // Private key, AES-256-GCM encrypted at rest (never returned by the API)
+  encryptedPrivateKey: {
+    iv: { type: String, required: true },
+    tag: { type: String, required: true },
+    data: { type: String, required: true }
+  },
+
+  // active  -> used for new signatures
+  // retired -> rotated out, existing signatures remain valid
+  // revoked -> compromised, signatures made with it are rejected
+  status: {
+    type: String,
+    enum: ["active", "retired", "revoked"],
+    default: "active"
+  },
+  retiredAt: Date,
+  revokedAt: Date,
+  revocationReason: String
+}, {
+  timestamps: true
+});
+
+signingKeySchema.index({ organizationId: 1, status: 1 });
+
+// Strip the private key material whenever the document is serialized
+signingKeySchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.encryptedPrivateKey;
+    return ret;
+  }
+});
+
+export default mongoose.model("SigningKey", signingKeySchema);
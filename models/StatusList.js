@@ -0,0 +1,46 @@
+// models/StatusList.js
+import mongoose from "mongoose";
+
+// One Bitstring Status List slot range per organization; each issued
+// credential owns one index, shared by the revocation and suspension lists
+const statusListSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    required: true
+  },
+  listNumber: {
+    type: Number,
+    required: true
+  },
+  // Number of bits; 131072 (16KB) is the spec minimum for herd privacy
+  size: {
+    type: Number,
+    default: 131072
+  },
+  // Number of indexes handed out so far
+  nextIndex: {
+    type: Number,
+    default: 0
+  },
+  // Key of the random order indexes are handed out in (utils/statusList.js);
+  // lists without one hand them out in order
+  seed: {
+    type: String
+  },
+  // Indexes whose bit is set, kept as sets so updates are atomic
+  revokedIndexes: {
+    type: [Number],
+    default: []
+  },
+  suspendedIndexes: {
+    type: [Number],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+statusListSchema.index({ organizationId: 1, listNumber: 1 }, { unique: true });
+
+export default mongoose.model("StatusList", statusListSchema);
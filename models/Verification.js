@@ -0,0 +1,59 @@
+// models/Verification.js
+import mongoose from "mongoose";
+
+export const VERIFICATION_CHANNELS = ["qr", "link", "api", "file"];
+export const VERIFICATION_RESULTS = ["valid", "invalid", "revoked", "suspended", "expired", "superseded", "inactive", "altered", "inconclusive", "not_found"];
+export const USER_AGENT_CLASSES = ["browser", "mobile", "bot", "api_client", "unknown"];
+
+// One verification of a credential, from any channel
+const verificationSchema = new mongoose.Schema({
+  // Null when the presented hash / file matched no credential
+  credentialId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Credential",
+    default: null
+  },
+  // Issuing organization, so issuers can see who verifies their credentials
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    default: null
+  },
+  channel: {
+    type: String,
+    enum: VERIFICATION_CHANNELS,
+    required: true
+  },
+  // Endpoint-level detail, e.g. "verification_page", "vc_json", "baked_badge"
+  method: String,
+  // Organization that verified (API key or signed-in admin); null = anonymous
+  verifierOrganizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    default: null
+  },
+  userAgentClass: {
+    type: String,
+    enum: USER_AGENT_CLASSES,
+    default: "unknown"
+  },
+  // ISO 3166-1 alpha-2, from the CDN / proxy geolocation header when present
+  country: {
+    type: String,
+    default: null
+  },
+  result: {
+    type: String,
+    enum: VERIFICATION_RESULTS,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+verificationSchema.index({ credentialId: 1, timestamp: -1 });
+verificationSchema.index({ organizationId: 1, timestamp: -1 });
+
+export default mongoose.model("Verification", verificationSchema);
@@ -15,6 +15,7 @@ import {
   updatePassword,
   updateSecuritySettings,
   updateNotificationSettings,
+  updateRegionalSettings,
   updateSettings,
   deleteAccount
 } from "../controllers/adminController.js";
@@ -219,6 +220,8 @@ router.get("/settings/current-admin-id", authenticate, (req, res) => {
  *                       type: object
  *                     notifications:
  *                       type: object
+ *                     regional:
+ *                       type: object
  *                     account:
  *                       type: object
  *       404:
@@ -388,6 +391,44 @@ router.put("/settings/:adminId/security", authenticate, updateSecuritySettings);
  */
 router.put("/settings/:adminId/notifications", authenticate, updateNotificationSettings);
 
+/**
+ * @swagger
+ * /api/admin/settings/{adminId}/regional:
+ *   put:
+ *     summary: Update the locale and time zone of credential dates and numbers
+ *     description: Organization defaults; events and templates may set their own. An empty value clears a setting.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: adminId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               locale:
+ *                 type: string
+ *                 example: en-KE
+ *               timezone:
+ *                 type: string
+ *                 example: Africa/Nairobi
+ *     responses:
+ *       200:
+ *         description: Regional settings updated successfully
+ *       400:
+ *         description: Invalid locale or time zone
+ *       404:
+ *         description: Admin not found
+ */
+router.put("/settings/:adminId/regional", authenticate, updateRegionalSettings);
+
 /**
  * @swagger
  * /api/admin/settings/{adminId}:
@@ -446,6 +487,13 @@ router.put("/settings/:adminId/notifications", authenticate, updateNotificationS
  *                     type: boolean
  *                   securityAlerts:
  *                     type: boolean
+ *               regional:
+ *                 type: object
+ *                 properties:
+ *                   locale:
+ *                     type: string
+ *                   timezone:
+ *                     type: string
  *     responses:
  *       200:
  *         description: Settings updated successfully
@@ -4,9 +4,15 @@ import crypto from "crypto";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
 import rateLimit from "express-rate-limit";
+import mongoose from "mongoose";
+import ApiKey from "../models/ApiKey.js";
+import Admin from "../models/Admin.js";
 
 const router = express.Router();
 
+// sk_ plus 8 hex characters: stored in clear to find a key's record
+const API_KEY_PREFIX_LENGTH = 11;
+
 // Rate limiting for API key operations
 const apiKeyLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -30,6 +36,11 @@ const verifyAdminAccess = async (req, res, next) => {
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         req.user = decoded;
+
+        // Admin tokens carry only the admin id, which is also its organization id
+        if (!req.user.organizationId && await Admin.exists({ _id: decoded.id })) {
+            req.user.organizationId = decoded.id;
+        }
         
         // Verify admin or organization owner
         if (!req.user.isAdmin && !req.user.organizationId) {
@@ -100,10 +111,10 @@ router.post('/generate', apiKeyLimiter, verifyAdminAccess, async (req, res) => {
             expirationDate.setMonth(expirationDate.getMonth() + parseInt(expiresIn));
         }
         
-        // Store in database (you'll need to create an ApiKey model)
         const apiKeyRecord = {
             name,
             keyHash: hashedKey,
+            keyPrefix: apiKey.slice(0, API_KEY_PREFIX_LENGTH),
             permissions,
             organizationId: req.user.organizationId,
             userId: req.user.id,
@@ -114,8 +125,7 @@ router.post('/generate', apiKeyLimiter, verifyAdminAccess, async (req, res) => {
             usageCount: 0
         };
         
-        // Save to database (implement based on your database schema)
-        // const savedKey = await ApiKey.create(apiKeyRecord);
+        const savedKey = await ApiKey.create(apiKeyRecord);
         
         res.status(201).json({
             success: true,
@@ -125,7 +135,7 @@ router.post('/generate', apiKeyLimiter, verifyAdminAccess, async (req, res) => {
                 name,
                 permissions,
                 expiresAt: expirationDate,
-                keyId: 'generated_key_id' // Replace with actual ID from database
+                keyId: savedKey._id
             }
         });
         
@@ -153,19 +163,19 @@ router.post('/generate', apiKeyLimiter, verifyAdminAccess, async (req, res) => {
  */
 router.get('/', verifyAdminAccess, async (req, res) => {
     try {
-        // Fetch API keys from database (implement based on your schema)
-        const apiKeys = [
-            {
-                id: 'key_1',
-                name: 'Production API Key',
-                permissions: ['read', 'write'],
-                isActive: true,
-                expiresAt: new Date('2025-12-31'),
-                createdAt: new Date('2024-01-01'),
-                lastUsed: new Date(),
-                usageCount: 1250
-            }
-        ];
+        const keys = await ApiKey.find({ organizationId: req.user.organizationId })
+            .sort({ createdAt: -1 })
+            .select('-keyHash');
+        const apiKeys = keys.map(key => ({
+            id: key._id,
+            name: key.name,
+            permissions: key.permissions,
+            isActive: key.isActive,
+            expiresAt: key.expiresAt,
+            createdAt: key.createdAt,
+            lastUsed: key.lastUsed,
+            usageCount: key.usageCount
+        }));
         
         res.json({
             success: true,
@@ -204,8 +214,19 @@ router.post('/:keyId/revoke', verifyAdminAccess, async (req, res) => {
     try {
         const { keyId } = req.params;
         
-        // Update API key in database to set isActive: false
-        // const updatedKey = await ApiKey.findByIdAndUpdate(keyId, { isActive: false });
+        const updatedKey = mongoose.Types.ObjectId.isValid(keyId)
+            ? await ApiKey.findOneAndUpdate(
+                { _id: keyId, organizationId: req.user.organizationId },
+                { isActive: false }
+            )
+            : null;
+
+        if (!updatedKey) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
         
         res.json({
             success: true,
@@ -242,13 +263,20 @@ export const verifyApiKey = async (req, res, next) => {
         }
         
         // Verify API key against database
-        // const apiKeyRecord = await ApiKey.findOne({ where: { isActive: true } });
-        // const isValid = await bcrypt.compare(apiKey, apiKeyRecord.keyHash);
-        
-        // For now, we'll simulate validation
-        const isValid = true; // Replace with actual validation
+        const candidates = await ApiKey.find({
+            keyPrefix: apiKey.slice(0, API_KEY_PREFIX_LENGTH),
+            isActive: true,
+            expiresAt: { $gt: new Date() }
+        });
+        let apiKeyRecord = null;
+        for (const candidate of candidates) {
+            if (await bcrypt.compare(apiKey, candidate.keyHash)) {
+                apiKeyRecord = candidate;
+                break;
+            }
+        }
         
-        if (!isValid) {
+        if (!apiKeyRecord) {
             return res.status(401).json({
                 success: false,
                 message: 'Invalid API key'
@@ -256,15 +284,15 @@ export const verifyApiKey = async (req, res, next) => {
         }
         
         // Update last used timestamp and usage count
-        // await ApiKey.findByIdAndUpdate(apiKeyRecord.id, {
-        //     lastUsed: new Date(),
-        //     $inc: { usageCount: 1 }
-        // });
+        await ApiKey.findByIdAndUpdate(apiKeyRecord._id, {
+            lastUsed: new Date(),
+            $inc: { usageCount: 1 }
+        });
         
         req.apiKey = {
-            id: 'key_id',
-            permissions: ['read', 'write'],
-            organizationId: 'org_id'
+            id: String(apiKeyRecord._id),
+            permissions: apiKeyRecord.permissions,
+            organizationId: String(apiKeyRecord.organizationId)
         };
         
         next();
@@ -278,4 +306,19 @@ export const verifyApiKey = async (req, res, next) => {
     }
 };
 
+/**
+ * Middleware allowing the request only when the API key has the permission;
+ * keys with 'admin' have every permission. Runs after verifyApiKey.
+ */
+export const requireApiKeyPermission = (permission) => (req, res, next) => {
+    const permissions = req.apiKey?.permissions || [];
+    if (!permissions.includes(permission) && !permissions.includes('admin')) {
+        return res.status(403).json({
+            success: false,
+            message: `This API key does not have the '${permission}' permission`
+        });
+    }
+    next();
+};
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,133 @@
+// routes/badgeRoutes.js
+import express from "express";
+import {
+    getIssuer,
+    getBadgeClass,
+    getAssertion,
+    getCredentialBadgeClass,
+    getAchievement,
+    getOpenBadgeCredential,
+    unbakeBadge,
+    importBadge,
+    getWallet,
+    deleteImportedBadge
+} from "../controllers/openBadgesController.js";
+import { authenticateUser } from "../middleware/auth.js";
+import { upload, handleUploadError } from "../middleware/upload.js";
+
+const router = express.Router();
+
+// ==================== PARTICIPANT WALLET ====================
+/**
+ * @swagger
+ * /api/badges/wallet:
+ *   get:
+ *     summary: Participant badge wallet (Sifapass badges and imported Open Badges)
+ *     tags: [Open Badges]
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/wallet", authenticateUser, getWallet);
+
+/**
+ * @swagger
+ * /api/badges/import:
+ *   post:
+ *     summary: Import an Open Badges 2.0 Assertion or 3.0 OpenBadgeCredential into the wallet
+ *     tags: [Open Badges]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: The badge JSON (or { badge })
+ */
+router.post("/import", authenticateUser, importBadge);
+router.delete("/wallet/imported/:badgeId", authenticateUser, deleteImportedBadge);
+
+// ==================== BAKED BADGES ====================
+/**
+ * @swagger
+ * /api/badges/unbake:
+ *   post:
+ *     summary: Extract and verify the assertion baked into a PNG or SVG badge image
+ *     description: Images up to 10MB. Hosted assertions from other issuers are not fetched, so their badges are reported unverified.
+ *     tags: [Open Badges]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Verification result for the baked assertion
+ *       400:
+ *         description: No image, an unreadable image, or a file over 10MB
+ *       422:
+ *         description: Image contains no baked assertion
+ */
+router.post("/unbake", upload.single("image"), handleUploadError, unbakeBadge);
+
+// ==================== OPEN BADGES 3.0 ====================
+/**
+ * @swagger
+ * /api/badges/achievements/{templateId}:
+ *   get:
+ *     summary: Open Badges 3.0 Achievement derived from a badge template
+ *     tags: [Open Badges]
+ *     security: []
+ */
+router.get("/achievements/:templateId", getAchievement);
+
+/**
+ * @swagger
+ * /api/badges/credentials/{credentialId}:
+ *   get:
+ *     summary: Signed Open Badges 3.0 OpenBadgeCredential for an issued badge
+ *     tags: [Open Badges]
+ *     security: []
+ */
+router.get("/credentials/:credentialId", getOpenBadgeCredential);
+
+// ==================== OPEN BADGES 2.0 (HOSTED) ====================
+/**
+ * @swagger
+ * /api/badges/issuers/{organizationId}:
+ *   get:
+ *     summary: Open Badges 2.0 Issuer profile
+ *     tags: [Open Badges]
+ *     security: []
+ */
+router.get("/issuers/:organizationId", getIssuer);
+
+/**
+ * @swagger
+ * /api/badges/badgeclasses/{templateId}:
+ *   get:
+ *     summary: Open Badges 2.0 BadgeClass derived from a badge template
+ *     tags: [Open Badges]
+ *     security: []
+ */
+router.get("/badgeclasses/:templateId", getBadgeClass);
+
+/**
+ * @swagger
+ * /api/badges/assertions/{credentialId}:
+ *   get:
+ *     summary: Open Badges 2.0 hosted Assertion (410 when revoked)
+ *     tags: [Open Badges]
+ *     security: []
+ */
+router.get("/assertions/:credentialId", getAssertion);
+router.get("/assertions/:credentialId/badgeclass", getCredentialBadgeClass);
+
+export default router;
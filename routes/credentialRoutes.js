@@ -2,11 +2,11 @@ import express from "express";
 import {
     createCredential,
     editCredential,
-    shareCredential,
     importCredential,
     getDefaultTemplate,
     customizeCredential,
     verifyCredential,
+    verifyCredentialFile,
     reconcileCertificates,
     getCredentialStats,
     getMyCredentials,
@@ -14,6 +14,7 @@ import {
     getTemplates,
     getTemplate,
     updateTemplate,
+    checkTemplateTextFit,
     saveDesignProgress,
     previewCredential,
     exportCredentialPNG,
@@ -23,14 +24,41 @@ import {
     getAdminCredentialsViaEvents,
     downloadCredentialDirect
 } from "../controllers/credentialController.js";
+import {
+    exportVerifiableCredential,
+    verifyVerifiableCredential
+} from "../controllers/verifiableCredentialController.js";
+import { verifyCompactCredential } from "../controllers/compactCredentialController.js";
+import { verifyCredentialPresentation } from "../controllers/selectiveDisclosureController.js";
+import {
+    createCredentialShareLink,
+    getCredentialShareLinkAccesses,
+    listCredentialShareLinks,
+    revokeCredentialShareLink
+} from "../controllers/shareLinkController.js";
+import {
+    renewCredential,
+    getExpiringCredentials
+} from "../controllers/credentialExpiryController.js";
+import {
+    bulkRevokeCredentials,
+    getStatusReasonCodes,
+    reinstateIssuedCredential,
+    revokeIssuedCredential,
+    suspendIssuedCredential
+} from "../controllers/credentialLifecycleController.js";
+import {
+    getCredentialVersionHistory,
+    reissueIssuedCredential
+} from "../controllers/credentialVersionController.js";
 import { trackCredentialUsage } from '../middleware/usageTracking.js';
 import { requireFeature, attachPlanInfo } from '../middleware/planAccess.js';
 
 const router = express.Router();
-import { authenticate, authenticateUser } from "../middleware/auth.js";
+import { authenticate, authenticateUser, identifyAdminOrParticipant } from "../middleware/auth.js";
 import multer from "multer";
 import path from "path";
-import upload from "../middleware/upload.js";
+import upload, { handleUploadError } from "../middleware/upload.js";
 
 // ==================== CREDENTIAL CREATION (WITH PLAN CHECKS) ====================
 /**
@@ -52,6 +80,9 @@ router.post("/create",
  * /api/credentials/create-with-design:
  *   post:
  *     summary: Create credential with custom design
+ *     description: |
+ *       Set qrMode to "compact" to print a signed, offline-verifiable payload
+ *       in the QR code instead of the verification URL.
  *     tags: [Credentials]
  */
 router.post("/create-with-design", 
@@ -222,6 +253,55 @@ router.post("/templates",
 router.get("/templates/:id", authenticate, getTemplate);
 router.put("/templates/:id", authenticate, updateTemplate);
 
+/**
+ * @swagger
+ * /api/credentials/templates/{id}/fit-check:
+ *   post:
+ *     summary: Report which participants' text would not fit the template
+ *     description: |
+ *       Lays the template out for each participant as issuance would and
+ *       lists, page by page, the text elements whose text is condensed, cut
+ *       at an ellipsis or runs past the element's lines (see the element
+ *       textFit setting), and the tables with cells cut or rows left out.
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - eventId
+ *             properties:
+ *               eventId:
+ *                 type: string
+ *               participants:
+ *                 type: array
+ *                 description: As for batch creation; defaults to the event's participants
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     participantId:
+ *                       type: string
+ *                     participantData:
+ *                       type: object
+ *                     title:
+ *                       type: string
+ *               designData:
+ *                 type: object
+ *                 description: Unsaved design to check instead of the saved one
+ *     responses:
+ *       200:
+ *         description: Participants with text that does not fit, and the elements concerned
+ */
+router.post("/templates/:id/fit-check", authenticate, checkTemplateTextFit);
+
 /**
  * @swagger
  * /api/credentials/templates/{id}/duplicate:
@@ -301,13 +381,528 @@ const debugExportMiddleware = (req, res, next) => {
     next();
 };
 
+/**
+ * @swagger
+ * /api/credentials/export/png:
+ *   post:
+ *     summary: Export a credential design as PNG
+ *     description: |
+ *       A multi-page design (designData.pages) is exported as one image per
+ *       page, listed in `pages` with exportUrl being the first page's, or as
+ *       a ZIP of the images with pageOutput "zip". The same applies to
+ *       /export/jpeg; /export/pdf returns one document with every page.
+ *       For a stored multi-page credential (credentialId) the pages are
+ *       rendered from the credential once, kept in exportLinks.pages and
+ *       exportLinks.pageZips, and returned from there by every export and
+ *       download.
+ *     tags: [Credentials]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - designData
+ *               - participantData
+ *             properties:
+ *               designData:
+ *                 type: object
+ *               participantData:
+ *                 type: object
+ *               credentialId:
+ *                 type: string
+ *               method:
+ *                 type: string
+ *                 enum: [canvas, puppeteer]
+ *               pageOutput:
+ *                 type: string
+ *                 enum: [images, zip]
+ *                 default: images
+ *     responses:
+ *       200:
+ *         description: exportUrl, plus pages ([{ page, name, exportUrl }]) for multi-page images
+ */
 router.post("/export/png", authenticateUser, exportCredentialPNG);
 router.post("/export/jpeg", authenticate, exportCredentialJPEG);
 router.post("/export/pdf", authenticate, exportCredentialPDF);
 
+// ==================== W3C VERIFIABLE CREDENTIALS ====================
+/**
+ * @swagger
+ * /api/credentials/vc/verify:
+ *   post:
+ *     summary: Verify a W3C Verifiable Credential JSON against Sifapass issuer keys
+ *     tags: [Verifiable Credentials]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: The VC document (or { verifiableCredential })
+ *     responses:
+ *       200:
+ *         description: Verification result with errors, issuer DID and key status
+ */
+router.post("/vc/verify", verifyVerifiableCredential);
+
+// ==================== VERIFY BY FILE ====================
+/**
+ * @swagger
+ * /api/credentials/verify/file:
+ *   post:
+ *     summary: Verify an uploaded credential file (PDF, PNG or JPEG)
+ *     description: |
+ *       Finds the credential via the file fingerprint, embedded metadata or the
+ *       printed QR code, then compares images perceptually against the issued
+ *       original. A PDF must match one of the PDFs issued for the credential
+ *       byte for byte; one that names the credential but matches none of them
+ *       was modified and is reported altered. The verdict is one of authentic,
+ *       altered, unknown or revoked. Files up to 10MB.
+ *     tags: [Credentials]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ */
+router.post("/verify/file", upload.single("file"), handleUploadError, verifyCredentialFile);
+
+/**
+ * @swagger
+ * /api/credentials/verify/compact:
+ *   post:
+ *     summary: Verify a compact signed QR payload (SP1:...)
+ *     description: |
+ *       Checks the signature against the issuer key exactly as an offline
+ *       verifier would, then adds the credential's current status.
+ *       Offline verifiers can do the first part themselves with the key set
+ *       from GET /api/keys.
+ *     tags: [Credentials]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [payload]
+ *             properties:
+ *               payload:
+ *                 type: string
+ */
+router.post("/verify/compact", verifyCompactCredential);
+
+/**
+ * @swagger
+ * /api/credentials/verify/presentation:
+ *   post:
+ *     summary: Verify a selective-disclosure (SD-JWT) presentation
+ *     description: |
+ *       Checks the issuer signature and that every disclosure matches a signed
+ *       digest, then adds the credential's current status. Only the disclosed
+ *       fields are returned.
+ *     tags: [Credentials]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [presentation]
+ *             properties:
+ *               presentation:
+ *                 type: string
+ */
+router.post("/verify/presentation", verifyCredentialPresentation);
+
+// ==================== EXPIRY & RENEWAL ====================
+/**
+ * @swagger
+ * /api/credentials/expiring:
+ *   get:
+ *     summary: List issued credentials that expire soon and have not been renewed
+ *     tags: [Credentials]
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Look-ahead window in days (max 365)
+ */
+router.get("/expiring", authenticate, getExpiringCredentials);
+
+/**
+ * @swagger
+ * /api/credentials/{id}/renew:
+ *   post:
+ *     summary: Renew a credential by issuing a linked successor
+ *     description: |
+ *       The expiry date is signed into the credential, so renewal issues a new
+ *       credential pointing back to this one (predecessorId / successorId).
+ *       Without an explicit expiresAt the template's validity period is used,
+ *       else the original credential's validity length.
+ *     tags: [Credentials]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: The successor credential
+ *       409:
+ *         description: Credential already renewed or not renewable
+ */
+router.post("/:id/renew",
+  authenticate,
+  trackCredentialUsage,  // ← A renewal issues a new credential
+  renewCredential
+);
+
+// ==================== AMENDMENT & VERSIONS ====================
+/**
+ * @swagger
+ * /api/credentials/{id}/reissue:
+ *   post:
+ *     summary: Amend a credential by reissuing it as a new version
+ *     description: |
+ *       Issued credentials are signed, so corrections are not made in place.
+ *       A new version is signed and rendered with the amended fields; the old
+ *       version is marked superseded, keeps verifying as "superseded" and
+ *       links to the new one.
+ *     tags: [Credentials]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the credential is amended (kept with the new version)
+ *               title:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [certificate, badge, diploma, award]
+ *               participantData:
+ *                 type: object
+ *                 description: Fields to change, e.g. { "name": "Corrected Name" }
+ *               designData:
+ *                 type: object
+ *     responses:
+ *       201:
+ *         description: The new version
+ *       400:
+ *         description: Missing reason, or the amendment changes nothing
+ *       409:
+ *         description: Already superseded, renewed, or not in an amendable state
+ */
+router.post("/:id/reissue", authenticate, reissueIssuedCredential);
+
+/**
+ * @swagger
+ * /api/credentials/{id}/versions:
+ *   get:
+ *     summary: Version history of a credential (any version's id), oldest first
+ *     tags: [Credentials]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get("/:id/versions", authenticate, getCredentialVersionHistory);
+
+// ==================== REVOCATION & SUSPENSION ====================
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CredentialStatusChange:
+ *       type: object
+ *       required:
+ *         - reasonCode
+ *         - note
+ *       properties:
+ *         reasonCode:
+ *           type: string
+ *           description: One of the codes from GET /api/credentials/status-reasons for this action
+ *         note:
+ *           type: string
+ *           maxLength: 1000
+ *           description: Explanation shown to verifiers and sent to the recipient
+ *         notifyRecipient:
+ *           type: boolean
+ *           default: true
+ */
+
+/**
+ * @swagger
+ * /api/credentials/status-reasons:
+ *   get:
+ *     summary: Reason codes accepted when revoking, suspending or reinstating
+ *     tags: [Credentials]
+ */
+router.get("/status-reasons", authenticate, getStatusReasonCodes);
+
+/**
+ * @swagger
+ * /api/credentials/revoke/bulk:
+ *   post:
+ *     summary: Revoke every credential matching an event or filter
+ *     description: |
+ *       At least one criterion is required. Already revoked, draft and failed
+ *       credentials are skipped. Set dryRun to count the matches first.
+ *     tags: [Credentials]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CredentialStatusChange'
+ *               - type: object
+ *                 properties:
+ *                   eventId:
+ *                     type: string
+ *                   templateId:
+ *                     type: string
+ *                   title:
+ *                     type: string
+ *                   type:
+ *                     type: string
+ *                   credentialIds:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   issuedFrom:
+ *                     type: string
+ *                     format: date-time
+ *                   issuedTo:
+ *                     type: string
+ *                     format: date-time
+ *                   dryRun:
+ *                     type: boolean
+ *     responses:
+ *       200:
+ *         description: Counts of matched, revoked and notified credentials, plus failures
+ *       400:
+ *         description: Missing reason, note or filter criteria
+ */
+router.post("/revoke/bulk", authenticate, bulkRevokeCredentials);
+
+/**
+ * @swagger
+ * /api/credentials/{id}/revoke:
+ *   post:
+ *     summary: Revoke a credential permanently
+ *     tags: [Credentials]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CredentialStatusChange'
+ *     responses:
+ *       200:
+ *         description: Credential revoked
+ *       409:
+ *         description: Already revoked, or not issued
+ */
+router.post("/:id/revoke", authenticate, revokeIssuedCredential);
+
+/**
+ * @swagger
+ * /api/credentials/{id}/suspend:
+ *   post:
+ *     summary: Suspend an issued credential until it is reinstated
+ *     tags: [Credentials]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CredentialStatusChange'
+ *     responses:
+ *       200:
+ *         description: Credential suspended
+ *       409:
+ *         description: Credential is not in the issued state
+ */
+router.post("/:id/suspend", authenticate, suspendIssuedCredential);
+
+/**
+ * @swagger
+ * /api/credentials/{id}/reinstate:
+ *   post:
+ *     summary: Reinstate a suspended credential
+ *     tags: [Credentials]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CredentialStatusChange'
+ *     responses:
+ *       200:
+ *         description: Credential reinstated
+ *       409:
+ *         description: Credential is not suspended (revocation is final)
+ */
+router.post("/:id/reinstate", authenticate, reinstateIssuedCredential);
+
+/**
+ * @swagger
+ * /api/credentials/{id}/vc:
+ *   get:
+ *     summary: Export a credential as a signed W3C Verifiable Credential 2.0 (JSON-LD, eddsa-jcs-2022)
+ *     description: The issuer and the holder (signed in) get every claim; anyone else gets the signed recipient name and event title
+ *     tags: [Verifiable Credentials]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get("/:id/vc", identifyAdminOrParticipant, exportVerifiableCredential);
+
+// ==================== SHARE LINKS ====================
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShareLinkRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Label shown in the link list, e.g. "Acme job application"
+ *         email:
+ *           type: string
+ *           description: Who the link is for (informational)
+ *         message:
+ *           type: string
+ *         disclose:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Fields revealed through the link (default name and eventTitle)
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         passcode:
+ *           type: string
+ *           description: 4-64 characters; viewers must enter it to open the link
+ *         maxViews:
+ *           type: integer
+ *           minimum: 1
+ *         allowedDomains:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Hostnames (and their subdomains) the link may be opened from, per Origin/Referer
+ */
+
+/**
+ * @swagger
+ * /api/credentials/{id}/share:
+ *   post:
+ *     summary: Create a share link for a credential (issuer side)
+ *     tags: [Credentials]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShareLinkRequest'
+ *     responses:
+ *       201:
+ *         description: The link, its QR code and the SD-JWT presentation it serves
+ */
+router.post("/:id/share", authenticate, createCredentialShareLink);
+
+/**
+ * @swagger
+ * /api/credentials/{id}/share-links:
+ *   get:
+ *     summary: List a credential's share links (issuer side)
+ *     tags: [Credentials]
+ */
+router.get("/:id/share-links", authenticate, listCredentialShareLinks);
+
+/**
+ * @swagger
+ * /api/credentials/{id}/share-links/{linkId}:
+ *   delete:
+ *     summary: Revoke a share link (issuer side)
+ *     tags: [Credentials]
+ */
+router.delete("/:id/share-links/:linkId", authenticate, revokeCredentialShareLink);
+
+/**
+ * @swagger
+ * /api/credentials/{id}/share-links/{linkId}/accesses:
+ *   get:
+ *     summary: Access log of a share link, including refused attempts (issuer side)
+ *     tags: [Credentials]
+ */
+router.get("/:id/share-links/:linkId/accesses", authenticate, getCredentialShareLinkAccesses);
+
 // ==================== BASIC CREDENTIAL OPERATIONS ====================
 router.put("/:id/edit", authenticate, editCredential);
-router.post("/:id/share", authenticate, shareCredential);
 router.get("/:id/verify", verifyCredential);
 router.post("/reconcile", authenticate, reconcileCertificates);
 router.get("/stats", authenticate, getCredentialStats);
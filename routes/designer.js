@@ -7,10 +7,22 @@ import {
     processAndUploadImage,
     processAndUploadImages,
     uploadBackgroundImage,
+    uploadDesignerFont,
     handleUploadError
 } from "../middleware/designerUpload.js";
+import { deleteFont, getFontFile, listFonts, uploadFont } from "../controllers/fontController.js";
+import mongoose from "mongoose";
 import QRCode from "qrcode";
 import { v2 as cloudinary } from "cloudinary";
+import Credential from "../models/Credentials.js";
+import CredentialTemplate from "../models/CredentialTemplate.js";
+import { COMPACT_QR_OPTIONS, createCompactQrPayload } from "../utils/compactCredential.js";
+import { getMergeFieldCatalog, getMergeFilters } from "../utils/mergeFields.js";
+import { getConditionOperators } from "../utils/displayConditions.js";
+import { BUILTIN_FONTS, getOrganizationFonts, getUnsupportedCharacters, resolveFontFace } from "../utils/fontRegistry.js";
+import { getGenericFamily } from "../utils/credentialScene.js";
+import { getDesignPages, hasPages } from "../utils/designPages.js";
+import { validateDesign } from "../utils/designValidation.js";
 
 const router = express.Router();
 
@@ -171,13 +183,19 @@ router.post("/upload/background",
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - data
  *             properties:
  *               data:
  *                 type: string
- *                 description: Data to encode in QR code (usually verification URL)
+ *                 description: Data to encode in QR code (usually verification URL); required unless mode is compact
  *                 example: "https://yourapp.com/verify/abc123"
+ *               mode:
+ *                 type: string
+ *                 enum: [data, compact]
+ *                 default: data
+ *                 description: compact encodes a signed, offline-verifiable payload for credentialId
+ *               credentialId:
+ *                 type: string
+ *                 description: Issued credential to encode (compact mode)
  *               options:
  *                 type: object
  *                 properties:
@@ -202,7 +220,32 @@ router.post("/upload/background",
  */
 router.post("/qrcode/generate", authenticate, async (req, res) => {
     try {
-        const { data, options = {} } = req.body;
+        const { mode = 'data', credentialId, options = {} } = req.body;
+        let { data } = req.body;
+
+        // Compact mode: signed credential facts in the QR, verifiable offline
+        if (mode === 'compact') {
+            const organizationId = String(req.user.organizationId || req.user.id);
+            const credential = mongoose.Types.ObjectId.isValid(credentialId)
+                ? await Credential.findOne({
+                    _id: credentialId,
+                    $or: [{ "signedPayload.issuer": organizationId }, { createdBy: req.user.id }]
+                })
+                : null;
+
+            if (!credential) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Credential not found"
+                });
+            }
+
+            if (!credential.compactQrPayload) {
+                credential.compactQrPayload = await createCompactQrPayload(credential);
+                await credential.save();
+            }
+            data = credential.compactQrPayload;
+        }
 
         if (!data) {
             return res.status(400).json({
@@ -212,13 +255,13 @@ router.post("/qrcode/generate", authenticate, async (req, res) => {
         }
 
         const qrOptions = {
-            width: options.size || 200,
+            width: options.size || (mode === 'compact' ? COMPACT_QR_OPTIONS.width : 200),
             margin: options.margin || 2,
             color: {
                 dark: options.color?.dark || '#000000',
                 light: options.color?.light || '#FFFFFF'
             },
-            errorCorrectionLevel: 'M',
+            errorCorrectionLevel: mode === 'compact' ? COMPACT_QR_OPTIONS.errorCorrectionLevel : 'M',
             type: 'image/png'
         };
 
@@ -276,7 +319,7 @@ router.post("/qrcode/generate", authenticate, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post("/validate/design", authenticate, (req, res) => {
+router.post("/validate/design", authenticate, async (req, res) => {
     try {
         const { designData } = req.body;
 
@@ -290,51 +333,90 @@ router.post("/validate/design", authenticate, (req, res) => {
         const validationErrors = [];
         const validationWarnings = [];
 
-        // Validate canvas
-        if (!designData.canvas) {
-            validationErrors.push("Canvas configuration is required");
-        } else {
-            if (!designData.canvas.width || designData.canvas.width < 100) {
-                validationErrors.push("Canvas width must be at least 100px");
+        // Fonts the renderers do not have fall back to a built-in font
+        const fonts = await getOrganizationFonts(req.user.organizationId || req.user.id);
+        const availableFamilies = new Set([
+            ...BUILTIN_FONTS.map(font => font.name.toLowerCase()),
+            ...fonts.map(face => face.family.toLowerCase())
+        ]);
+
+        // Each page of a multi-page design is checked like a single-page design
+        const paged = hasPages(designData);
+        getDesignPages(designData).forEach((page, pageIndex) => {
+            const on = paged ? `Page ${pageIndex + 1}: ` : '';
+
+            // Validate canvas
+            if (!page.canvas) {
+                validationErrors.push("Canvas configuration is required");
+            } else {
+                if (!page.canvas.width || page.canvas.width < 100) {
+                    validationErrors.push(`${on}Canvas width must be at least 100px`);
+                }
+                if (!page.canvas.height || page.canvas.height < 100) {
+                    validationErrors.push(`${on}Canvas height must be at least 100px`);
+                }
             }
-            if (!designData.canvas.height || designData.canvas.height < 100) {
-                validationErrors.push("Canvas height must be at least 100px");
+
+            // Validate elements
+            if (!page.elements || !Array.isArray(page.elements) || (paged && !page.elements.length)) {
+                validationWarnings.push(`${on}No design elements found`);
+            } else {
+                page.elements.forEach((element, index) => {
+                    if (!element.id) {
+                        validationErrors.push(`${on}Element ${index} is missing an ID`);
+                    }
+                    if (!element.type || !['text', 'image', 'qrcode', 'shape', 'line', 'table'].includes(element.type)) {
+                        validationErrors.push(`${on}Element ${index} has invalid type`);
+                    }
+                    if (element.type === 'text' && !element.content) {
+                        validationWarnings.push(`${on}Text element ${index} has no content`);
+                    }
+                    if (element.type === 'image' && !element.src) {
+                        validationErrors.push(`${on}Image element ${index} has no source URL`);
+                    }
+                });
             }
-        }
 
-        // Validate elements
-        if (!designData.elements || !Array.isArray(designData.elements)) {
-            validationWarnings.push("No design elements found");
-        } else {
-            designData.elements.forEach((element, index) => {
-                if (!element.id) {
-                    validationErrors.push(`Element ${index} is missing an ID`);
-                }
-                if (!element.type || !['text', 'image', 'qrcode', 'shape', 'line'].includes(element.type)) {
-                    validationErrors.push(`Element ${index} has invalid type`);
-                }
-                if (element.type === 'text' && !element.content) {
-                    validationWarnings.push(`Text element ${index} has no content`);
-                }
-                if (element.type === 'image' && !element.src) {
-                    validationErrors.push(`Image element ${index} has no source URL`);
-                }
+            (page.elements || []).forEach((element, index) => {
+                if (element?.type !== 'text') return;
+                // The element's own text and each translation, in the font each is drawn with
+                const variants = [element, ...(Array.isArray(element.translations) ? element.translations : [])];
+                variants.forEach((variant) => {
+                    const where = variant === element ? `${on}Text element ${index}` : `${on}Text element ${index} (${variant?.locale} translation)`;
+                    const family = String(variant?.fontFamily || element.fontFamily || 'Arial').split(',')[0].trim().replace(/^["']|["']$/g, '');
+                    if (!availableFamilies.has(family.toLowerCase())) {
+                        validationWarnings.push(`${where} uses font "${family}", which is not uploaded; it will render with a built-in ${getGenericFamily(family)} font`);
+                    }
+
+                    const face = resolveFontFace(fonts, {
+                        family,
+                        weight: variant?.fontWeight || element.fontWeight,
+                        style: element.fontStyle
+                    });
+                    const missing = getUnsupportedCharacters(variant === element ? element.content ?? element.text : variant?.content, face);
+                    if (missing.length) {
+                        validationWarnings.push(`${where} has characters ${face ? `font "${face.family}"` : 'the built-in fonts'} cannot draw: ${missing.slice(0, 10).join(' ')}; upload a font that covers them`);
+                    }
+                });
             });
-        }
 
-        // Check for overlapping elements
-        if (designData.elements && designData.elements.length > 1) {
-            for (let i = 0; i < designData.elements.length - 1; i++) {
-                for (let j = i + 1; j < designData.elements.length; j++) {
-                    const elem1 = designData.elements[i];
-                    const elem2 = designData.elements[j];
-                    
-                    if (elem1.x === elem2.x && elem1.y === elem2.y) {
-                        validationWarnings.push(`Elements ${i} and ${j} are at the same position`);
+            // Check for overlapping elements
+            if (page.elements && page.elements.length > 1) {
+                for (let i = 0; i < page.elements.length - 1; i++) {
+                    for (let j = i + 1; j < page.elements.length; j++) {
+                        const elem1 = page.elements[i];
+                        const elem2 = page.elements[j];
+
+                        if (elem1.x === elem2.x && elem1.y === elem2.y) {
+                            validationWarnings.push(`${on}Elements ${i} and ${j} are at the same position`);
+                        }
                     }
                 }
             }
-        }
+        });
+
+        // Pages, merge fields in text, display conditions, text fitting, tables, languages and regional settings
+        validationErrors.push(...validateDesign(designData));
 
         const isValid = validationErrors.length === 0;
 
@@ -355,48 +437,134 @@ router.post("/validate/design", authenticate, (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/designer/merge-fields:
+ *   get:
+ *     summary: List the merge fields and filters available to design text
+ *     tags: [Designer Tools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: templateId
+ *         schema:
+ *           type: string
+ *         description: Include the custom fields this template defines
+ */
+router.get("/merge-fields", authenticate, async (req, res) => {
+    try {
+        const { templateId } = req.query;
+        let customFields = [];
+
+        if (templateId) {
+            const template = mongoose.Types.ObjectId.isValid(templateId)
+                ? await CredentialTemplate.findById(templateId).select('designData.content.customFields')
+                : null;
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Template not found"
+                });
+            }
+            customFields = template.designData?.content?.customFields || [];
+        }
+
+        res.json({
+            success: true,
+            fields: getMergeFieldCatalog(customFields),
+            filters: getMergeFilters(),
+            conditionOperators: getConditionOperators()
+        });
+    } catch (error) {
+        console.error("Merge fields error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to list merge fields",
+            error: error.message
+        });
+    }
+});
+
 // ==================== FONT AND ASSET ROUTES ====================
 
 /**
  * @swagger
  * /api/designer/fonts:
  *   get:
- *     summary: Get available fonts for the designer
+ *     summary: Get the fonts the credential renderers can draw
+ *     description: Built-in fonts plus the organization's uploaded fonts. Each font lists the output formats that draw it.
  *     tags: [Designer Assets]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Available fonts list
  */
-router.get("/fonts", (req, res) => {
-    const fonts = [
-        { name: 'Arial', family: 'Arial, sans-serif', category: 'sans-serif' },
-        { name: 'Helvetica', family: 'Helvetica, sans-serif', category: 'sans-serif' },
-        { name: 'Times New Roman', family: '"Times New Roman", serif', category: 'serif' },
-        { name: 'Georgia', family: 'Georgia, serif', category: 'serif' },
-        { name: 'Courier New', family: '"Courier New", monospace', category: 'monospace' },
-        { name: 'Verdana', family: 'Verdana, sans-serif', category: 'sans-serif' },
-        { name: 'Trebuchet MS', family: '"Trebuchet MS", sans-serif', category: 'sans-serif' },
-        { name: 'Comic Sans MS', family: '"Comic Sans MS", cursive', category: 'cursive' },
-        { name: 'Impact', family: 'Impact, sans-serif', category: 'sans-serif' },
-        { name: 'Lucida Console', family: '"Lucida Console", monospace', category: 'monospace' },
-        // Google Fonts
-        { name: 'Open Sans', family: '"Open Sans", sans-serif', category: 'sans-serif', google: true },
-        { name: 'Roboto', family: 'Roboto, sans-serif', category: 'sans-serif', google: true },
-        { name: 'Lato', family: 'Lato, sans-serif', category: 'sans-serif', google: true },
-        { name: 'Montserrat', family: 'Montserrat, sans-serif', category: 'sans-serif', google: true },
-        { name: 'Oswald', family: 'Oswald, sans-serif', category: 'sans-serif', google: true },
-        { name: 'Source Sans Pro', family: '"Source Sans Pro", sans-serif', category: 'sans-serif', google: true },
-        { name: 'Raleway', family: 'Raleway, sans-serif', category: 'sans-serif', google: true },
-        { name: 'PT Sans', family: '"PT Sans", sans-serif', category: 'sans-serif', google: true },
-        { name: 'Roboto Condensed', family: '"Roboto Condensed", sans-serif', category: 'sans-serif', google: true },
-        { name: 'Ubuntu', family: 'Ubuntu, sans-serif', category: 'sans-serif', google: true }
-    ];
+router.get("/fonts", authenticate, listFonts);
 
-    res.json({
-        success: true,
-        fonts
-    });
-});
+/**
+ * @swagger
+ * /api/designer/fonts:
+ *   post:
+ *     summary: Upload a font (TTF, OTF or WOFF2) for the organization's designs
+ *     tags: [Designer Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [font]
+ *             properties:
+ *               font:
+ *                 type: string
+ *                 format: binary
+ *               family:
+ *                 type: string
+ *                 description: Defaults to the family name in the file
+ *               weight:
+ *                 type: number
+ *               style:
+ *                 type: string
+ *                 enum: [normal, italic]
+ *               licenseName:
+ *                 type: string
+ *               licenseUrl:
+ *                 type: string
+ *               licenseNotes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Font uploaded
+ *       409:
+ *         description: The family already has a font with this weight and style
+ */
+router.post("/fonts", authenticate, uploadDesignerFont, handleUploadError, uploadFont);
+
+/**
+ * @swagger
+ * /api/designer/fonts/{id}/file:
+ *   get:
+ *     summary: Download an uploaded font file
+ *     tags: [Designer Assets]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get("/fonts/:id/file", authenticate, getFontFile);
+
+/**
+ * @swagger
+ * /api/designer/fonts/{id}:
+ *   delete:
+ *     summary: Delete an uploaded font
+ *     tags: [Designer Assets]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete("/fonts/:id", authenticate, deleteFont);
 
 /**
  * @swagger
@@ -0,0 +1,23 @@
+// routes/didRoutes.js
+import express from "express";
+import { getIssuerDidDocument } from "../controllers/verifiableCredentialController.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /issuers/{organizationId}/did.json:
+ *   get:
+ *     summary: did:web document for an issuing organization (resolves did:web:<host>:issuers:<organizationId>)
+ *     tags: [Verifiable Credentials]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get("/:organizationId/did.json", getIssuerDidDocument);
+
+export default router;
@@ -0,0 +1,119 @@
+// routes/keyRoutes.js
+import express from "express";
+import {
+    getOrganizationKeys,
+    getKeyById,
+    getVerificationKeySet,
+    getMyKeys,
+    rotateKey,
+    revokeKey
+} from "../controllers/signingKeyController.js";
+import { authenticate } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// ==================== ADMIN KEY MANAGEMENT ====================
+/**
+ * @swagger
+ * /api/keys/mine:
+ *   get:
+ *     summary: List the organization's credential signing keys (public parts only)
+ *     tags: [Signing Keys]
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/mine", authenticate, getMyKeys);
+
+/**
+ * @swagger
+ * /api/keys/rotate:
+ *   post:
+ *     summary: Retire the active signing key and generate a new one
+ *     tags: [Signing Keys]
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/rotate", authenticate, rotateKey);
+
+/**
+ * @swagger
+ * /api/keys/{kid}/revoke:
+ *   post:
+ *     summary: Revoke a signing key (credentials signed with it stop verifying)
+ *     tags: [Signing Keys]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: kid
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ */
+router.post("/:kid/revoke", authenticate, revokeKey);
+
+// ==================== PUBLIC KEY DISCOVERY ====================
+/**
+ * @swagger
+ * /api/keys:
+ *   get:
+ *     summary: Get the verification keys of all issuers for offline verification
+ *     description: |
+ *       JWK set for verifiers that check compact QR payloads without network
+ *       access. Each key carries its issuer (iss, issuerName) and status;
+ *       refresh the cached set when a payload names an unknown kid.
+ *     tags: [Signing Keys]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: issuer
+ *         schema:
+ *           type: string
+ *         description: Comma-separated organization IDs to limit the set to
+ */
+router.get("/", getVerificationKeySet);
+
+/**
+ * @swagger
+ * /api/keys/kid/{kid}:
+ *   get:
+ *     summary: Get a public verification key by key ID
+ *     tags: [Signing Keys]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: kid
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get("/kid/:kid", getKeyById);
+
+/**
+ * @swagger
+ * /api/keys/{organizationId}:
+ *   get:
+ *     summary: Get an issuing organization's public keys as a JWK set
+ *     tags: [Signing Keys]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Issuer and keys (active, retired and revoked, with status)
+ */
+router.get("/:organizationId", getOrganizationKeys);
+
+export default router;
@@ -0,0 +1,87 @@
+// routes/ledgerRoutes.js
+import express from "express";
+import {
+    getCredentialLedgerProof,
+    getLedgerBatches,
+    getLedgerBatch,
+    verifyLedger,
+    sealBatch
+} from "../controllers/ledgerController.js";
+import { authenticate, requirePlatformOperator } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// ==================== ADMIN ====================
+/**
+ * @swagger
+ * /api/ledger/batches/seal:
+ *   post:
+ *     summary: Seal pending ledger entries into a Merkle batch and anchor its root
+ *     description: The ledger is shared by every organization, so only platform operators (super_admin) can seal it
+ *     tags: [Ledger]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       403:
+ *         description: Not a platform operator
+ */
+router.post("/batches/seal", authenticate, requirePlatformOperator, sealBatch);
+
+/**
+ * @swagger
+ * /api/ledger/verify:
+ *   get:
+ *     summary: Recompute entry hashes and links across the ledger chain
+ *     tags: [Ledger]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ */
+router.get("/verify", authenticate, verifyLedger);
+
+// ==================== PUBLIC ====================
+/**
+ * @swagger
+ * /api/ledger/credentials/{credentialId}/proof:
+ *   get:
+ *     summary: Ledger history of a credential with Merkle inclusion proofs
+ *     tags: [Ledger]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: credentialId
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get("/credentials/:credentialId/proof", getCredentialLedgerProof);
+
+/**
+ * @swagger
+ * /api/ledger/batches:
+ *   get:
+ *     summary: Published ledger batch roots, newest first
+ *     tags: [Ledger]
+ *     security: []
+ */
+router.get("/batches", getLedgerBatches);
+
+/**
+ * @swagger
+ * /api/ledger/batches/{batchNumber}:
+ *   get:
+ *     summary: A ledger batch with its root recomputed and anchors re-checked
+ *     tags: [Ledger]
+ *     security: []
+ */
+router.get("/batches/:batchNumber", getLedgerBatch);
+
+export default router;
@@ -13,6 +13,18 @@ import { downloadCredentialForParticipant } from "../controllers/credentialContr
 import { checkParticipantLimit } from '../middleware/planAccess.js';
 import { trackParticipantUsage } from '../middleware/usageTracking.js';
 import { authenticate } from "../middleware/auth.js";
+import {
+    DEFAULT_DISCLOSED_FIELDS,
+    getClaimLabel,
+    getDisclosableClaims
+} from "../utils/selectiveDisclosure.js";
+import {
+    createCredentialShareLink,
+    getCredentialShareLinkAccesses,
+    listCredentialShareLinks,
+    revokeCredentialShareLink
+} from "../controllers/shareLinkController.js";
+import { normalizeLocale } from "../utils/designTranslations.js";
 
 // ==================== PUBLIC ROUTES (NO AUTH) ====================
 /**
@@ -228,6 +240,7 @@ router.get("/:id", async (req, res) => {
             phone: participant.phone || '',
             bio: participant.bio || '',
             profilePicture: participant.profilePicture || '',
+            locale: participant.locale || '',
             settings: participant.settings || {
                 emailNotifications: true,
                 pushNotifications: true,
@@ -249,9 +262,17 @@ router.get("/:id", async (req, res) => {
 // ==================== PARTICIPANT PROFILE MANAGEMENT ====================
 router.put("/:id", authenticateUser, async (req, res) => {
     try {
-        const { firstName, lastName, email, phone, bio, profilePicture } = req.body;
+        const { firstName, lastName, email, phone, bio, profilePicture, locale } = req.body;
         
         const updateData = {};
+        if (locale !== undefined) {
+            // Language credentials are issued in, where the template has it
+            const normalized = locale ? normalizeLocale(locale) : '';
+            if (normalized === null) {
+                return res.status(400).json({ error: "locale must be a language tag, like \"ar\" or \"ha-Arab\"" });
+            }
+            updateData.locale = normalized;
+        }
         if (firstName !== undefined) updateData.firstName = firstName;
         if (lastName !== undefined) updateData.lastName = lastName;
         if (email !== undefined) updateData.email = email;
@@ -286,7 +307,8 @@ router.put("/:id", authenticateUser, async (req, res) => {
                 email: participant.email,
                 phone: participant.phone,
                 bio: participant.bio,
-                profilePicture: participant.profilePicture
+                profilePicture: participant.profilePicture,
+                locale: participant.locale
             }
         });
     } catch (err) {
@@ -552,47 +574,91 @@ router.get("/:id/credentials/:credId/download", authenticateUser, async (req, re
     }
 });
 
-router.post("/:id/credentials/:credId/share", authenticateUser, async (req, res) => {
+/**
+ * @swagger
+ * /api/participants/{id}/credentials/{credId}/disclosable:
+ *   get:
+ *     summary: List the credential fields a participant can choose to disclose when sharing
+ *     tags: [Participants]
+ */
+router.get("/:id/credentials/:credId/disclosable", authenticateUser, async (req, res) => {
     try {
         const { id: participantId, credId } = req.params;
-        const { email, message } = req.body;
+
+        if (String(req.user.id) !== participantId) {
+            return res.status(403).json({ error: "You can only view your own credentials" });
+        }
 
         const credential = await Credential.findOne({
             _id: credId,
             participantId: participantId
-        }).populate('eventId', 'title');
+        });
 
         if (!credential) {
             return res.status(404).json({ error: "Credential not found" });
         }
 
-        if (!credential.sharedWith.find(share => share.user === email)) {
-            credential.sharedWith.push({
-                user: email,
-                sharedAt: new Date(),
-                permissions: 'view'
-            });
-            await credential.save();
-        }
-
-        await credential.incrementShare();
+        const claims = getDisclosableClaims(credential);
 
         res.json({
-            message: `Credential "${credential.title}" shared with ${email}`,
-            sharedCredential: {
-                title: credential.title,
-                type: credential.type,
-                eventTitle: credential.eventId?.title,
-                qrCode: credential.qrCode,
-                verificationUrl: credential.verificationUrl
-            }
+            fields: Object.entries(claims).map(([name, value]) => ({
+                name,
+                label: getClaimLabel(name),
+                value
+            })),
+            defaultFields: DEFAULT_DISCLOSED_FIELDS.filter(name => name in claims)
         });
     } catch (err) {
-        console.error('Share error:', err);
+        console.error('Disclosable fields error:', err);
         res.status(500).json({ error: err.message });
     }
 });
 
+/**
+ * @swagger
+ * /api/participants/{id}/credentials/{credId}/share:
+ *   post:
+ *     summary: Create a share link for a credential, revealing only the chosen fields
+ *     description: |
+ *       The link carries an SD-JWT presentation of the fields in disclose and
+ *       can be limited by expiry, passcode, number of views and the domains
+ *       it may be opened from. A credential can have many links.
+ *     tags: [Participants]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShareLinkRequest'
+ */
+router.post("/:id/credentials/:credId/share", authenticateUser, createCredentialShareLink);
+
+/**
+ * @swagger
+ * /api/participants/{id}/credentials/{credId}/share-links:
+ *   get:
+ *     summary: List a credential's share links with their state and view counts
+ *     tags: [Participants]
+ */
+router.get("/:id/credentials/:credId/share-links", authenticateUser, listCredentialShareLinks);
+
+/**
+ * @swagger
+ * /api/participants/{id}/credentials/{credId}/share-links/{linkId}:
+ *   delete:
+ *     summary: Revoke a share link
+ *     tags: [Participants]
+ */
+router.delete("/:id/credentials/:credId/share-links/:linkId", authenticateUser, revokeCredentialShareLink);
+
+/**
+ * @swagger
+ * /api/participants/{id}/credentials/{credId}/share-links/{linkId}/accesses:
+ *   get:
+ *     summary: Access log of a share link, including refused attempts
+ *     tags: [Participants]
+ */
+router.get("/:id/credentials/:credId/share-links/:linkId/accesses", authenticateUser, getCredentialShareLinkAccesses);
+
 router.get("/:id/events", async (req, res) => {
     try {
         const events = await Event.find({ participants: req.params.id });
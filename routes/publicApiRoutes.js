@@ -1,8 +1,23 @@
 // routes/publicApiRoutes.js
 import express from "express";
+import mongoose from "mongoose";
 import rateLimit from "express-rate-limit";
-import { verifyApiKey } from "./apiKeyRoutes.js";
+import { requireApiKeyPermission, verifyApiKey } from "./apiKeyRoutes.js";
 import { triggerWebhook, WEBHOOK_EVENTS } from "./webhookRoutes.js";
+import Credential from "../models/Credentials.js";
+import Admin from "../models/Admin.js";
+import { evaluateCredential } from "../utils/credentialVerification.js";
+import { recordVerification } from "../utils/verificationTracking.js";
+import { resolveExpiresAt } from "../utils/credentialExpiry.js";
+import { parseStatusChange, revokeCredential } from "../utils/credentialLifecycle.js";
+import {
+    MAX_BULK_ROWS,
+    normalizeBulkRows,
+    parseBulkCsv,
+    toBulkVerificationCsv,
+    verifyBulkRows,
+    wantsCsv
+} from "../utils/bulkVerification.js";
 
 const router = express.Router();
 
@@ -94,8 +109,10 @@ router.use(verifyApiKey);
  *         description: Invalid request data
  *       401:
  *         description: Invalid API key
+ *       403:
+ *         description: The API key does not have the write permission
  */
-router.post('/credentials', async (req, res) => {
+router.post('/credentials', requireApiKeyPermission('write'), async (req, res) => {
     try {
         const { 
             recipientEmail, 
@@ -122,6 +139,15 @@ router.post('/credentials', async (req, res) => {
                 message: 'Invalid email format'
             });
         }
+
+        const issuedAt = new Date();
+        const { expiresAt: resolvedExpiry, error: expiryError } = resolveExpiresAt(expiresAt, null, issuedAt);
+        if (expiryError) {
+            return res.status(400).json({
+                success: false,
+                message: expiryError
+            });
+        }
         
         // Create credential record
         const credential = {
@@ -132,8 +158,8 @@ router.post('/credentials', async (req, res) => {
             organizationId: req.apiKey.organizationId,
             credentialData,
             status: 'issued',
-            issuedAt: new Date(),
-            expiresAt: expiresAt ? new Date(expiresAt) : null,
+            issuedAt,
+            expiresAt: resolvedExpiry,
             tags,
             verificationId: `verify_${Math.random().toString(36).substr(2, 16)}`,
             qrCode: `https://verify.sifapass.com/${Math.random().toString(36).substr(2, 16)}`
@@ -146,7 +172,7 @@ router.post('/credentials', async (req, res) => {
         const verificationUrl = `${process.env.BASE_URL}/verify/${credential.verificationId}`;
         
         // Trigger webhook
-        await triggerWebhook(WEBHOOK_EVENTS.CREDENTIAL_ISSUED, {
+        void triggerWebhook(WEBHOOK_EVENTS.CREDENTIAL_ISSUED, {
             credentialId: credential.id,
             recipientEmail: credential.recipientEmail,
             templateId: credential.templateId,
@@ -261,53 +287,59 @@ router.get('/credentials/:credentialId', async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - reasonCode
+ *               - note
  *             properties:
- *               reason:
+ *               reasonCode:
  *                 type: string
- *                 description: Reason for revocation
+ *                 enum: [issued_in_error, data_error, requirements_not_met, misconduct, fraud, superseded, withdrawn, other]
+ *               note:
+ *                 type: string
+ *                 description: Explanation shown to verifiers and sent to the recipient (reason is accepted as an alias)
+ *               notifyRecipient:
+ *                 type: boolean
+ *                 default: true
  *     responses:
  *       200:
  *         description: Credential revoked successfully
+ *       400:
+ *         description: Missing or unknown reason code, or missing note
+ *       403:
+ *         description: The API key does not have the write permission
+ *       404:
+ *         description: Credential not found for this organization
+ *       409:
+ *         description: Credential is already revoked
  */
-router.post('/credentials/:credentialId/revoke', async (req, res) => {
+router.post('/credentials/:credentialId/revoke', requireApiKeyPermission('write'), async (req, res) => {
     try {
         const { credentialId } = req.params;
-        const { reason = 'Revoked via API' } = req.body;
-        
-        // Update credential status in database
-        // const credential = await Credential.findOneAndUpdate(
-        //     { id: credentialId, organizationId: req.apiKey.organizationId },
-        //     { 
-        //         status: 'revoked', 
-        //         revokedAt: new Date(),
-        //         revocationReason: reason
-        //     },
-        //     { new: true }
-        // );
-        
-        // Mock response for now
-        const credential = {
-            id: credentialId,
-            status: 'revoked',
-            revokedAt: new Date(),
-            revocationReason: reason
-        };
-        
-        if (!credential) {
+        const organizationId = req.apiKey.organizationId;
+
+        if (!mongoose.Types.ObjectId.isValid(organizationId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'API key is not linked to an issuing organization'
+            });
+        }
+
+        const { reason, ...body } = req.body || {};
+        const change = parseStatusChange('revoke', { ...body, note: body.note ?? reason });
+
+        const existing = mongoose.Types.ObjectId.isValid(credentialId)
+            ? await Credential.findOne({ _id: credentialId, createdBy: organizationId })
+            : null;
+
+        if (!existing) {
             return res.status(404).json({
                 success: false,
                 message: 'Credential not found'
             });
         }
-        
-        // Trigger webhook
-        await triggerWebhook(WEBHOOK_EVENTS.CREDENTIAL_REVOKED, {
-            credentialId: credential.id,
-            status: credential.status,
-            revokedAt: credential.revokedAt,
-            reason: credential.revocationReason
-        }, req.apiKey.organizationId);
-        
+
+        const { credential, notified } = await revokeCredential(existing, change);
+
         res.json({
             success: true,
             message: 'Credential revoked successfully',
@@ -315,11 +347,16 @@ router.post('/credentials/:credentialId/revoke', async (req, res) => {
                 credentialId: credential.id,
                 status: credential.status,
                 revokedAt: credential.revokedAt,
-                reason: credential.revocationReason
+                reasonCode: credential.revocationReasonCode,
+                reason: credential.revocationReason,
+                recipientNotified: notified
             }
         });
         
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
         console.error('Credential revocation error:', error);
         res.status(500).json({
             success: false,
@@ -357,7 +394,7 @@ router.post('/credentials/:credentialId/revoke', async (req, res) => {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [issued, revoked, expired]
+ *           enum: [issued, suspended, revoked, expired]
  *         description: Filter by credential status
  *       - in: query
  *         name: recipientEmail
@@ -444,69 +481,71 @@ router.get('/credentials', async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *         description: Credential hash (from the verification link) or credential id
  *     responses:
  *       200:
  *         description: Credential verification result
+ *       404:
+ *         description: No credential matches the id
  */
 router.get('/verify/:verificationId', async (req, res) => {
     try {
         const { verificationId } = req.params;
-        
-        // Fetch credential by verification ID
-        // const credential = await Credential.findOne({
-        //     verificationId,
-        //     status: { $ne: 'revoked' }
-        // }).populate('templateId organizationId');
-        
-        // Mock response for now
-        const credential = {
-            id: 'cred_123',
-            recipientName: 'John Doe',
-            recipientEmail: 'user@example.com',
-            templateName: 'Course Completion Certificate',
-            organizationName: 'SifaPass Academy',
-            issuedAt: new Date('2024-01-15'),
-            status: 'issued',
-            credentialData: {
-                courseName: 'Advanced Web Development',
-                completionDate: '2024-01-15',
-                grade: 'A'
-            }
-        };
-        
+
+        // Accepts the credential hash (as in verification links) or the credential id
+        const query = /^[a-f0-9]{64}$/i.test(verificationId)
+            ? { blockchainHash: verificationId.toLowerCase() }
+            : mongoose.Types.ObjectId.isValid(verificationId) ? { _id: verificationId } : null;
+
+        const credential = query
+            ? await Credential.findOne(query).populate('eventId', 'title')
+            : null;
+
         if (!credential) {
+            await recordVerification(req, { channel: 'api', method: 'public_api', result: 'not_found' });
             return res.status(404).json({
                 success: false,
-                message: 'Credential not found or has been revoked'
+                message: 'Credential not found'
             });
         }
-        
-        // Check if credential is expired
-        const isExpired = credential.expiresAt && new Date() > credential.expiresAt;
-        
-        // Trigger webhook for verification
-        await triggerWebhook(WEBHOOK_EVENTS.CREDENTIAL_VERIFIED, {
+
+        const organizationId = credential.signedPayload?.issuer || credential.createdBy;
+        const [verification, organization] = await Promise.all([
+            evaluateCredential(credential),
+            Admin.findById(organizationId).select('organization')
+        ]);
+
+        const { status } = verification;
+
+        await recordVerification(req, { credential, channel: 'api', method: 'public_api', result: status });
+
+        // Let the issuer know their credential was verified
+        void triggerWebhook(WEBHOOK_EVENTS.CREDENTIAL_VERIFIED, {
             credentialId: credential.id,
-            recipientEmail: credential.recipientEmail,
+            status,
             verifiedAt: new Date(),
-            verifierIP: req.ip
-        }, req.apiKey.organizationId);
-        
+            verifierOrganizationId: req.apiKey.organizationId
+        }, String(organizationId));
+
         res.json({
             success: true,
             data: {
                 credentialId: credential.id,
-                recipientName: credential.recipientName,
-                recipientEmail: credential.recipientEmail,
-                templateName: credential.templateName,
-                organizationName: credential.organizationName,
+                recipientName: credential.signedPayload?.subject?.name || credential.participantData?.name,
+                templateName: credential.title,
+                organizationName: organization?.organization,
+                eventTitle: credential.signedPayload?.event?.title || credential.eventId?.title,
                 issuedAt: credential.issuedAt,
-                status: isExpired ? 'expired' : credential.status,
-                isValid: !isExpired && credential.status === 'issued',
-                credentialData: credential.credentialData
+                expiresAt: verification.checks.expiresAt,
+                status,
+                isValid: status === 'valid',
+                revokedAt: status === 'revoked' ? credential.revokedAt : undefined,
+                revocationReason: status === 'revoked' ? credential.revocationReason : undefined,
+                statusReason: verification.statusReason,
+                checks: verification.checks
             }
         });
-        
+
     } catch (error) {
         console.error('Credential verification error:', error);
         res.status(500).json({
@@ -517,6 +556,87 @@ router.get('/verify/:verificationId', async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/v1/verify/bulk:
+ *   post:
+ *     summary: Verify many credentials at once
+ *     description: |
+ *       Each row references a credential by verification hash, credential id,
+ *       or recipient email plus credential title. Rows can be sent as a JSON
+ *       array or as CSV text with a header row (hash, credentialId, email, title).
+ *       Every row is recorded in the verification history.
+ *     tags: [Public API - Verification]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *         description: Response format; CSV is also returned for Accept text/csv
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rows:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                       description: Verification hash or credential id
+ *                     - type: object
+ *                       properties:
+ *                         hash:
+ *                           type: string
+ *                         credentialId:
+ *                           type: string
+ *                         email:
+ *                           type: string
+ *                         title:
+ *                           type: string
+ *               csv:
+ *                 type: string
+ *                 description: CSV text, instead of rows
+ *     responses:
+ *       200:
+ *         description: Per-row results (valid, revoked, expired, suspended, invalid, not_found) and counts
+ *       400:
+ *         description: No rows, or more than 500
+ */
+router.post('/verify/bulk', async (req, res) => {
+    try {
+        const { rows, csv } = req.body || {};
+        const input = typeof csv === 'string' ? parseBulkCsv(csv) : rows;
+
+        const { summary, results } = await verifyBulkRows(req, normalizeBulkRows(input), { method: 'bulk_api' });
+
+        if (wantsCsv(req)) {
+            res.header('Content-Type', 'text/csv');
+            res.attachment('verification-results.csv');
+            return res.send(toBulkVerificationCsv(results));
+        }
+
+        res.json({ success: true, data: { summary, results } });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message, maxRows: MAX_BULK_ROWS });
+        }
+        console.error('Bulk verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to verify credentials',
+            error: error.message
+        });
+    }
+});
+
 /**
  * @swagger
  * /api/v1/templates:
@@ -612,8 +732,10 @@ router.get('/templates', async (req, res) => {
  *     responses:
  *       202:
  *         description: Batch operation accepted
+ *       403:
+ *         description: The API key does not have the write permission
  */
-router.post('/batch/credentials', async (req, res) => {
+router.post('/batch/credentials', requireApiKeyPermission('write'), async (req, res) => {
     try {
         const { templateId, recipients } = req.body;
         
@@ -673,7 +795,7 @@ router.post('/batch/credentials', async (req, res) => {
                     results.push(credential);
                     
                     // Trigger webhook for each credential
-                    await triggerWebhook(WEBHOOK_EVENTS.CREDENTIAL_ISSUED, {
+                    void triggerWebhook(WEBHOOK_EVENTS.CREDENTIAL_ISSUED, {
                         credentialId: credential.id,
                         recipientEmail: credential.recipientEmail,
                         templateId: credential.templateId,
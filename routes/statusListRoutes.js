@@ -0,0 +1,34 @@
+// routes/statusListRoutes.js
+import express from "express";
+import { getStatusListCredential } from "../controllers/statusListController.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/status-lists/{organizationId}/{listNumber}/{purpose}:
+ *   get:
+ *     summary: Signed Bitstring Status List credential (revocation or suspension)
+ *     tags: [Status Lists]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: listNumber
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: purpose
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [revocation, suspension]
+ */
+router.get("/:organizationId/:listNumber/:purpose", getStatusListCredential);
+
+export default router;
@@ -0,0 +1,73 @@
+// routes/verificationPageRoutes.js
+import express from "express";
+import { getSharedCredentialPage, getVerificationPage } from "../controllers/verificationPageController.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /verify/{hash}:
+ *   get:
+ *     summary: Public verification page for a credential (HTML, or JSON via Accept header)
+ *     tags: [Credentials]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: hash
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Credential blockchain hash (as encoded in the QR code)
+ *     responses:
+ *       200:
+ *         description: Verification result
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       404:
+ *         description: No credential matches the hash
+ */
+router.get("/:hash", getVerificationPage);
+
+/**
+ * @swagger
+ * /verify/shared/{token}:
+ *   get:
+ *     summary: Open a share link (HTML, or JSON via Accept header)
+ *     description: |
+ *       Enforces the link's expiry, view limit, allowed domains and passcode,
+ *       then shows only the fields the holder chose to share, each proven by
+ *       the issuer signature. JSON clients send the passcode in the
+ *       X-Share-Passcode header. Every attempt is recorded.
+ *     tags: [Credentials]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Verification result with the disclosed fields
+ *       401:
+ *         description: Passcode required or incorrect
+ *       403:
+ *         description: Opened from a domain the link does not allow
+ *       404:
+ *         description: No share link with this token
+ *       410:
+ *         description: Link revoked, expired, out of views or locked
+ *   post:
+ *     summary: Open a passcode-protected share link (form or JSON body with passcode)
+ *     tags: [Credentials]
+ *     security: []
+ */
+router.get("/shared/:token", getSharedCredentialPage);
+router.post("/shared/:token", getSharedCredentialPage);
+
+export default router;
@@ -0,0 +1,155 @@
+// routes/verificationRoutes.js
+import express from "express";
+import {
+    getOrganizationVerifications,
+    getOrganizationVerificationSummary,
+    getCredentialVerifications,
+    verifyCredentialsInBulk
+} from "../controllers/verificationController.js";
+import { authenticate } from "../middleware/auth.js";
+import upload, { handleUploadError } from "../middleware/upload.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     VerificationChannel:
+ *       in: query
+ *       name: channel
+ *       schema:
+ *         type: string
+ *         enum: [qr, link, api, file]
+ *     VerificationResult:
+ *       in: query
+ *       name: result
+ *       schema:
+ *         type: string
+ *         enum: [valid, invalid, revoked, suspended, expired, superseded, inactive, altered, inconclusive, not_found]
+ *     VerificationFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *     VerificationTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/verifications:
+ *   get:
+ *     summary: Verification history across the organization's credentials
+ *     tags: [Verifications]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/VerificationChannel'
+ *       - $ref: '#/components/parameters/VerificationResult'
+ *       - $ref: '#/components/parameters/VerificationFrom'
+ *       - $ref: '#/components/parameters/VerificationTo'
+ *       - in: query
+ *         name: credentialId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ */
+router.get("/", authenticate, getOrganizationVerifications);
+
+/**
+ * @swagger
+ * /api/verifications/summary:
+ *   get:
+ *     summary: Verification counts by channel, result, user agent, country, hour and day
+ *     tags: [Verifications]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/VerificationChannel'
+ *       - $ref: '#/components/parameters/VerificationResult'
+ *       - $ref: '#/components/parameters/VerificationFrom'
+ *       - $ref: '#/components/parameters/VerificationTo'
+ */
+router.get("/summary", authenticate, getOrganizationVerificationSummary);
+
+/**
+ * @swagger
+ * /api/verifications/credentials/{credentialId}:
+ *   get:
+ *     summary: Verification history and summary of a single credential
+ *     tags: [Verifications]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: credentialId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/VerificationChannel'
+ *       - $ref: '#/components/parameters/VerificationResult'
+ *       - $ref: '#/components/parameters/VerificationFrom'
+ *       - $ref: '#/components/parameters/VerificationTo'
+ */
+router.get("/credentials/:credentialId", authenticate, getCredentialVerifications);
+
+/**
+ * @swagger
+ * /api/verifications/bulk:
+ *   post:
+ *     summary: Verify a CSV list of credentials (up to 500 rows)
+ *     description: |
+ *       Columns: hash, credentialId, or email and title. A file without a
+ *       header row is read as one hash or credential id per line. Each row is
+ *       recorded in the verification history under the caller's organization.
+ *     tags: [Verifications]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *         description: Response format; CSV is also returned for Accept text/csv
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rows:
+ *                 type: array
+ *                 items: {}
+ *               csv:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Per-row results (valid, revoked, expired, suspended, invalid, not_found) and counts
+ *       400:
+ *         description: No rows, or more than 500
+ */
+router.post("/bulk", authenticate, upload.single("file"), handleUploadError, verifyCredentialsInBulk);
+
+export default router;
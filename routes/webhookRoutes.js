@@ -1,8 +1,11 @@
 // routes/webhookRoutes.js
 import express from "express";
 import crypto from "crypto";
-import axios from "axios";
 import rateLimit from "express-rate-limit";
+import mongoose from "mongoose";
+import { WebhookConfig } from "../models/ApiKey.js";
+import { authenticate } from "../middleware/auth.js";
+import { resolvePublicUrl, postPublicJson } from "../utils/publicFetch.js";
 
 const router = express.Router();
 
@@ -21,6 +24,12 @@ export const WEBHOOK_EVENTS = {
     CREDENTIAL_ISSUED: 'credential.issued',
     CREDENTIAL_VERIFIED: 'credential.verified',
     CREDENTIAL_REVOKED: 'credential.revoked',
+    CREDENTIAL_SUSPENDED: 'credential.suspended',
+    CREDENTIAL_REINSTATED: 'credential.reinstated',
+    CREDENTIAL_EXPIRING: 'credential.expiring',
+    CREDENTIAL_EXPIRED: 'credential.expired',
+    CREDENTIAL_RENEWED: 'credential.renewed',
+    CREDENTIAL_REISSUED: 'credential.reissued',
     EVENT_CREATED: 'event.created',
     PARTICIPANT_REGISTERED: 'participant.registered'
 };
@@ -48,7 +57,7 @@ export const WEBHOOK_EVENTS = {
  *                 type: array
  *                 items:
  *                   type: string
- *                   enum: [credential.issued, credential.verified, credential.revoked, event.created, participant.registered]
+ *                   enum: [credential.issued, credential.verified, credential.revoked, credential.suspended, credential.reinstated, credential.expiring, credential.expired, credential.renewed, credential.reissued, event.created, participant.registered]
  *                 description: Events to subscribe to
  *               secret:
  *                 type: string
@@ -60,15 +69,16 @@ export const WEBHOOK_EVENTS = {
  *       200:
  *         description: Webhook configured successfully
  */
-router.post('/configure', webhookLimiter, async (req, res) => {
+router.post('/configure', webhookLimiter, authenticate, async (req, res) => {
     try {
         const { webhookUrl, events = [], secret, isActive = true } = req.body;
         
         // Validate webhook URL
-        if (!webhookUrl || !isValidUrl(webhookUrl)) {
+        const urlError = await checkWebhookUrl(webhookUrl);
+        if (urlError) {
             return res.status(400).json({
                 success: false,
-                message: 'Valid webhook URL is required'
+                message: urlError
             });
         }
         
@@ -87,25 +97,20 @@ router.post('/configure', webhookLimiter, async (req, res) => {
         const webhookSecret = secret || crypto.randomBytes(32).toString('hex');
         
         // Save webhook configuration to database
+        const organizationId = req.user.organizationId || req.user.id;
         const webhookConfig = {
-            organizationId: req.user.organizationId,
+            organizationId,
             webhookUrl,
             events,
             secret: webhookSecret,
-            isActive,
-            createdAt: new Date(),
-            updatedAt: new Date(),
-            lastTriggered: null,
-            successCount: 0,
-            failureCount: 0
+            isActive
         };
         
-        // Save to database (implement based on your schema)
-        // const savedWebhook = await WebhookConfig.findOneAndUpdate(
-        //     { organizationId: req.user.organizationId },
-        //     webhookConfig,
-        //     { upsert: true, new: true }
-        // );
+        await WebhookConfig.findOneAndUpdate(
+            { organizationId },
+            webhookConfig,
+            { upsert: true, new: true, runValidators: true }
+        );
         
         res.json({
             success: true,
@@ -150,14 +155,15 @@ router.post('/configure', webhookLimiter, async (req, res) => {
  *       200:
  *         description: Webhook test successful
  */
-router.post('/test', webhookLimiter, async (req, res) => {
+router.post('/test', webhookLimiter, authenticate, async (req, res) => {
     try {
         const { webhookUrl } = req.body;
         
-        if (!webhookUrl || !isValidUrl(webhookUrl)) {
+        const urlError = await checkWebhookUrl(webhookUrl);
+        if (urlError) {
             return res.status(400).json({
                 success: false,
-                message: 'Valid webhook URL is required'
+                message: urlError
             });
         }
         
@@ -166,7 +172,7 @@ router.post('/test', webhookLimiter, async (req, res) => {
             timestamp: new Date().toISOString(),
             data: {
                 message: 'This is a test webhook from SifaPass',
-                organizationId: req.user.organizationId
+                organizationId: req.user.organizationId || req.user.id
             }
         };
         
@@ -188,7 +194,7 @@ router.post('/test', webhookLimiter, async (req, res) => {
         res.status(500).json({
             success: false,
             message: 'Webhook test failed',
-            error: error.response?.data || error.message
+            error: error.error || error.message
         });
     }
 });
@@ -205,22 +211,12 @@ router.post('/test', webhookLimiter, async (req, res) => {
  *       200:
  *         description: Webhook status retrieved successfully
  */
-router.get('/status', async (req, res) => {
+router.get('/status', authenticate, async (req, res) => {
     try {
         // Fetch webhook configuration from database
-        // const webhookConfig = await WebhookConfig.findOne({
-        //     organizationId: req.user.organizationId
-        // });
-        
-        // Mock response for now
-        const webhookConfig = {
-            webhookUrl: 'https://example.com/webhook',
-            events: ['credential.issued', 'credential.verified'],
-            isActive: true,
-            lastTriggered: new Date('2024-01-15'),
-            successCount: 45,
-            failureCount: 2
-        };
+        const webhookConfig = await WebhookConfig.findOne({
+            organizationId: req.user.organizationId || req.user.id
+        }).select('webhookUrl events isActive lastTriggered successCount failureCount lastError');
         
         res.json({
             success: true,
@@ -252,6 +248,12 @@ router.get('/events', (req, res) => {
         [WEBHOOK_EVENTS.CREDENTIAL_ISSUED]: 'Triggered when a new credential is issued to a recipient',
         [WEBHOOK_EVENTS.CREDENTIAL_VERIFIED]: 'Triggered when a credential is verified by a third party',
         [WEBHOOK_EVENTS.CREDENTIAL_REVOKED]: 'Triggered when a credential is revoked or cancelled',
+        [WEBHOOK_EVENTS.CREDENTIAL_SUSPENDED]: 'Triggered when a credential is temporarily suspended',
+        [WEBHOOK_EVENTS.CREDENTIAL_REINSTATED]: 'Triggered when a suspended credential is reinstated',
+        [WEBHOOK_EVENTS.CREDENTIAL_EXPIRING]: 'Triggered when an expiry reminder is due for a credential',
+        [WEBHOOK_EVENTS.CREDENTIAL_EXPIRED]: 'Triggered when a credential passes its expiry date',
+        [WEBHOOK_EVENTS.CREDENTIAL_RENEWED]: 'Triggered when a credential is renewed with a linked successor',
+        [WEBHOOK_EVENTS.CREDENTIAL_REISSUED]: 'Triggered when an amended version of a credential supersedes it',
         [WEBHOOK_EVENTS.EVENT_CREATED]: 'Triggered when a new event is created',
         [WEBHOOK_EVENTS.PARTICIPANT_REGISTERED]: 'Triggered when a new participant registers for an event'
     };
@@ -267,7 +269,9 @@ router.get('/events', (req, res) => {
     });
 });
 
-// Function to send webhook notifications
+// Function to send webhook notifications. The URL is checked again here, as
+// its host may have been re-pointed since it was configured; the receiver's
+// response body is never passed back.
 export const sendWebhook = async (webhookUrl, payload, secret) => {
     const startTime = Date.now();
     
@@ -278,7 +282,7 @@ export const sendWebhook = async (webhookUrl, payload, secret) => {
             .update(JSON.stringify(payload))
             .digest('hex');
         
-        const response = await axios.post(webhookUrl, payload, {
+        const response = await postPublicJson(webhookUrl, payload, {
             headers: {
                 'Content-Type': 'application/json',
                 'X-SifaPass-Signature': `sha256=${signature}`,
@@ -301,30 +305,26 @@ export const sendWebhook = async (webhookUrl, payload, secret) => {
             status: error.response?.status,
             statusText: error.response?.statusText,
             responseTime: Date.now() - startTime,
-            error: error.response?.data || error.message
+            error: error.message
         };
     }
 };
 
-// Function to trigger webhooks for specific events
+// Function to trigger webhooks for specific events. It never throws, so callers
+// dispatch it with `void triggerWebhook(...)` rather than waiting on delivery
 export const triggerWebhook = async (eventType, data, organizationId) => {
+    let webhookConfig = null;
     try {
+        if (!mongoose.Types.ObjectId.isValid(organizationId)) return;
+
         // Fetch webhook configuration from database
-        // const webhookConfig = await WebhookConfig.findOne({
-        //     organizationId,
-        //     isActive: true,
-        //     events: { $in: [eventType] }
-        // });
-        
-        // Mock configuration for now
-        const webhookConfig = {
-            webhookUrl: 'https://example.com/webhook',
-            events: ['credential.issued', 'credential.verified'],
-            secret: 'test_secret',
-            isActive: true
-        };
+        webhookConfig = await WebhookConfig.findOne({
+            organizationId,
+            isActive: true,
+            events: eventType
+        });
         
-        if (!webhookConfig || !webhookConfig.events.includes(eventType)) {
+        if (!webhookConfig) {
             return; // No webhook configured for this event
         }
         
@@ -335,34 +335,35 @@ export const triggerWebhook = async (eventType, data, organizationId) => {
             data
         };
         
-        const result = await sendWebhook(webhookConfig.webhookUrl, payload, webhookConfig.secret);
+        await sendWebhook(webhookConfig.webhookUrl, payload, webhookConfig.secret);
         
         // Update webhook statistics
-        // await WebhookConfig.findByIdAndUpdate(webhookConfig._id, {
-        //     lastTriggered: new Date(),
-        //     $inc: { successCount: 1 }
-        // });
-        
-        console.log('Webhook sent successfully:', eventType);
+        await webhookConfig.logSuccess();
         
     } catch (error) {
         console.error('Webhook trigger error:', error);
         
         // Update failure count
-        // await WebhookConfig.findOneAndUpdate(
-        //     { organizationId, isActive: true },
-        //     { $inc: { failureCount: 1 } }
-        // );
+        if (webhookConfig) {
+            await webhookConfig.logFailure({
+                message: typeof error.error === 'string' ? error.error : error.message || 'Webhook delivery failed',
+                status: error.status
+            }).catch(logError => console.error('Webhook statistics error:', logError.message));
+        }
     }
 };
 
-// Helper function to validate URLs
-function isValidUrl(string) {
+// Helper to validate webhook URLs: http(s) on a public host only, so webhooks
+// cannot reach localhost, private ranges or cloud metadata endpoints.
+// Returns the reason the URL is refused, or null when it is allowed
+async function checkWebhookUrl(webhookUrl) {
+    if (!webhookUrl || typeof webhookUrl !== 'string') return 'Valid webhook URL is required';
     try {
-        const url = new URL(string);
-        return url.protocol === 'http:' || url.protocol === 'https:';
-    } catch (_) {
-        return false;
+        await resolvePublicUrl(webhookUrl, { allowHttp: true });
+        return null;
+    } catch (error) {
+        if (error.refused) return `Valid webhook URL is required: ${error.message}`;
+        throw error;
     }
 }
 
@@ -40,6 +40,17 @@ import publicApiRoutes from "./routes/publicApiRoutes.js";
 import zapierRoutes from "./routes/zapierRoutes.js";
 import testRoutes from "./routes/testRoutes.js";
 import billingRoutes from "./routes/billingRoutes.js";
+import keyRoutes from "./routes/keyRoutes.js";
+import didRoutes from "./routes/didRoutes.js";
+import badgeRoutes from "./routes/badgeRoutes.js";
+import ledgerRoutes from "./routes/ledgerRoutes.js";
+import statusListRoutes from "./routes/statusListRoutes.js";
+import verificationPageRoutes from "./routes/verificationPageRoutes.js";
+import verificationRoutes from "./routes/verificationRoutes.js";
+import { startLedgerScheduler } from "./utils/ledger.js";
+import { startExpiryScheduler } from "./utils/credentialExpiry.js";
+import { renderCredentialArtifacts } from "./controllers/credentialController.js";
+import { closeBrowserPool, getBrowserPoolStats, warmBrowserPool } from "./utils/browserPool.js";
 import { v2 as cloudinary } from "cloudinary";
 
 const app = express();
@@ -145,7 +156,8 @@ app.get("/health", (req, res) => {
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         environment: process.env.NODE_ENV || 'development',
-        paystackConfigured: !!process.env.PAYSTACK_SECRET_KEY
+        paystackConfigured: !!process.env.PAYSTACK_SECRET_KEY,
+        exportBrowser: getBrowserPoolStats()
     });
 });
 
@@ -248,6 +260,15 @@ app.use("/api/zapier", zapierRoutes);
 app.use("/api", testRoutes);
 app.use("/api/billing", billingRoutes);
 app.use("/api/v1", publicApiRoutes);
+app.use("/api/keys", keyRoutes);
+app.use("/issuers", didRoutes);
+app.use("/api/badges", badgeRoutes);
+app.use("/api/ledger", ledgerRoutes);
+app.use("/api/status-lists", statusListRoutes);
+app.use("/api/verifications", verificationRoutes);
+
+// Public, server-rendered verification page (the QR code target)
+app.use("/verify", generalLimiter, verificationPageRoutes);
 
 // Global error handling middleware
 app.use((error, req, res, next) => {
@@ -322,12 +343,14 @@ const connectDB = async () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully...');
+    await closeBrowserPool();
     await mongoose.connection.close();
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
     console.log('SIGINT received, shutting down gracefully...');
+    await closeBrowserPool();
     await mongoose.connection.close();
     process.exit(0);
 });
@@ -336,6 +359,9 @@ process.on('SIGINT', async () => {
 const startServer = async () => {
     try {
         await connectDB();
+        startLedgerScheduler();
+        startExpiryScheduler({ render: renderCredentialArtifacts });
+        if (process.env.BROWSER_POOL_WARMUP !== 'false') warmBrowserPool();
 
         app.listen(PORT, () => {
             console.log(`\n🚀 Server running on ${BASE_URL}`);
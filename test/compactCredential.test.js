@@ -0,0 +1,105 @@
+// test/compactCredential.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import zlib from "zlib";
+import mongoose from "mongoose";
+import {
+  COMPACT_CLAIMS_VERSION,
+  COMPACT_JWS_TYPE,
+  COMPACT_QR_PREFIX,
+  base45Decode,
+  base45Encode,
+  buildCompactClaims,
+  createCompactQrPayload,
+  verifyCompactQrPayload
+} from "../utils/compactCredential.js";
+import { buildCredentialPayload, generateSigningKey, hashPayload, signCompactJws } from "../utils/credentialSigning.js";
+import { SD_JWT_TYPE } from "../utils/selectiveDisclosure.js";
+import { toKeySet, useMemorySigningKeys } from "./helpers/signingKeys.js";
+
+const signedCredential = () => {
+  const signedPayload = buildCredentialPayload({
+    credentialId: new mongoose.Types.ObjectId(),
+    organizationId: new mongoose.Types.ObjectId(),
+    participantId: new mongoose.Types.ObjectId(),
+    recipientName: "Amina Otieno",
+    eventId: new mongoose.Types.ObjectId(),
+    eventTitle: "Data Science Bootcamp",
+    title: "Certificate of Completion",
+    type: "certificate",
+    issuedAt: "2026-03-01T09:00:00.000Z"
+  });
+  return { _id: signedPayload.id, signedPayload, blockchainHash: hashPayload(signedPayload) };
+};
+
+const deflateQr = (jws) => COMPACT_QR_PREFIX + base45Encode(zlib.deflateRawSync(Buffer.from(jws)));
+const inflateQr = (text) => zlib.inflateRawSync(base45Decode(text.slice(COMPACT_QR_PREFIX.length))).toString("utf8");
+
+// QR text for a JWS signed with the issuer's key, with any claims and header
+const encodeQr = async (credential, claims, header) => {
+  const { jws } = await signCompactJws(credential.signedPayload.issuer, claims, header);
+  return deflateQr(jws);
+};
+
+describe("Compact QR payloads", () => {
+  it("verifies a payload offline against the issuer key set", async (t) => {
+    const keys = useMemorySigningKeys(t);
+    const credential = signedCredential();
+    await generateSigningKey(credential.signedPayload.issuer);
+
+    const result = verifyCompactQrPayload(await createCompactQrPayload(credential), toKeySet(keys));
+
+    assert.equal(result.status, "valid");
+    assert.equal(result.credential.id, credential.signedPayload.id);
+    assert.equal(result.credential.recipientName, "Amina Otieno");
+    assert.equal(result.issuer.id, credential.signedPayload.issuer);
+  });
+
+  it("rejects a payload whose claims were changed after signing", async (t) => {
+    const keys = useMemorySigningKeys(t);
+    const credential = signedCredential();
+    await generateSigningKey(credential.signedPayload.issuer);
+
+    const [header, , signature] = inflateQr(await createCompactQrPayload(credential)).split(".");
+    const claims = Buffer.from(JSON.stringify({ ...buildCompactClaims(credential), name: "Someone Else" })).toString("base64url");
+    const result = verifyCompactQrPayload(deflateQr(`${header}.${claims}.${signature}`), toKeySet(keys));
+
+    assert.equal(result.status, "invalid");
+    assert.equal(result.reason, "bad_signature");
+  });
+
+  it("rejects an SD-JWT signed with the same key", async (t) => {
+    const keys = useMemorySigningKeys(t);
+    const credential = signedCredential();
+    await generateSigningKey(credential.signedPayload.issuer);
+
+    const text = await encodeQr(credential, buildCompactClaims(credential), { typ: SD_JWT_TYPE });
+    const result = verifyCompactQrPayload(text, toKeySet(keys));
+
+    assert.equal(result.status, "invalid");
+    assert.equal(result.reason, "unsupported_payload");
+    assert.equal(result.credential, undefined);
+  });
+
+  it("rejects a JWS without the compact typ", async (t) => {
+    const keys = useMemorySigningKeys(t);
+    const credential = signedCredential();
+    await generateSigningKey(credential.signedPayload.issuer);
+
+    const text = await encodeQr(credential, buildCompactClaims(credential));
+
+    assert.equal(verifyCompactQrPayload(text, toKeySet(keys)).reason, "unsupported_payload");
+  });
+
+  it("rejects claims of another version", async (t) => {
+    const keys = useMemorySigningKeys(t);
+    const credential = signedCredential();
+    await generateSigningKey(credential.signedPayload.issuer);
+
+    const claims = { ...buildCompactClaims(credential), v: COMPACT_CLAIMS_VERSION + 1 };
+    const result = verifyCompactQrPayload(await encodeQr(credential, claims, { typ: COMPACT_JWS_TYPE }), toKeySet(keys));
+
+    assert.equal(result.status, "invalid");
+    assert.equal(result.reason, "unsupported_payload");
+  });
+});
@@ -0,0 +1,59 @@
+// test/credentialModel.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Credential from "../models/Credentials.js";
+
+const ISSUANCE_ERROR = /An issued credential needs a signed payload/;
+
+const baseFields = () => ({
+  title: "Certificate of Completion",
+  type: "certificate",
+  participantId: new mongoose.Types.ObjectId(),
+  eventId: new mongoose.Types.ObjectId(),
+  createdBy: new mongoose.Types.ObjectId(),
+  designData: {},
+  participantData: { name: "Amina Otieno" }
+});
+
+const signedFields = () => ({
+  blockchainHash: "a".repeat(64),
+  signedPayload: { issuer: String(new mongoose.Types.ObjectId()) },
+  signature: { value: "signature", kid: "key-1", algorithm: "Ed25519" }
+});
+
+// A document as loaded from the database, which runs the init hooks
+const loadCredential = (fields) => Credential.hydrate({ _id: new mongoose.Types.ObjectId(), ...baseFields(), ...fields });
+
+describe("Credential issuance check", () => {
+  it("rejects a new issued credential without a signed payload", async () => {
+    await assert.rejects(new Credential({ ...baseFields(), status: "issued" }).validate(), ISSUANCE_ERROR);
+  });
+
+  it("accepts a new issued credential with a signed payload", async () => {
+    await new Credential({ ...baseFields(), ...signedFields(), status: "issued" }).validate();
+  });
+
+  it("rejects issuing a generating credential without a signed payload", async () => {
+    const credential = loadCredential({ status: "generating" });
+    credential.status = "issued";
+    await assert.rejects(credential.validate(), ISSUANCE_ERROR);
+  });
+
+  it("saves changes to a legacy issued credential issued before signing", async () => {
+    const credential = loadCredential({ status: "issued", blockchainHash: "b".repeat(64) });
+    credential.set("exportLinks.pdf", "https://example.com/credential.pdf");
+    credential.downloadCount = 3;
+    await credential.validate();
+  });
+
+  it("lets a legacy credential change status and be reinstated", async () => {
+    const credential = loadCredential({ status: "issued" });
+    credential.status = "suspended";
+    await credential.validate();
+
+    const suspended = loadCredential({ status: "suspended" });
+    suspended.status = "issued";
+    await suspended.validate();
+  });
+});
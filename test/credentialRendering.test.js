@@ -0,0 +1,78 @@
+// test/credentialRendering.test.js
+import { before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import { renderCredential, renderCredentialPages } from "../utils/credentialRenderer.js";
+import { getDesignPageCount } from "../utils/designPages.js";
+import { validateDesign } from "../utils/designValidation.js";
+import {
+  comparePdf,
+  comparePixels,
+  compareText,
+  loadReferenceDesigns,
+  matchGolden,
+  rasterizeSvg,
+  readPdfPageSizes
+} from "./helpers/golden.js";
+
+/**
+ * Golden-image tests for the credential renderer. Each reference design in
+ * test/fixtures/designs is rendered as PNG, SVG and PDF and compared with its
+ * goldens in test/golden (see helpers/golden.js), and the formats are checked
+ * against each other: an SVG page drawn as pixels matches the PNG page, and
+ * PDF pages have the PNG pages' sizes.
+ */
+
+// Cairo (PNG) and librsvg (SVG) antialias text edges differently
+const ACROSS_FORMATS = comparePixels({ maxDifferent: 0.02 });
+
+for (const { name, designData, participantData } of loadReferenceDesigns()) {
+  describe(`reference design ${name}`, () => {
+    const pageCount = getDesignPageCount(designData);
+    const goldenName = (page, extension) => (pageCount === 1 ? `${name}.${extension}` : `${name}.page${page}.${extension}`);
+    const outputs = {};
+
+    before(async () => {
+      outputs.png = await renderCredentialPages(designData, participantData, { format: "png" });
+      outputs.svg = await renderCredentialPages(designData, participantData, { format: "svg" });
+      outputs.pdf = await renderCredential(designData, participantData, { format: "pdf" });
+    });
+
+    it("is a valid design", () => {
+      assert.deepEqual(validateDesign(designData), []);
+    });
+
+    it("renders PNG pages that match the goldens", async (t) => {
+      assert.equal(outputs.png.length, pageCount);
+      for (const [index, png] of outputs.png.entries()) {
+        await matchGolden(t, goldenName(index + 1, "png"), png, comparePixels());
+      }
+    });
+
+    it("renders SVG pages that match the goldens", async (t) => {
+      assert.equal(outputs.svg.length, pageCount);
+      for (const [index, svg] of outputs.svg.entries()) {
+        await matchGolden(t, goldenName(index + 1, "svg"), svg, compareText);
+      }
+    });
+
+    it("renders a PDF that matches the golden", async (t) => {
+      await matchGolden(t, `${name}.pdf`, outputs.pdf, comparePdf);
+    });
+
+    it("draws SVG pages like the PNG pages", async () => {
+      for (const [index, svg] of outputs.svg.entries()) {
+        const difference = await ACROSS_FORMATS(await rasterizeSvg(svg), outputs.png[index]);
+        assert.equal(difference, null, `page ${index + 1} SVG ${difference}`);
+      }
+    });
+
+    it("lays PDF pages out at the PNG pages' sizes", async () => {
+      const sizes = await Promise.all(outputs.png.map(async png => {
+        const { width, height } = await sharp(png).metadata();
+        return { width, height };
+      }));
+      assert.deepEqual(readPdfPageSizes(outputs.pdf), sizes);
+    });
+  });
+}
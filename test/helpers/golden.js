@@ -0,0 +1,126 @@
+// test/helpers/golden.js
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import sharp from "sharp";
+
+/**
+ * Golden files for the rendering tests.
+ *
+ * Output is compared with its file in test/golden. After an intended change
+ * to rendering, `UPDATE_GOLDENS=1 npm test` rewrites the goldens; review and
+ * commit them with the change. A golden that does not exist yet is recorded
+ * on the first run, or only reported under CI; either way that comparison is
+ * skipped. Output that does not match is written to the temp directory for
+ * inspection.
+ */
+
+const GOLDEN_DIRECTORY = fileURLToPath(new URL("../golden/", import.meta.url));
+const DESIGN_DIRECTORY = fileURLToPath(new URL("../fixtures/designs/", import.meta.url));
+const ACTUAL_DIRECTORY = path.join(os.tmpdir(), "sifapass-golden-actual");
+
+// A channel may be this far off before the pixel counts as different
+const PIXEL_TOLERANCE = 32;
+
+/**
+ * The reference designs in test/fixtures/designs, by file name
+ * @returns {Array<{ name: string, description: string, designData: Object, participantData: Object }>}
+ */
+export const loadReferenceDesigns = () => fs.readdirSync(DESIGN_DIRECTORY)
+  .filter(file => file.endsWith(".json"))
+  .sort()
+  .map(file => ({
+    name: path.basename(file, ".json"),
+    ...JSON.parse(fs.readFileSync(path.join(DESIGN_DIRECTORY, file), "utf8"))
+  }));
+
+const decode = (image) => sharp(image).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+
+/**
+ * Compare images pixel by pixel; antialiasing may differ in up to
+ * maxDifferent (a fraction) of the pixels
+ * @returns {(actual: Buffer, expected: Buffer) => Promise<string|null>} the difference, or null
+ */
+export const comparePixels = ({ maxDifferent = 0.002 } = {}) => async (actual, expected) => {
+  const [{ data: a, info: actualInfo }, { data: b, info: expectedInfo }] = await Promise.all([decode(actual), decode(expected)]);
+  if (actualInfo.width !== expectedInfo.width || actualInfo.height !== expectedInfo.height) {
+    return `is ${actualInfo.width}x${actualInfo.height}, expected ${expectedInfo.width}x${expectedInfo.height}`;
+  }
+
+  let different = 0;
+  for (let offset = 0; offset < a.length; offset += 4) {
+    for (let channel = 0; channel < 4; channel++) {
+      if (Math.abs(a[offset + channel] - b[offset + channel]) > PIXEL_TOLERANCE) {
+        different++;
+        break;
+      }
+    }
+  }
+  const share = different / (a.length / 4);
+  return share > maxDifferent ? `${different} pixels (${(share * 100).toFixed(2)}%) differ` : null;
+};
+
+/**
+ * Compare text output (SVG, HTML) exactly
+ */
+export const compareText = async (actual, expected) => {
+  if (actual.equals(expected)) return null;
+  let offset = 0;
+  while (actual[offset] === expected[offset]) offset++;
+  return `differs from character ${offset}: ${JSON.stringify(actual.subarray(offset, offset + 60).toString())}`;
+};
+
+// PDFKit stamps the creation time and a file ID derived from it; both keep their length
+const normalizePdf = (pdf) => Buffer.from(pdf.toString("latin1")
+  .replace(/\(D:\d{14}Z\)/g, "(D:00000000000000Z)")
+  .replace(/\/ID \[<[0-9a-f]+> <[0-9a-f]+>\]/gi, match => match.replace(/<[0-9a-f]+>/gi, id => id.replace(/[0-9a-f]/gi, "0"))), "latin1");
+
+/**
+ * Compare PDFs byte for byte, apart from the creation time and file ID
+ */
+export const comparePdf = async (actual, expected) => compareText(normalizePdf(actual), normalizePdf(expected));
+
+/**
+ * Page sizes of a PDF, in points, in page order
+ * @returns {Array<{ width: number, height: number }>}
+ */
+export const readPdfPageSizes = (pdf) => [...pdf.toString("latin1").matchAll(/\/MediaBox \[0 0 ([\d.]+) ([\d.]+)\]/g)]
+  .map(([, width, height]) => ({ width: Number(width), height: Number(height) }));
+
+/**
+ * Draw an SVG as a PNG at one pixel per SVG unit
+ */
+export const rasterizeSvg = (svg) => sharp(Buffer.from(svg), { density: 72 }).png().toBuffer();
+
+/**
+ * Check output against its golden file
+ * @param {import("node:test").TestContext} t
+ * @param {string} fileName - golden file name in test/golden
+ * @param {Buffer|string} output
+ * @param {(actual: Buffer, expected: Buffer) => Promise<string|null>} compare
+ */
+export const matchGolden = async (t, fileName, output, compare) => {
+  const actual = Buffer.from(output);
+  const file = path.join(GOLDEN_DIRECTORY, fileName);
+  const update = process.env.UPDATE_GOLDENS === "1";
+
+  if (update || !fs.existsSync(file)) {
+    if (!update && process.env.CI) {
+      t.skip(`no golden ${fileName}; record it with UPDATE_GOLDENS=1 npm test and commit it`);
+      return;
+    }
+    fs.mkdirSync(GOLDEN_DIRECTORY, { recursive: true });
+    fs.writeFileSync(file, actual);
+    t.skip(`recorded golden ${fileName}`);
+    return;
+  }
+
+  const difference = await compare(actual, fs.readFileSync(file));
+  if (difference) {
+    fs.mkdirSync(ACTUAL_DIRECTORY, { recursive: true });
+    fs.writeFileSync(path.join(ACTUAL_DIRECTORY, fileName), actual);
+    assert.fail(`${fileName} ${difference}; output written to ${path.join(ACTUAL_DIRECTORY, fileName)}`);
+  }
+};
@@ -0,0 +1,44 @@
+// test/helpers/signingKeys.js
+import SigningKey from "../../models/SigningKey.js";
+import { toPublicJwk } from "../../utils/credentialSigning.js";
+
+/**
+ * Signing keys kept in memory, so signing and verification run without a
+ * database. Private keys are still encrypted at rest, with a test secret.
+ */
+
+process.env.SIGNING_KEY_SECRET ||= "test-signing-key-secret";
+
+const matches = (key, filter) => Object.entries(filter)
+  .every(([field, value]) => String(key[field]) === String(value));
+
+/**
+ * Serve SigningKey.create and SigningKey.findOne from a list for the rest of
+ * the test; generateSigningKey and getActiveSigningKey work unchanged
+ * @param {import("node:test").TestContext} t
+ * @returns {Array<Object>} the stored keys, newest last
+ */
+export const useMemorySigningKeys = (t) => {
+  const keys = [];
+
+  t.mock.method(SigningKey, "create", async (fields) => {
+    const key = new SigningKey(fields);
+    keys.push(key);
+    return key;
+  });
+  t.mock.method(SigningKey, "findOne", (filter) => {
+    const found = Promise.resolve([...keys].reverse().find(key => matches(key, filter)) || null);
+    // getActiveSigningKey sorts the query; the list is already newest first
+    found.sort = () => found;
+    return found;
+  });
+
+  return keys;
+};
+
+/**
+ * Key set as served by GET /api/keys
+ */
+export const toKeySet = (keys) => ({
+  keys: keys.map(key => ({ ...toPublicJwk(key), iss: String(key.organizationId) }))
+});
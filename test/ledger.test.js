@@ -0,0 +1,104 @@
+// test/ledger.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {
+  GENESIS_HASH,
+  computeEntryHash,
+  computeMerkleRoot,
+  getMerkleProof,
+  merkleLeafHash,
+  verifyMerkleProof
+} from "../utils/ledger.js";
+
+// Chained entry hashes, as appendLedgerEntry writes them
+const buildEntryHashes = (count) => {
+  const hashes = [];
+  for (let sequence = 1; sequence <= count; sequence++) {
+    hashes.push(computeEntryHash({
+      sequence,
+      action: "issue",
+      credentialId: new mongoose.Types.ObjectId(),
+      organizationId: new mongoose.Types.ObjectId(),
+      payloadHash: "a".repeat(64),
+      timestamp: new Date(Date.UTC(2026, 2, 1, 9, sequence)),
+      previousHash: hashes[sequence - 2] || GENESIS_HASH
+    }));
+  }
+  return hashes;
+};
+
+describe("Ledger entry hashes", () => {
+  it("cover the previous entry's hash", () => {
+    const entry = {
+      sequence: 2,
+      action: "revoke",
+      credentialId: new mongoose.Types.ObjectId(),
+      payloadHash: "b".repeat(64),
+      data: { reason: "issued in error" },
+      timestamp: "2026-03-01T09:00:00.000Z",
+      previousHash: "c".repeat(64)
+    };
+
+    assert.equal(computeEntryHash(entry), computeEntryHash({ ...entry }));
+    assert.notEqual(computeEntryHash(entry), computeEntryHash({ ...entry, previousHash: "d".repeat(64) }));
+  });
+});
+
+describe("Batch Merkle proofs", () => {
+  it("prove every entry of batches of any size", () => {
+    for (let size = 1; size <= 9; size++) {
+      const entryHashes = buildEntryHashes(size);
+      const root = computeMerkleRoot(entryHashes);
+
+      entryHashes.forEach((entryHash, index) => {
+        assert.ok(verifyMerkleProof(entryHash, getMerkleProof(entryHashes, index), root), `leaf ${index} of ${size}`);
+      });
+    }
+  });
+
+  it("uses the leaf hash as the root of a single-entry batch", () => {
+    const [entryHash] = buildEntryHashes(1);
+
+    assert.equal(computeMerkleRoot([entryHash]), merkleLeafHash(entryHash));
+    assert.deepEqual(getMerkleProof([entryHash], 0), []);
+  });
+
+  it("rejects a proof for an entry that is not in the batch", () => {
+    const entryHashes = buildEntryHashes(5);
+    const root = computeMerkleRoot(entryHashes);
+    const [outsider] = buildEntryHashes(1);
+
+    assert.equal(verifyMerkleProof(outsider, getMerkleProof(entryHashes, 2), root), false);
+  });
+
+  it("rejects a proof used for another leaf or another root", () => {
+    const entryHashes = buildEntryHashes(6);
+    const root = computeMerkleRoot(entryHashes);
+
+    assert.equal(verifyMerkleProof(entryHashes[1], getMerkleProof(entryHashes, 4), root), false);
+    assert.equal(verifyMerkleProof(entryHashes[4], getMerkleProof(entryHashes, 4), computeMerkleRoot(entryHashes.slice(0, 5))), false);
+  });
+
+  it("rejects a proof with a tampered sibling", () => {
+    const entryHashes = buildEntryHashes(4);
+    const root = computeMerkleRoot(entryHashes);
+    const path = getMerkleProof(entryHashes, 0).map((step, depth) => (depth === 1 ? { ...step, hash: "0".repeat(64) } : step));
+
+    assert.equal(verifyMerkleProof(entryHashes[0], path, root), false);
+  });
+
+  it("does not accept an interior node as a leaf", () => {
+    const entryHashes = buildEntryHashes(4);
+    const root = computeMerkleRoot(entryHashes);
+    // The node over entries 0-1, offered as an entry with the node over 2-3 as its sibling
+    const [, rightHalf] = getMerkleProof(entryHashes, 0);
+    const [, leftHalf] = getMerkleProof(entryHashes, 2);
+
+    assert.equal(verifyMerkleProof(leftHalf.hash, [rightHalf], root), false);
+  });
+
+  it("refuses to build a tree without entries", () => {
+    assert.throws(() => computeMerkleRoot([]), /without leaves/);
+  });
+});
@@ -0,0 +1,104 @@
+// test/selectiveDisclosure.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { COMPACT_JWS_TYPE, buildCompactClaims } from "../utils/compactCredential.js";
+import { buildCredentialPayload, generateSigningKey, hashPayload, signCompactJws } from "../utils/credentialSigning.js";
+import {
+  buildPresentation,
+  createDisclosure,
+  decodeDisclosure,
+  issueSdJwt,
+  verifyPresentation
+} from "../utils/selectiveDisclosure.js";
+import { toKeySet, useMemorySigningKeys } from "./helpers/signingKeys.js";
+
+const signedCredential = () => {
+  const signedPayload = buildCredentialPayload({
+    credentialId: new mongoose.Types.ObjectId(),
+    organizationId: new mongoose.Types.ObjectId(),
+    participantId: new mongoose.Types.ObjectId(),
+    recipientName: "Amina Otieno",
+    eventId: new mongoose.Types.ObjectId(),
+    eventTitle: "Data Science Bootcamp",
+    title: "Certificate of Completion",
+    type: "certificate",
+    issuedAt: "2026-03-01T09:00:00.000Z"
+  });
+  return {
+    _id: signedPayload.id,
+    signedPayload,
+    blockchainHash: hashPayload(signedPayload),
+    participantData: { name: "Amina Otieno", email: "amina@example.com", grade: "B", verificationUrl: "https://example.com/v" }
+  };
+};
+
+// An issued SD-JWT and the key set that verifies it
+const issue = async (t) => {
+  const keys = useMemorySigningKeys(t);
+  const credential = signedCredential();
+  await generateSigningKey(credential.signedPayload.issuer);
+  return { credential, sdJwt: await issueSdJwt(credential), keySet: toKeySet(keys) };
+};
+
+const disclosureFor = (sdJwt, name) => sdJwt.disclosures.find(disclosure => decodeDisclosure(disclosure).name === name);
+
+describe("SD-JWT presentations", () => {
+  it("disclose only the chosen fields", async (t) => {
+    const { sdJwt, keySet } = await issue(t);
+
+    const result = verifyPresentation(buildPresentation(sdJwt, ["name", "grade"]), keySet);
+
+    assert.equal(result.status, "valid");
+    assert.deepEqual(result.disclosed, { name: "Amina Otieno", grade: "B" });
+  });
+
+  it("never offer internal fields for disclosure", async (t) => {
+    const { sdJwt } = await issue(t);
+
+    assert.deepEqual(sdJwt.disclosures.map(disclosure => decodeDisclosure(disclosure).name).sort(), ["email", "eventTitle", "grade", "name"]);
+  });
+
+  it("reject a disclosure the issuer did not sign", async (t) => {
+    const { sdJwt, keySet } = await issue(t);
+    const forged = createDisclosure("grade", "A+").disclosure;
+
+    const result = verifyPresentation(`${sdJwt.jwt}~${disclosureFor(sdJwt, "name")}~${forged}~`, keySet);
+
+    assert.equal(result.status, "invalid");
+    assert.equal(result.reason, "undisclosed_digest");
+    assert.equal(result.disclosed, undefined);
+  });
+
+  it("reject a signed disclosure with its value changed", async (t) => {
+    const { sdJwt, keySet } = await issue(t);
+    const { salt } = decodeDisclosure(disclosureFor(sdJwt, "grade"));
+    const altered = Buffer.from(JSON.stringify([salt, "grade", "A+"])).toString("base64url");
+
+    assert.equal(verifyPresentation(`${sdJwt.jwt}~${altered}~`, keySet).reason, "undisclosed_digest");
+  });
+
+  it("reject a disclosure given twice", async (t) => {
+    const { sdJwt, keySet } = await issue(t);
+    const grade = disclosureFor(sdJwt, "grade");
+
+    const result = verifyPresentation(`${sdJwt.jwt}~${grade}~${grade}~`, keySet);
+
+    assert.equal(result.status, "invalid");
+    assert.equal(result.reason, "duplicate_disclosure");
+  });
+
+  it("reject a malformed disclosure", async (t) => {
+    const { sdJwt, keySet } = await issue(t);
+    const malformed = Buffer.from(JSON.stringify(["salt", "grade"])).toString("base64url");
+
+    assert.equal(verifyPresentation(`${sdJwt.jwt}~${malformed}~`, keySet).reason, "malformed_disclosure");
+  });
+
+  it("reject a compact QR JWS signed with the same key", async (t) => {
+    const { credential, keySet } = await issue(t);
+    const { jws } = await signCompactJws(credential.signedPayload.issuer, buildCompactClaims(credential), { typ: COMPACT_JWS_TYPE });
+
+    assert.equal(verifyPresentation(`${jws}~`, keySet).reason, "not_sd_jwt");
+  });
+});
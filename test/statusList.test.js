@@ -0,0 +1,93 @@
+// test/statusList.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import StatusList from "../models/StatusList.js";
+import {
+  decodeStatusBitstring,
+  encodeStatusBitstring,
+  permuteStatusIndex,
+  readStatusBit,
+  setCredentialStatusFlag
+} from "../utils/statusList.js";
+
+const SEED = "9f2c".repeat(16);
+
+describe("Status index permutation", () => {
+  it("maps every position of a list to a different index", () => {
+    for (const size of [1, 2, 7, 64, 1000]) {
+      const indexes = Array.from({ length: size }, (_, position) => permuteStatusIndex(position, size, SEED));
+
+      assert.equal(new Set(indexes).size, size, `size ${size}`);
+      assert.ok(indexes.every(index => Number.isInteger(index) && index >= 0 && index < size), `size ${size}`);
+    }
+  });
+
+  it("depends only on the list's seed", () => {
+    const order = (seed) => Array.from({ length: 256 }, (_, position) => permuteStatusIndex(position, 256, seed));
+
+    assert.deepEqual(order(SEED), order(SEED));
+    assert.notDeepEqual(order(SEED), order("a1".repeat(32)));
+  });
+
+  it("does not hand indexes out in issue order", () => {
+    const indexes = Array.from({ length: 256 }, (_, position) => permuteStatusIndex(position, 256, SEED));
+
+    assert.notDeepEqual(indexes, [...indexes].sort((a, b) => a - b));
+  });
+});
+
+describe("Status bitstrings", () => {
+  it("sets the listed bits, left-most bit first", () => {
+    const bits = decodeStatusBitstring(encodeStatusBitstring(16, [0, 9, 15]));
+
+    assert.deepEqual([...bits], [0b10000000, 0b01000001]);
+    assert.equal(readStatusBit(bits, 0), true);
+    assert.equal(readStatusBit(bits, 1), false);
+    assert.equal(readStatusBit(bits, 9), true);
+    assert.equal(readStatusBit(bits, 15), true);
+  });
+
+  it("ignores indexes outside the list", () => {
+    const bits = decodeStatusBitstring(encodeStatusBitstring(8, [-1, 8, 3]));
+
+    assert.deepEqual([...bits], [0b00010000]);
+  });
+
+  it("refuses to read past the end of the list", () => {
+    const bits = decodeStatusBitstring(encodeStatusBitstring(8, []));
+
+    assert.throws(() => readStatusBit(bits, 8), /out of range/);
+  });
+
+  it("rejects an encodedList without the multibase prefix", () => {
+    assert.throws(() => decodeStatusBitstring(encodeStatusBitstring(8, []).slice(1)), /multibase/);
+  });
+});
+
+describe("Credential status flags", () => {
+  const credential = {
+    _id: new mongoose.Types.ObjectId(),
+    signedPayload: { issuer: String(new mongoose.Types.ObjectId()) },
+    statusListEntry: { listNumber: 3, index: 41 }
+  };
+
+  it("sets and clears the credential's bit in the list for the purpose", async (t) => {
+    const updateOne = t.mock.method(StatusList, "updateOne", async () => ({ matchedCount: 1 }));
+
+    await setCredentialStatusFlag(credential, "revocation", true);
+    await setCredentialStatusFlag(credential, "suspension", true);
+    await setCredentialStatusFlag(credential, "suspension", false);
+
+    const filter = { organizationId: credential.signedPayload.issuer, listNumber: 3 };
+    assert.deepEqual(updateOne.mock.calls.map(call => call.arguments), [
+      [filter, { $addToSet: { revokedIndexes: 41 } }],
+      [filter, { $addToSet: { suspendedIndexes: 41 } }],
+      [filter, { $pull: { suspendedIndexes: 41 } }]
+    ]);
+  });
+
+  it("rejects an unknown purpose", async () => {
+    await assert.rejects(setCredentialStatusFlag(credential, "archival", true), /Unknown status purpose/);
+  });
+});
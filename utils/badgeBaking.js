@@ -0,0 +1,246 @@
+// utils/badgeBaking.js
+import zlib from "zlib";
+
+/**
+ * Open Badges "baking": embedding a badge's assertion inside the badge image
+ * so the file carries its own proof of award.
+ *
+ * PNG: iTXt chunks, "openbadges" (OB 2.0 hosted assertion URL) and
+ *      "openbadgecredential" (OB 3.0 signed credential JSON).
+ * SVG: <openbadges:assertion verify="..."/> (OB 2.0) and
+ *      <openbadges:credential> (OB 3.0) directly inside the root element.
+ */
+
+export const OB2_PNG_KEYWORD = "openbadges";
+export const OB3_PNG_KEYWORD = "openbadgecredential";
+
+const OB2_SVG_NAMESPACE = "http://openbadges.org";
+const OB3_SVG_NAMESPACE = "https://purl.imsglobal.org/ob/v3p0";
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// ---------------- PNG ----------------
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+export const isPng = (buffer) => {
+  return Buffer.isBuffer(buffer) && buffer.length > 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE);
+};
+
+const readPngChunks = (buffer) => {
+  if (!isPng(buffer)) throw new Error("Not a PNG image");
+
+  const chunks = [];
+  let offset = 8;
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) throw new Error(`Truncated PNG chunk ${type}`);
+
+    chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length), raw: buffer.subarray(offset, end) });
+    offset = end;
+
+    if (type === "IEND") break;
+  }
+
+  return chunks;
+};
+
+const buildPngChunk = (type, data) => {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(data.length, 0);
+  header.write(type, 4, "latin1");
+
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])), 0);
+
+  return Buffer.concat([header, data, crc]);
+};
+
+// iTXt: keyword \0 compressionFlag compressionMethod languageTag \0 translatedKeyword \0 text
+const buildITXtChunk = (keyword, text) => {
+  return buildPngChunk("iTXt", Buffer.concat([
+    Buffer.from(keyword, "latin1"),
+    Buffer.from([0, 0, 0, 0, 0]),
+    Buffer.from(text, "utf8")
+  ]));
+};
+
+const parseTextChunk = ({ type, data }) => {
+  const keywordEnd = data.indexOf(0);
+  if (keywordEnd === -1) return null;
+  const keyword = data.toString("latin1", 0, keywordEnd);
+
+  if (type === "tEXt") {
+    return { keyword, text: data.toString("latin1", keywordEnd + 1) };
+  }
+
+  const compressed = data[keywordEnd + 1] === 1;
+  const languageEnd = data.indexOf(0, keywordEnd + 3);
+  const translatedEnd = languageEnd === -1 ? -1 : data.indexOf(0, languageEnd + 1);
+  if (translatedEnd === -1) return null;
+
+  const payload = data.subarray(translatedEnd + 1);
+  return {
+    keyword,
+    text: (compressed ? zlib.inflateSync(payload) : payload).toString("utf8")
+  };
+};
+
+/**
+ * All tEXt / iTXt entries of a PNG as { keyword, text }
+ */
+export const readPngTextChunks = (buffer) => {
+  return readPngChunks(buffer)
+    .filter(chunk => chunk.type === "iTXt" || chunk.type === "tEXt")
+    .map(parseTextChunk)
+    .filter(Boolean);
+};
+
+/**
+ * Replace the text chunks for the given keywords; a null value removes the
+ * keyword. New chunks are written just before IEND.
+ * @param {Buffer} buffer - PNG image
+ * @param {Object<string, string|null>} entries - keyword -> text
+ */
+export const setPngTextChunks = (buffer, entries) => {
+  const keywords = Object.keys(entries);
+  const chunks = readPngChunks(buffer).filter(chunk => {
+    if (chunk.type !== "iTXt" && chunk.type !== "tEXt") return true;
+    const parsed = parseTextChunk(chunk);
+    return !parsed || !keywords.includes(parsed.keyword);
+  });
+
+  const added = Object.entries(entries)
+    .filter(([, text]) => text !== null && text !== undefined)
+    .map(([keyword, text]) => buildITXtChunk(keyword, text));
+
+  const parts = [PNG_SIGNATURE];
+  for (const chunk of chunks) {
+    if (chunk.type === "IEND") parts.push(...added);
+    parts.push(chunk.raw);
+  }
+
+  return Buffer.concat(parts);
+};
+
+/**
+ * Bake assertion data into a PNG. Existing Open Badges chunks are replaced.
+ * @param {Buffer} buffer - PNG image
+ * @param {{ assertionUrl?: string, credential?: object|string }} assertion
+ */
+export const bakePng = (buffer, { assertionUrl, credential } = {}) => {
+  return setPngTextChunks(buffer, {
+    [OB2_PNG_KEYWORD]: assertionUrl || null,
+    [OB3_PNG_KEYWORD]: credential
+      ? (typeof credential === "string" ? credential : JSON.stringify(credential))
+      : null
+  });
+};
+
+const unbakePng = (buffer) => {
+  const result = { assertionUrl: null, credential: null };
+
+  for (const { keyword, text } of readPngTextChunks(buffer)) {
+    if (keyword === OB2_PNG_KEYWORD) result.assertionUrl = text.trim();
+    if (keyword === OB3_PNG_KEYWORD) result.credential = text.trim();
+  }
+
+  return result;
+};
+
+// ---------------- SVG ----------------
+
+const escapeAttribute = (value) => String(value)
+  .replace(/&/g, "&amp;")
+  .replace(/"/g, "&quot;")
+  .replace(/</g, "&lt;");
+
+// "]]>" cannot appear inside CDATA; split it across two sections
+const toCData = (text) => `<![CDATA[${text.replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+
+export const isSvg = (buffer) => {
+  const head = buffer.subarray(0, 1024).toString("utf8");
+  return /<svg[\s>]/i.test(head);
+};
+
+/**
+ * Bake assertion data into an SVG document string
+ */
+export const bakeSvg = (svg, { assertionUrl, credential } = {}) => {
+  const cleaned = svg
+    .replace(/<openbadges:assertion[\s\S]*?(\/>|<\/openbadges:assertion>)/g, "")
+    .replace(/<openbadges:credential[\s\S]*?(\/>|<\/openbadges:credential>)/g, "");
+
+  const match = cleaned.match(/<svg\b[^>]*>/i);
+  if (!match) throw new Error("Not an SVG document");
+
+  let openTag = match[0];
+  if (!/xmlns:openbadges=/.test(openTag)) {
+    openTag = openTag.replace(/^<svg\b/i, `<svg xmlns:openbadges="${OB2_SVG_NAMESPACE}"`);
+  }
+
+  let baked = "";
+  if (assertionUrl) {
+    baked += `<openbadges:assertion verify="${escapeAttribute(assertionUrl)}"/>`;
+  }
+  if (credential) {
+    const json = typeof credential === "string" ? credential : JSON.stringify(credential);
+    baked += `<openbadges:credential xmlns:openbadges="${OB3_SVG_NAMESPACE}">${toCData(json)}</openbadges:credential>`;
+  }
+
+  return cleaned.slice(0, match.index) + openTag + baked + cleaned.slice(match.index + match[0].length);
+};
+
+const unbakeSvg = (svg) => {
+  const result = { assertionUrl: null, credential: null };
+
+  const assertion = svg.match(/<openbadges:assertion\b[^>]*\bverify="([^"]+)"/);
+  if (assertion) result.assertionUrl = assertion[1].replace(/&quot;/g, '"').replace(/&lt;/g, "<").replace(/&amp;/g, "&");
+
+  const credential = svg.match(/<openbadges:credential\b[^>]*>([\s\S]*?)<\/openbadges:credential>/);
+  if (credential) {
+    result.credential = credential[1]
+      .replace(/<!\[CDATA\[([\s\S]*?)]]>/g, "$1")
+      .trim();
+  }
+
+  return result;
+};
+
+// ---------------- Detection ----------------
+
+/**
+ * Extract baked Open Badges data from a PNG or SVG image.
+ * Returns { format, assertionUrl, credential } where credential is the raw
+ * embedded JSON string (or compact JWS) and either field may be null.
+ */
+export const unbakeImage = (buffer) => {
+  if (isPng(buffer)) {
+    return { format: "png", ...unbakePng(buffer) };
+  }
+  if (isSvg(buffer)) {
+    return { format: "svg", ...unbakeSvg(buffer.toString("utf8")) };
+  }
+  throw new Error("Unsupported image type: only PNG and SVG badges can be unbaked");
+};
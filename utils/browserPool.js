@@ -0,0 +1,268 @@
+// utils/browserPool.js
+import fs from "fs";
+import puppeteer from "puppeteer";
+
+/**
+ * Shared headless Chrome for HTML-based exports.
+ *
+ * One browser is launched (at boot, or by the first job) and kept running.
+ * Jobs borrow a page from a pool of at most BROWSER_POOL_SIZE; when every
+ * page is busy they wait in a FIFO queue. A job that runs past its timeout
+ * has its page closed, and a crashed browser is relaunched for the next job.
+ * Pages are reused between jobs and recycled after PAGE_MAX_USES.
+ */
+
+// Read when used, since modules load before dotenv runs
+export const getBrowserPoolSize = () => Number(process.env.BROWSER_POOL_SIZE) || 4;
+const getMaxQueueLength = () => Number(process.env.BROWSER_POOL_MAX_QUEUE) || 1000;
+const getJobTimeout = () => Number(process.env.BROWSER_JOB_TIMEOUT_MS) || 30000;
+const getQueueTimeout = () => Number(process.env.BROWSER_QUEUE_TIMEOUT_MS) || 120000;
+
+// Long-lived pages accumulate memory; replace them now and then
+const PAGE_MAX_USES = 50;
+
+// Pages opened ahead of the first job by warmBrowserPool
+const WARM_PAGES = 2;
+
+const getChromePaths = () => [
+  process.env.PUPPETEER_EXECUTABLE_PATH,
+  process.env.CHROME_BIN,
+  "/usr/bin/google-chrome-stable",
+  "/usr/bin/google-chrome",
+  "/usr/bin/chromium"
+].filter(Boolean);
+
+const LAUNCH_ARGS = [
+  "--no-sandbox",
+  "--disable-setuid-sandbox",
+  "--disable-dev-shm-usage",
+  "--disable-accelerated-2d-canvas",
+  "--no-first-run",
+  "--no-zygote",
+  "--disable-gpu"
+];
+
+const poolError = (message, status) => Object.assign(new Error(message), { status });
+
+let browser = null;
+let launching = null;
+let closing = false;
+let activeJobs = 0;
+const idlePages = [];
+const queue = [];
+
+const stats = {
+  launches: 0,
+  crashes: 0,
+  completed: 0,
+  failed: 0,
+  timedOut: 0,
+  rejected: 0,
+  peakQueueLength: 0,
+  totalWaitMs: 0,
+  totalRunMs: 0
+};
+
+// ---------------- Browser ----------------
+
+const launchBrowser = async () => {
+  // Puppeteer's own download is used when no system Chrome is found
+  const executablePath = getChromePaths().find(candidate => fs.existsSync(candidate));
+
+  const launched = await puppeteer.launch({
+    headless: true,
+    args: LAUNCH_ARGS,
+    executablePath,
+    timeout: 30000
+  });
+  stats.launches++;
+
+  launched.on("disconnected", () => {
+    if (browser !== launched) return;
+    browser = null;
+    idlePages.length = 0;
+    if (!closing) {
+      stats.crashes++;
+      console.error("Export browser disconnected; it will be relaunched for the next job");
+    }
+  });
+
+  return launched;
+};
+
+const getBrowser = async () => {
+  if (browser?.connected) return browser;
+
+  launching ||= launchBrowser()
+    .then(launched => {
+      browser = launched;
+      return launched;
+    })
+    .finally(() => {
+      launching = null;
+    });
+
+  return launching;
+};
+
+const acquirePage = async () => {
+  const current = await getBrowser();
+
+  while (idlePages.length) {
+    const entry = idlePages.pop();
+    if (entry.browser === current && !entry.page.isClosed()) return entry;
+  }
+
+  return { page: await current.newPage(), browser: current, uses: 0 };
+};
+
+const releasePage = (entry, reusable) => {
+  if (reusable && entry.browser === browser && entry.uses < PAGE_MAX_USES && !entry.page.isClosed()) {
+    idlePages.push(entry);
+    return;
+  }
+  entry.page.close().catch(() => {});
+};
+
+// ---------------- Queue ----------------
+
+const acquireSlot = () => {
+  if (closing) return Promise.reject(poolError("Export browser is shutting down", 503));
+
+  if (activeJobs < getBrowserPoolSize()) {
+    activeJobs++;
+    return Promise.resolve();
+  }
+
+  if (queue.length >= getMaxQueueLength()) {
+    stats.rejected++;
+    return Promise.reject(poolError("Too many exports in progress, try again shortly", 503));
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject };
+    waiter.timer = setTimeout(() => {
+      queue.splice(queue.indexOf(waiter), 1);
+      stats.rejected++;
+      reject(poolError("Timed out waiting for a free export browser", 503));
+    }, getQueueTimeout());
+
+    queue.push(waiter);
+    stats.peakQueueLength = Math.max(stats.peakQueueLength, queue.length);
+  });
+};
+
+// Hands the slot straight to the next waiting job, if any
+const releaseSlot = () => {
+  const next = queue.shift();
+  if (next) {
+    clearTimeout(next.timer);
+    next.resolve();
+  } else {
+    activeJobs--;
+  }
+};
+
+// ---------------- Public API ----------------
+
+/**
+ * Run a job with a pooled page. The page is reused, so a job sets its own
+ * viewport and content.
+ * @param {(page: import("puppeteer").Page) => Promise<any>} job
+ * @param {{ timeout?: number }} options - per-job timeout in ms (BROWSER_JOB_TIMEOUT_MS, default 30000)
+ * @throws {Error} with status 503 when the queue is full or the wait times out, 504 when the job times out
+ */
+export const runBrowserJob = async (job, { timeout = getJobTimeout() } = {}) => {
+  const enqueuedAt = Date.now();
+  await acquireSlot();
+
+  const startedAt = Date.now();
+  stats.totalWaitMs += startedAt - enqueuedAt;
+
+  let entry = null;
+  let reusable = false;
+  let timer = null;
+
+  try {
+    entry = await acquirePage();
+    entry.uses++;
+
+    const result = await Promise.race([
+      job(entry.page),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(poolError(`Export timed out after ${timeout}ms`, 504)), timeout);
+      })
+    ]);
+
+    reusable = true;
+    stats.completed++;
+    return result;
+  } catch (error) {
+    if (error.status === 504) stats.timedOut++;
+    else stats.failed++;
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    stats.totalRunMs += Date.now() - startedAt;
+    // A failed or timed-out job's page is closed, which also stops its pending work
+    if (entry) releasePage(entry, reusable);
+    releaseSlot();
+  }
+};
+
+/**
+ * Launch the browser and open a few pages ahead of the first export.
+ * Failures are logged, not thrown: exports retry the launch on demand.
+ */
+export const warmBrowserPool = async () => {
+  try {
+    const current = await getBrowser();
+    while (idlePages.length < Math.min(WARM_PAGES, getBrowserPoolSize())) {
+      idlePages.push({ page: await current.newPage(), browser: current, uses: 0 });
+    }
+    console.log(`Export browser ready (${idlePages.length} warm pages, pool size ${getBrowserPoolSize()})`);
+  } catch (error) {
+    console.error("Export browser warm-up failed:", error.message);
+  }
+};
+
+/**
+ * Reject queued jobs and close the browser, for shutdown
+ */
+export const closeBrowserPool = async () => {
+  closing = true;
+  while (queue.length) {
+    const waiter = queue.shift();
+    clearTimeout(waiter.timer);
+    waiter.reject(poolError("Export browser is shutting down", 503));
+  }
+  idlePages.length = 0;
+
+  const current = browser || await launching?.catch(() => null);
+  browser = null;
+  if (current) await current.close().catch(() => {});
+};
+
+/**
+ * Pool and queue metrics
+ */
+export const getBrowserPoolStats = () => {
+  const finished = stats.completed + stats.failed + stats.timedOut;
+  return {
+    browserConnected: Boolean(browser?.connected),
+    size: getBrowserPoolSize(),
+    active: activeJobs,
+    idlePages: idlePages.length,
+    queued: queue.length,
+    maxQueueLength: getMaxQueueLength(),
+    peakQueueLength: stats.peakQueueLength,
+    launches: stats.launches,
+    crashes: stats.crashes,
+    completed: stats.completed,
+    failed: stats.failed,
+    timedOut: stats.timedOut,
+    rejected: stats.rejected,
+    averageWaitMs: finished ? Math.round(stats.totalWaitMs / finished) : 0,
+    averageRunMs: finished ? Math.round(stats.totalRunMs / finished) : 0
+  };
+};
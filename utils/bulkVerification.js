@@ -0,0 +1,231 @@
+// utils/bulkVerification.js
+import mongoose from "mongoose";
+import { Parser } from "json2csv";
+import Credential from "../models/Credentials.js";
+import Participant from "../models/Participant.js";
+import { evaluateCredential } from "./credentialVerification.js";
+import { recordVerification } from "./verificationTracking.js";
+
+/**
+ * Bulk verification for employers and registrars: many credentials in one
+ * request, each row referencing a credential by verification hash,
+ * credential id, or recipient email plus credential title. Every row is
+ * written to the verification history like a single verification.
+ */
+
+export const MAX_BULK_ROWS = 500;
+
+// Rows evaluated at once; keeps signature and status list lookups bounded
+const CONCURRENCY = 10;
+
+const HASH_PATTERN = /^[a-f0-9]{64}$/i;
+
+// Accepted column names, lowercased with spaces, dashes and underscores removed
+const COLUMN_ALIASES = {
+  hash: "hash",
+  verificationhash: "hash",
+  blockchainhash: "hash",
+  credentialid: "credentialId",
+  id: "credentialId",
+  email: "email",
+  recipientemail: "email",
+  title: "title",
+  credentialtitle: "title"
+};
+
+const CSV_FIELDS = [
+  "row", "hash", "credentialId", "email", "title",
+  "status", "valid", "recipientName", "credentialTitle", "issuedAt", "expiresAt",
+  "statusReasonCode", "statusReason", "statusChangedAt", "message"
+];
+
+const inputError = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF) into rows of cells
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  const source = String(text).replace(/^\uFEFF/, "");
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim()));
+};
+
+/**
+ * Bulk rows from CSV text. With a recognised header row, columns map by name;
+ * without one, each line's first cell is a hash or credential id.
+ */
+export const parseBulkCsv = (text) => {
+  const [first = [], ...rest] = parseCsv(text);
+  const columns = first.map(name => COLUMN_ALIASES[name.trim().toLowerCase().replace(/[\s_-]+/g, "")]);
+
+  if (!columns.some(Boolean)) {
+    return [first, ...rest].map(cells => cells[0]);
+  }
+
+  return rest.map(cells => {
+    const row = {};
+    columns.forEach((column, index) => {
+      if (column && cells[index]?.trim()) row[column] = cells[index];
+    });
+    return row;
+  });
+};
+
+/**
+ * Validate and normalise bulk rows. A row is a hash or credential id string,
+ * or an object with hash, credentialId, or email and title.
+ * @throws {Error} with status 400
+ */
+export const normalizeBulkRows = (rows) => {
+  if (!Array.isArray(rows) || !rows.length) {
+    throw inputError("Provide at least one row to verify");
+  }
+  if (rows.length > MAX_BULK_ROWS) {
+    throw inputError(`At most ${MAX_BULK_ROWS} rows can be verified per request`);
+  }
+
+  return rows.map(row => {
+    if (typeof row === "string") {
+      const reference = row.trim();
+      return HASH_PATTERN.test(reference) ? { hash: reference.toLowerCase() } : { credentialId: reference };
+    }
+
+    const { hash, credentialId, email, title } = row && typeof row === "object" ? row : {};
+    return {
+      hash: hash ? String(hash).trim().toLowerCase() : undefined,
+      credentialId: credentialId ? String(credentialId).trim() : undefined,
+      email: email ? String(email).trim().toLowerCase() : undefined,
+      title: title ? String(title).trim() : undefined
+    };
+  });
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Credential a row refers to, or a reason it could not be looked up
+const resolveRow = async (row) => {
+  if (row.hash) {
+    if (!HASH_PATTERN.test(row.hash)) return { message: "Malformed verification hash" };
+    return { credential: await Credential.findOne({ blockchainHash: row.hash }) };
+  }
+
+  if (row.credentialId) {
+    if (!mongoose.Types.ObjectId.isValid(row.credentialId)) return { message: "Malformed credential id" };
+    return { credential: await Credential.findById(row.credentialId) };
+  }
+
+  if (row.email && row.title) {
+    const participant = await Participant.findOne({ email: row.email }).select("_id");
+    const recipient = participant
+      ? { $or: [{ participantId: participant._id }, { "participantData.participantEmail": row.email }] }
+      : { "participantData.participantEmail": row.email };
+
+    // The most recent one when the same title was issued more than once (e.g. renewals)
+    const credential = await Credential.findOne({
+      ...recipient,
+      title: new RegExp(`^${escapeRegex(row.title)}$`, "i")
+    }).sort({ issuedAt: -1 });
+
+    return { credential };
+  }
+
+  return { message: "Row needs a hash, a credentialId, or an email and title" };
+};
+
+const verifyRow = async (req, row, index, { method }) => {
+  const result = { row: index + 1, ...row };
+
+  const { credential, message } = await resolveRow(row);
+  if (!credential) {
+    await recordVerification(req, { channel: "api", method, result: "not_found" });
+    return { ...result, status: "not_found", valid: false, message: message || "Credential not found" };
+  }
+
+  const verification = await evaluateCredential(credential);
+  const { status } = verification;
+
+  await recordVerification(req, { credential, channel: "api", method, result: status });
+
+  return {
+    ...result,
+    status,
+    valid: status === "valid",
+    credentialId: result.credentialId || String(credential._id),
+    hash: result.hash || credential.blockchainHash,
+    recipientName: credential.signedPayload?.subject?.name || credential.participantData?.name || null,
+    credentialTitle: credential.title,
+    issuedAt: credential.issuedAt || null,
+    expiresAt: verification.checks.expiresAt || null,
+    // Why and since when, for revoked and suspended credentials
+    statusReasonCode: verification.statusReason?.code || null,
+    statusReason: verification.statusReason?.note || null,
+    statusChangedAt: verification.statusReason?.date || null
+  };
+};
+
+/**
+ * Verify normalised rows, in order, recording each verification
+ * @param {import("express").Request} req
+ * @param {Array<Object>} rows - from normalizeBulkRows
+ * @param {{ method: string }} options - verification method recorded in the history
+ * @returns {Promise<{ summary: Object, results: Array<Object> }>}
+ */
+export const verifyBulkRows = async (req, rows, { method }) => {
+  const results = [];
+  for (let i = 0; i < rows.length; i += CONCURRENCY) {
+    const batch = rows.slice(i, i + CONCURRENCY);
+    results.push(...await Promise.all(batch.map((row, offset) => verifyRow(req, row, i + offset, { method }))));
+  }
+
+  const summary = { total: results.length };
+  for (const { status } of results) {
+    summary[status] = (summary[status] || 0) + 1;
+  }
+
+  return { summary, results };
+};
+
+/**
+ * True when the caller asked for CSV (?format=csv or Accept: text/csv)
+ */
+export const wantsCsv = (req) => req.query?.format === "csv"
+  || (req.query?.format !== "json" && req.accepts?.(["application/json", "text/csv"]) === "text/csv");
+
+export const toBulkVerificationCsv = (results) => new Parser({ fields: CSV_FIELDS }).parse(results);
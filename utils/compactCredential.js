@@ -0,0 +1,208 @@
+// utils/compactCredential.js
+import zlib from "zlib";
+import SigningKey from "../models/SigningKey.js";
+import { signCompactJws, toPublicJwk, verifyCompactJws } from "./credentialSigning.js";
+
+/**
+ * Compact signed QR payloads that verify without network access.
+ *
+ * The QR carries a compact JWS (EdDSA) over the credential's key facts,
+ * deflated and base45-encoded so it fits the QR alphanumeric mode:
+ *
+ *   SP1:<base45(deflateRaw(header.payload.signature))>
+ *
+ * A verifier only needs a cached copy of the issuer key set
+ * (GET /api/keys). Revocation of the credential itself cannot be checked
+ * offline; revoked or rotated signing keys are, through the cached set.
+ */
+
+export const COMPACT_QR_PREFIX = "SP1:";
+export const COMPACT_CLAIMS_VERSION = 1;
+// JWS header typ, so other JWS signed with the same keys (SD-JWTs) are not taken for a QR payload
+export const COMPACT_JWS_TYPE = "sp-qr+jwt";
+
+// Low error correction keeps the symbol small enough to scan from print
+export const COMPACT_QR_OPTIONS = { errorCorrectionLevel: "L", margin: 1, width: 400 };
+
+// Decoded payloads are tiny; anything larger is not ours
+const MAX_INFLATED_BYTES = 4096;
+
+// ---------------- Base45 (RFC 9285) ----------------
+
+const BASE45_CHARSET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:";
+
+export const base45Encode = (bytes) => {
+  let output = "";
+  for (let i = 0; i < bytes.length; i += 2) {
+    if (i + 1 < bytes.length) {
+      const value = bytes[i] * 256 + bytes[i + 1];
+      output += BASE45_CHARSET[value % 45] + BASE45_CHARSET[Math.floor(value / 45) % 45] + BASE45_CHARSET[Math.floor(value / 2025)];
+    } else {
+      output += BASE45_CHARSET[bytes[i] % 45] + BASE45_CHARSET[Math.floor(bytes[i] / 45)];
+    }
+  }
+  return output;
+};
+
+export const base45Decode = (text) => {
+  const digits = [...text].map(char => {
+    const digit = BASE45_CHARSET.indexOf(char);
+    if (digit === -1) throw new Error(`Invalid base45 character "${char}"`);
+    return digit;
+  });
+  if (digits.length % 3 === 1) throw new Error("Invalid base45 length");
+
+  const bytes = [];
+  for (let i = 0; i < digits.length; i += 3) {
+    if (i + 2 < digits.length) {
+      const value = digits[i] + digits[i + 1] * 45 + digits[i + 2] * 2025;
+      if (value > 0xffff) throw new Error("Invalid base45 triplet");
+      bytes.push(value >> 8, value & 0xff);
+    } else {
+      const value = digits[i] + digits[i + 1] * 45;
+      if (value > 0xff) throw new Error("Invalid base45 pair");
+      bytes.push(value);
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// ---------------- Encoding ----------------
+
+const toNumericDate = (value) => (value ? Math.floor(new Date(value).getTime() / 1000) : undefined);
+
+/**
+ * Claims packed into the QR, taken from the signed payload so they match
+ * what the online verifier shows
+ */
+export const buildCompactClaims = (credential) => {
+  const payload = credential.signedPayload;
+
+  return {
+    v: COMPACT_CLAIMS_VERSION,
+    iss: payload.issuer,
+    jti: payload.id || String(credential._id),
+    h: credential.blockchainHash,
+    name: payload.subject?.name || undefined,
+    title: payload.title,
+    type: payload.type,
+    event: payload.event?.title || undefined,
+    iat: toNumericDate(payload.issuedAt),
+    exp: toNumericDate(payload.expiresAt)
+  };
+};
+
+/**
+ * Signed compact QR text for a signed credential
+ * @param {Object} credential - needs signedPayload and blockchainHash
+ */
+export const createCompactQrPayload = async (credential) => {
+  if (!credential?.signedPayload) {
+    throw new Error("Only signed credentials can have a compact QR payload");
+  }
+
+  const { jws } = await signCompactJws(credential.signedPayload.issuer, buildCompactClaims(credential), { typ: COMPACT_JWS_TYPE });
+  return COMPACT_QR_PREFIX + base45Encode(zlib.deflateRawSync(Buffer.from(jws), { level: 9 }));
+};
+
+export const isCompactQrPayload = (text) => typeof text === "string" && text.startsWith(COMPACT_QR_PREFIX);
+
+// ---------------- Decoding and verification ----------------
+
+const inflatePayload = (text) => {
+  if (!isCompactQrPayload(text)) {
+    throw new Error("Not a compact credential payload");
+  }
+
+  return zlib.inflateRawSync(base45Decode(text.slice(COMPACT_QR_PREFIX.length)), {
+    maxOutputLength: MAX_INFLATED_BYTES
+  }).toString("utf8");
+};
+
+/**
+ * Unpack a compact QR payload without checking the signature
+ * @returns {{ header: Object, claims: Object }}
+ */
+export const decodeCompactQrPayload = (text) => {
+  const parts = inflatePayload(text).split(".");
+  if (parts.length !== 3) throw new Error("Malformed compact JWS");
+
+  return {
+    header: JSON.parse(Buffer.from(parts[0], "base64url").toString("utf8")),
+    claims: JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"))
+  };
+};
+
+/**
+ * Key set for offline verifiers: public JWKs tagged with their issuer.
+ * Revoked keys stay listed (with status) so cached sets learn about them.
+ */
+export const buildVerificationKeySet = async (filter = {}) => {
+  const keys = await SigningKey.find(filter)
+    .populate("organizationId", "organization")
+    .sort({ createdAt: -1 });
+
+  return {
+    keys: keys.map(signingKey => ({
+      ...toPublicJwk(signingKey),
+      iss: String(signingKey.organizationId?._id || signingKey.organizationId),
+      issuerName: signingKey.organizationId?.organization || null
+    })),
+    generatedAt: new Date().toISOString()
+  };
+};
+
+const fromNumericDate = (value) => (Number.isFinite(value) ? new Date(value * 1000) : null);
+
+/**
+ * Verify a compact QR payload against a cached issuer key set, with no
+ * database or network access.
+ * @param {string} text - scanned QR content
+ * @param {Array|Object} keySet - JWKs as served by GET /api/keys ({ keys }) or a plain array
+ * @param {{ now?: Date }} options
+ */
+export const verifyCompactQrPayload = (text, keySet, { now = new Date() } = {}) => {
+  const result = (status, reason, extra = {}) => ({
+    valid: status === "valid",
+    status,
+    reason,
+    // Credential revocation needs the status list, which is an online check
+    revocationChecked: false,
+    ...extra
+  });
+
+  let jws;
+  try {
+    jws = inflatePayload(text);
+  } catch (error) {
+    return result("invalid", "malformed", { error: error.message });
+  }
+
+  const { valid, reason, header, payload: claims, key } = verifyCompactJws(jws, keySet);
+  if (!claims) return result("invalid", reason);
+  if (header.typ !== COMPACT_JWS_TYPE || claims.v !== COMPACT_CLAIMS_VERSION) {
+    return result("invalid", "unsupported_payload", { kid: header.kid });
+  }
+
+  const credential = {
+    id: claims.jti,
+    hash: claims.h || null,
+    recipientName: claims.name || null,
+    title: claims.title,
+    type: claims.type,
+    eventTitle: claims.event || null,
+    issuedAt: fromNumericDate(claims.iat),
+    expiresAt: fromNumericDate(claims.exp)
+  };
+  const details = { kid: header.kid, issuer: { id: claims.iss, name: key?.issuerName || null }, credential };
+
+  // Possibly a key newer than the cached set; refresh the cache and retry
+  if (reason === "unknown_key") return result("inconclusive", reason, details);
+  if (!valid) return result("invalid", reason, details);
+
+  if (credential.expiresAt && credential.expiresAt <= now) {
+    return result("expired", null, details);
+  }
+
+  return result("valid", null, details);
+};
@@ -0,0 +1,362 @@
+// utils/credentialExpiry.js
+import mongoose from "mongoose";
+import QRCode from "qrcode";
+import Credential from "../models/Credentials.js";
+import CredentialTemplate from "../models/CredentialTemplate.js";
+import Admin from "../models/Admin.js";
+import sendEmail from "./sendEmail.js";
+import { buildCredentialPayload, signCredentialPayload } from "./credentialSigning.js";
+import { allocateStatusListEntry } from "./statusList.js";
+import { recordLedgerEvent } from "./ledger.js";
+import { escapeHtml, getVerificationPageUrl, getVerificationQrUrl } from "./verificationPage.js";
+import { COMPACT_QR_OPTIONS, createCompactQrPayload } from "./compactCredential.js";
+import { formatDate } from "./mergeFields.js";
+import { formatDisplayDate, getCredentialRegionalSettings } from "./regionalSettings.js";
+import { triggerWebhook, WEBHOOK_EVENTS } from "../routes/webhookRoutes.js";
+
+/**
+ * Credential expiry, expiry reminders and renewal (recertification).
+ *
+ * The expiry date is part of the signed payload, so it cannot be extended
+ * by editing the database; a credential is "renewed" by issuing a new,
+ * linked successor credential instead.
+ */
+
+export const DEFAULT_REMINDER_DAYS = [30, 7];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses a credential can be renewed from
+const RENEWABLE_STATUSES = ["issued", "expired"];
+
+const lifecycleError = (message, status) => Object.assign(new Error(message), { status });
+
+// ---------------- Expiry dates ----------------
+
+/**
+ * Expiry date for a credential issued at issuedAt under a template validity
+ * setting ({ period, unit }), or null when the template sets none.
+ */
+export const computeExpiry = (issuedAt, validity) => {
+  if (!validity?.period) return null;
+
+  const expiresAt = new Date(issuedAt);
+  if (validity.unit === "days") {
+    expiresAt.setUTCDate(expiresAt.getUTCDate() + validity.period);
+    return expiresAt;
+  }
+
+  // Clamp to the end of shorter months (Jan 31 + 1 month = Feb 28/29, not Mar 2)
+  const months = validity.unit === "months" ? validity.period : validity.period * 12;
+  const day = expiresAt.getUTCDate();
+  expiresAt.setUTCDate(1);
+  expiresAt.setUTCMonth(expiresAt.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(expiresAt.getUTCFullYear(), expiresAt.getUTCMonth() + 1, 0)).getUTCDate();
+  expiresAt.setUTCDate(Math.min(day, lastDay));
+  return expiresAt;
+};
+
+/**
+ * Expiry for a new credential: an explicit expiresAt wins over the template
+ * default. Returns { expiresAt } (possibly null) or { error }.
+ */
+export const resolveExpiresAt = (requested, template, issuedAt = new Date()) => {
+  if (requested === undefined || requested === null || requested === "") {
+    return { expiresAt: computeExpiry(issuedAt, template?.validity) };
+  }
+
+  const expiresAt = new Date(requested);
+  if (Number.isNaN(expiresAt.getTime())) {
+    return { error: "expiresAt must be a valid date" };
+  }
+  if (expiresAt <= issuedAt) {
+    return { error: "expiresAt must be in the future" };
+  }
+  return { expiresAt };
+};
+
+// The signed value is authoritative; the plain field is kept for queries
+export const getCredentialExpiry = (credential) => {
+  const value = credential?.signedPayload?.expiresAt || credential?.expiresAt;
+  return value ? new Date(value) : null;
+};
+
+export const isCredentialExpired = (credential, now = new Date()) => {
+  if (credential?.status === "expired") return true;
+  const expiresAt = getCredentialExpiry(credential);
+  return Boolean(expiresAt && expiresAt <= now);
+};
+
+// ---------------- Renewal ----------------
+
+/**
+ * Verification page links along the renewal chain. Expects predecessorId and
+ * successorId populated with blockchainHash.
+ */
+export const getRenewalLinks = (credential) => ({
+  previousCredential: credential.predecessorId?.blockchainHash
+    ? getVerificationPageUrl(credential.predecessorId.blockchainHash)
+    : null,
+  renewedCredential: credential.successorId?.blockchainHash
+    ? getVerificationPageUrl(credential.successorId.blockchainHash)
+    : null
+});
+
+/**
+ * Issue a linked successor for a credential (recertification). The
+ * predecessor stays valid until its own expiry.
+ * @param {Object} credential - predecessor credential document
+ * @param {{ expiresAt?: string|Date, renewedBy?: string, automatic?: boolean, render: (successor: Object) => Promise<{ downloadLink?: string, exportLinks?: Object }> }} options
+ *   render produces the successor's image artifacts; it is issued once they exist
+ */
+export const issueSuccessorCredential = async (credential, { expiresAt: requestedExpiry, renewedBy, automatic = false, render }) => {
+  if (!RENEWABLE_STATUSES.includes(credential.status)) {
+    throw lifecycleError(`A ${credential.status} credential cannot be renewed`, 409);
+  }
+  if (!credential.signedPayload) {
+    throw lifecycleError("Credential was issued before signing was enabled and cannot be renewed", 409);
+  }
+
+  const organizationId = credential.signedPayload.issuer || String(credential.createdBy);
+  const template = credential.templateId ? await CredentialTemplate.findById(credential.templateId).select("validity") : null;
+  const issuedAt = new Date();
+
+  let { expiresAt, error } = resolveExpiresAt(requestedExpiry, template, issuedAt);
+  if (error) throw lifecycleError(error, 400);
+
+  // Without a template default, keep the predecessor's validity length
+  const previousExpiry = getCredentialExpiry(credential);
+  if (!expiresAt && previousExpiry && credential.issuedAt) {
+    expiresAt = new Date(issuedAt.getTime() + (previousExpiry - new Date(credential.issuedAt)));
+  }
+
+  // Claim the renewal first so concurrent requests cannot issue two successors
+  const successorId = new mongoose.Types.ObjectId();
+  const claimed = await Credential.findOneAndUpdate(
+    { _id: credential._id, successorId: null, supersededBy: null, status: { $in: RENEWABLE_STATUSES } },
+    { successorId, renewedAt: issuedAt }
+  );
+  if (!claimed) throw lifecycleError("Credential has already been renewed, reissued or changed status", 409);
+
+  let successor = null;
+  try {
+    const participantData = credential.participantData || {};
+    const signed = await signCredentialPayload(organizationId, buildCredentialPayload({
+      credentialId: successorId,
+      organizationId,
+      participantId: credential.participantId,
+      recipientName: credential.signedPayload.subject?.name || participantData.name,
+      eventId: credential.eventId,
+      eventTitle: credential.signedPayload.event?.title || participantData.eventTitle,
+      title: credential.title,
+      type: credential.type,
+      issuedAt,
+      expiresAt
+    }));
+    const verificationUrl = getVerificationPageUrl(signed.blockchainHash);
+    // Keep the predecessor's QR mode; its compact payload names the old credential
+    const compactQrPayload = credential.compactQrPayload
+      ? await createCompactQrPayload({ _id: successorId, ...signed })
+      : undefined;
+
+    successor = await Credential.create({
+      _id: successorId,
+      participantId: credential.participantId,
+      eventId: credential.eventId,
+      title: credential.title,
+      type: credential.type,
+      templateId: credential.templateId,
+      designData: credential.designData || {},
+      locale: credential.locale,
+      participantData: {
+        ...participantData,
+        issueDate: formatDate(issuedAt, credential.designData?.content?.dateFormat, credential.designData?.content),
+        verificationUrl,
+        blockchainHash: signed.blockchainHash,
+        qrPayload: compactQrPayload,
+        credentialId: successorId.toString(),
+        issuedAt,
+        expiresAt
+      },
+      ...signed,
+      statusListEntry: await allocateStatusListEntry(organizationId),
+      qrCode: compactQrPayload
+        ? await QRCode.toDataURL(compactQrPayload, COMPACT_QR_OPTIONS)
+        : await QRCode.toDataURL(getVerificationQrUrl(signed.blockchainHash)),
+      compactQrPayload,
+      verificationUrl,
+      createdBy: credential.createdBy,
+      status: "generating",
+      issuedAt,
+      expiresAt,
+      predecessorId: credential._id
+    });
+
+    const artifacts = await render(successor);
+
+    successor = await Credential.findByIdAndUpdate(successor._id, {
+      downloadLink: artifacts.downloadLink,
+      exportLinks: artifacts.exportLinks,
+      hasGeneratedImage: Boolean(artifacts.downloadLink),
+      status: "issued"
+    }, { new: true });
+  } catch (renewalError) {
+    if (successor) await Credential.updateOne({ _id: successor._id }, { status: "failed" });
+    await Credential.updateOne({ _id: credential._id, successorId }, { $unset: { successorId: 1, renewedAt: 1 } });
+    throw renewalError;
+  }
+
+  await recordLedgerEvent("issue", successor, { renewalOf: String(credential._id), automatic });
+
+  void triggerWebhook(WEBHOOK_EVENTS.CREDENTIAL_RENEWED, {
+    credentialId: String(successor._id),
+    previousCredentialId: String(credential._id),
+    expiresAt,
+    renewedBy: renewedBy ? String(renewedBy) : null,
+    automatic
+  }, organizationId);
+
+  return successor;
+};
+
+// ---------------- Scheduled work ----------------
+
+/**
+ * Move credentials past their expiry date to "expired" and renew those whose
+ * template asks for automatic renewal.
+ * @param {{ render: Function }} options - renders renewed credentials, see issueSuccessorCredential
+ */
+export const expireDueCredentials = async (now = new Date(), { render } = {}) => {
+  const due = await Credential.find({ status: "issued", expiresAt: { $lte: now } })
+    .populate("templateId", "validity")
+    .limit(500);
+
+  let expired = 0;
+  for (const candidate of due) {
+    const credential = await Credential.findOneAndUpdate(
+      { _id: candidate._id, status: "issued" },
+      { status: "expired" },
+      { new: true }
+    );
+    if (!credential) continue;
+    expired++;
+
+    const organizationId = credential.signedPayload?.issuer || String(credential.createdBy);
+    await recordLedgerEvent("expire", credential, { expiresAt: getCredentialExpiry(credential)?.toISOString() });
+    void triggerWebhook(WEBHOOK_EVENTS.CREDENTIAL_EXPIRED, {
+      credentialId: String(credential._id),
+      expiresAt: credential.expiresAt
+    }, organizationId);
+
+    if (candidate.templateId?.validity?.autoRenew && !credential.successorId) {
+      try {
+        await issueSuccessorCredential(credential, { automatic: true, render });
+      } catch (error) {
+        console.error(`Automatic renewal of credential ${credential._id} failed:`, error.message);
+      }
+    }
+  }
+
+  return expired;
+};
+
+const reminderEmailHtml = ({ recipientName, credential, organizationName, expiresOn }) => `
+  <p>Hello ${escapeHtml(recipientName || "there")},</p>
+  <p>Your credential <b>${escapeHtml(credential.title)}</b> issued by ${escapeHtml(organizationName || "your issuer")}
+     expires on <b>${escapeHtml(expiresOn)}</b>.</p>
+  <p>Contact ${escapeHtml(organizationName || "the issuer")} to renew it before it expires.</p>
+  <p><a href="${getVerificationPageUrl(credential.blockchainHash)}">View credential</a></p>
+`;
+
+/**
+ * Send reminder emails and webhooks for credentials approaching expiry.
+ * Each reminder stage (days before expiry) is sent at most once.
+ */
+export const sendExpiryReminders = async (now = new Date()) => {
+  const templateDays = await CredentialTemplate.distinct("validity.reminderDays");
+  const horizonDays = Math.max(...DEFAULT_REMINDER_DAYS, ...templateDays.filter(Number.isFinite));
+
+  const credentials = await Credential.find({
+    status: "issued",
+    successorId: null,
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + horizonDays * DAY_MS) }
+  })
+    .populate("participantId", "fullName email")
+    .populate("templateId", "validity");
+
+  let sent = 0;
+  for (const credential of credentials) {
+    const daysLeft = (credential.expiresAt - now) / DAY_MS;
+    const stages = credential.templateId?.validity?.reminderDays?.length
+      ? credential.templateId.validity.reminderDays
+      : DEFAULT_REMINDER_DAYS;
+
+    // Stages already passed are marked together so a late run sends one reminder, not several
+    const due = stages.filter(days => daysLeft <= days && !(credential.expiryRemindersSent || []).includes(days));
+    if (!due.length) continue;
+
+    const claimed = await Credential.updateOne(
+      { _id: credential._id, expiryRemindersSent: { $nin: due } },
+      { $addToSet: { expiryRemindersSent: { $each: due } } }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    const organizationId = credential.signedPayload?.issuer || String(credential.createdBy);
+    const organization = await Admin.findById(organizationId).select("organization locale timezone");
+    const recipient = credential.participantId;
+
+    if (recipient?.email && process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+      try {
+        await sendEmail({
+          fromEmail: process.env.EMAIL_USER,
+          fromPassword: process.env.EMAIL_PASS,
+          to: recipient.email,
+          subject: `Your credential "${credential.title}" expires soon`,
+          html: reminderEmailHtml({
+            recipientName: recipient.fullName,
+            credential,
+            organizationName: organization?.organization,
+            expiresOn: formatDisplayDate(credential.expiresAt, getCredentialRegionalSettings(credential, organization))
+          })
+        });
+      } catch (error) {
+        console.error(`Expiry reminder email for credential ${credential._id} failed:`, error.message);
+      }
+    }
+
+    void triggerWebhook(WEBHOOK_EVENTS.CREDENTIAL_EXPIRING, {
+      credentialId: String(credential._id),
+      expiresAt: credential.expiresAt,
+      daysLeft: Math.ceil(daysLeft),
+      recipientEmail: recipient?.email
+    }, organizationId);
+    sent++;
+  }
+
+  return sent;
+};
+
+let expiryTimer = null;
+
+/**
+ * Periodically expire credentials and send reminders
+ * (EXPIRY_CHECK_INTERVAL_MINUTES, default 60)
+ * @param {{ render: Function }} options - renders automatically renewed credentials
+ */
+export const startExpiryScheduler = ({ render }) => {
+  if (expiryTimer) return expiryTimer;
+
+  const minutes = Number(process.env.EXPIRY_CHECK_INTERVAL_MINUTES) || 60;
+  expiryTimer = setInterval(async () => {
+    try {
+      const expired = await expireDueCredentials(new Date(), { render });
+      const reminded = await sendExpiryReminders();
+      if (expired || reminded) {
+        console.log(`Credential expiry: ${expired} expired, ${reminded} reminders sent`);
+      }
+    } catch (error) {
+      console.error("Credential expiry check failed:", error.message);
+    }
+  }, minutes * 60 * 1000);
+
+  return expiryTimer;
+};
@@ -0,0 +1,249 @@
+// utils/credentialFileVerification.js
+import crypto from "crypto";
+import zlib from "zlib";
+import sharp from "sharp";
+import jsQR from "jsqr";
+import { isPng, readPngTextChunks, setPngTextChunks, unbakeImage } from "./badgeBaking.js";
+import { decodeCompactQrPayload, isCompactQrPayload } from "./compactCredential.js";
+import { buildMergeContext } from "./mergeFields.js";
+import { isElementVisible } from "./displayConditions.js";
+import { getDesignPages } from "./designPages.js";
+
+/**
+ * Helpers for verifying a credential from a file (PDF/PNG/JPEG) instead of a
+ * link: embedding a reference at render time, finding it again in an upload,
+ * and describing which design regions carry which credential fields.
+ */
+
+export const CREDENTIAL_REFERENCE_PREFIX = "sifapass:credential:";
+const PNG_REFERENCE_KEYWORD = "sifapass";
+
+const HASH_PATTERNS = [
+  /sifapass:credential:([a-f0-9]{64})/g,
+  /\/verify\/([a-f0-9]{64})/g,
+  /[?&]hash=([a-f0-9]{64})/g
+];
+const ID_PATTERNS = [
+  /\/api\/badges\/assertions\/([a-f0-9]{24})/g,
+  /\/api\/credentials\/([a-f0-9]{24})\/vc/g
+];
+
+export const getCredentialReference = (blockchainHash) => `${CREDENTIAL_REFERENCE_PREFIX}${blockchainHash}`;
+
+export const fingerprintFile = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+export const detectFileFormat = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 8) return null;
+  if (isPng(buffer)) return "png";
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return "jpeg";
+  if (buffer.subarray(0, 5).toString("latin1") === "%PDF-") return "pdf";
+  return null;
+};
+
+// ---------------- Embedding ----------------
+
+// JPEG comment (COM) segment, inserted after the leading APPn (JFIF/EXIF) segments
+const addJpegComment = (buffer, text) => {
+  const payload = Buffer.from(text, "utf8");
+  const header = Buffer.from([0xff, 0xfe, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+
+  let offset = 2;
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff && buffer[offset + 1] >= 0xe0 && buffer[offset + 1] <= 0xef) {
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+
+  return Buffer.concat([buffer.subarray(0, offset), header, payload, buffer.subarray(offset)]);
+};
+
+/**
+ * Embed the credential reference in a rendered PNG or JPEG. PDFs carry it in
+ * their document info, which is set when the PDF is generated.
+ */
+export const embedCredentialReference = (buffer, format, blockchainHash) => {
+  if (!blockchainHash) return buffer;
+
+  const reference = getCredentialReference(blockchainHash);
+  if (format === "png") return setPngTextChunks(buffer, { [PNG_REFERENCE_KEYWORD]: reference });
+  if (format === "jpeg") return addJpegComment(buffer, reference);
+  return buffer;
+};
+
+// ---------------- Extraction ----------------
+
+const collectMatches = (text, patterns, into) => {
+  for (const pattern of patterns) {
+    for (const match of text.matchAll(pattern)) into.add(match[1]);
+  }
+};
+
+// Decompress FlateDecode streams so references inside page content are found too
+const inflatePdfStreams = (buffer) => {
+  const texts = [];
+  const source = buffer.toString("latin1");
+  const streamPattern = /stream\r?\n/g;
+  let match;
+
+  while ((match = streamPattern.exec(source))) {
+    const start = match.index + match[0].length;
+    const end = source.indexOf("endstream", start);
+    if (end === -1) break;
+
+    try {
+      texts.push(zlib.inflateSync(buffer.subarray(start, end)).toString("latin1"));
+    } catch {
+      // Not a Flate stream (images, fonts with other filters)
+    }
+    streamPattern.lastIndex = end;
+  }
+
+  return texts;
+};
+
+/**
+ * Find credential hashes / ids embedded in a file: our own reference marker,
+ * verification URLs (link annotations, metadata), and baked Open Badges data.
+ */
+export const extractCredentialReferences = (buffer, format) => {
+  const hashes = new Set();
+  const credentialIds = new Set();
+  const sources = new Set();
+
+  const scan = (text, source) => {
+    const before = hashes.size + credentialIds.size;
+    collectMatches(text, HASH_PATTERNS, hashes);
+    collectMatches(text, ID_PATTERNS, credentialIds);
+    if (hashes.size + credentialIds.size > before) sources.add(source);
+  };
+
+  scan(buffer.toString("latin1"), "metadata");
+
+  if (format === "pdf") {
+    inflatePdfStreams(buffer).forEach(text => scan(text, "pdf_content"));
+  }
+
+  if (format === "png") {
+    try {
+      readPngTextChunks(buffer).forEach(({ text }) => scan(text, "metadata"));
+
+      const baked = unbakeImage(buffer);
+      if (baked.assertionUrl) scan(baked.assertionUrl, "baked_badge");
+      if (baked.credential) {
+        try {
+          const id = JSON.parse(baked.credential).id;
+          if (typeof id === "string") scan(id, "baked_badge");
+        } catch {
+          // compact JWS or malformed JSON; the hash scan above still applies
+        }
+      }
+    } catch {
+      // Corrupt PNG structure, fall back to the raw scan
+    }
+  }
+
+  return { hashes: [...hashes], credentialIds: [...credentialIds], sources: [...sources] };
+};
+
+/**
+ * Decode a QR code from a PNG/JPEG. Returns the payload string or null.
+ */
+export const decodeQrCode = async (buffer) => {
+  // Large photos are scaled down; QR finder patterns survive that well
+  const { data, info } = await sharp(buffer)
+    .resize({ width: 1600, height: 1600, fit: "inside", withoutEnlargement: true })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const result = jsQR(new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), info.width, info.height);
+  return result?.data || null;
+};
+
+export const extractReferencesFromText = (text) => {
+  const hashes = new Set();
+  const credentialIds = new Set();
+
+  // Compact QR payloads carry the hash and id inside the compressed JWS
+  if (isCompactQrPayload(text)) {
+    try {
+      const { claims } = decodeCompactQrPayload(text);
+      if (/^[a-f0-9]{64}$/.test(claims.h)) hashes.add(claims.h);
+      if (/^[a-f0-9]{24}$/.test(claims.jti)) credentialIds.add(claims.jti);
+    } catch {
+      // Not decodable; fall through to plain text matching
+    }
+  }
+
+  collectMatches(text, HASH_PATTERNS, hashes);
+  collectMatches(text, ID_PATTERNS, credentialIds);
+  return { hashes: [...hashes], credentialIds: [...credentialIds] };
+};
+
+// ---------------- Comparison regions ----------------
+
+// Legacy tokens and their merge-field paths (see mergeFields.js)
+const FIELD_PLACEHOLDERS = {
+  participantName: "name",
+  "participant.name": "name",
+  eventTitle: "eventTitle",
+  "event.title": "eventTitle",
+  eventDate: "eventDate",
+  "event.date": "eventDate",
+  issueDate: "issueDate",
+  "credential.issueDate": "issueDate",
+  skills: "skills",
+  "participant.skills": "skills"
+};
+
+/**
+ * Regions of the rendered design that carry credential fields, in design
+ * coordinates. Text elements are labelled with the placeholders they contain;
+ * designs without elements use the default certificate layout. With the
+ * credential's participantData, elements its display conditions hide are skipped.
+ * Multi-page designs are compared on their first page, the one image exports
+ * and the reference render show.
+ */
+export const getComparisonRegions = (designData, width, height, participantData) => {
+  const [firstPage] = getDesignPages(designData);
+  const elements = Array.isArray(firstPage?.elements) ? firstPage.elements : [];
+  const context = participantData ? buildMergeContext(participantData) : null;
+  const textElements = elements.filter(element => element.type === "text");
+
+  if (!textElements.length) {
+    const band = (field, centerY, bandHeight) => ({
+      field,
+      x: 40,
+      y: height * centerY - bandHeight / 2,
+      width: width - 80,
+      height: bandHeight
+    });
+
+    return [
+      band("title", 0.25, 70),
+      band("name", 0.5, 56),
+      band("eventTitle", 0.65, 40),
+      band("eventDate", 0.8, 32)
+    ];
+  }
+
+  const visibleElements = context ? textElements.filter(element => isElementVisible(element, context)) : textElements;
+
+  return visibleElements.map((element, index) => {
+    const content = element.content || element.text || "";
+    const fields = [...content.matchAll(/\{\{\s*([\w.]+)\s*[|}]/g)]
+      .map(match => FIELD_PLACEHOLDERS[match[1]])
+      .filter(Boolean);
+
+    const fontSize = element.fontSize || 16;
+    const lines = Math.max(1, content.split("\n").length);
+    const x = element.x || 0;
+
+    return {
+      field: fields.length ? fields.join("+") : `text:${content.slice(0, 30) || index}`,
+      x,
+      y: element.y || 0,
+      width: element.width || Math.max(1, width - x - 20),
+      height: element.height || (fontSize + 5) * lines + 4
+    };
+  });
+};
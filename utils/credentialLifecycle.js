@@ -0,0 +1,302 @@
+// utils/credentialLifecycle.js
+import mongoose from "mongoose";
+import Credential, {
+  REINSTATEMENT_REASON_CODES,
+  REVOCATION_REASON_CODES,
+  SUSPENSION_REASON_CODES
+} from "../models/Credentials.js";
+import Admin from "../models/Admin.js";
+import sendEmail from "./sendEmail.js";
+import { setCredentialStatusFlag } from "./statusList.js";
+import { recordLedgerEvent } from "./ledger.js";
+import { escapeHtml, getVerificationPageUrl } from "./verificationPage.js";
+import { triggerWebhook, WEBHOOK_EVENTS } from "../routes/webhookRoutes.js";
+
+/**
+ * Revocation, suspension and reinstatement of issued credentials.
+ *
+ * Each change needs a reason code and a note, updates the stored status and
+ * the issuer's status list, is appended to the ledger, fires a webhook and
+ * emails the recipient. Revocation is final; suspension can be reinstated.
+ */
+
+export const REASON_CODES = {
+  revoke: REVOCATION_REASON_CODES,
+  suspend: SUSPENSION_REASON_CODES,
+  reinstate: REINSTATEMENT_REASON_CODES
+};
+
+const REASON_LABELS = {
+  issued_in_error: "Issued in error",
+  data_error: "Incorrect details",
+  requirements_not_met: "Requirements not met",
+  misconduct: "Misconduct",
+  fraud: "Fraud",
+  superseded: "Superseded",
+  withdrawn: "Withdrawn by the issuer",
+  under_investigation: "Under investigation",
+  pending_verification: "Pending verification",
+  payment_issue: "Payment issue",
+  disciplinary: "Disciplinary action",
+  investigation_cleared: "Investigation cleared",
+  issue_resolved: "Issue resolved",
+  suspended_in_error: "Suspended in error",
+  other: "Other"
+};
+
+export const getReasonLabel = (code) => REASON_LABELS[code] || null;
+
+// Statuses each change can start from
+const ALLOWED_FROM = {
+  revoke: ["issued", "suspended", "expired", "superseded"],
+  suspend: ["issued"],
+  reinstate: ["suspended"]
+};
+
+const MAX_NOTE_LENGTH = 1000;
+
+const lifecycleError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * Validate a status change request body ({ reasonCode, note, notifyRecipient })
+ * @param {"revoke"|"suspend"|"reinstate"} action
+ * @throws {Error} with status 400
+ */
+export const parseStatusChange = (action, body = {}) => {
+  const { reasonCode, note, notifyRecipient = true } = body;
+
+  if (!REASON_CODES[action].includes(reasonCode)) {
+    throw lifecycleError(`reasonCode must be one of: ${REASON_CODES[action].join(", ")}`, 400);
+  }
+  if (typeof note !== "string" || !note.trim()) {
+    throw lifecycleError("note is required", 400);
+  }
+  if (note.length > MAX_NOTE_LENGTH) {
+    throw lifecycleError(`note must be at most ${MAX_NOTE_LENGTH} characters`, 400);
+  }
+
+  return { reasonCode, note: note.trim(), notifyRecipient: notifyRecipient !== false };
+};
+
+/**
+ * Why a revoked or suspended credential is in that state, for verification
+ * responses; null for any other status
+ */
+export const getStatusReason = (credential, status) => {
+  if (status === "revoked") {
+    return {
+      code: credential.revocationReasonCode || null,
+      label: getReasonLabel(credential.revocationReasonCode),
+      note: credential.revocationReason || null,
+      date: credential.revokedAt || null
+    };
+  }
+  if (status === "suspended") {
+    return {
+      code: credential.suspensionReasonCode || null,
+      label: getReasonLabel(credential.suspensionReasonCode),
+      note: credential.suspensionReason || null,
+      date: credential.suspendedAt || null
+    };
+  }
+  return null;
+};
+
+const CLEAR_SUSPENSION = { suspendedAt: 1, suspensionReason: 1, suspensionReasonCode: 1, suspendedBy: 1 };
+
+const toObjectId = (id) => (id && mongoose.Types.ObjectId.isValid(id) ? id : undefined);
+
+const STATUS_UPDATES = {
+  revoke: ({ reasonCode, note, actor }, now) => ({
+    $set: { status: "revoked", revokedAt: now, revocationReasonCode: reasonCode, revocationReason: note, revokedBy: toObjectId(actor) },
+    $unset: CLEAR_SUSPENSION
+  }),
+  suspend: ({ reasonCode, note, actor }, now) => ({
+    $set: { status: "suspended", suspendedAt: now, suspensionReasonCode: reasonCode, suspensionReason: note, suspendedBy: toObjectId(actor) }
+  }),
+  reinstate: ({ reasonCode, note }, now) => ({
+    $set: { status: "issued", reinstatedAt: now, reinstatementReasonCode: reasonCode, reinstatementReason: note },
+    $unset: CLEAR_SUSPENSION
+  })
+};
+
+const WEBHOOKS = {
+  revoke: WEBHOOK_EVENTS.CREDENTIAL_REVOKED,
+  suspend: WEBHOOK_EVENTS.CREDENTIAL_SUSPENDED,
+  reinstate: WEBHOOK_EVENTS.CREDENTIAL_REINSTATED
+};
+
+const EMAIL_COPY = {
+  revoke: { verb: "revoked", outcome: "It is no longer valid." },
+  suspend: { verb: "suspended", outcome: "It will show as suspended to anyone verifying it until the issuer reinstates it." },
+  reinstate: { verb: "reinstated", outcome: "It is valid again." }
+};
+
+const statusEmailHtml = ({ action, recipientName, credential, organizationName, reasonCode, note }) => `
+  <p>Hello ${escapeHtml(recipientName || "there")},</p>
+  <p>Your credential <b>${escapeHtml(credential.title)}</b> issued by ${escapeHtml(organizationName || "your issuer")}
+     has been ${EMAIL_COPY[action].verb}. ${EMAIL_COPY[action].outcome}</p>
+  <p>Reason: ${escapeHtml(getReasonLabel(reasonCode))}<br>${escapeHtml(note)}</p>
+  <p>Contact ${escapeHtml(organizationName || "the issuer")} if you have questions.</p>
+  <p><a href="${getVerificationPageUrl(credential.blockchainHash)}">View credential</a></p>
+`;
+
+const notifyRecipient = async (action, credential, change, organizationId) => {
+  if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) return false;
+
+  const populated = await Credential.findById(credential._id).select("participantId participantData").populate("participantId", "fullName email");
+  const email = populated?.participantId?.email || populated?.participantData?.participantEmail;
+  if (!email) return false;
+
+  const organization = await Admin.findById(organizationId).select("organization");
+
+  try {
+    await sendEmail({
+      fromEmail: process.env.EMAIL_USER,
+      fromPassword: process.env.EMAIL_PASS,
+      to: email,
+      subject: `Your credential "${credential.title}" has been ${EMAIL_COPY[action].verb}`,
+      html: statusEmailHtml({
+        action,
+        recipientName: populated.participantId?.fullName || populated.participantData?.name,
+        credential,
+        organizationName: organization?.organization,
+        ...change
+      })
+    });
+    return true;
+  } catch (error) {
+    console.error(`Status change email for credential ${credential._id} failed:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Apply a status change to a credential
+ * @param {"revoke"|"suspend"|"reinstate"} action
+ * @param {Object} credential
+ * @param {{ reasonCode: string, note: string, notifyRecipient?: boolean, actor?: string }} change - from parseStatusChange
+ * @returns {Promise<{ credential: Object, notified: boolean }>}
+ * @throws {Error} with status 409 when the credential's status does not allow the change
+ */
+export const changeCredentialStatus = async (action, credential, change) => {
+  const now = new Date();
+
+  // Conditional on the current status so concurrent changes cannot both apply
+  const updated = await Credential.findOneAndUpdate(
+    { _id: credential._id, status: { $in: ALLOWED_FROM[action] } },
+    STATUS_UPDATES[action](change, now),
+    { new: true }
+  );
+
+  if (!updated) {
+    const current = await Credential.findById(credential._id).select("status");
+    throw lifecycleError(
+      current?.status === "revoked"
+        ? "Credential is already revoked"
+        : `Cannot ${action} a credential with status "${current?.status}"`,
+      409
+    );
+  }
+
+  if (action === "revoke") {
+    await setCredentialStatusFlag(updated, "revocation", true);
+    await setCredentialStatusFlag(updated, "suspension", false);
+  } else {
+    await setCredentialStatusFlag(updated, "suspension", action === "suspend");
+  }
+
+  // Notes can hold personal details, so only the code goes into the append-only ledger
+  await recordLedgerEvent(action, updated, { reasonCode: change.reasonCode });
+
+  const organizationId = updated.signedPayload?.issuer || String(updated.createdBy);
+
+  void triggerWebhook(WEBHOOKS[action], {
+    credentialId: updated.id,
+    status: updated.status,
+    reasonCode: change.reasonCode,
+    reason: change.note,
+    changedAt: now
+  }, organizationId);
+
+  const notified = change.notifyRecipient === false
+    ? false
+    : await notifyRecipient(action, updated, change, organizationId);
+
+  return { credential: updated, notified };
+};
+
+export const revokeCredential = (credential, change) => changeCredentialStatus("revoke", credential, change);
+export const suspendCredential = (credential, change) => changeCredentialStatus("suspend", credential, change);
+export const reinstateCredential = (credential, change) => changeCredentialStatus("reinstate", credential, change);
+
+/**
+ * Mongo filter for bulk revocation from request criteria. At least one
+ * criterion is required so an empty body cannot revoke everything.
+ * @param {{ eventId?, templateId?, title?, type?, credentialIds?, issuedFrom?, issuedTo? }} criteria
+ * @throws {Error} with status 400
+ */
+export const buildBulkRevocationFilter = (criteria = {}) => {
+  const { eventId, templateId, title, type, credentialIds, issuedFrom, issuedTo } = criteria;
+  const filter = {};
+
+  for (const [field, value] of [["eventId", eventId], ["templateId", templateId]]) {
+    if (value === undefined) continue;
+    if (!mongoose.Types.ObjectId.isValid(value)) throw lifecycleError(`Invalid ${field}`, 400);
+    filter[field] = value;
+  }
+
+  if (credentialIds !== undefined) {
+    if (!Array.isArray(credentialIds) || !credentialIds.length || !credentialIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      throw lifecycleError("credentialIds must be a non-empty array of credential ids", 400);
+    }
+    filter._id = { $in: credentialIds };
+  }
+
+  if (title) filter.title = String(title);
+  if (type) filter.type = String(type);
+
+  if (issuedFrom || issuedTo) {
+    filter.issuedAt = {};
+    for (const [operator, value] of [["$gte", issuedFrom], ["$lte", issuedTo]]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) throw lifecycleError("issuedFrom and issuedTo must be valid dates", 400);
+      filter.issuedAt[operator] = date;
+    }
+  }
+
+  if (!Object.keys(filter).length) {
+    throw lifecycleError("Provide eventId, templateId, title, type, credentialIds or an issued date range", 400);
+  }
+
+  return filter;
+};
+
+/**
+ * Revoke every revocable credential matching a filter, one by one
+ * @param {Object} filter - from buildBulkRevocationFilter, combined with the caller's organization scope
+ * @param {Object} change - from parseStatusChange
+ * @param {{ dryRun?: boolean }} options - dryRun only counts the matches
+ */
+export const revokeCredentialsInBulk = async (filter, change, { dryRun = false } = {}) => {
+  const credentials = await Credential.find({ ...filter, status: { $in: ALLOWED_FROM.revoke } })
+    .select("_id title status statusListEntry signedPayload createdBy blockchainHash");
+
+  if (dryRun) {
+    return { matched: credentials.length, revoked: 0, notified: 0, failed: [] };
+  }
+
+  const summary = { matched: credentials.length, revoked: 0, notified: 0, failed: [] };
+  for (const credential of credentials) {
+    try {
+      const { notified } = await revokeCredential(credential, change);
+      summary.revoked++;
+      if (notified) summary.notified++;
+    } catch (error) {
+      summary.failed.push({ credentialId: credential._id, message: error.message });
+    }
+  }
+
+  return summary;
+};
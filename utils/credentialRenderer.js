@@ -0,0 +1,115 @@
+// utils/credentialRenderer.js
+import { buildScene, buildScenes } from "./credentialScene.js";
+import { renderCanvas } from "./renderBackends/canvas.js";
+import { renderPdf, renderPdfPages } from "./renderBackends/pdf.js";
+import { renderHtml, renderHtmlPages, renderSvg } from "./renderBackends/svg.js";
+import { getCredentialReference } from "./credentialFileVerification.js";
+import { getOrganizationFonts } from "./fontRegistry.js";
+
+/**
+ * The one credential renderer. A design is laid out once as a scene
+ * (see credentialScene.js) and drawn by the backend for the requested format,
+ * so every format shows the same layout.
+ *
+ * A backend is { mimeType, extension, render(scene, options) } and returns a
+ * Buffer (binary formats) or a string (svg, html). Formats that hold several
+ * pages in one file also have renderPages(scenes, options) and get every page
+ * of a multi-page design; the others are rendered one page at a time.
+ */
+
+const BACKENDS = {
+  png: { mimeType: "image/png", extension: "png", render: (scene, options) => renderCanvas(scene, { ...options, format: "png" }) },
+  jpeg: { mimeType: "image/jpeg", extension: "jpeg", render: (scene, options) => renderCanvas(scene, { ...options, format: "jpeg" }) },
+  pdf: { mimeType: "application/pdf", extension: "pdf", render: renderPdf, renderPages: renderPdfPages },
+  svg: { mimeType: "image/svg+xml", extension: "svg", render: async (scene, options) => renderSvg(scene, options) },
+  html: {
+    mimeType: "text/html",
+    extension: "html",
+    render: async (scene, options) => renderHtml(scene, options),
+    renderPages: async (scenes, options) => renderHtmlPages(scenes, options)
+  }
+};
+
+/**
+ * Add or replace the backend for an output format
+ */
+export const registerRenderBackend = (format, backend) => {
+  if (typeof backend?.render !== "function") {
+    throw new Error(`Render backend for ${format} needs a render function`);
+  }
+  BACKENDS[format] = backend;
+};
+
+export const getRenderFormats = () => Object.keys(BACKENDS);
+
+/**
+ * @throws {Error} with status 400 for an unknown format
+ */
+export const getRenderBackend = (format) => {
+  const backend = BACKENDS[format === "jpg" ? "jpeg" : format];
+  if (!backend) {
+    throw Object.assign(new Error(`format must be one of: ${getRenderFormats().join(", ")}`), { status: 400 });
+  }
+  return backend;
+};
+
+/**
+ * Draw a scene built by buildScene in the given format
+ */
+export const renderScene = (scene, format, options = {}) => getRenderBackend(format).render(scene, options);
+
+/**
+ * Organization whose fonts a stored credential renders with: the signed
+ * issuer, or the issuing account for older records
+ */
+export const getCredentialOrganizationId = (credential) => credential?.signedPayload?.issuer
+  || credential?.issuedBy?._id || credential?.issuedBy
+  || credential?.createdBy?._id || credential?.createdBy;
+
+const getBackendOptions = (participantData, options) => ({
+  reference: participantData?.blockchainHash ? getCredentialReference(participantData.blockchainHash) : undefined,
+  verificationUrl: participantData?.verificationUrl,
+  ...options
+});
+
+/**
+ * Render a credential design
+ * @param {Object} designData
+ * @param {Object} participantData - placeholder values; verificationUrl, blockchainHash
+ *   and qrPayload add the verification QR code and the embedded credential reference
+ * @param {{ format?: string, quality?: number, organizationId?: string, page?: number }} options - quality (0-1)
+ *   applies to JPEG; organizationId makes the organization's uploaded fonts available; page (from 1)
+ *   renders one page of a multi-page design. Without it PDF and HTML hold every page and the
+ *   other formats show the first.
+ * @returns {Promise<Buffer|string>}
+ */
+export const renderCredential = async (designData, participantData, { format = "png", organizationId, page, ...options } = {}) => {
+  const backend = getRenderBackend(format);
+  const fonts = await getOrganizationFonts(organizationId);
+
+  if (backend.renderPages && page === undefined) {
+    const scenes = await buildScenes(designData, participantData, { fonts });
+    return scenes.length === 1
+      ? backend.render(scenes[0], getBackendOptions(participantData, options))
+      : backend.renderPages(scenes, getBackendOptions(participantData, options));
+  }
+  const scene = await buildScene(designData, participantData, { fonts, page: page ?? 1 });
+  return backend.render(scene, getBackendOptions(participantData, options));
+};
+
+/**
+ * Render every page of a credential design on its own, as per-page images
+ * @param {Object} designData
+ * @param {Object} participantData - as for renderCredential
+ * @param {{ format?: string, quality?: number, organizationId?: string }} options - as for renderCredential
+ * @returns {Promise<Array<Buffer|string>>} one output per page, in order
+ */
+export const renderCredentialPages = async (designData, participantData, { format = "png", organizationId, ...options } = {}) => {
+  const backend = getRenderBackend(format);
+  const fonts = await getOrganizationFonts(organizationId);
+  const scenes = await buildScenes(designData, participantData, { fonts });
+
+  const outputs = [];
+  for (const scene of scenes) outputs.push(await backend.render(scene, getBackendOptions(participantData, options)));
+  return outputs;
+};
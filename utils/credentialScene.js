@@ -0,0 +1,910 @@
+// utils/credentialScene.js
+import axios from "axios";
+import sharp from "sharp";
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+import { getVerificationQrUrl } from "./verificationPage.js";
+import { COMPACT_QR_OPTIONS } from "./compactCredential.js";
+import { buildMergeContext, checkMergeField, formatMergeValue, getMergeFieldCatalog, getMergeFieldValue, renderTemplate } from "./mergeFields.js";
+import { isElementVisible } from "./displayConditions.js";
+import { resolveFontFace } from "./fontRegistry.js";
+import { getBidiRuns, resolveDirection } from "./textDirection.js";
+import { getDesignElements, getDesignPages, hasPages } from "./designPages.js";
+
+/**
+ * Design-to-scene translation, shared by every credential output format.
+ *
+ * designData has been saved in more than one shape over time (`canvas` or
+ * `canvasSettings`, `background` or `canvasSettings`, element `content` or
+ * `text`). buildScene reads all of them once and lays the credential out as a
+ * flat list of absolutely positioned nodes: elements whose display conditions
+ * do not match are left out, merge fields are filled, text is fitted to its
+ * box (see TEXT_FIT_MODES) and measured, images are fetched and the QR code
+ * is encoded. Backends only draw nodes, so a PNG, PDF and SVG of the same
+ * credential agree to the pixel on layout. A multi-page design (see
+ * designPages.js) is laid out as one scene per page.
+ *
+ * Node types (coordinates in design pixels, text positioned by baseline):
+ *   rect     { x, y, width, height, fill?, stroke?, strokeWidth? }
+ *   ellipse  { cx, cy, rx, ry, fill?, stroke?, strokeWidth? }
+ *   polygon  { points: [[x, y], ...], fill?, stroke?, strokeWidth? }
+ *   line     { x1, y1, x2, y2, stroke, strokeWidth }
+ *   image    { x, y, width, height, data: Buffer, format: "png" | "jpeg" }
+ *   qr       { x, y, size, modules: { size, data } }
+ *   text     { font, color, direction, lang?, lines: [{ text, x, y, width, condensed, runs }] }
+ *            (a condensed line is squeezed horizontally to `width`; font is
+ *            { family, size, weight, style, face? }, face being an uploaded
+ *            font from fontRegistry.js that backends must draw with; runs
+ *            are the line's directional runs in visual order,
+ *            [{ text, x, width, rtl }], each drawn on its own at its x and,
+ *            when condensed, squeezed to its width; see textDirection.js)
+ * Any node may carry opacity and rotation (degrees, about `origin`).
+ * `fill` is a color, or { type: "linear", x1, y1, x2, y2, stops } for gradients.
+ */
+
+export const DEFAULT_SCENE_WIDTH = 1200;
+export const DEFAULT_SCENE_HEIGHT = 800;
+
+// Text lines advance by font size plus this many pixels
+const LINE_GAP = 5;
+
+// Unbroken text longer than this is word-wrapped to the element width
+const WRAP_THRESHOLD = 50;
+
+/**
+ * How a text element's text is fitted to its box (element.textFit):
+ *   none      long unbroken text wraps, a line that does not fit is condensed
+ *   shrink    the font size steps down to minFontSize until the text fits;
+ *             it wraps only if the element sets maxLines above 1 or a height
+ *   wrap      word-wrapped; text past maxLines or the height ends in an ellipsis
+ *   ellipsis  wrap with maxLines defaulting to 1
+ */
+export const TEXT_FIT_MODES = ["none", "shrink", "wrap", "ellipsis"];
+const DEFAULT_MIN_FONT_SIZE = 8;
+const ELLIPSIS = "\u2026";
+
+/**
+ * Table elements repeat a row per item of a list field (element.source, like
+ * "custom.modules", whose items are objects such as { module, grade }):
+ *
+ *   { type: "table", x, y, width, height, source: "custom.modules",
+ *     columns: [{ field: "module", header: "Module" }, { field: "grade", header: "Grade", width: 120, align: "end" }] }
+ *
+ * Items that are not objects fill the column whose field is "value". Columns
+ * without a width share what the others leave of the table's; cells print
+ * like merge fields of the column's type and are cut at an ellipsis. Rows
+ * past the table's height or maxRows are left out; checkTextFit reports both.
+ */
+export const TABLE_COLUMN_ALIGNS = ["start", "end", "left", "center", "right"];
+const TABLE_CELL_PADDING = 8;
+
+const IMAGE_TIMEOUT_MS = 10000;
+
+// ---------------- Fonts and text metrics ----------------
+
+// PDF standard fonts standing in for a design font family, with AFM ascender/descender
+const STANDARD_FONTS = {
+  helvetica: {
+    regular: "Helvetica", bold: "Helvetica-Bold", italic: "Helvetica-Oblique", boldItalic: "Helvetica-BoldOblique",
+    ascender: 718, descender: -207
+  },
+  times: {
+    regular: "Times-Roman", bold: "Times-Bold", italic: "Times-Italic", boldItalic: "Times-BoldItalic",
+    ascender: 683, descender: -217
+  },
+  courier: {
+    regular: "Courier", bold: "Courier-Bold", italic: "Courier-Oblique", boldItalic: "Courier-BoldOblique",
+    ascender: 629, descender: -157
+  }
+};
+
+const getFontClass = (family = "") => {
+  if (/courier|mono|consolas/i.test(family)) return STANDARD_FONTS.courier;
+  if (/times|georgia|garamond|serif/i.test(family) && !/sans/i.test(family)) return STANDARD_FONTS.times;
+  return STANDARD_FONTS.helvetica;
+};
+
+const isBold = (weight) => weight === "bold" || weight === "bolder" || Number(weight) >= 600;
+
+/**
+ * PDF standard font name for a scene font ({ family, size, weight, style })
+ */
+export const getStandardFontName = (font) => {
+  const fontClass = getFontClass(font.family);
+  const bold = isBold(font.weight);
+  const italic = font.style === "italic" || font.style === "oblique";
+  if (bold && italic) return fontClass.boldItalic;
+  if (bold) return fontClass.bold;
+  if (italic) return fontClass.italic;
+  return fontClass.regular;
+};
+
+// Widths come from the PDF standard font metrics, which Arial/Liberation Sans,
+// Times and Courier match, or from the uploaded font itself, so line breaks do
+// not depend on the backend
+let metricsDocument = null;
+const metricsFaces = new Set();
+
+// Width of one directional run, shaped by fontkit as PDFKit draws it
+const measureRun = (text, font) => {
+  metricsDocument ||= new PDFDocument({ autoFirstPage: false });
+  if (font.face && !metricsFaces.has(font.face.key)) {
+    metricsDocument.registerFont(font.face.key, font.face.data);
+    metricsFaces.add(font.face.key);
+  }
+  return metricsDocument.font(font.face ? font.face.key : getStandardFontName(font)).fontSize(font.size).widthOfString(text);
+};
+
+// Runs are shaped apart, so mixed-direction text is measured run by run
+const measureText = (text, font, direction) => getBidiRuns(text, direction)
+  .reduce((width, run) => width + measureRun(run.text, font), 0);
+
+/**
+ * Generic CSS family for the metrics class of a font family, as a fallback
+ */
+export const getGenericFamily = (family) => {
+  const fontClass = getFontClass(family);
+  if (fontClass === STANDARD_FONTS.courier) return "monospace";
+  if (fontClass === STANDARD_FONTS.times) return "serif";
+  return "sans-serif";
+};
+
+const getAscent = (font) => (font.face || getFontClass(font.family)).ascender / 1000 * font.size;
+const getDescent = (font) => (font.face || getFontClass(font.family)).descender / 1000 * font.size;
+
+// ---------------- Design normalisation ----------------
+
+const isObject = (value) => value !== null && typeof value === "object";
+
+/**
+ * Canvas size, background and elements from either design shape
+ */
+export const normalizeDesign = (designData) => {
+  const design = isObject(designData) ? designData : {};
+  const settings = design.canvasSettings || {};
+  const canvas = design.canvas || {};
+  const background = design.canvasSettings || design.background || {};
+
+  const type = background.backgroundType || background.type || "solid";
+
+  return {
+    width: Number(settings.width || canvas.width) || DEFAULT_SCENE_WIDTH,
+    height: Number(settings.height || canvas.height) || DEFAULT_SCENE_HEIGHT,
+    background: {
+      type,
+      color: background.backgroundColor || background.primaryColor || background.color || canvas.backgroundColor || "#ffffff",
+      from: background.gradientFrom || background.primaryColor || "#3498db",
+      to: background.gradientTo || background.secondaryColor || "#e74c3c",
+      direction: background.gradientDirection || "to right",
+      image: background.backgroundImage || background.imageUrl || null
+    },
+    elements: Array.isArray(design.elements) ? design.elements : [],
+    content: isObject(design.content) ? design.content : {},
+    verification: design.verification || {}
+  };
+};
+
+// ---------------- Assets ----------------
+
+const detectImageFormat = (buffer) => {
+  if (buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504e47) return "png";
+  if (buffer.length > 2 && buffer[0] === 0xff && buffer[1] === 0xd8) return "jpeg";
+  return null;
+};
+
+/**
+ * Fetch an image (http(s) or data URL) as PNG or JPEG bytes, converting other
+ * formats, so every backend can embed it. Null when it cannot be loaded.
+ */
+export const loadImageAsset = async (src) => {
+  try {
+    let buffer;
+    const dataUrl = /^data:[^;,]+(;base64)?,(.*)$/s.exec(src);
+    if (dataUrl) {
+      buffer = Buffer.from(dataUrl[1] ? dataUrl[2] : decodeURIComponent(dataUrl[2]), dataUrl[1] ? "base64" : "utf8");
+    } else if (/^https?:\/\//i.test(src)) {
+      const response = await axios.get(src, { responseType: "arraybuffer", timeout: IMAGE_TIMEOUT_MS });
+      buffer = Buffer.from(response.data);
+    } else {
+      return null;
+    }
+
+    const format = detectImageFormat(buffer);
+    if (format) return { data: buffer, format };
+    return { data: await sharp(buffer).png().toBuffer(), format: "png" };
+  } catch (error) {
+    console.warn("Failed to load design image:", String(src).slice(0, 100), error.message);
+    return null;
+  }
+};
+
+const getQrPayload = (participantData) => participantData.qrPayload
+  || (participantData.blockchainHash
+    ? getVerificationQrUrl(participantData.blockchainHash)
+    : participantData.verificationUrl || null);
+
+// Dark/light module grid of a QR symbol, with a one-module quiet zone
+const encodeQr = (payload, errorCorrectionLevel) => {
+  const { modules } = QRCode.create(payload, { errorCorrectionLevel });
+  const size = modules.size + 2;
+  const data = new Uint8Array(size * size);
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      data[(row + 1) * size + col + 1] = modules.get(row, col) ? 1 : 0;
+    }
+  }
+  return { size, data };
+};
+
+// ---------------- Layout ----------------
+
+const GRADIENT_VECTORS = {
+  "to right": [0, 0, 1, 0],
+  "to left": [1, 0, 0, 0],
+  "to bottom": [0, 0, 0, 1],
+  "to top": [0, 1, 0, 0],
+  "to bottom right": [0, 0, 1, 1],
+  "to bottom left": [1, 0, 0, 1],
+  "to top right": [0, 1, 1, 0],
+  "to top left": [1, 1, 0, 0]
+};
+
+const buildBackground = async ({ width, height, background }) => {
+  const nodes = [{ type: "rect", x: 0, y: 0, width, height, fill: "#ffffff" }];
+
+  if (background.type === "gradient") {
+    const [x1, y1, x2, y2] = GRADIENT_VECTORS[background.direction] || GRADIENT_VECTORS["to right"];
+    nodes.push({
+      type: "rect", x: 0, y: 0, width, height,
+      fill: {
+        type: "linear",
+        x1: x1 * width, y1: y1 * height, x2: x2 * width, y2: y2 * height,
+        stops: [{ offset: 0, color: background.from }, { offset: 1, color: background.to }]
+      }
+    });
+  } else if (background.type === "image" && background.image) {
+    const image = await loadImageAsset(background.image);
+    nodes.push(image
+      ? { type: "image", x: 0, y: 0, width, height, ...image }
+      : { type: "rect", x: 0, y: 0, width, height, fill: background.color });
+  } else {
+    nodes.push({ type: "rect", x: 0, y: 0, width, height, fill: background.color });
+  }
+
+  return nodes;
+};
+
+// Greedy word wrap, measuring each candidate line with its trailing space
+const wrapWords = (text, font, maxWidth, direction) => {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(" ")) {
+    const candidate = `${line}${word} `;
+    if (line && measureText(candidate, font, direction) > maxWidth) {
+      lines.push(line.trim());
+      line = `${word} `;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line.trim()) lines.push(line.trim());
+  return lines;
+};
+
+// Every paragraph word-wrapped, keeping blank lines
+const wrapParagraphs = (content, font, maxWidth, direction) =>
+  content.split("\n").flatMap(paragraph => (paragraph.trim() ? wrapWords(paragraph, font, maxWidth, direction) : [""]));
+
+// The longest start of text that fits maxWidth with an ellipsis after it
+const truncateText = (text, font, maxWidth, direction) => {
+  const chars = Array.from(text.trimEnd());
+  const withEllipsis = (count) => `${chars.slice(0, count).join("").trimEnd()}${ELLIPSIS}`;
+  let low = 0;
+  let high = chars.length;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (measureText(withEllipsis(middle), font, direction) <= maxWidth) low = middle;
+    else high = middle - 1;
+  }
+  return withEllipsis(low);
+};
+
+// Lines that fit in maxLines and the box height at a font size
+const getLineCapacity = (size, { maxLines, boxHeight }) => {
+  const byHeight = boxHeight > 0 ? Math.max(1, Math.floor((boxHeight + LINE_GAP) / (size + LINE_GAP))) : Infinity;
+  return Math.min(maxLines > 0 ? maxLines : Infinity, byHeight);
+};
+
+const getOverflow = (texts, font, maxWidth, direction, capacity = Infinity) => {
+  if (texts.some(text => measureText(text, font, direction) > maxWidth)) return "condensed";
+  return texts.length > capacity ? "overflow" : null;
+};
+
+/**
+ * Fit text to a box with one of TEXT_FIT_MODES
+ * @returns {{ font: Object, texts: Array<string>, problem: string|null }} the font
+ *   (resized by shrink), the lines, and what still does not fit: "condensed"
+ *   (a line is squeezed to the width), "overflow" (more lines than the box
+ *   holds) or "truncated" (text was cut at an ellipsis)
+ */
+export const fitText = (content, font, { fit = "none", maxWidth, direction, boxHeight, maxLines, minFontSize } = {}) => {
+  if (!(maxWidth > 0)) return { font, texts: content.split("\n"), problem: null };
+
+  if (fit === "shrink") {
+    // Wrapping is allowed only where the box says how many lines it holds
+    const wraps = maxLines > 1 || boxHeight > 0;
+    const minimum = Math.min(font.size, Number(minFontSize) > 0 ? Number(minFontSize) : DEFAULT_MIN_FONT_SIZE);
+    for (let size = font.size; ; size = Math.max(minimum, size - 1)) {
+      const sized = { ...font, size };
+      const texts = wraps ? wrapParagraphs(content, sized, maxWidth, direction) : content.split("\n");
+      const problem = getOverflow(texts, sized, maxWidth, direction, getLineCapacity(size, { maxLines, boxHeight }));
+      if (!problem || size === minimum) return { font: sized, texts, problem };
+    }
+  }
+
+  if (fit === "wrap" || fit === "ellipsis") {
+    const capacity = getLineCapacity(font.size, { maxLines: maxLines || (fit === "ellipsis" ? 1 : 0), boxHeight });
+    const wrapped = wrapParagraphs(content, font, maxWidth, direction);
+    // A word wider than the box is cut too, so nothing is squeezed
+    const texts = wrapped.slice(0, capacity)
+      .map(text => (measureText(text, font, direction) > maxWidth ? truncateText(text, font, maxWidth, direction) : text));
+    if (wrapped.length > capacity) {
+      texts[capacity - 1] = truncateText(wrapped.slice(capacity - 1).join(" "), font, maxWidth, direction);
+    }
+    const truncated = wrapped.length > capacity || texts.some((text, index) => text !== wrapped[index]);
+    return { font, texts, problem: truncated ? "truncated" : null };
+  }
+
+  // none: long unbroken text wraps, lines that still do not fit are condensed
+  const paragraphs = content.split("\n");
+  const texts = paragraphs.length === 1 && content.length > WRAP_THRESHOLD
+    ? wrapWords(content, font, maxWidth, direction)
+    : paragraphs;
+  return { font, texts, problem: getOverflow(texts, font, maxWidth, direction) };
+};
+
+// A line at x and baseline y, split into runs placed left to right and
+// condensed together when the line is wider than maxWidth
+const placeLine = (text, font, direction, maxWidth, y, getX) => {
+  const runs = getBidiRuns(text, direction).map(run => ({ ...run, width: measureRun(run.text, font) }));
+  const measured = runs.reduce((total, run) => total + run.width, 0);
+  const width = maxWidth > 0 ? Math.min(measured, maxWidth) : measured;
+  const scale = measured > 0 ? width / measured : 1;
+  const x = getX(width);
+
+  let offset = x;
+  for (const run of runs) {
+    run.x = offset;
+    run.width *= scale;
+    offset += run.width;
+  }
+  return { text, x, y, width, condensed: measured > width, runs };
+};
+
+// "start" and "end" follow the text direction
+const resolveAlign = (align, direction) => {
+  if (align === "start" || !align) return direction === "rtl" ? "right" : "left";
+  if (align === "end") return direction === "rtl" ? "left" : "right";
+  return align;
+};
+
+/**
+ * Lay out text into baseline-positioned lines, fitted to the box (see
+ * fitText); a line that still does not fit is condensed to maxWidth by the
+ * backends.
+ * @param {{ anchorX: number, top: number, align: string, boxWidth?: number, maxWidth: number,
+ *   direction?: "ltr"|"rtl", fit?: string, boxHeight?: number, maxLines?: number, minFontSize?: number }} box
+ * @returns {{ font: Object, lines: Array<Object>, problem: string|null }}
+ */
+export const layoutText = (content, font, { anchorX, top, align, boxWidth, maxWidth, direction = "ltr", ...fitOptions }) => {
+  const fitted = fitText(content, font, { maxWidth, direction, ...fitOptions });
+  const lineHeight = fitted.font.size + LINE_GAP;
+  const ascent = getAscent(fitted.font);
+  const side = resolveAlign(align, direction);
+
+  const lines = fitted.texts.map((text, index) => placeLine(text, fitted.font, direction, maxWidth, top + index * lineHeight + ascent, (width) => {
+    // Within the element box when it has a width, otherwise around the anchor
+    if (side === "center") return boxWidth ? anchorX + (boxWidth - width) / 2 : anchorX - width / 2;
+    if (side === "right") return boxWidth ? anchorX + boxWidth - width : anchorX - width;
+    return anchorX;
+  }));
+
+  return { font: fitted.font, lines, problem: fitted.problem };
+};
+
+const toFont = (element, fonts) => {
+  const font = {
+    family: String(element.fontFamily || "Arial").split(",")[0].trim().replace(/^["']|["']$/g, ""),
+    size: Number(element.fontSize) || 16,
+    weight: element.fontWeight || "normal",
+    style: element.fontStyle || "normal"
+  };
+  const face = resolveFontFace(fonts, font);
+  return face ? { ...font, face } : font;
+};
+
+const withTransform = (node, element, box) => {
+  if (element.opacity !== undefined && element.opacity !== null && Number(element.opacity) < 1) {
+    node.opacity = Math.max(0, Number(element.opacity));
+  }
+  if (Number(element.rotation)) {
+    node.rotation = Number(element.rotation);
+    node.origin = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+  }
+  return node;
+};
+
+const starPoints = (x, y, width, height) => {
+  const points = [];
+  for (let i = 0; i < 10; i++) {
+    const angle = -Math.PI / 2 + i * Math.PI / 5;
+    const scale = i % 2 === 0 ? 1 : 0.4;
+    points.push([x + width / 2 + Math.cos(angle) * scale * width / 2, y + height / 2 + Math.sin(angle) * scale * height / 2]);
+  }
+  return points;
+};
+
+const buildQrNodes = (payload, x, y, size, compact) => [
+  { type: "rect", x: x - 5, y: y - 5, width: size + 10, height: size + 10, fill: "#ffffff", stroke: "#cccccc", strokeWidth: 1 },
+  { type: "qr", x, y, size, modules: encodeQr(payload, compact ? COMPACT_QR_OPTIONS.errorCorrectionLevel : "M") }
+];
+
+const layoutTextElement = (element, scene) => {
+  const x = Number(element.x) || 0;
+  const boxWidth = Number(element.width) || null;
+  const content = scene.fillText(element.content ?? element.text);
+  const direction = resolveDirection(content, element);
+  const layout = layoutText(content, toFont(element, scene.fonts), {
+    anchorX: x,
+    top: Number(element.y) || 0,
+    align: element.textAlign,
+    boxWidth,
+    direction,
+    maxWidth: boxWidth || scene.width - x - 20,
+    fit: TEXT_FIT_MODES.includes(element.textFit) ? element.textFit : "none",
+    boxHeight: Number(element.height) || null,
+    maxLines: Number(element.maxLines) || null,
+    minFontSize: element.minFontSize
+  });
+  return { ...layout, content, direction };
+};
+
+// Items of a table's list field, each an object of cell values
+const getTableRows = (element, participantData) => {
+  const value = getMergeFieldValue(buildMergeContext(participantData), String(element.source || ""));
+  const items = Array.isArray(value) ? value : [value];
+  return items
+    .filter(item => item !== undefined && item !== null && item !== "")
+    .map(item => (isObject(item) && !Array.isArray(item) ? item : { value: item }));
+};
+
+const getTableColumns = (element) => (Array.isArray(element.columns)
+  ? element.columns.filter(column => isObject(column) && column.field)
+  : []);
+
+const getCellValue = (row, field) => (Object.prototype.hasOwnProperty.call(row, field) ? row[field] : undefined);
+
+/**
+ * Lay out a table element: its header, the rows that fit and the grid
+ * @returns {{ nodes: Array<Object>, font: Object, rows: number, shown: number, truncated: Array<string> }}
+ *   the nodes, how many rows the list has and how many are drawn, and the
+ *   texts of cells cut at an ellipsis
+ */
+const layoutTable = (element, participantData, scene) => {
+  const x = Number(element.x) || 0;
+  const y = Number(element.y) || 0;
+  const width = Number(element.width) || scene.width - x - 20;
+  const font = toFont(element, scene.fonts);
+  const headerFont = toFont({ ...element, fontWeight: element.headerFontWeight || "bold" }, scene.fonts);
+  const columns = getTableColumns(element);
+  const rows = getTableRows(element, participantData);
+  if (!columns.length) return { nodes: [], font, rows: rows.length, shown: 0, truncated: [] };
+
+  const rowHeight = Number(element.rowHeight) || Math.round(font.size * 1.8);
+  const showHeader = element.showHeader !== false;
+  const bodyHeight = (Number(element.height) || scene.height - y - 20) - (showHeader ? rowHeight : 0);
+  const capacity = Math.max(0, Math.floor(bodyHeight / rowHeight));
+  const shown = rows.slice(0, Number(element.maxRows) > 0 ? Math.min(capacity, Number(element.maxRows)) : capacity);
+
+  // Columns with a width keep it and the others share the rest; a right to
+  // left table puts its first column on the right
+  const tableDirection = resolveDirection("", element);
+  const fixedWidth = columns.reduce((total, column) => total + (Number(column.width) > 0 ? Number(column.width) : 0), 0);
+  const flexible = columns.filter(column => !(Number(column.width) > 0)).length;
+  const share = flexible ? Math.max(0, width - fixedWidth) / flexible : 0;
+  let offset = 0;
+  const cells = columns.map((column) => {
+    const cellWidth = Number(column.width) > 0 ? Number(column.width) : share;
+    const cell = {
+      column,
+      x: tableDirection === "rtl" ? x + width - offset - cellWidth : x + offset,
+      width: cellWidth,
+      align: resolveAlign(column.align || (column.type === "number" ? "end" : "start"), tableDirection)
+    };
+    offset += cellWidth;
+    return cell;
+  });
+
+  const box = { x, y, width, height: (showHeader ? rowHeight : 0) + shown.length * rowHeight };
+  const borderColor = element.borderColor || "#d0d5dd";
+  const nodes = [];
+  const truncated = [];
+
+  const placeRow = (texts, top, rowFont, color) => cells.forEach((cell, index) => {
+    const text = texts[index];
+    if (!text) return;
+    const direction = resolveDirection(text, { script: element.script, lang: element.lang });
+    const innerWidth = Math.max(0, cell.width - TABLE_CELL_PADDING * 2);
+    const layout = layoutText(text, rowFont, {
+      anchorX: cell.x + TABLE_CELL_PADDING,
+      // Vertically centered in the row
+      top: top + (rowHeight - getAscent(rowFont) + getDescent(rowFont)) / 2,
+      align: cell.align,
+      boxWidth: innerWidth,
+      maxWidth: innerWidth,
+      direction,
+      fit: "ellipsis"
+    });
+    if (layout.problem) truncated.push(text);
+    nodes.push({ type: "text", font: layout.font, color, direction, lang: element.lang || undefined, lines: layout.lines });
+  });
+
+  let top = y;
+  if (showHeader) {
+    nodes.push({ type: "rect", x, y: top, width, height: rowHeight, fill: element.headerBackground || "#f2f4f7" });
+    placeRow(cells.map(cell => scene.fillText(cell.column.header || "")), top, headerFont, element.headerColor || element.color || "#000000");
+    top += rowHeight;
+  }
+  shown.forEach((row, index) => {
+    if (element.stripeColor && index % 2 === 1) {
+      nodes.push({ type: "rect", x, y: top, width, height: rowHeight, fill: element.stripeColor });
+    }
+    const texts = cells.map(cell => formatMergeValue(getCellValue(row, cell.column.field), cell.column.type, scene.content));
+    placeRow(texts, top, font, element.color || "#000000");
+    top += rowHeight;
+  });
+
+  // Grid: row and column rules inside an outer border
+  const rule = (x1, y1, x2, y2) => ({ type: "line", x1, y1, x2, y2, stroke: borderColor, strokeWidth: 1 });
+  for (let line = y + rowHeight; line < box.y + box.height - 0.5; line += rowHeight) nodes.push(rule(x, line, x + width, line));
+  cells.slice(1).forEach(cell => {
+    const edge = tableDirection === "rtl" ? cell.x + cell.width : cell.x;
+    nodes.push(rule(edge, y, edge, box.y + box.height));
+  });
+  if (box.height) nodes.push({ type: "rect", ...box, stroke: borderColor, strokeWidth: 1 });
+
+  return {
+    nodes: nodes.map(node => withTransform(node, element, box)),
+    font,
+    rows: rows.length,
+    shown: shown.length,
+    truncated
+  };
+};
+
+const buildElementNodes = async (element, participantData, scene) => {
+  const x = Number(element.x) || 0;
+  const y = Number(element.y) || 0;
+
+  if (element.type === "text") {
+    const { font, lines, direction } = layoutTextElement(element, scene);
+    const boxWidth = Number(element.width) || scene.width - x - 20;
+    const box = { x, y, width: boxWidth, height: lines.length * (font.size + LINE_GAP) };
+    const node = { type: "text", font, color: element.color || "#000000", direction, lang: element.lang || undefined, lines };
+    return [withTransform(node, element, box)];
+  }
+
+  if (element.type === "table") {
+    return layoutTable(element, participantData, scene).nodes;
+  }
+
+  const width = Number(element.width) || 100;
+  const box = { x, y, width, height: Number(element.height) || (element.type === "shape" ? 50 : 100) };
+
+  if (element.type === "image" && element.src) {
+    const image = await loadImageAsset(element.src);
+    if (!image) {
+      return [{ type: "rect", ...box, fill: "#f0f0f0", stroke: "#cccccc", strokeWidth: 1 }];
+    }
+    return [withTransform({ type: "image", ...box, ...image }, element, box)];
+  }
+
+  if (element.type === "qrcode") {
+    const payload = getQrPayload(participantData) || element.verificationUrl || element.qrCodeUrl;
+    if (!payload) return [];
+    const size = Math.min(box.width, box.height);
+    return buildQrNodes(payload, x, y, size, Boolean(participantData.qrPayload));
+  }
+
+  const style = {
+    fill: element.fillColor || element.color || "#000000",
+    stroke: element.strokeColor || undefined,
+    strokeWidth: element.strokeColor ? Number(element.strokeWidth) || 1 : undefined
+  };
+
+  if (element.type === "line") {
+    return [withTransform({
+      type: "line", x1: x, y1: y, x2: x + box.width, y2: y + (Number(element.height) || 0),
+      stroke: element.strokeColor || element.color || "#000000",
+      strokeWidth: Number(element.strokeWidth) || 1
+    }, element, box)];
+  }
+
+  if (element.type === "shape") {
+    const shape = element.shapeType || element.shape || "rectangle";
+    let node;
+    if (shape === "circle") {
+      node = { type: "ellipse", cx: x + box.width / 2, cy: y + box.height / 2, rx: Math.min(box.width, box.height) / 2, ry: Math.min(box.width, box.height) / 2 };
+    } else if (shape === "ellipse") {
+      node = { type: "ellipse", cx: x + box.width / 2, cy: y + box.height / 2, rx: box.width / 2, ry: box.height / 2 };
+    } else if (shape === "triangle") {
+      node = { type: "polygon", points: [[x + box.width / 2, y], [x + box.width, y + box.height], [x, y + box.height]] };
+    } else if (shape === "star") {
+      node = { type: "polygon", points: starPoints(x, y, box.width, box.height) };
+    } else {
+      node = { type: "rect", ...box };
+    }
+    return [withTransform({ ...node, ...style }, element, box)];
+  }
+
+  return [];
+};
+
+// Centered text for the default layout, vertically centered on centerY and
+// shrunk to fit inside the border
+const centeredText = (text, font, color, width, centerY) => {
+  const direction = resolveDirection(text);
+  const fitted = fitText(text, font, { fit: "shrink", maxWidth: width - 80, direction, minFontSize: 12 });
+  const middle = (getAscent(fitted.font) + getDescent(fitted.font)) / 2;
+  return {
+    type: "text",
+    font: fitted.font,
+    color,
+    direction,
+    lines: [placeLine(text, fitted.font, direction, width - 80, centerY + middle, (lineWidth) => (width - lineWidth) / 2)]
+  };
+};
+
+// Certificate layout used when a design has no elements
+const buildDefaultNodes = ({ width, height, content }, participantData, fillText) => {
+  const font = (size, weight = "normal") => ({ family: "Arial", size, weight, style: "normal" });
+
+  return [
+    { type: "rect", x: 20, y: 20, width: width - 40, height: height - 40, stroke: "#cccccc", strokeWidth: 4 },
+    centeredText(fillText(content.titleText) || "Certificate of Achievement", font(48, "bold"), "#2c3e50", width, height * 0.25),
+    centeredText(fillText(content.participantNameLabel) || "This is to certify that", font(24), "#000000", width, height * 0.4),
+    centeredText(participantData.name || "Participant Name", font(36, "bold"), "#e74c3c", width, height * 0.5),
+    centeredText(`has successfully completed ${participantData.eventTitle || "the event"}`, font(20), "#000000", width, height * 0.65),
+    centeredText(`Date: ${fillText("{{eventDate}}")}`, font(16), "#666666", width, height * 0.8)
+  ];
+};
+
+// Elements drawn for this participant, in drawing order
+const getVisibleElements = (design, participantData) => {
+  const context = buildMergeContext(participantData);
+
+  // Stable sort keeps array order among equal zIndex values
+  return design.elements
+    .filter(element => element?.type && isElementVisible(element, context))
+    .map((element, index) => ({ element, index }))
+    .sort((a, b) => (a.element.zIndex ?? 1) - (b.element.zIndex ?? 1) || a.index - b.index)
+    .map(({ element }) => element);
+};
+
+// A design places its own QR code when any of its pages has a qrcode element
+const placesQrCode = (designData) => getDesignElements(designData).some(element => element?.type === "qrcode");
+
+// One page laid out; the verification QR code goes on the first
+const buildPageScene = async (pageDesign, data, { fonts, first, ownQr, paged }) => {
+  const design = normalizeDesign(pageDesign);
+  const { width, height } = design;
+  const fillText = (text) => renderTemplate(text, data, design.content);
+
+  const nodes = await buildBackground(design);
+
+  if (design.elements.length) {
+    for (const element of getVisibleElements(design, data)) {
+      try {
+        nodes.push(...await buildElementNodes(element, data, { width, height, fillText, fonts, content: design.content }));
+      } catch (error) {
+        console.error("Error laying out design element:", element.id || element.type, error.message);
+      }
+    }
+  } else if (!paged) {
+    nodes.push(...buildDefaultNodes(design, data, fillText));
+  }
+
+  // Verification QR code in the bottom right corner, unless the design places its own
+  const payload = getQrPayload(data);
+  if (payload && first && !ownQr && design.verification.includeQRCode !== false) {
+    // Compact payloads are much denser than a URL and need more room to stay scannable
+    const size = data.qrPayload ? 200 : 120;
+    nodes.push(...buildQrNodes(payload, width - size - 30, height - size - 30, size, Boolean(data.qrPayload)));
+  }
+
+  return { width, height, nodes };
+};
+
+/**
+ * Lay out every page of a credential design for rendering
+ * @param {Object} designData - template or credential designData, in either shape
+ * @param {Object} participantData - merge field values and the verification QR code
+ * @param {{ fonts?: Array<Object> }} options - the organization's uploaded fonts, from getOrganizationFonts
+ * @returns {Promise<Array<{ width: number, height: number, nodes: Array<Object> }>>} one scene per page
+ */
+export const buildScenes = async (designData, participantData, { fonts = [] } = {}) => {
+  const data = isObject(participantData) ? participantData : {};
+  const ownQr = placesQrCode(designData);
+  const paged = hasPages(designData);
+
+  const scenes = [];
+  for (const [index, page] of getDesignPages(designData).entries()) {
+    scenes.push(await buildPageScene(page, data, { fonts, first: index === 0, ownQr, paged }));
+  }
+  return scenes;
+};
+
+/**
+ * Lay out one page of a credential design for rendering
+ * @param {Object} designData - template or credential designData, in either shape
+ * @param {Object} participantData - merge field values and the verification QR code
+ * @param {{ fonts?: Array<Object>, page?: number }} options - the organization's uploaded fonts,
+ *   from getOrganizationFonts, and the page to lay out, from 1 (the first)
+ * @returns {Promise<{ width: number, height: number, nodes: Array<Object> }>}
+ * @throws {Error} with status 400 when the design has no such page
+ */
+export const buildScene = async (designData, participantData, { fonts = [], page = 1 } = {}) => {
+  const pages = getDesignPages(designData);
+  const number = Number(page);
+  if (!Number.isInteger(number) || number < 1 || number > pages.length) {
+    throw Object.assign(new Error(`page must be between 1 and ${pages.length}`), { status: 400 });
+  }
+
+  return buildPageScene(pages[number - 1], isObject(participantData) ? participantData : {}, {
+    fonts,
+    first: number === 1,
+    ownQr: placesQrCode(designData),
+    paged: hasPages(designData)
+  });
+};
+
+/**
+ * Check the text fitting settings of every text element of a design
+ * @returns {Array<string>} problems, each naming the element
+ */
+export const validateTextFit = (designData) => {
+  const problems = [];
+
+  getDesignElements(designData).forEach((element, index) => {
+    if (element?.type !== "text") return;
+    const where = `Text element ${element.id ? `"${element.id}"` : index}`;
+
+    if (element.textFit !== undefined && element.textFit !== null && !TEXT_FIT_MODES.includes(element.textFit)) {
+      problems.push(`${where}: textFit must be one of ${TEXT_FIT_MODES.join(", ")}`);
+    }
+    if (element.maxLines !== undefined && element.maxLines !== null
+      && !(Number.isInteger(Number(element.maxLines)) && Number(element.maxLines) > 0)) {
+      problems.push(`${where}: maxLines must be a whole number above 0`);
+    }
+    if (element.minFontSize !== undefined && element.minFontSize !== null) {
+      const minFontSize = Number(element.minFontSize);
+      if (!(minFontSize > 0)) {
+        problems.push(`${where}: minFontSize must be above 0`);
+      } else if (Number(element.fontSize) > 0 && minFontSize > Number(element.fontSize)) {
+        problems.push(`${where}: minFontSize is larger than fontSize`);
+      }
+    }
+  });
+
+  return problems;
+};
+
+// Fields other than custom list fields that hold a list
+const LIST_FIELDS = ["participant.skills"];
+const TABLE_COLUMN_TYPES = ["text", "date", "number"];
+
+/**
+ * Check the table elements of a design: the list field they repeat and their columns
+ * @returns {Array<string>} problems, each naming the element
+ */
+export const validateTableElements = (designData) => {
+  const customFields = designData?.content?.customFields;
+  const listFields = [
+    ...LIST_FIELDS,
+    ...getMergeFieldCatalog(customFields).filter(field => field.type === "list").map(field => field.path)
+  ];
+  const problems = [];
+
+  getDesignElements(designData).forEach((element, index) => {
+    if (element?.type !== "table") return;
+    const where = `Table element ${element.id ? `"${element.id}"` : index}`;
+
+    if (!element.source) {
+      problems.push(`${where}: source must name a list field, like custom.modules`);
+    } else if (checkMergeField(element.source, customFields)) {
+      problems.push(`${where}: ${checkMergeField(element.source, customFields)}`);
+    } else if (!listFields.includes(element.source)) {
+      problems.push(`${where}: source ${element.source} is not a list; tables repeat a custom field of type list or ${LIST_FIELDS.join(", ")}`);
+    }
+
+    if (!Array.isArray(element.columns) || !element.columns.length) {
+      problems.push(`${where}: columns must be a list with at least one column`);
+      return;
+    }
+    let fixedWidth = 0;
+    element.columns.forEach((column, columnIndex) => {
+      const at = `${where}, column ${columnIndex + 1}`;
+      if (!column?.field || typeof column.field !== "string") {
+        problems.push(`${at}: field must name the row value to show, like "grade"`);
+      }
+      if (column?.type !== undefined && column.type !== null && !TABLE_COLUMN_TYPES.includes(column.type)) {
+        problems.push(`${at}: type must be one of ${TABLE_COLUMN_TYPES.join(", ")}`);
+      }
+      if (column?.align !== undefined && column.align !== null && !TABLE_COLUMN_ALIGNS.includes(column.align)) {
+        problems.push(`${at}: align must be one of ${TABLE_COLUMN_ALIGNS.join(", ")}`);
+      }
+      if (column?.width !== undefined && column.width !== null) {
+        if (!(Number(column.width) > 0)) problems.push(`${at}: width must be above 0`);
+        else fixedWidth += Number(column.width);
+      }
+    });
+    if (Number(element.width) > 0 && fixedWidth > Number(element.width)) {
+      problems.push(`${where}: its columns are ${fixedWidth}px wide together, more than the table's width of ${element.width}px`);
+    }
+
+    if (element.rowHeight !== undefined && element.rowHeight !== null && !(Number(element.rowHeight) > 0)) {
+      problems.push(`${where}: rowHeight must be above 0`);
+    }
+    if (element.maxRows !== undefined && element.maxRows !== null
+      && !(Number.isInteger(Number(element.maxRows)) && Number(element.maxRows) > 0)) {
+      problems.push(`${where}: maxRows must be a whole number above 0`);
+    }
+  });
+
+  return problems;
+};
+
+/**
+ * Text that does not fit its box for a participant, on every page, laid out
+ * exactly as buildScene lays it out: text elements, table cells cut at an
+ * ellipsis, and table rows left out for lack of room
+ * @param {Object} designData - template or credential designData, in either shape
+ * @param {Object} participantData - merge field values
+ * @param {{ fonts?: Array<Object> }} options - the organization's uploaded fonts
+ * @returns {Array<{ page: number, elementId: string, text: string, textFit: string, fontSize: number, problem: string }>}
+ */
+export const checkTextFit = (designData, participantData, { fonts = [] } = {}) => {
+  const data = isObject(participantData) ? participantData : {};
+  const problems = [];
+
+  getDesignPages(designData).forEach((page, index) => {
+    const design = normalizeDesign(page);
+    const fillText = (text) => renderTemplate(text, data, design.content);
+    const scene = { width: design.width, height: design.height, fillText, fonts, content: design.content };
+
+    for (const element of getVisibleElements(design, data)) {
+      if (element.type === "table") {
+        const table = layoutTable(element, data, scene);
+        const report = (text, problem) => problems.push({
+          page: index + 1, elementId: element.id, text, textFit: "ellipsis", fontSize: table.font.size, problem
+        });
+        table.truncated.forEach(text => report(text, "truncated"));
+        if (table.shown < table.rows) report(`${table.rows - table.shown} of ${table.rows} rows do not fit`, "overflow");
+        continue;
+      }
+      if (element.type !== "text") continue;
+      const { font, content, problem } = layoutTextElement(element, scene);
+      if (!problem) continue;
+      problems.push({
+        page: index + 1,
+        elementId: element.id,
+        text: content,
+        textFit: TEXT_FIT_MODES.includes(element.textFit) ? element.textFit : "none",
+        fontSize: font.size,
+        problem
+      });
+    }
+  });
+
+  return problems;
+};
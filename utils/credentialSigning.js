@@ -0,0 +1,355 @@
+// utils/credentialSigning.js
+import crypto from "crypto";
+import SigningKey from "../models/SigningKey.js";
+
+/**
+ * Per-organization Ed25519 signing for issued credentials.
+ *
+ * Every credential carries a canonical `signedPayload` and a detached
+ * signature over it. The credential's `blockchainHash` is the SHA-256 of the
+ * same canonical payload, so the hash printed in the QR code is bound to the
+ * signed content instead of being a random value.
+ */
+
+export const SIGNED_PAYLOAD_VERSION = 1;
+
+/**
+ * Deterministic JSON serialization (JCS-style): object keys sorted,
+ * undefined values dropped, no insignificant whitespace.
+ */
+export const canonicalize = (value) => {
+  if (value === null || typeof value !== "object") {
+    return JSON.stringify(value);
+  }
+
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? "null" : canonicalize(item))).join(",")}]`;
+  }
+
+  const entries = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+
+  return `{${entries.join(",")}}`;
+};
+
+export const hashPayload = (payload) => {
+  return crypto.createHash("sha256").update(canonicalize(payload)).digest("hex");
+};
+
+// Derive the at-rest encryption key for private keys
+const getEncryptionKey = () => {
+  const secret = process.env.SIGNING_KEY_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error("SIGNING_KEY_SECRET (or JWT_SECRET) must be set to manage signing keys");
+  }
+  return crypto.createHash("sha256").update(secret).digest();
+};
+
+const encryptPrivateKey = (pem) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(pem, "utf8"), cipher.final()]);
+
+  return {
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64")
+  };
+};
+
+const decryptPrivateKey = (encrypted) => {
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getEncryptionKey(),
+    Buffer.from(encrypted.iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(encrypted.tag, "base64"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(encrypted.data, "base64")),
+    decipher.final()
+  ]).toString("utf8");
+};
+
+/**
+ * Generate and store a new active key for an organization
+ */
+export const generateSigningKey = async (organizationId) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+
+  const publicKeyPem = publicKey.export({ type: "spki", format: "pem" });
+  const privateKeyPem = privateKey.export({ type: "pkcs8", format: "pem" });
+
+  // kid = truncated thumbprint of the public key, prefixed for readability
+  const thumbprint = crypto
+    .createHash("sha256")
+    .update(publicKeyPem)
+    .digest("base64url")
+    .slice(0, 16);
+
+  return SigningKey.create({
+    organizationId,
+    kid: `sp-${thumbprint}`,
+    algorithm: "Ed25519",
+    publicKeyPem,
+    encryptedPrivateKey: encryptPrivateKey(privateKeyPem),
+    status: "active"
+  });
+};
+
+/**
+ * Get the organization's active signing key, creating one on first use
+ */
+export const getActiveSigningKey = async (organizationId) => {
+  const existing = await SigningKey.findOne({ organizationId, status: "active" })
+    .sort({ createdAt: -1 });
+
+  if (existing) return existing;
+
+  return generateSigningKey(organizationId);
+};
+
+/**
+ * Retire the current active key and create a new one.
+ * Credentials signed with the retired key keep verifying.
+ */
+export const rotateSigningKey = async (organizationId) => {
+  await SigningKey.updateMany(
+    { organizationId, status: "active" },
+    { $set: { status: "retired", retiredAt: new Date() } }
+  );
+
+  return generateSigningKey(organizationId);
+};
+
+/**
+ * Revoke a key (e.g. compromise). Every signature made with it stops verifying.
+ */
+export const revokeSigningKey = async (organizationId, kid, reason) => {
+  return SigningKey.findOneAndUpdate(
+    { organizationId, kid, status: { $ne: "revoked" } },
+    {
+      $set: {
+        status: "revoked",
+        revokedAt: new Date(),
+        revocationReason: reason || "unspecified"
+      }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Export a stored key as a public JWK
+ */
+export const toPublicJwk = (signingKey) => {
+  const jwk = crypto.createPublicKey(signingKey.publicKeyPem).export({ format: "jwk" });
+
+  return {
+    ...jwk,
+    kid: signingKey.kid,
+    alg: "EdDSA",
+    use: "sig",
+    status: signingKey.status,
+    createdAt: signingKey.createdAt,
+    retiredAt: signingKey.retiredAt,
+    revokedAt: signingKey.revokedAt
+  };
+};
+
+/**
+ * Build the canonical payload that gets signed for a credential
+ */
+export const buildCredentialPayload = ({
+  credentialId,
+  organizationId,
+  participantId,
+  recipientName,
+  eventId,
+  eventTitle,
+  title,
+  type,
+  issuedAt,
+  expiresAt
+}) => {
+  const payload = {
+    v: SIGNED_PAYLOAD_VERSION,
+    id: String(credentialId),
+    issuer: String(organizationId),
+    subject: {
+      id: String(participantId),
+      name: recipientName || null
+    },
+    event: {
+      id: String(eventId),
+      title: eventTitle || null
+    },
+    title,
+    type,
+    issuedAt: new Date(issuedAt).toISOString()
+  };
+
+  // Only present when the credential expires, so payloads without expiry are unchanged
+  if (expiresAt) payload.expiresAt = new Date(expiresAt).toISOString();
+
+  return payload;
+};
+
+/**
+ * Sign raw bytes with the organization's active key
+ */
+export const signBytes = async (organizationId, bytes) => {
+  const signingKey = await getActiveSigningKey(organizationId);
+  const privateKey = crypto.createPrivateKey(decryptPrivateKey(signingKey.encryptedPrivateKey));
+
+  return {
+    kid: signingKey.kid,
+    signature: crypto.sign(null, Buffer.from(bytes), privateKey)
+  };
+};
+
+const base64UrlJson = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+/**
+ * Sign a payload as a compact JWS (EdDSA) with the organization's active key.
+ * The kid goes into the protected header so verifiers can pick the key.
+ */
+export const signCompactJws = async (organizationId, payload, header = {}) => {
+  const signingKey = await getActiveSigningKey(organizationId);
+  const privateKey = crypto.createPrivateKey(decryptPrivateKey(signingKey.encryptedPrivateKey));
+
+  const signingInput = `${base64UrlJson({ ...header, alg: "EdDSA", kid: signingKey.kid })}.${base64UrlJson(payload)}`;
+  const signature = crypto.sign(null, Buffer.from(signingInput), privateKey);
+
+  return {
+    kid: signingKey.kid,
+    jws: `${signingInput}.${signature.toString("base64url")}`
+  };
+};
+
+/**
+ * Sign a credential payload. Returns the fields to store on the credential.
+ */
+export const signCredentialPayload = async (organizationId, payload) => {
+  const { kid, signature } = await signBytes(organizationId, canonicalize(payload));
+
+  return {
+    blockchainHash: hashPayload(payload),
+    signedPayload: payload,
+    signature: {
+      kid,
+      algorithm: "Ed25519",
+      value: signature.toString("base64url"),
+      signedAt: new Date()
+    }
+  };
+};
+
+/**
+ * Verify a compact JWS against a set of public JWKs (as served by
+ * GET /api/keys), without database access. Keys may carry the issuing
+ * organization as `iss`; it must match the payload's iss.
+ * @returns {{ valid: boolean, reason: string|null, header?: Object, payload?: Object, key?: Object }}
+ */
+export const verifyCompactJws = (jws, keySet) => {
+  const parts = String(jws).split(".");
+  if (parts.length !== 3) return { valid: false, reason: "malformed" };
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], "base64url").toString("utf8"));
+    payload = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+  } catch {
+    return { valid: false, reason: "malformed" };
+  }
+
+  if (header.alg !== "EdDSA") return { valid: false, reason: "unsupported_algorithm", header, payload };
+
+  const keys = Array.isArray(keySet) ? keySet : keySet?.keys || [];
+  const key = keys.find(candidate => candidate.kid === header.kid);
+
+  if (!key) return { valid: false, reason: "unknown_key", header, payload };
+  if (key.status === "revoked") return { valid: false, reason: "key_revoked", header, payload, key };
+  if (key.iss && String(key.iss) !== String(payload.iss)) {
+    return { valid: false, reason: "issuer_mismatch", header, payload, key };
+  }
+
+  let valid = false;
+  try {
+    const publicKey = crypto.createPublicKey({ key: { kty: key.kty, crv: key.crv, x: key.x }, format: "jwk" });
+    valid = crypto.verify(null, Buffer.from(`${parts[0]}.${parts[1]}`), publicKey, Buffer.from(parts[2], "base64url"));
+  } catch {
+    valid = false;
+  }
+
+  return { valid, reason: valid ? null : "bad_signature", header, payload, key };
+};
+
+/**
+ * Verify raw bytes against a stored key. The key must not be revoked.
+ */
+export const verifyBytes = async (kid, bytes, signature) => {
+  const signingKey = await SigningKey.findOne({ kid });
+
+  if (!signingKey) {
+    return { valid: false, reason: "unknown_key", kid };
+  }
+
+  if (signingKey.status === "revoked") {
+    return {
+      valid: false,
+      reason: "key_revoked",
+      kid,
+      keyStatus: signingKey.status,
+      organizationId: signingKey.organizationId
+    };
+  }
+
+  const valid = crypto.verify(
+    null,
+    Buffer.from(bytes),
+    crypto.createPublicKey(signingKey.publicKeyPem),
+    Buffer.isBuffer(signature) ? signature : Buffer.from(signature, "base64url")
+  );
+
+  return {
+    valid,
+    reason: valid ? null : "bad_signature",
+    kid,
+    keyStatus: signingKey.status,
+    organizationId: signingKey.organizationId
+  };
+};
+
+/**
+ * Verify a stored credential: payload hash, signature and issuing key status
+ */
+export const verifyCredentialSignature = async (credential) => {
+  if (!credential?.signedPayload || !credential?.signature?.value) {
+    return { valid: false, reason: "unsigned" };
+  }
+
+  if (hashPayload(credential.signedPayload) !== credential.blockchainHash) {
+    return { valid: false, reason: "hash_mismatch", kid: credential.signature.kid };
+  }
+
+  const result = await verifyBytes(
+    credential.signature.kid,
+    canonicalize(credential.signedPayload),
+    credential.signature.value
+  );
+
+  // The key must belong to the organization named in the payload
+  if (result.valid && String(result.organizationId) !== String(credential.signedPayload.issuer)) {
+    return { ...result, valid: false, reason: "issuer_mismatch" };
+  }
+
+  return result;
+};
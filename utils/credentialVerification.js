@@ -0,0 +1,48 @@
+// utils/credentialVerification.js
+import { verifyCredentialSignature } from "./credentialSigning.js";
+import { getCredentialStatusFlags } from "./statusList.js";
+import { getCredentialExpiry, isCredentialExpired } from "./credentialExpiry.js";
+import { getStatusReason } from "./credentialLifecycle.js";
+
+/**
+ * Single place that decides whether a stored credential is currently valid.
+ * Every verification path (API, QR link, public page) goes through here so
+ * they all agree on the verdict.
+ */
+export const evaluateCredential = async (credential) => {
+  const [signature, statusFlags] = await Promise.all([
+    verifyCredentialSignature(credential),
+    getCredentialStatusFlags(credential)
+  ]);
+
+  let status = "valid";
+  if (!signature.valid) {
+    status = "invalid";
+  } else if (credential.status === "revoked" || statusFlags?.revoked) {
+    status = "revoked";
+  } else if (credential.status === "suspended" || statusFlags?.suspended) {
+    status = "suspended";
+  } else if (credential.status === "superseded") {
+    // Still authentic; a newer version replaced it
+    status = "superseded";
+  } else if (isCredentialExpired(credential)) {
+    status = "expired";
+  } else if (credential.status !== "issued") {
+    status = credential.status;
+  }
+
+  return {
+    valid: status === "valid",
+    status,
+    // Reason code, note and date when revoked or suspended
+    statusReason: getStatusReason(credential, status),
+    checks: {
+      signature: signature.valid,
+      signatureError: signature.reason || null,
+      kid: signature.kid || null,
+      keyStatus: signature.keyStatus || null,
+      statusList: statusFlags,
+      expiresAt: getCredentialExpiry(credential)
+    }
+  };
+};
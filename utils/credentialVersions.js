@@ -0,0 +1,311 @@
+// utils/credentialVersions.js
+import mongoose from "mongoose";
+import QRCode from "qrcode";
+import Credential from "../models/Credentials.js";
+import { buildCredentialPayload, signCredentialPayload } from "./credentialSigning.js";
+import { allocateStatusListEntry, setCredentialStatusFlag } from "./statusList.js";
+import { recordLedgerEvent } from "./ledger.js";
+import { getCredentialExpiry } from "./credentialExpiry.js";
+import { getVerificationPageUrl, getVerificationQrUrl } from "./verificationPage.js";
+import { COMPACT_QR_OPTIONS, createCompactQrPayload } from "./compactCredential.js";
+import { formatDate } from "./mergeFields.js";
+import { localizeDesign, pickDesignLocale } from "./designTranslations.js";
+import {
+  applyRegionalSettings,
+  getCredentialRegionalSettings,
+  resolveRegionalSettings
+} from "./regionalSettings.js";
+import { validateDesign } from "./designValidation.js";
+import { triggerWebhook, WEBHOOK_EVENTS } from "../routes/webhookRoutes.js";
+
+/**
+ * Amendment by reissue.
+ *
+ * Issued content is signed and its hash may already be shared, so a
+ * correction (a misspelled name, a wrong date) is never made in place. A new
+ * version is issued that supersedes the old one; the old version keeps
+ * verifying, as "superseded", and links to the version that replaced it.
+ */
+
+// Statuses a credential can be amended from
+const REISSUABLE_STATUSES = ["issued", "expired"];
+
+// participantData entries derived at issuance, never amended directly
+const DERIVED_FIELDS = [
+  "verificationUrl", "blockchainHash", "qrPayload", "participantEmail", "issueDate",
+  "credentialId", "credentialTitle", "credentialType", "issuedAt", "expiresAt"
+];
+
+// Guards history walks against a corrupted (cyclic) chain
+const MAX_VERSIONS = 100;
+
+const VERSION_FIELDS = "title type status version supersedes supersededBy supersededAt amendment issuedAt blockchainHash signedPayload participantData";
+
+const versionError = (message, status) => Object.assign(new Error(message), { status });
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Validate an amendment request body ({ reason, title?, type?, participantData?, designData? })
+ * @throws {Error} with status 400
+ */
+export const parseAmendment = (body = {}) => {
+  const { reason, title, type, participantData, designData } = body;
+
+  if (typeof reason !== "string" || !reason.trim()) {
+    throw versionError("reason is required", 400);
+  }
+  if (title !== undefined && (typeof title !== "string" || !title.trim())) {
+    throw versionError("title must be a non-empty string", 400);
+  }
+
+  const types = Credential.schema.path("type").enumValues;
+  if (type !== undefined && !types.includes(type)) {
+    throw versionError(`type must be one of: ${types.join(", ")}`, 400);
+  }
+
+  if (participantData !== undefined && !isPlainObject(participantData)) {
+    throw versionError("participantData must be an object", 400);
+  }
+  const derived = Object.keys(participantData || {}).filter(field => DERIVED_FIELDS.includes(field));
+  if (derived.length) {
+    throw versionError(`These fields are set at issuance and cannot be amended: ${derived.join(", ")}`, 400);
+  }
+
+  if (designData !== undefined && !isPlainObject(designData)) {
+    throw versionError("designData must be an object", 400);
+  }
+  const designProblems = designData ? validateDesign(designData) : [];
+  if (designProblems.length) {
+    throw versionError(`designData has errors: ${designProblems.join("; ")}`, 400);
+  }
+
+  return {
+    reason: reason.trim().slice(0, 500),
+    title: title?.trim(),
+    type,
+    participantData,
+    designData
+  };
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const getChangedFields = (credential, amendment) => {
+  const changed = [];
+  if (amendment.title && amendment.title !== credential.title) changed.push("title");
+  if (amendment.type && amendment.type !== credential.type) changed.push("type");
+  for (const [field, value] of Object.entries(amendment.participantData || {})) {
+    if (!sameValue(value, credential.participantData?.[field])) changed.push(`participantData.${field}`);
+  }
+  if (amendment.designData && !sameValue(amendment.designData, credential.designData)) changed.push("designData");
+  return changed;
+};
+
+/**
+ * Issue an amended version of a credential and mark the old one superseded.
+ * @param {Object} credential - current version
+ * @param {Object} amendment - from parseAmendment
+ * @param {{ amendedBy?: string, render: (version: Object) => Promise<{ downloadLink?: string, exportLinks?: Object }> }} options
+ *   render produces the new version's image artifacts
+ * @returns {Promise<Object>} the new version
+ * @throws {Error} with status 400 (nothing changes) or 409 (not amendable)
+ */
+export const reissueCredential = async (credential, amendment, { amendedBy, render }) => {
+  if (credential.supersededBy) {
+    throw versionError("Credential has already been reissued; amend its latest version", 409);
+  }
+  if (!REISSUABLE_STATUSES.includes(credential.status)) {
+    throw versionError(`A ${credential.status} credential cannot be reissued`, 409);
+  }
+  if (!credential.signedPayload) {
+    throw versionError("Credential was issued before signing was enabled and cannot be reissued", 409);
+  }
+  if (credential.successorId) {
+    throw versionError("Credential has been renewed; amend the renewed credential instead", 409);
+  }
+
+  const changedFields = getChangedFields(credential, amendment);
+  if (!changedFields.length) {
+    throw versionError("The amendment does not change anything", 400);
+  }
+
+  // Claim the credential first so concurrent amendments cannot fork the chain
+  const versionId = new mongoose.Types.ObjectId();
+  const claimed = await Credential.findOneAndUpdate(
+    { _id: credential._id, supersededBy: null, status: { $in: REISSUABLE_STATUSES } },
+    { supersededBy: versionId }
+  );
+  if (!claimed) throw versionError("Credential has already been reissued; amend its latest version", 409);
+
+  const organizationId = credential.signedPayload.issuer;
+  const issuedAt = new Date();
+  const participantData = { ...credential.participantData, ...amendment.participantData };
+  const title = amendment.title || credential.title;
+  const type = amendment.type || credential.type;
+
+  let version = null;
+  try {
+    const signed = await signCredentialPayload(organizationId, buildCredentialPayload({
+      credentialId: versionId,
+      organizationId,
+      participantId: credential.participantId,
+      recipientName: amendment.participantData?.name ?? credential.signedPayload.subject?.name ?? participantData.name,
+      eventId: credential.eventId,
+      eventTitle: amendment.participantData?.eventTitle ?? credential.signedPayload.event?.title ?? participantData.eventTitle,
+      title,
+      type,
+      issuedAt,
+      // An amendment corrects details; it does not extend validity
+      expiresAt: getCredentialExpiry(credential)
+    }));
+    const verificationUrl = getVerificationPageUrl(signed.blockchainHash);
+    const compactQrPayload = credential.compactQrPayload
+      ? await createCompactQrPayload({ _id: versionId, ...signed })
+      : undefined;
+
+    // An amended multilingual design stays in the language the credential was
+    // issued in, and with its regional settings unless the amendment sets its own
+    const locale = amendment.designData ? pickDesignLocale(amendment.designData, [credential.locale]) : credential.locale;
+    const designData = amendment.designData
+      ? applyRegionalSettings(
+        localizeDesign(amendment.designData, locale),
+        resolveRegionalSettings(locale, [amendment.designData.content, getCredentialRegionalSettings(credential)])
+      )
+      : credential.designData || {};
+
+    version = await Credential.create({
+      _id: versionId,
+      participantId: credential.participantId,
+      eventId: credential.eventId,
+      title,
+      type,
+      templateId: credential.templateId,
+      designData,
+      locale: locale || undefined,
+      participantData: {
+        ...participantData,
+        issueDate: formatDate(issuedAt, designData.content?.dateFormat, designData.content),
+        verificationUrl,
+        blockchainHash: signed.blockchainHash,
+        qrPayload: compactQrPayload,
+        credentialId: versionId.toString(),
+        credentialTitle: title,
+        credentialType: type,
+        issuedAt,
+        expiresAt: getCredentialExpiry(credential)
+      },
+      ...signed,
+      statusListEntry: await allocateStatusListEntry(organizationId),
+      qrCode: compactQrPayload
+        ? await QRCode.toDataURL(compactQrPayload, COMPACT_QR_OPTIONS)
+        : await QRCode.toDataURL(getVerificationQrUrl(signed.blockchainHash)),
+      compactQrPayload,
+      verificationUrl,
+      createdBy: credential.createdBy,
+      status: "generating",
+      issuedAt,
+      expiresAt: getCredentialExpiry(credential),
+      predecessorId: credential.predecessorId,
+      version: (credential.version || 1) + 1,
+      supersedes: credential._id,
+      amendment: { reason: amendment.reason, changedFields, amendedBy }
+    });
+
+    const artifacts = await render(version);
+
+    version = await Credential.findByIdAndUpdate(version._id, {
+      downloadLink: artifacts.downloadLink,
+      exportLinks: artifacts.exportLinks,
+      hasGeneratedImage: Boolean(artifacts.downloadLink),
+      status: "issued"
+    }, { new: true });
+  } catch (reissueError) {
+    if (version) await Credential.updateOne({ _id: version._id }, { status: "failed" });
+    await Credential.updateOne({ _id: credential._id, supersededBy: versionId }, { $unset: { supersededBy: 1 } });
+    throw reissueError;
+  }
+
+  // A revocation or suspension since the claim wins: the new version is abandoned,
+  // and revoked in the status list too, as it was already signed
+  const superseded = await Credential.updateOne(
+    { _id: credential._id, supersededBy: versionId, status: { $in: REISSUABLE_STATUSES } },
+    { status: "superseded", supersededAt: issuedAt }
+  );
+  if (!superseded.matchedCount) {
+    await Credential.updateOne({ _id: version._id }, { status: "failed" });
+    await setCredentialStatusFlag(version, "revocation", true);
+    await Credential.updateOne({ _id: credential._id, supersededBy: versionId }, { $unset: { supersededBy: 1 } });
+    throw versionError("Credential changed status while it was being reissued; the new version was not issued", 409);
+  }
+
+  await recordLedgerEvent("reissue", version, { supersedes: String(credential._id), changedFields });
+
+  void triggerWebhook(WEBHOOK_EVENTS.CREDENTIAL_REISSUED, {
+    credentialId: String(version._id),
+    supersedesCredentialId: String(credential._id),
+    version: version.version,
+    changedFields,
+    reason: amendment.reason
+  }, organizationId);
+
+  return version;
+};
+
+/**
+ * Links between versions, for verification responses (supersedes and
+ * supersededBy populated with blockchainHash)
+ */
+export const getVersionLinks = (credential) => ({
+  previousVersion: credential.supersedes?.blockchainHash
+    ? getVerificationPageUrl(credential.supersedes.blockchainHash)
+    : null,
+  newerVersion: credential.supersededBy?.blockchainHash
+    ? getVerificationPageUrl(credential.supersededBy.blockchainHash)
+    : null
+});
+
+const toVersionSummary = (version, currentId) => ({
+  id: version._id,
+  version: version.version || 1,
+  status: version.status,
+  current: String(version._id) === String(currentId),
+  title: version.title,
+  type: version.type,
+  recipientName: version.signedPayload?.subject?.name || version.participantData?.name || null,
+  issuedAt: version.issuedAt || null,
+  supersededAt: version.supersededAt || null,
+  amendment: version.supersedes
+    ? { reason: version.amendment?.reason || null, changedFields: version.amendment?.changedFields || [] }
+    : null,
+  blockchainHash: version.blockchainHash,
+  verificationPage: version.blockchainHash ? getVerificationPageUrl(version.blockchainHash) : null
+});
+
+/**
+ * Every version of a credential, oldest first, whichever version is passed
+ * @returns {Promise<{ currentVersionId: string, versions: Array<Object> }>}
+ */
+export const getCredentialVersions = async (credential) => {
+  let first = await Credential.findById(credential._id).select(VERSION_FIELDS);
+  for (let i = 0; first?.supersedes && i < MAX_VERSIONS; i++) {
+    const previous = await Credential.findById(first.supersedes).select(VERSION_FIELDS);
+    if (!previous) break;
+    first = previous;
+  }
+
+  const versions = [first];
+  for (let i = 0; versions.at(-1).supersededBy && i < MAX_VERSIONS; i++) {
+    const next = await Credential.findById(versions.at(-1).supersededBy).select(VERSION_FIELDS);
+    if (!next) break;
+    versions.push(next);
+  }
+
+  // The latest version that finished issuing (a newer one may still be rendering)
+  const current = [...versions].reverse().find(version => version.status !== "generating") || versions.at(-1);
+
+  return {
+    currentVersionId: current._id,
+    versions: versions.map(version => toVersionSummary(version, current._id))
+  };
+};
@@ -0,0 +1,134 @@
+// utils/designPages.js
+
+/**
+ * Multi-page designs.
+ *
+ * A single-page design keeps its canvas, background and elements at the top
+ * of designData. A design with more pages (a diploma's reverse side, a
+ * transcript listing modules and grades) lists them in order instead:
+ *
+ *   pages: [
+ *     { id: "front", elements: [...] },
+ *     { id: "transcript", name: "Transcript", canvas: { width: 794, height: 1123 }, elements: [...] }
+ *   ]
+ *
+ * A page without its own canvas or background uses the design's; content,
+ * verification and the other settings are shared by every page. Each page is
+ * laid out as a design of its own (see getDesignPages), so everything that
+ * works on one canvas works on every page.
+ */
+
+export const MAX_DESIGN_PAGES = 20;
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// The properties of an object that are set, or null when none is
+const getValues = (value) => {
+  const entries = Object.entries(isObject(value) ? value : {})
+    .filter(([, entry]) => entry !== undefined && entry !== null && entry !== "");
+  return entries.length ? Object.fromEntries(entries) : null;
+};
+
+/**
+ * Whether a design lists its pages, rather than keeping one canvas at the top
+ */
+export const hasPages = (designData) => Array.isArray(designData?.pages) && designData.pages.length > 0;
+
+/**
+ * The pages of a design, each as a single-page designData that buildScene
+ * and the validators take as they are; `page` says which page it is
+ * @returns {Array<Object>} one entry for a single-page design: the design itself
+ */
+export const getDesignPages = (designData) => {
+  if (!hasPages(designData)) return [designData];
+  const { pages, ...shared } = designData;
+
+  // Older designs keep the size and background in canvasSettings
+  const legacy = isObject(shared.canvasSettings) ? shared.canvasSettings : {};
+  const sharedCanvas = { ...shared.canvas, ...getValues({ width: legacy.width, height: legacy.height }) };
+  const sharedBackground = shared.canvasSettings || shared.background;
+
+  return pages.map((page, index) => {
+    const own = isObject(page) ? page : {};
+    const background = getValues(own.background);
+    return {
+      ...shared,
+      canvasSettings: undefined,
+      canvas: { ...sharedCanvas, ...getValues(own.canvas) },
+      background: background ? own.background : sharedBackground,
+      elements: Array.isArray(own.elements) ? own.elements : [],
+      page: { number: index + 1, id: own.id, name: own.name }
+    };
+  });
+};
+
+export const getDesignPageCount = (designData) => (hasPages(designData) ? designData.pages.length : 1);
+
+/**
+ * Every element of a design, page by page
+ */
+export const getDesignElements = (designData) => {
+  const lists = hasPages(designData)
+    ? designData.pages.map(page => page?.elements)
+    : [designData?.elements];
+  return lists.flatMap(elements => (Array.isArray(elements) ? elements : []));
+};
+
+/**
+ * The design with each element replaced by map(element), on every page
+ * @returns {Object} a new designData
+ */
+export const mapDesignElements = (designData, map) => {
+  if (!isObject(designData)) return designData;
+  const mapList = (elements) => (Array.isArray(elements) ? elements.map(map) : elements);
+
+  if (!hasPages(designData)) return { ...designData, elements: mapList(designData.elements) };
+  return {
+    ...designData,
+    pages: designData.pages.map(page => (isObject(page) ? { ...page, elements: mapList(page.elements) } : page))
+  };
+};
+
+/**
+ * Check the page list of a design
+ * @returns {Array<string>} problems, each naming the page
+ */
+export const validateDesignPages = (designData) => {
+  const pages = designData?.pages;
+  if (pages === undefined || pages === null) return [];
+  if (!Array.isArray(pages)) return ["pages must be a list"];
+
+  const problems = [];
+  if (pages.length > MAX_DESIGN_PAGES) {
+    problems.push(`A design can have at most ${MAX_DESIGN_PAGES} pages`);
+  }
+  if (pages.length && Array.isArray(designData.elements) && designData.elements.length) {
+    problems.push("A design with pages keeps its elements on the pages; move the top-level elements into a page");
+  }
+
+  const ids = new Set();
+  pages.forEach((page, index) => {
+    const where = `Page ${page?.id ? `"${page.id}"` : index + 1}`;
+    if (!isObject(page)) {
+      problems.push(`Page ${index + 1}: must be an object`);
+      return;
+    }
+    if (page.id !== undefined && page.id !== null) {
+      if (ids.has(String(page.id))) problems.push(`${where}: more than one page has this id`);
+      ids.add(String(page.id));
+    }
+    if (page.elements !== undefined && page.elements !== null && !Array.isArray(page.elements)) {
+      problems.push(`${where}: elements must be a list`);
+    }
+    if (page.canvas !== undefined && page.canvas !== null) {
+      for (const dimension of ["width", "height"]) {
+        const value = page.canvas[dimension];
+        if (value !== undefined && value !== null && !(Number(value) >= 100)) {
+          problems.push(`${where}: canvas ${dimension} must be at least 100px`);
+        }
+      }
+    }
+  });
+
+  return problems;
+};
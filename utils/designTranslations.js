@@ -0,0 +1,168 @@
+// utils/designTranslations.js
+import { TEXT_DIRECTIONS, normalizeScript } from "./textDirection.js";
+import { getDesignElements, mapDesignElements } from "./designPages.js";
+
+/**
+ * Multilingual designs.
+ *
+ * A text element's own properties are its text in the design's
+ * defaultLocale. Translated variants sit next to them:
+ *
+ *   translations: [{ locale: "ar", content: "شهادة تقدير", direction: "rtl", fontFamily: "Amiri" }]
+ *
+ * A credential is issued in one language: the first of the request's,
+ * participant's and event's locales the design has text for. The design is
+ * localized once at issuance and stored that way with the credential, so
+ * every later render of the credential is in the same language.
+ */
+
+// Element properties a translation may set besides its locale
+export const TRANSLATABLE_PROPERTIES = ["content", "direction", "script", "fontFamily", "fontSize", "fontWeight", "textAlign"];
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Canonical BCP 47 tag ("ha_arab" -> "ha-Arab"), or null
+ */
+export const normalizeLocale = (locale) => {
+  if (typeof locale !== "string" || !locale.trim()) return null;
+  try {
+    return Intl.getCanonicalLocales(locale.trim().replace(/_/g, "-"))[0] || null;
+  } catch {
+    return null;
+  }
+};
+
+// "ha-Arab-NG", "ha-Arab", "ha"
+const getLocaleFallbacks = (locale) => {
+  const subtags = locale.split("-");
+  return subtags.map((_, index) => subtags.slice(0, subtags.length - index).join("-"));
+};
+
+const sameLocale = (left, right) => left.toLowerCase() === right.toLowerCase();
+
+const getTranslations = (element) => (Array.isArray(element?.translations) ? element.translations.filter(isObject) : []);
+
+const findTranslation = (element, locale) => {
+  const translations = getTranslations(element);
+  for (const tag of getLocaleFallbacks(locale)) {
+    const translation = translations.find(candidate => normalizeLocale(candidate.locale) && sameLocale(normalizeLocale(candidate.locale), tag));
+    if (translation) return translation;
+  }
+  return null;
+};
+
+/**
+ * Locales a design has text for: its default locale, then its translations'
+ */
+export const getDesignLocales = (designData) => {
+  const locales = [];
+  const add = (locale) => {
+    const normalized = normalizeLocale(locale);
+    if (normalized && !locales.some(existing => sameLocale(existing, normalized))) locales.push(normalized);
+  };
+  add(designData?.defaultLocale);
+  for (const element of getDesignElements(designData)) {
+    getTranslations(element).forEach(translation => add(translation.locale));
+  }
+  return locales;
+};
+
+/**
+ * The locale to issue a design in
+ * @param {Object} designData
+ * @param {Array<string>} candidates - preferred locales, most specific source first
+ *   (request, participant, event); empty values are skipped
+ * @returns {string|null} the first candidate the design has text for, as the
+ *   design names it ("ar-EG" picks "ar"), else the design's default locale
+ */
+export const pickDesignLocale = (designData, candidates = []) => {
+  const available = getDesignLocales(designData);
+  for (const candidate of candidates) {
+    const locale = normalizeLocale(candidate);
+    if (!locale) continue;
+    for (const tag of getLocaleFallbacks(locale)) {
+      const match = available.find(existing => sameLocale(existing, tag));
+      if (match) return match;
+    }
+  }
+  return normalizeLocale(designData?.defaultLocale);
+};
+
+/**
+ * The design in one locale: each text element takes its translation for the
+ * locale, if it has one, and is tagged with its language; translations are
+ * dropped
+ * @returns {Object} a new designData with `locale` set
+ */
+export const localizeDesign = (designData, locale) => {
+  if (!isObject(designData)) return designData;
+  const defaultLocale = normalizeLocale(designData.defaultLocale);
+
+  const localized = mapDesignElements(designData, (element) => {
+    if (!isObject(element) || element.type !== "text") return element;
+    const { translations, ...text } = element;
+    const translation = locale ? findTranslation(element, locale) : null;
+
+    if (!translation) return { ...text, lang: text.lang || defaultLocale || undefined };
+    for (const property of TRANSLATABLE_PROPERTIES) {
+      if (translation[property] !== undefined && translation[property] !== null && translation[property] !== "") {
+        text[property] = translation[property];
+      }
+    }
+    text.lang = normalizeLocale(translation.locale);
+    return text;
+  });
+  return { ...localized, locale: locale || defaultLocale || undefined };
+};
+
+/**
+ * Check the language settings of a design: default locale, text direction,
+ * script and language of text elements, and their translations
+ * @returns {Array<string>} problems, each naming the element
+ */
+export const validateDesignTranslations = (designData) => {
+  const problems = [];
+  if (designData?.defaultLocale !== undefined && designData.defaultLocale !== null && !normalizeLocale(designData.defaultLocale)) {
+    problems.push(`defaultLocale "${designData.defaultLocale}" is not a valid language tag`);
+  }
+
+  const checkLanguage = (settings, where) => {
+    if (settings.direction !== undefined && settings.direction !== null && !TEXT_DIRECTIONS.includes(settings.direction)) {
+      problems.push(`${where}: direction must be one of ${TEXT_DIRECTIONS.join(", ")}`);
+    }
+    if (settings.script !== undefined && settings.script !== null && settings.script !== "" && !normalizeScript(settings.script)) {
+      problems.push(`${where}: script must be a four-letter ISO 15924 code, like Arab or Ethi`);
+    }
+  };
+
+  getDesignElements(designData).forEach((element, index) => {
+    if (element?.type !== "text") return;
+    const where = `Text element ${element.id ? `"${element.id}"` : index}`;
+    checkLanguage(element, where);
+    if (element.lang !== undefined && element.lang !== null && element.lang !== "" && !normalizeLocale(element.lang)) {
+      problems.push(`${where}: lang "${element.lang}" is not a valid language tag`);
+    }
+
+    if (element.translations === undefined || element.translations === null) return;
+    if (!Array.isArray(element.translations)) {
+      problems.push(`${where}: translations must be a list`);
+      return;
+    }
+    const seen = new Set();
+    element.translations.forEach((translation, translationIndex) => {
+      const locale = normalizeLocale(translation?.locale);
+      if (!locale) {
+        problems.push(`${where}, translation ${translationIndex + 1}: needs a valid locale, like "ar" or "ha-Arab"`);
+        return;
+      }
+      if (seen.has(locale.toLowerCase())) {
+        problems.push(`${where}: more than one translation for ${locale}`);
+      }
+      seen.add(locale.toLowerCase());
+      checkLanguage(translation, `${where}, ${locale} translation`);
+    });
+  });
+
+  return problems;
+};
@@ -0,0 +1,24 @@
+// utils/designValidation.js
+import { validateDesignPages } from "./designPages.js";
+import { validateDesignTemplates } from "./mergeFields.js";
+import { validateDisplayConditions } from "./displayConditions.js";
+import { validateTableElements, validateTextFit } from "./credentialScene.js";
+import { validateDesignTranslations } from "./designTranslations.js";
+import { validateRegionalSettings } from "./regionalSettings.js";
+
+/**
+ * Every check a design must pass before it is saved or issued: pages, merge
+ * fields in text, display conditions, text fitting, tables, languages and
+ * regional settings. Templates, designer validation, reissue and issuance
+ * all use this list, so a design accepted by one is accepted by all.
+ * @returns {Array<string>} problems; empty when the design is valid
+ */
+export const validateDesign = (designData) => [
+  ...validateDesignPages(designData),
+  ...validateDesignTemplates(designData),
+  ...validateDisplayConditions(designData),
+  ...validateTextFit(designData),
+  ...validateTableElements(designData),
+  ...validateDesignTranslations(designData),
+  ...validateRegionalSettings(designData?.content, "Content")
+];
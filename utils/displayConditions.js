@@ -0,0 +1,141 @@
+// utils/displayConditions.js
+import {
+  checkMergeField,
+  compareMergeValues,
+  getComparisonOperators,
+  getMergeFieldValue
+} from "./mergeFields.js";
+import { getDesignElements } from "./designPages.js";
+
+/**
+ * Per-element display conditions.
+ *
+ *   conditions: {
+ *     showOnType: ["certificate"],          credential types
+ *     showForEvents: ["<event id>"],        events
+ *     showForRoles: ["speaker"],            participant roles
+ *     rules: [{ field: "custom.grade", operator: ">=", value: 90 }],
+ *     match: "all" | "any"                  how rules combine (default all)
+ *   }
+ *
+ * An element with conditions is drawn only when every list it sets includes
+ * the credential's value and its rules match. Rule fields are merge-field
+ * paths (see mergeFields.js), so rules see the same values as design text.
+ */
+
+const SET_OPERATORS = ["in", "notIn"];
+const PRESENCE_OPERATORS = ["exists", "missing"];
+
+export const getConditionOperators = () => [...getComparisonOperators(), ...SET_OPERATORS, ...PRESENCE_OPERATORS];
+
+// Lists that restrict an element to credentials with one of the listed values
+const LIST_CONDITIONS = {
+  showOnType: "credential.type",
+  showForEvents: "event.id",
+  showForRoles: "participant.role"
+};
+
+const isSet = (value) => value !== undefined && value !== null && value !== ""
+  && !(Array.isArray(value) && value.length === 0);
+
+const sameValue = (left, right) => isSet(left) && isSet(right) && compareMergeValues("==", left, right);
+
+const matchesRule = (rule, context) => {
+  const value = getMergeFieldValue(context, rule.field);
+  const operator = rule.operator || "==";
+
+  if (operator === "exists") return isSet(value);
+  if (operator === "missing") return !isSet(value);
+  if (operator === "in" || operator === "notIn") {
+    const found = (Array.isArray(rule.value) ? rule.value : [rule.value]).some(candidate => sameValue(value, candidate));
+    return operator === "in" ? found : !found;
+  }
+  // An operator this version does not know never matches
+  if (!getComparisonOperators().includes(operator)) return false;
+  // Ordering against a missing value never matches
+  if (!isSet(value)) return operator === "!=";
+  return compareMergeValues(operator, value, rule.value);
+};
+
+const hasConditions = (conditions) => conditions && typeof conditions === "object"
+  && (Object.keys(LIST_CONDITIONS).some(name => Array.isArray(conditions[name]) && conditions[name].length)
+    || (Array.isArray(conditions.rules) && conditions.rules.length));
+
+/**
+ * Whether an element is drawn for a credential
+ * @param {Object} element - design element, with optional conditions
+ * @param {Object} context - merge context from buildMergeContext
+ */
+export const isElementVisible = (element, context) => {
+  const conditions = element?.conditions;
+  if (!hasConditions(conditions)) return true;
+
+  for (const [name, path] of Object.entries(LIST_CONDITIONS)) {
+    const allowed = conditions[name];
+    if (!Array.isArray(allowed) || !allowed.length) continue;
+    const value = getMergeFieldValue(context, path);
+    if (!allowed.some(candidate => sameValue(value, candidate))) return false;
+  }
+
+  const rules = Array.isArray(conditions.rules) ? conditions.rules.filter(Boolean) : [];
+  if (!rules.length) return true;
+  return conditions.match === "any"
+    ? rules.some(rule => matchesRule(rule, context))
+    : rules.every(rule => matchesRule(rule, context));
+};
+
+/**
+ * Check the display conditions of every element of a design
+ * @returns {Array<string>} problems, each naming the element
+ */
+export const validateDisplayConditions = (designData) => {
+  const customFields = designData?.content?.customFields;
+  const operators = getConditionOperators();
+  const problems = [];
+
+  getDesignElements(designData).forEach((element, index) => {
+    const conditions = element?.conditions;
+    if (conditions === undefined || conditions === null) return;
+
+    const where = `Element ${element.id ? `"${element.id}"` : index} conditions`;
+    if (typeof conditions !== "object" || Array.isArray(conditions)) {
+      problems.push(`${where}: must be an object`);
+      return;
+    }
+
+    for (const name of Object.keys(LIST_CONDITIONS)) {
+      if (conditions[name] !== undefined && !Array.isArray(conditions[name])) {
+        problems.push(`${where}: ${name} must be a list`);
+      }
+    }
+    if (conditions.match !== undefined && !["all", "any"].includes(conditions.match)) {
+      problems.push(`${where}: match must be "all" or "any"`);
+    }
+    if (conditions.rules === undefined) return;
+    if (!Array.isArray(conditions.rules)) {
+      problems.push(`${where}: rules must be a list`);
+      return;
+    }
+
+    conditions.rules.forEach((rule, ruleIndex) => {
+      const at = `${where}, rule ${ruleIndex + 1}`;
+      if (!rule || typeof rule !== "object" || !rule.field) {
+        problems.push(`${at}: needs a field`);
+        return;
+      }
+      const fieldProblem = checkMergeField(rule.field, customFields);
+      if (fieldProblem) problems.push(`${at}: ${fieldProblem}`);
+
+      const operator = rule.operator || "==";
+      if (!operators.includes(operator)) {
+        problems.push(`${at}: unknown operator "${operator}"; operators are ${operators.join(", ")}`);
+      } else if (SET_OPERATORS.includes(operator) && !Array.isArray(rule.value)) {
+        problems.push(`${at}: "${operator}" needs a list value`);
+      } else if (!PRESENCE_OPERATORS.includes(operator) && !SET_OPERATORS.includes(operator) && !isSet(rule.value)) {
+        problems.push(`${at}: "${operator}" needs a value`);
+      }
+    });
+  });
+
+  return problems;
+};
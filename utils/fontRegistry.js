@@ -0,0 +1,181 @@
+// utils/fontRegistry.js
+import crypto from "crypto";
+import { create as openFont } from "fontkit";
+import FontAsset from "../models/FontAsset.js";
+
+/**
+ * Organization font assets for the credential renderers.
+ *
+ * An uploaded font is stored with its bytes and loaded here per
+ * organization. buildScene resolves each text element's fontFamily, weight
+ * and style to one of these faces and hands it to the backends on the text
+ * node, so layout is measured with the same font every backend draws:
+ * PDFKit embeds it, node-canvas registers it, and SVG/HTML output carries it
+ * as an @font-face. Inside renderers a face is named by its key, not its
+ * family, so two organizations can upload different fonts under one name.
+ *
+ * Families that are not uploaded fall back to the built-in fonts below.
+ */
+
+export const FONT_FORMATS = {
+  ttf: { mimeType: "font/ttf", cssFormat: "truetype" },
+  otf: { mimeType: "font/otf", cssFormat: "opentype" },
+  woff2: { mimeType: "font/woff2", cssFormat: "woff2" }
+};
+
+export const MAX_FONT_BYTES = 5 * 1024 * 1024;
+
+// node-canvas reads fonts through FreeType, which is not built with WOFF2 support
+const CANVAS_FORMATS = ["ttf", "otf"];
+
+// Built-in families every backend draws with the same metrics: the PDF
+// standard fonts, drawn by canvas and browsers with their metric-compatible
+// system fonts (Liberation on Linux)
+export const BUILTIN_FONTS = [
+  { name: "Arial", family: "Arial, sans-serif", category: "sans-serif" },
+  { name: "Helvetica", family: "Helvetica, sans-serif", category: "sans-serif" },
+  { name: "Times New Roman", family: "\"Times New Roman\", serif", category: "serif" },
+  { name: "Courier New", family: "\"Courier New\", monospace", category: "monospace" }
+];
+
+// Characters the built-in fonts can draw: the PDF standard fonts are WinAnsi encoded
+const STANDARD_FONT_CHARACTERS = /^[\u0020-\u007E\u00A0-\u00FF\u0152\u0153\u0160\u0161\u0178\u017D\u017E\u0192\u02C6\u02DC\u2013\u2014\u2018-\u201A\u201C-\u201E\u2020-\u2022\u2026\u2030\u2039\u203A\u20AC\u2122]$/u;
+
+// Loaded faces per organization, refreshed after this long or on upload/delete
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const cache = new Map();
+
+const fontError = (message, status) => Object.assign(new Error(message), { status });
+
+const detectFontFormat = (buffer) => {
+  if (buffer.length < 12) return null;
+  const tag = buffer.toString("latin1", 0, 4);
+  if (tag === "wOF2") return "woff2";
+  if (tag === "OTTO") return "otf";
+  if (buffer.readUInt32BE(0) === 0x00010000 || tag === "true") return "ttf";
+  return null;
+};
+
+/**
+ * Check an uploaded font file and read its family, weight and style
+ * @param {Buffer} buffer
+ * @returns {{ format: string, family: string, weight: number, style: string, sha256: string }}
+ * @throws {Error} with status 400 when the file is not a usable TTF, OTF or WOFF2 font
+ */
+export const inspectFontFile = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || !buffer.length) throw fontError("Font file is empty", 400);
+  if (buffer.length > MAX_FONT_BYTES) throw fontError(`Font file is larger than ${MAX_FONT_BYTES / 1024 / 1024}MB`, 400);
+
+  const format = detectFontFormat(buffer);
+  if (!format) throw fontError("Font must be a TTF, OTF or WOFF2 file (font collections and WOFF are not supported)", 400);
+
+  let font;
+  try {
+    font = openFont(buffer);
+    // Touch the glyph data so a truncated or corrupt file fails here, not mid-render
+    font.layout("Aa");
+  } catch (error) {
+    throw fontError(`Font file could not be read: ${error.message}`, 400);
+  }
+
+  const os2 = font["OS/2"] || {};
+  return {
+    format,
+    family: font.getName("preferredFamily") || font.familyName,
+    weight: Math.min(Math.max(Math.round((os2.usWeightClass || 400) / 100) * 100, 100), 900),
+    style: os2.fsSelection?.italic || font.italicAngle ? "italic" : "normal",
+    sha256: crypto.createHash("sha256").update(buffer).digest("hex")
+  };
+};
+
+// A face as the renderers use it; ascender and descender per 1000 units, like the AFM metrics
+const toFace = (asset) => {
+  const font = openFont(asset.data);
+  return {
+    id: String(asset._id),
+    key: `font-${asset.sha256.slice(0, 16)}`,
+    family: asset.family,
+    weight: asset.weight,
+    style: asset.style,
+    format: asset.format,
+    mimeType: FONT_FORMATS[asset.format].mimeType,
+    cssFormat: FONT_FORMATS[asset.format].cssFormat,
+    data: asset.data,
+    ascender: font.ascent / font.unitsPerEm * 1000,
+    descender: font.descent / font.unitsPerEm * 1000,
+    canvas: CANVAS_FORMATS.includes(asset.format)
+  };
+};
+
+/**
+ * An organization's uploaded faces, ready for buildScene
+ * @returns {Promise<Array<Object>>}
+ */
+export const getOrganizationFonts = async (organizationId) => {
+  if (!organizationId) return [];
+  const key = String(organizationId);
+  const cached = cache.get(key);
+  if (cached && cached.expires > Date.now()) return cached.faces;
+
+  const assets = await FontAsset.find({ organizationId: key }).select("+data").lean();
+  const faces = [];
+  for (const asset of assets) {
+    try {
+      faces.push(toFace({ ...asset, data: Buffer.from(asset.data.buffer || asset.data) }));
+    } catch (error) {
+      console.error("Skipping unreadable font asset:", String(asset._id), error.message);
+    }
+  }
+
+  cache.set(key, { faces, expires: Date.now() + CACHE_TTL_MS });
+  return faces;
+};
+
+// Parsed fonts for coverage checks, by face key
+const parsedFaces = new Map();
+
+/**
+ * Characters of a text that a font cannot draw: those outside WinAnsi for the
+ * built-in fonts, or those missing from an uploaded face
+ * @param {string} text
+ * @param {Object} [face] - from getOrganizationFonts; the built-in fonts when omitted
+ * @returns {Array<string>} each missing character once
+ */
+export const getUnsupportedCharacters = (text, face) => {
+  let font = null;
+  if (face) {
+    if (!parsedFaces.has(face.key)) parsedFaces.set(face.key, openFont(face.data));
+    font = parsedFaces.get(face.key);
+  }
+
+  const missing = new Set();
+  for (const char of String(text || "")) {
+    // Spaces, joiners and other format characters have no glyph of their own
+    if (/[\s\p{Cf}]/u.test(char)) continue;
+    const supported = font ? font.hasGlyphForCodePoint(char.codePointAt(0)) : STANDARD_FONT_CHARACTERS.test(char);
+    if (!supported) missing.add(char);
+  }
+  return [...missing];
+};
+
+export const invalidateOrganizationFonts = (organizationId) => {
+  cache.delete(String(organizationId));
+};
+
+/**
+ * The uploaded face for a scene font ({ family, weight, style }): same family,
+ * matching style if there is one, then the nearest weight. Null when the
+ * family was not uploaded.
+ */
+export const resolveFontFace = (faces, font) => {
+  const family = String(font.family || "").toLowerCase();
+  const candidates = faces.filter(face => face.family.toLowerCase() === family);
+  if (!candidates.length) return null;
+
+  const wantsItalic = font.style === "italic" || font.style === "oblique";
+  const styled = candidates.filter(face => (face.style === "italic") === wantsItalic);
+  const pool = styled.length ? styled : candidates;
+
+  const weight = font.weight === "bold" || font.weight === "bolder" ? 700 : Number(font.weight) || 400;
+  return pool.reduce((best, face) => (Math.abs(face.weight - weight) < Math.abs(best.weight - weight) ? face : best));
+};
@@ -0,0 +1,297 @@
+// utils/ledger.js
+import crypto from "crypto";
+import LedgerEntry from "../models/LedgerEntry.js";
+import LedgerBatch from "../models/LedgerBatch.js";
+import { canonicalize } from "./credentialSigning.js";
+import { anchorBatch } from "./ledgerAnchors.js";
+
+/**
+ * Append-only issuance ledger.
+ *
+ * Every lifecycle event of a credential becomes an entry whose hash covers
+ * the previous entry's hash, so rewriting history breaks the chain. Entries
+ * are periodically sealed into batches: a Merkle root over the entry hashes,
+ * chained to the previous batch root and published through the configured
+ * anchors. A credential's inclusion proof is the Merkle path from its entry
+ * to a published root.
+ */
+
+export const GENESIS_HASH = "0".repeat(64);
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest();
+
+// ---------------- Entry hashing ----------------
+
+const entryHashInput = (entry) => ({
+  sequence: entry.sequence,
+  action: entry.action,
+  credentialId: String(entry.credentialId),
+  organizationId: entry.organizationId ? String(entry.organizationId) : null,
+  payloadHash: entry.payloadHash,
+  data: entry.data || {},
+  timestamp: new Date(entry.timestamp).toISOString(),
+  previousHash: entry.previousHash
+});
+
+export const computeEntryHash = (entry) => {
+  return sha256(canonicalize(entryHashInput(entry))).toString("hex");
+};
+
+// ---------------- Merkle tree ----------------
+// RFC 6962 style domain separation: 0x00 for leaves, 0x01 for interior nodes.
+// An odd node at the end of a level is promoted unchanged.
+
+export const merkleLeafHash = (entryHash) => {
+  return sha256(Buffer.concat([Buffer.from([0x00]), Buffer.from(entryHash, "hex")])).toString("hex");
+};
+
+const merkleNodeHash = (left, right) => {
+  return sha256(Buffer.concat([Buffer.from([0x01]), Buffer.from(left, "hex"), Buffer.from(right, "hex")])).toString("hex");
+};
+
+const buildMerkleLevels = (entryHashes) => {
+  const levels = [entryHashes.map(merkleLeafHash)];
+
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? merkleNodeHash(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+
+  return levels;
+};
+
+export const computeMerkleRoot = (entryHashes) => {
+  if (!entryHashes.length) throw new Error("Cannot build a Merkle tree without leaves");
+  const levels = buildMerkleLevels(entryHashes);
+  return levels[levels.length - 1][0];
+};
+
+/**
+ * Merkle path for the leaf at `index`: sibling hashes from the leaf upwards,
+ * each tagged with the side it sits on.
+ */
+export const getMerkleProof = (entryHashes, index) => {
+  const levels = buildMerkleLevels(entryHashes);
+  const path = [];
+  let position = index;
+
+  for (let depth = 0; depth < levels.length - 1; depth++) {
+    const level = levels[depth];
+    const siblingIndex = position % 2 === 0 ? position + 1 : position - 1;
+
+    if (siblingIndex < level.length) {
+      path.push({ position: position % 2 === 0 ? "right" : "left", hash: level[siblingIndex] });
+    }
+    position = Math.floor(position / 2);
+  }
+
+  return path;
+};
+
+export const verifyMerkleProof = (entryHash, path, root) => {
+  let hash = merkleLeafHash(entryHash);
+  for (const step of path) {
+    hash = step.position === "left" ? merkleNodeHash(step.hash, hash) : merkleNodeHash(hash, step.hash);
+  }
+  return hash === root;
+};
+
+// ---------------- Appending ----------------
+
+const MAX_APPEND_ATTEMPTS = 5;
+
+/**
+ * Append a lifecycle event for a credential to the ledger.
+ * Concurrent appends race on the unique sequence index; the loser retries
+ * against the new chain head.
+ */
+export const appendLedgerEntry = async ({ action, credential, data = {} }) => {
+  const organizationId = credential.signedPayload?.issuer || credential.createdBy || null;
+
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    const head = await LedgerEntry.findOne().sort({ sequence: -1 }).select("sequence entryHash");
+
+    const entry = {
+      sequence: head ? head.sequence + 1 : 1,
+      action,
+      credentialId: credential._id,
+      organizationId,
+      payloadHash: credential.blockchainHash,
+      data,
+      timestamp: new Date(),
+      previousHash: head ? head.entryHash : GENESIS_HASH
+    };
+    entry.entryHash = computeEntryHash(entry);
+
+    try {
+      return await LedgerEntry.create(entry);
+    } catch (error) {
+      if (error.code !== 11000 || attempt === MAX_APPEND_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Ledger writes must not fail the request that triggered them; errors are
+ * logged so the missing entry can be investigated.
+ */
+export const recordLedgerEvent = async (action, credential, data = {}) => {
+  try {
+    return await appendLedgerEntry({ action, credential, data });
+  } catch (error) {
+    console.error(`Ledger append failed (${action} ${credential?._id}):`, error.message);
+    return null;
+  }
+};
+
+// ---------------- Chain verification ----------------
+
+/**
+ * Recompute hashes and links for a range of the chain
+ */
+export const verifyLedgerChain = async ({ fromSequence = 1, toSequence } = {}) => {
+  const query = { sequence: { $gte: fromSequence } };
+  if (toSequence) query.sequence.$lte = toSequence;
+
+  let previousHash = GENESIS_HASH;
+  if (fromSequence > 1) {
+    const previous = await LedgerEntry.findOne({ sequence: fromSequence - 1 }).select("entryHash");
+    if (!previous) {
+      return { valid: false, checked: 0, errors: [`Entry ${fromSequence - 1} is missing`] };
+    }
+    previousHash = previous.entryHash;
+  }
+
+  const errors = [];
+  let expectedSequence = fromSequence;
+  let checked = 0;
+
+  for await (const entry of LedgerEntry.find(query).sort({ sequence: 1 }).cursor()) {
+    if (entry.sequence !== expectedSequence) {
+      errors.push(`Entries ${expectedSequence}-${entry.sequence - 1} are missing`);
+    }
+    if (entry.previousHash !== previousHash) {
+      errors.push(`Entry ${entry.sequence} does not link to its predecessor`);
+    }
+    if (computeEntryHash(entry) !== entry.entryHash) {
+      errors.push(`Entry ${entry.sequence} has been modified`);
+    }
+
+    previousHash = entry.entryHash;
+    expectedSequence = entry.sequence + 1;
+    checked++;
+  }
+
+  return { valid: errors.length === 0, checked, headHash: previousHash, errors };
+};
+
+// ---------------- Batching ----------------
+
+/**
+ * Seal all unbatched entries into a new Merkle batch and anchor its root.
+ * Returns null when there is nothing to seal.
+ */
+export const sealLedgerBatch = async () => {
+  const lastBatch = await LedgerBatch.findOne().sort({ batchNumber: -1 });
+  const fromSequence = lastBatch ? lastBatch.toSequence + 1 : 1;
+
+  const entries = await LedgerEntry.find({ sequence: { $gte: fromSequence } })
+    .sort({ sequence: 1 })
+    .select("sequence entryHash");
+  if (!entries.length) return null;
+
+  // Only seal a gap-free prefix; an in-flight append may not be visible yet
+  const contiguous = [];
+  for (const entry of entries) {
+    if (entry.sequence !== fromSequence + contiguous.length) break;
+    contiguous.push(entry);
+  }
+  if (!contiguous.length) return null;
+
+  const entryHashes = contiguous.map(entry => entry.entryHash);
+  const batchNumber = lastBatch ? lastBatch.batchNumber + 1 : 1;
+
+  const batch = await LedgerBatch.create({
+    batchNumber,
+    fromSequence,
+    toSequence: contiguous[contiguous.length - 1].sequence,
+    leafCount: contiguous.length,
+    merkleRoot: computeMerkleRoot(entryHashes),
+    headHash: entryHashes[entryHashes.length - 1],
+    previousRoot: lastBatch ? lastBatch.merkleRoot : GENESIS_HASH,
+    sealedAt: new Date()
+  });
+
+  await LedgerEntry.bulkWrite(contiguous.map((entry, leafIndex) => ({
+    updateOne: {
+      filter: { _id: entry._id },
+      update: { $set: { batchNumber, leafIndex } }
+    }
+  })));
+
+  batch.anchors = await anchorBatch(batch);
+  await batch.save();
+
+  return batch;
+};
+
+/**
+ * Inclusion proof for a single ledger entry, or { sealed: false } while the
+ * entry is still waiting for the next batch.
+ */
+export const buildInclusionProof = async (entry) => {
+  if (entry.batchNumber === undefined || entry.batchNumber === null) {
+    return { sealed: false };
+  }
+
+  const batch = await LedgerBatch.findOne({ batchNumber: entry.batchNumber });
+  if (!batch) return { sealed: false };
+
+  const batchEntries = await LedgerEntry.find({
+    sequence: { $gte: batch.fromSequence, $lte: batch.toSequence }
+  }).sort({ sequence: 1 }).select("entryHash");
+
+  const entryHashes = batchEntries.map(item => item.entryHash);
+  const path = getMerkleProof(entryHashes, entry.leafIndex);
+
+  return {
+    sealed: true,
+    batchNumber: batch.batchNumber,
+    leafIndex: entry.leafIndex,
+    leafCount: batch.leafCount,
+    merkleRoot: batch.merkleRoot,
+    previousRoot: batch.previousRoot,
+    path,
+    verified: verifyMerkleProof(entry.entryHash, path, batch.merkleRoot),
+    anchors: batch.anchors
+  };
+};
+
+// ---------------- Scheduling ----------------
+
+let batchTimer = null;
+
+/**
+ * Seal a batch every LEDGER_BATCH_INTERVAL_MINUTES (default 60)
+ */
+export const startLedgerScheduler = () => {
+  if (batchTimer) return batchTimer;
+
+  const minutes = Number(process.env.LEDGER_BATCH_INTERVAL_MINUTES) || 60;
+  batchTimer = setInterval(async () => {
+    try {
+      const batch = await sealLedgerBatch();
+      if (batch) {
+        console.log(`Ledger batch ${batch.batchNumber} sealed (${batch.leafCount} entries, root ${batch.merkleRoot})`);
+      }
+    } catch (error) {
+      console.error("Ledger batch sealing failed:", error.message);
+    }
+  }, minutes * 60 * 1000);
+
+  return batchTimer;
+};
@@ -0,0 +1,115 @@
+// utils/ledgerAnchors.js
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Pluggable publication targets for ledger batch roots.
+ *
+ * An adapter is { anchor(batch) => { reference }, verify?(batch, anchor) => boolean }.
+ * Enabled adapters are listed in LEDGER_ANCHORS (comma separated, default
+ * "collection"). Public chain adapters register themselves the same way.
+ */
+
+const adapters = new Map();
+
+export const registerAnchorAdapter = (type, adapter) => {
+  if (!adapter || typeof adapter.anchor !== "function") {
+    throw new Error(`Anchor adapter "${type}" must implement anchor(batch)`);
+  }
+  adapters.set(type, adapter);
+};
+
+export const getAnchorAdapter = (type) => adapters.get(type);
+
+export const getEnabledAnchorTypes = () => {
+  return (process.env.LEDGER_ANCHORS || "collection")
+    .split(",")
+    .map(type => type.trim())
+    .filter(Boolean);
+};
+
+const anchorRecord = (batch) => ({
+  batchNumber: batch.batchNumber,
+  fromSequence: batch.fromSequence,
+  toSequence: batch.toSequence,
+  merkleRoot: batch.merkleRoot,
+  previousRoot: batch.previousRoot,
+  sealedAt: new Date(batch.sealedAt).toISOString()
+});
+
+// ---------------- Built-in adapters ----------------
+
+// The LedgerBatch collection itself is the publication record
+registerAnchorAdapter("collection", {
+  anchor: async (batch) => ({ reference: `ledgerbatch:${batch.batchNumber}` }),
+  verify: async () => true
+});
+
+// Append-only JSON lines file, e.g. on a separately backed-up volume
+const getAnchorFilePath = () => {
+  return path.resolve(process.env.LEDGER_ANCHOR_FILE || "ledger-anchors.jsonl");
+};
+
+registerAnchorAdapter("file", {
+  anchor: async (batch) => {
+    const filePath = getAnchorFilePath();
+    await fs.appendFile(filePath, `${JSON.stringify(anchorRecord(batch))}\n`, "utf8");
+    return { reference: `${filePath}#${batch.batchNumber}` };
+  },
+  verify: async (batch) => {
+    const contents = await fs.readFile(getAnchorFilePath(), "utf8");
+    return contents.split("\n").some(line => {
+      if (!line.trim()) return false;
+      try {
+        const record = JSON.parse(line);
+        return record.batchNumber === batch.batchNumber && record.merkleRoot === batch.merkleRoot;
+      } catch {
+        return false;
+      }
+    });
+  }
+});
+
+/**
+ * Publish a batch root to every enabled adapter. Failures are recorded per
+ * anchor rather than thrown so one unavailable target does not block sealing.
+ */
+export const anchorBatch = async (batch) => {
+  const results = [];
+
+  for (const type of getEnabledAnchorTypes()) {
+    const adapter = adapters.get(type);
+    if (!adapter) {
+      results.push({ type, status: "failed", error: "Unknown anchor adapter" });
+      continue;
+    }
+
+    try {
+      const { reference } = await adapter.anchor(batch);
+      results.push({ type, status: "anchored", reference, anchoredAt: new Date() });
+    } catch (error) {
+      console.error(`Ledger anchor "${type}" failed for batch ${batch.batchNumber}:`, error.message);
+      results.push({ type, status: "failed", error: error.message });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Re-check a batch's anchors against their targets
+ */
+export const verifyBatchAnchors = async (batch) => {
+  return Promise.all((batch.anchors || []).map(async (anchor) => {
+    const adapter = adapters.get(anchor.type);
+    if (anchor.status !== "anchored" || !adapter?.verify) {
+      return { type: anchor.type, reference: anchor.reference, verified: null };
+    }
+
+    try {
+      return { type: anchor.type, reference: anchor.reference, verified: await adapter.verify(batch, anchor) };
+    } catch (error) {
+      return { type: anchor.type, reference: anchor.reference, verified: false, error: error.message };
+    }
+  }));
+};
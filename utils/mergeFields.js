@@ -0,0 +1,682 @@
+// utils/mergeFields.js
+import { DEFAULT_LOCALE, getDisplayTimeZone } from "./regionalSettings.js";
+import { getDesignElements } from "./designPages.js";
+
+/**
+ * Merge-field templating for design text.
+ *
+ *   {{ participant.name }}                      a field
+ *   {{ event.date | date: "D MMM YYYY" }}       filters, applied left to right
+ *   {{ participant.firstName | default: participant.name }}
+ *   {{#if custom.grade >= 90}}with distinction{{else}}...{{/if}}
+ *   {{#unless event.location}}online{{/unless}}
+ *
+ * Templates are parsed, never evaluated: only catalogued fields can be read
+ * and only the filters below can run. Output is plain text; the render
+ * backends escape it. Date fields print in the design's content.dateFormat
+ * unless a date filter says otherwise, and dates and numbers follow the
+ * design's content.locale and content.timezone (see regionalSettings.js).
+ *
+ * The legacy tokens {{participantName}}, {{eventTitle}}, {{eventDate}},
+ * {{skills}} and {{issueDate}} still work, with their old preview fallbacks.
+ */
+
+const FIELDS = {
+  participant: {
+    name: "text",
+    firstName: "text",
+    lastName: "text",
+    email: "text",
+    role: "text",
+    skills: "text"
+  },
+  event: {
+    id: "text",
+    title: "text",
+    date: "date",
+    endDate: "date",
+    location: "text",
+    description: "text",
+    category: "text"
+  },
+  credential: {
+    id: "text",
+    title: "text",
+    type: "text",
+    issueDate: "date",
+    expiryDate: "date",
+    verificationUrl: "text",
+    hash: "text"
+  }
+};
+
+const today = () => new Date();
+
+const LEGACY_FIELDS = {
+  participantName: { path: "participant.name", fallback: () => "Participant Name" },
+  eventTitle: { path: "event.title", fallback: () => "Event Title" },
+  eventDate: { path: "event.date", fallback: today },
+  skills: { path: "participant.skills", fallback: () => "" },
+  issueDate: { path: "credential.issueDate", fallback: today }
+};
+
+// Types of a template's custom fields; a list holds rows for table elements,
+// each an object of column values
+export const CUSTOM_FIELD_TYPES = ["text", "date", "number", "list"];
+
+// The locale's long date ("October 19, 2026" in en-US, "19 October 2026" in en-KE)
+export const DEFAULT_DATE_FORMAT = "LL";
+
+// Templates longer than this are rejected at save time
+const MAX_TEMPLATE_LENGTH = 10000;
+
+// Nested {{#if}} blocks deeper than this are rejected at save time
+const MAX_BLOCK_DEPTH = 10;
+
+// ---------------- Values ----------------
+
+const isEmpty = (value) => value === undefined || value === null || value === ""
+  || (Array.isArray(value) && value.length === 0);
+
+const toDate = (value) => {
+  if (isEmpty(value) || typeof value === "boolean") return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toNumber = (value) => {
+  if (isEmpty(value) || typeof value === "boolean") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const ordinalSuffix = (number) => {
+  const lastTwo = Math.abs(number) % 100;
+  if (lastTwo >= 11 && lastTwo <= 13) return "th";
+  return { 1: "st", 2: "nd", 3: "rd" }[Math.abs(number) % 10] || "th";
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+// Longest tokens first, so MMMM is not read as MM twice
+const DATE_TOKENS = /YYYY|YY|MMMM|MMM|MM|M|Do|DD|D|dddd|ddd|LL|L|\[[^\]]*\]/g;
+
+// Intl options of the tokens that print names or whole dates in the locale
+const LOCALIZED_TOKENS = {
+  MMMM: { month: "long" },
+  MMM: { month: "short" },
+  dddd: { weekday: "long" },
+  ddd: { weekday: "short" },
+  LL: { dateStyle: "long" },
+  L: { year: "numeric", month: "2-digit", day: "2-digit" }
+};
+
+/**
+ * Format a date with moment-style tokens (YYYY, YY, MMMM, MMM, MM, M, Do, DD,
+ * D, dddd, ddd, and LL / L for the locale's long / numeric date). Text in
+ * [brackets] is printed as is. Names are in the locale; the date is taken in
+ * the time zone, except for calendar dates, which keep their day.
+ * @param {Date|string} value
+ * @param {string} [format]
+ * @param {{ locale?: string, timezone?: string }} [settings]
+ */
+export const formatDate = (value, format = DEFAULT_DATE_FORMAT, { locale, timezone } = {}) => {
+  const date = toDate(value);
+  if (!date) return isEmpty(value) ? "" : String(value);
+
+  const timeZone = getDisplayTimeZone(date, timezone);
+  const intlLocale = locale || DEFAULT_LOCALE;
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", { timeZone, year: "numeric", month: "numeric", day: "numeric" })
+    .formatToParts(date)
+    .map(({ type, value: part }) => [type, Number(part)]));
+  const localized = (token) => new Intl.DateTimeFormat(intlLocale, { ...LOCALIZED_TOKENS[token], timeZone }).format(date);
+
+  return String(format || DEFAULT_DATE_FORMAT).replace(DATE_TOKENS, (token) => {
+    switch (token) {
+      case "YYYY": return String(parts.year);
+      case "YY": return pad(parts.year % 100);
+      case "MM": return pad(parts.month);
+      case "M": return String(parts.month);
+      // English ordinals; other languages write the plain day
+      case "Do": return /^en\b/i.test(intlLocale) ? `${parts.day}${ordinalSuffix(parts.day)}` : String(parts.day);
+      case "DD": return pad(parts.day);
+      case "D": return String(parts.day);
+      default: return LOCALIZED_TOKENS[token] ? localized(token) : token.slice(1, -1);
+    }
+  });
+};
+
+const toText = (value) => {
+  if (isEmpty(value)) return "";
+  if (Array.isArray(value)) return value.filter(item => !isEmpty(item)).join(", ");
+  if (value instanceof Date) return formatDate(value);
+  // A row of a list field, like { module: "Ethics", grade: "A" }
+  if (typeof value === "object") return Object.values(value).map(toText).filter(Boolean).join(" ");
+  return String(value);
+};
+
+// ---------------- Filters ----------------
+
+const titleCase = (text) => text.toLowerCase().replace(/(^|[\s\-'"(])(\p{L})/gu, (match, lead, letter) => lead + letter.toUpperCase());
+
+/**
+ * Each filter takes the current value, its arguments and the render options,
+ * and declares how many arguments it accepts and of which kind.
+ */
+const FILTERS = {
+  upper: { args: [0, 0], apply: (value) => toText(value).toUpperCase() },
+  lower: { args: [0, 0], apply: (value) => toText(value).toLowerCase() },
+  title: { args: [0, 0], apply: (value) => titleCase(toText(value)) },
+  date: {
+    args: [0, 1],
+    argType: "string",
+    apply: (value, [format], options) => formatDate(value, format || options.dateFormat, options)
+  },
+  number: {
+    args: [0, 1],
+    argType: "number",
+    apply: (value, [decimals], options) => {
+      const number = toNumber(value);
+      if (number === null) return value;
+      const digits = decimals === undefined ? undefined : Math.min(Math.max(Math.trunc(decimals), 0), 20);
+      return new Intl.NumberFormat(options.locale || DEFAULT_LOCALE, digits === undefined
+        ? { maximumFractionDigits: 2 }
+        : { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(number);
+    }
+  },
+  ordinal: {
+    args: [0, 0],
+    apply: (value) => {
+      const number = toNumber(String(value ?? "").replace(/,/g, ""));
+      if (number === null || !Number.isInteger(number)) return value;
+      return `${toText(value)}${ordinalSuffix(number)}`;
+    }
+  },
+  default: { args: [1, 1], apply: (value, [fallback]) => (isEmpty(value) ? fallback : value) }
+};
+
+export const getMergeFilters = () => Object.keys(FILTERS);
+
+// ---------------- Parsing ----------------
+
+const TAG = /\{\{([\s\S]*?)\}\}/g;
+
+const EXPRESSION_TOKEN = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(-?\d+(?:\.\d+)?)|([A-Za-z_][\w]*(?:\.[A-Za-z_][\w]*)*)|(==|!=|>=|<=|>|<|\||:|,))/y;
+
+const COMPARISONS = {
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b
+};
+
+const tokenize = (source) => {
+  const tokens = [];
+  EXPRESSION_TOKEN.lastIndex = 0;
+  while (EXPRESSION_TOKEN.lastIndex < source.length) {
+    if (!source.slice(EXPRESSION_TOKEN.lastIndex).trim()) break;
+    const start = EXPRESSION_TOKEN.lastIndex;
+    const match = EXPRESSION_TOKEN.exec(source);
+    if (!match) throw new Error(`unexpected "${source.slice(start).trim().slice(0, 20)}"`);
+    const [, string, number, path, operator] = match;
+    if (string !== undefined) tokens.push({ kind: "literal", value: string.slice(1, -1).replace(/\\(.)/g, "$1") });
+    else if (number !== undefined) tokens.push({ kind: "literal", value: Number(number) });
+    else if (path === "true" || path === "false") tokens.push({ kind: "literal", value: path === "true" });
+    else if (path !== undefined) tokens.push({ kind: "path", value: path });
+    else tokens.push({ kind: "operator", value: operator });
+  }
+  return tokens;
+};
+
+const parseOperand = (tokens, position) => {
+  const token = tokens[position];
+  if (!token || token.kind === "operator") {
+    throw new Error(token ? `expected a field or value before "${token.value}"` : "expected a field or value");
+  }
+  return token;
+};
+
+// path-or-literal ( "|" filter ( ":" arg ( "," arg )* )? )*
+const parseOutput = (source) => {
+  const tokens = tokenize(source);
+  const value = parseOperand(tokens, 0);
+  const filters = [];
+  let position = 1;
+
+  while (position < tokens.length) {
+    if (tokens[position].value !== "|") throw new Error(`expected "|" before "${tokens[position].value}"`);
+    const name = tokens[position + 1];
+    if (!name || name.kind !== "path") throw new Error("expected a filter name after \"|\"");
+    position += 2;
+
+    const args = [];
+    if (tokens[position]?.value === ":") {
+      do {
+        args.push(parseOperand(tokens, position + 1));
+        position += 2;
+      } while (tokens[position]?.value === ",");
+    }
+    filters.push({ name: name.value, args });
+  }
+
+  return { value, filters };
+};
+
+// operand ( comparison operand )?
+const parseCondition = (source) => {
+  const tokens = tokenize(source);
+  const left = parseOperand(tokens, 0);
+  if (tokens.length === 1) return { left };
+
+  const operator = tokens[1];
+  if (!COMPARISONS[operator.value]) throw new Error(`"${operator.value}" is not a comparison (use ${Object.keys(COMPARISONS).join(" ")})`);
+  const right = parseOperand(tokens, 2);
+  if (tokens.length > 3) throw new Error(`unexpected "${tokens[3].value}" after the comparison`);
+  return { left, operator: operator.value, right };
+};
+
+/**
+ * Parse a template into nodes. Problems are collected rather than thrown, so
+ * that text saved before validation existed still renders: a tag that cannot
+ * be parsed is printed as is, and unclosed blocks end with the text.
+ * @returns {{ nodes: Array<Object>, errors: Array<{ message: string, index: number }> }}
+ */
+export const parseTemplate = (text) => {
+  const source = String(text ?? "");
+  const errors = [];
+  const nodes = [];
+  const stack = [];
+  let current = nodes;
+  let last = 0;
+
+  const fail = (message, index) => errors.push({ message, index });
+
+  for (const match of source.matchAll(TAG)) {
+    const [raw, inner] = match;
+    const body = inner.trim();
+    if (match.index > last) current.push({ type: "text", value: source.slice(last, match.index) });
+    last = match.index + raw.length;
+
+    const block = /^#(if|unless)\b\s*([\s\S]*)$/.exec(body);
+    try {
+      if (block) {
+        if (!block[2]) throw new Error("missing condition");
+        const node = { type: block[1], condition: parseCondition(block[2]), then: [], otherwise: [], raw, index: match.index };
+        current.push(node);
+        stack.push({ node, parent: current });
+        if (stack.length > MAX_BLOCK_DEPTH) fail(`blocks are nested more than ${MAX_BLOCK_DEPTH} deep`, match.index);
+        current = node.then;
+      } else if (body === "else") {
+        const open = stack[stack.length - 1]?.node;
+        if (!open || current === open.otherwise) throw new Error("no open {{#if}} or {{#unless}} block");
+        current = open.otherwise;
+      } else if (/^\/(if|unless)$/.test(body)) {
+        const open = stack[stack.length - 1]?.node;
+        if (!open) throw new Error(`no matching {{#${body.slice(1)}}}`);
+        if (open.type !== body.slice(1)) throw new Error(`the open block is {{#${open.type}}}`);
+        current = stack.pop().parent;
+      } else {
+        if (!body) throw new Error("empty tag");
+        current.push({ type: "output", ...parseOutput(body), raw, index: match.index });
+      }
+    } catch (error) {
+      fail(`${raw}: ${error.message}`, match.index);
+      current.push({ type: "text", value: raw });
+    }
+  }
+
+  if (last < source.length) current.push({ type: "text", value: source.slice(last) });
+  for (const { node } of stack) fail(`${node.raw} is never closed with {{/${node.type}}}`, node.index);
+
+  return { nodes, errors };
+};
+
+// ---------------- Fields ----------------
+
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Custom field definitions ({ name, label, type, required }) by name
+ */
+const indexCustomFields = (customFields) => new Map((Array.isArray(customFields) ? customFields : [])
+  .filter(field => field?.name)
+  .map(field => [String(field.name), field]));
+
+// Field type for a path, or null when the path is not a field
+const getFieldType = (path, customFields) => {
+  if (has(LEGACY_FIELDS, path)) return getFieldType(LEGACY_FIELDS[path].path, customFields);
+  const [namespace, name, ...rest] = path.split(".");
+  if (rest.length || !name) return null;
+  if (namespace === "custom") return customFields.has(name) ? customFields.get(name).type || "text" : null;
+  return has(FIELDS, namespace) && has(FIELDS[namespace], name) ? FIELDS[namespace][name] : null;
+};
+
+const describeUnknownField = (path, customFields) => {
+  const [namespace] = path.split(".");
+  if (namespace === "custom") {
+    return customFields.size
+      ? `Unknown custom field "${path}"; this template defines ${[...customFields.keys()].map(name => `custom.${name}`).join(", ")}`
+      : `Unknown custom field "${path}"; add it to the template's custom fields first`;
+  }
+  if (has(FIELDS, namespace)) {
+    return `Unknown field "${path}"; ${namespace} fields are ${Object.keys(FIELDS[namespace]).join(", ")}`;
+  }
+  return `Unknown field "${path}"; fields start with ${[...Object.keys(FIELDS), "custom"].join(", ")}`;
+};
+
+/**
+ * Check that a path names a field, for rules that refer to fields
+ * @param {string} path
+ * @param {Array<Object>} customFields - designData.content.customFields
+ * @returns {string|null} the problem, or null when the field exists
+ */
+export const checkMergeField = (path, customFields) => {
+  const defined = indexCustomFields(customFields);
+  return getFieldType(String(path ?? ""), defined) ? null : describeUnknownField(String(path ?? ""), defined);
+};
+
+/**
+ * Every field a template can use, for the designer's field picker
+ * @param {Array<Object>} customFields - designData.content.customFields
+ */
+export const getMergeFieldCatalog = (customFields) => [
+  ...Object.entries(FIELDS).flatMap(([namespace, fields]) => Object.entries(fields)
+    .map(([name, type]) => ({ path: `${namespace}.${name}`, type }))),
+  ...[...indexCustomFields(customFields).values()]
+    .map(field => ({ path: `custom.${field.name}`, type: field.type || "text", label: field.label, required: Boolean(field.required) }))
+];
+
+// ---------------- Validation ----------------
+
+const validateOperand = (operand, customFields, problems) => {
+  if (operand.kind === "path" && !getFieldType(operand.value, customFields)) {
+    problems.push(describeUnknownField(operand.value, customFields));
+  }
+};
+
+const validateNodes = (nodes, customFields, problems) => {
+  for (const node of nodes) {
+    if (node.type === "output") {
+      validateOperand(node.value, customFields, problems);
+      for (const filter of node.filters) {
+        const definition = has(FILTERS, filter.name) ? FILTERS[filter.name] : null;
+        if (!definition) {
+          problems.push(`Unknown filter "${filter.name}" in ${node.raw}; filters are ${getMergeFilters().join(", ")}`);
+          continue;
+        }
+        const [min, max] = definition.args;
+        if (filter.args.length < min || filter.args.length > max) {
+          problems.push(max === 0
+            ? `Filter "${filter.name}" takes no argument in ${node.raw}`
+            : `Filter "${filter.name}" takes ${min === max ? min : `at most ${max}`} argument${max > 1 ? "s" : ""} in ${node.raw}`);
+        }
+        for (const arg of filter.args) {
+          if (definition.argType && (arg.kind !== "literal" || typeof arg.value !== definition.argType)) {
+            problems.push(`Filter "${filter.name}" needs a ${definition.argType} argument in ${node.raw}`);
+          } else {
+            validateOperand(arg, customFields, problems);
+          }
+        }
+      }
+    } else if (node.type === "if" || node.type === "unless") {
+      validateOperand(node.condition.left, customFields, problems);
+      if (node.condition.right) validateOperand(node.condition.right, customFields, problems);
+      validateNodes(node.then, customFields, problems);
+      validateNodes(node.otherwise, customFields, problems);
+    }
+  }
+};
+
+/**
+ * Check one piece of template text
+ * @param {string} text
+ * @param {{ customFields?: Array<Object> }} options
+ * @returns {Array<string>} problems, empty when the text is valid
+ */
+export const validateTemplateText = (text, { customFields } = {}) => {
+  const source = String(text ?? "");
+  if (source.length > MAX_TEMPLATE_LENGTH) return [`Text is longer than ${MAX_TEMPLATE_LENGTH} characters`];
+
+  const { nodes, errors } = parseTemplate(source);
+  const problems = errors.map(error => error.message);
+  validateNodes(nodes, indexCustomFields(customFields), problems);
+  return problems;
+};
+
+/**
+ * Check every templated text of a design: text elements and their
+ * translations, table column headers, plus the default layout's title and label
+ * @returns {Array<string>} problems, each naming where it was found
+ */
+export const validateDesignTemplates = (designData) => {
+  const content = designData?.content || {};
+  const problems = [];
+
+  const customFields = Array.isArray(content.customFields) ? content.customFields : [];
+  const names = new Set();
+  for (const field of customFields) {
+    if (!field?.name || !/^[A-Za-z_]\w*$/.test(field.name)) {
+      problems.push(`Custom field name "${field?.name ?? ""}" must start with a letter or underscore and use only letters, digits and underscores`);
+    } else if (names.has(field.name)) {
+      problems.push(`Custom field "${field.name}" is defined more than once`);
+    }
+    if (field?.type && !CUSTOM_FIELD_TYPES.includes(field.type)) {
+      problems.push(`Custom field "${field.name}" type must be one of ${CUSTOM_FIELD_TYPES.join(", ")}`);
+    }
+    names.add(field?.name);
+  }
+
+  const check = (text, where) => {
+    for (const problem of validateTemplateText(text, { customFields })) problems.push(`${where}: ${problem}`);
+  };
+
+  getDesignElements(designData).forEach((element, index) => {
+    if (element?.type === "table") {
+      (Array.isArray(element.columns) ? element.columns : []).forEach((column, columnIndex) => {
+        if (column?.header) check(column.header, `Table element ${element.id ? `"${element.id}"` : index}, column ${columnIndex + 1} header`);
+      });
+    }
+    if (element?.type !== "text") return;
+    const where = `Text element ${element.id ? `"${element.id}"` : index}`;
+    check(element.content ?? element.text, where);
+    // Translated variants (see designTranslations.js)
+    (Array.isArray(element.translations) ? element.translations : []).forEach((translation) => {
+      if (translation?.content) check(translation.content, `${where}, ${translation.locale} translation`);
+    });
+  });
+  if (content.titleText) check(content.titleText, "Title text");
+  if (content.participantNameLabel) check(content.participantNameLabel, "Participant name label");
+
+  return problems;
+};
+
+/**
+ * Required custom fields of a design that have no value
+ * @param {Object} designData
+ * @param {Object} values - custom field values by name
+ * @returns {Array<string>} names of the missing fields
+ */
+export const getMissingCustomFields = (designData, values) => {
+  const customFields = designData?.content?.customFields;
+  return [...indexCustomFields(customFields).values()]
+    .filter(field => field.required && (!values || typeof values !== "object" || !has(values, field.name) || isEmpty(values[field.name])))
+    .map(field => field.name);
+};
+
+// ---------------- Rendering ----------------
+
+const getPath = (object, path) => path.split(".").reduce(
+  (value, key) => (value !== null && typeof value === "object" && has(value, key) ? value[key] : undefined),
+  object
+);
+
+/**
+ * Merge values from a credential's participantData. participantData is flat,
+ * as stored on credentials; values may be strings, numbers or dates.
+ */
+export const buildMergeContext = (participantData = {}) => {
+  const data = participantData || {};
+  const [firstName, ...otherNames] = String(data.name || "").trim().split(/\s+/);
+
+  return {
+    participant: {
+      name: data.name,
+      firstName: data.firstName || firstName || undefined,
+      lastName: data.lastName || otherNames.join(" ") || undefined,
+      email: data.participantEmail,
+      role: data.role,
+      skills: data.skills
+    },
+    event: {
+      id: data.eventId === undefined || data.eventId === null ? undefined : String(data.eventId),
+      title: data.eventTitle,
+      date: data.eventStartDate || data.eventDate,
+      endDate: data.eventEndDate,
+      location: data.eventLocation,
+      description: data.eventDescription,
+      category: data.eventCategory
+    },
+    credential: {
+      id: data.credentialId,
+      title: data.credentialTitle,
+      type: data.credentialType,
+      issueDate: data.issuedAt || data.issueDate,
+      expiryDate: data.expiresAt,
+      verificationUrl: data.verificationUrl,
+      hash: data.blockchainHash
+    },
+    custom: data.customFields && typeof data.customFields === "object" ? data.customFields : {}
+  };
+};
+
+/**
+ * participantData of a stored credential, completed from the credential
+ * record with the fields older credentials did not store
+ */
+export const getCredentialMergeData = (credential) => {
+  const data = credential?.participantData || {};
+  const eventId = credential?.eventId?._id || credential?.eventId || data.eventId;
+
+  return {
+    ...data,
+    credentialId: credential?._id ? String(credential._id) : data.credentialId,
+    credentialTitle: credential?.title || data.credentialTitle,
+    credentialType: credential?.type || data.credentialType,
+    eventId: eventId ? String(eventId) : undefined,
+    issuedAt: data.issuedAt || credential?.issuedAt,
+    expiresAt: data.expiresAt || credential?.expiresAt
+  };
+};
+
+const resolveOperand = (operand, context) => {
+  if (operand.kind === "literal") return operand.value;
+  if (has(LEGACY_FIELDS, operand.value)) return getPath(context, LEGACY_FIELDS[operand.value].path);
+  return getPath(context, operand.value);
+};
+
+/**
+ * Value of a field in a context from buildMergeContext
+ */
+export const getMergeFieldValue = (context, path) => resolveOperand({ kind: "path", value: String(path) }, context);
+
+export const getComparisonOperators = () => Object.keys(COMPARISONS);
+
+/**
+ * Compare two field values with ==, !=, >, >=, < or <=: as numbers when both
+ * are numeric, otherwise as case-insensitive text
+ */
+export const compareMergeValues = (operator, left, right) => {
+  const leftNumber = toNumber(left);
+  const rightNumber = toNumber(right);
+  if (leftNumber !== null && rightNumber !== null) return COMPARISONS[operator](leftNumber, rightNumber);
+  return COMPARISONS[operator](toText(left).toLowerCase(), toText(right).toLowerCase());
+};
+
+const isTruthy = (value) => !isEmpty(value) && value !== false && value !== 0 && value !== "false";
+
+// Unfiltered field values print by field type
+const formatField = (value, type, options) => {
+  if (type === "date" && !isEmpty(value)) return formatDate(value, options.dateFormat, options);
+  return toText(value);
+};
+
+/**
+ * A value printed the way a field of the given type prints in a template, for
+ * values read without one, like table cells
+ * @param {*} value
+ * @param {string} [type] - "text", "date" or "number"
+ * @param {{ dateFormat?: string, locale?: string, timezone?: string }} options - from designData.content
+ * @returns {string}
+ */
+export const formatMergeValue = (value, type, { dateFormat, locale, timezone } = {}) => formatField(value, type, {
+  dateFormat: dateFormat || DEFAULT_DATE_FORMAT,
+  locale,
+  timezone
+});
+
+// Field type for rendering: custom fields the design does not define still
+// print their value as text
+const getRenderType = (operand, options) => {
+  if (operand.kind !== "path") return null;
+  return getFieldType(operand.value, options.customFields) || (/^custom\.\w+$/.test(operand.value) ? "text" : null);
+};
+
+// A field's value as a filter argument, dates already in the design's format
+const resolveArgument = (operand, context, options) => {
+  const value = resolveOperand(operand, context);
+  return getRenderType(operand, options) === "date" ? formatField(value, "date", options) : value;
+};
+
+const renderNodes = (nodes, context, options) => nodes.map((node) => {
+  if (node.type === "text") return node.value;
+
+  if (node.type === "if" || node.type === "unless") {
+    const { left, operator, right } = node.condition;
+    const leftValue = resolveOperand(left, context);
+    let result = operator ? compareMergeValues(operator, leftValue, resolveOperand(right, context)) : isTruthy(leftValue);
+    if (node.type === "unless") result = !result;
+    return renderNodes(result ? node.then : node.otherwise, context, options);
+  }
+
+  const { value: operand, filters } = node;
+  const type = getRenderType(operand, options);
+
+  // Tokens that are not fields print as written, as before templating
+  if (operand.kind === "path" && !type) return node.raw;
+  if (filters.some(filter => !has(FILTERS, filter.name))) return node.raw;
+
+  let value = resolveOperand(operand, context);
+  if (isEmpty(value) && has(LEGACY_FIELDS, operand.value)) value = LEGACY_FIELDS[operand.value].fallback();
+  if (type === "number" && toNumber(value) !== null) value = toNumber(value);
+
+  // Dates print in the design's format unless a date filter formats them
+  if (!filters.some(filter => filter.name === "date")) value = formatField(value, type, options);
+
+  for (const filter of filters) {
+    const args = filter.args.map(arg => resolveArgument(arg, context, options));
+    value = FILTERS[filter.name].apply(value, args, options);
+  }
+  return toText(value);
+}).join("");
+
+/**
+ * Fill a template with a credential's values. Never throws: text that fails
+ * validation renders as well as it can, leaving unknown tags as written.
+ * @param {string} text
+ * @param {Object} participantData - flat participantData of the credential
+ * @param {{ dateFormat?: string, customFields?: Array<Object>, locale?: string, timezone?: string }} options - from designData.content
+ * @returns {string}
+ */
+export const renderTemplate = (text, participantData, { dateFormat, customFields, locale, timezone } = {}) => {
+  const source = String(text ?? "");
+  if (!source.includes("{{")) return source;
+
+  return renderNodes(parseTemplate(source).nodes, buildMergeContext(participantData), {
+    dateFormat: dateFormat || DEFAULT_DATE_FORMAT,
+    customFields: indexCustomFields(customFields),
+    locale,
+    timezone
+  });
+};
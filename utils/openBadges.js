@@ -0,0 +1,271 @@
+// utils/openBadges.js
+import crypto from "crypto";
+import {
+  getBaseUrl,
+  getIssuerDid,
+  getCredentialVcId,
+  VC_CONTEXT_V2
+} from "./verifiableCredential.js";
+
+/**
+ * Open Badges 3.0 (VC based) and 2.0 (hosted JSON-LD) representations of
+ * badge credentials and their templates.
+ */
+
+export const OB3_CONTEXT = "https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json";
+export const OB2_CONTEXT = "https://w3id.org/openbadges/v2";
+
+const badgesUrl = (path) => `${getBaseUrl()}/api/badges${path}`;
+
+export const getIssuerProfileUrl = (organizationId) => badgesUrl(`/issuers/${organizationId}`);
+export const getAchievementUrl = (templateId) => badgesUrl(`/achievements/${templateId}`);
+export const getBadgeClassUrl = (templateId) => badgesUrl(`/badgeclasses/${templateId}`);
+export const getAssertionUrl = (credentialId) => badgesUrl(`/assertions/${credentialId}`);
+export const getCredentialBadgeClassUrl = (credentialId) => badgesUrl(`/assertions/${credentialId}/badgeclass`);
+
+// Image URLs only; data: URIs are not dereferenceable by other platforms
+const publicImage = (url) => (url && !url.startsWith("data:") ? url : undefined);
+
+const clean = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Normalized achievement fields from a template, or from the credential
+ * itself for badges issued without a template.
+ */
+const describeAchievement = ({ template, credential, event }) => {
+  const badge = template?.badge || {};
+
+  return {
+    id: template ? getAchievementUrl(template._id) : `${getCredentialVcId(credential._id)}#achievement`,
+    name: template?.name || credential?.title,
+    description: template?.description || (event ? `Awarded for ${event.title}` : credential?.title),
+    criteriaNarrative: badge.criteria?.narrative ||
+      (event ? `Participated in and completed ${event.title}.` : "Awarded by the issuing organization."),
+    criteriaUrl: badge.criteria?.url,
+    image: publicImage(badge.image || credential?.downloadLink),
+    tags: template?.tags || [],
+    skills: badge.skills || [],
+    achievementType: badge.achievementType || "Badge"
+  };
+};
+
+// ---------------- Open Badges 3.0 ----------------
+
+export const buildIssuerProfile = (organizationId, organization) => {
+  return clean({
+    id: getIssuerDid(organizationId),
+    type: ["Profile"],
+    name: organization?.organization || "Sifapass Issuer",
+    url: organization?.website || undefined,
+    description: organization?.description || undefined,
+    image: publicImage(organization?.logo) ? { id: organization.logo, type: "Image" } : undefined
+  });
+};
+
+export const buildAchievement = ({ template, credential, event, organizationId, organization }) => {
+  const achievement = describeAchievement({ template, credential, event });
+
+  return clean({
+    id: achievement.id,
+    type: ["Achievement"],
+    achievementType: achievement.achievementType,
+    name: achievement.name,
+    description: achievement.description,
+    criteria: {
+      id: achievement.criteriaUrl,
+      narrative: achievement.criteriaNarrative
+    },
+    image: achievement.image ? { id: achievement.image, type: "Image" } : undefined,
+    tag: achievement.tags.length ? achievement.tags : undefined,
+    alignment: achievement.skills.length ? achievement.skills.map(skill => ({
+      type: ["Alignment"],
+      targetName: skill.name,
+      targetDescription: skill.description,
+      targetFramework: skill.framework,
+      targetCode: skill.targetCode,
+      targetUrl: skill.url || `${achievement.id}#skill-${encodeURIComponent(skill.name)}`
+    })) : undefined,
+    creator: organizationId ? buildIssuerProfile(organizationId, organization) : undefined
+  });
+};
+
+/**
+ * Unsigned OpenBadgeCredential for an issued badge credential
+ */
+export const buildOpenBadgeCredential = (credential, { template, event, organization, credentialStatus }) => {
+  const organizationId = credential.signedPayload?.issuer || String(credential.createdBy);
+  const participantId = credential.participantId?._id || credential.participantId;
+
+  const document = {
+    "@context": [VC_CONTEXT_V2, OB3_CONTEXT],
+    id: getCredentialVcId(credential._id),
+    type: ["VerifiableCredential", "OpenBadgeCredential"],
+    issuer: buildIssuerProfile(organizationId, organization),
+    name: credential.title,
+    validFrom: new Date(credential.issuedAt || credential.createdAt).toISOString(),
+    credentialSubject: {
+      id: `urn:sifapass:participant:${participantId}`,
+      type: ["AchievementSubject"],
+      name: credential.participantData?.name,
+      achievement: buildAchievement({ template, credential, event, organizationId, organization })
+    },
+    evidence: [{
+      id: `${getBaseUrl()}/verify/${credential.blockchainHash}`,
+      type: ["Evidence"],
+      name: event?.title
+    }],
+    credentialStatus
+  };
+
+  if (credential.expiresAt) {
+    document.validUntil = new Date(credential.expiresAt).toISOString();
+  }
+
+  return clean(document);
+};
+
+// ---------------- Open Badges 2.0 (hosted) ----------------
+
+export const buildOb2Issuer = (organizationId, organization) => {
+  return clean({
+    "@context": OB2_CONTEXT,
+    type: "Issuer",
+    id: getIssuerProfileUrl(organizationId),
+    name: organization?.organization || "Sifapass Issuer",
+    url: organization?.website || getBaseUrl(),
+    email: organization?.email,
+    description: organization?.description || undefined,
+    image: publicImage(organization?.logo)
+  });
+};
+
+export const buildOb2BadgeClass = ({ template, credential, event, organizationId }) => {
+  const achievement = describeAchievement({ template, credential, event });
+
+  return clean({
+    "@context": OB2_CONTEXT,
+    type: "BadgeClass",
+    id: template ? getBadgeClassUrl(template._id) : getCredentialBadgeClassUrl(credential._id),
+    name: achievement.name,
+    description: achievement.description,
+    image: achievement.image,
+    criteria: {
+      id: achievement.criteriaUrl,
+      narrative: achievement.criteriaNarrative
+    },
+    issuer: getIssuerProfileUrl(organizationId),
+    tags: achievement.tags,
+    alignment: achievement.skills.map(skill => ({
+      targetName: skill.name,
+      targetUrl: skill.url || `${achievement.id}#skill-${encodeURIComponent(skill.name)}`,
+      targetDescription: skill.description,
+      targetFramework: skill.framework,
+      targetCode: skill.targetCode
+    }))
+  });
+};
+
+/**
+ * Salted, hashed recipient identity as required by OB 2.0
+ */
+export const hashRecipientIdentity = (email, salt) => {
+  return `sha256$${crypto.createHash("sha256").update(`${String(email).toLowerCase()}${salt}`).digest("hex")}`;
+};
+
+export const buildOb2Assertion = (credential, { template, recipientEmail }) => {
+  const salt = crypto.createHash("sha256").update(String(credential._id)).digest("hex").slice(0, 16);
+
+  return clean({
+    "@context": OB2_CONTEXT,
+    type: "Assertion",
+    id: getAssertionUrl(credential._id),
+    recipient: recipientEmail ? {
+      type: "email",
+      hashed: true,
+      salt,
+      identity: hashRecipientIdentity(recipientEmail, salt)
+    } : undefined,
+    badge: template ? getBadgeClassUrl(template._id) : getCredentialBadgeClassUrl(credential._id),
+    verification: { type: "hosted" },
+    issuedOn: new Date(credential.issuedAt || credential.createdAt).toISOString(),
+    expires: credential.expiresAt ? new Date(credential.expiresAt).toISOString() : undefined,
+    image: publicImage(credential.exportLinks?.png || credential.downloadLink),
+    evidence: `${getBaseUrl()}/verify/${credential.blockchainHash}`
+  });
+};
+
+// ---------------- Import ----------------
+
+const asArray = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+const imageUrl = (image) => (typeof image === "string" ? image : image?.id);
+
+/**
+ * Detect and normalize an Open Badges 2.0 assertion or 3.0 credential into
+ * the fields stored in a participant's wallet. Throws on unrecognized input.
+ */
+export const normalizeImportedBadge = (json) => {
+  if (!json || typeof json !== "object") {
+    throw new Error("Badge JSON must be an object");
+  }
+
+  const types = asArray(json.type);
+
+  if (types.includes("OpenBadgeCredential") || types.includes("AchievementCredential")) {
+    const subject = Array.isArray(json.credentialSubject) ? json.credentialSubject[0] : json.credentialSubject;
+    const achievement = subject?.achievement;
+    if (!achievement) throw new Error("OpenBadgeCredential has no credentialSubject.achievement");
+
+    const issuer = typeof json.issuer === "string" ? { id: json.issuer } : json.issuer || {};
+
+    return {
+      format: "ob3",
+      sourceId: json.id || achievement.id,
+      name: achievement.name || json.name,
+      description: achievement.description,
+      image: imageUrl(achievement.image) || imageUrl(json.image),
+      criteria: achievement.criteria?.narrative || achievement.criteria?.id,
+      issuer: { id: issuer.id, name: issuer.name, url: issuer.url },
+      issuedOn: json.validFrom || json.issuanceDate,
+      expiresAt: json.validUntil || json.expirationDate,
+      recipient: { type: "id", identity: subject?.id },
+      hasProof: !!json.proof
+    };
+  }
+
+  if (types.includes("Assertion")) {
+    const badge = typeof json.badge === "object" ? json.badge : null;
+    const issuer = badge && typeof badge.issuer === "object" ? badge.issuer : { id: badge?.issuer };
+
+    return {
+      format: "ob2",
+      sourceId: json.id,
+      name: badge?.name,
+      description: badge?.description,
+      image: imageUrl(json.image) || imageUrl(badge?.image),
+      criteria: badge?.criteria?.narrative || (typeof badge?.criteria === "string" ? badge.criteria : badge?.criteria?.id),
+      issuer: { id: issuer?.id, name: issuer?.name, url: issuer?.url },
+      badgeClassUrl: badge ? badge.id : json.badge,
+      issuedOn: json.issuedOn,
+      expiresAt: json.expires,
+      recipient: json.recipient,
+      verification: json.verification
+    };
+  }
+
+  throw new Error("Unrecognized badge format: expected an OB 2.0 Assertion or OB 3.0 OpenBadgeCredential");
+};
+
+/**
+ * Check whether an OB recipient identity refers to the given email
+ */
+export const recipientMatchesEmail = (recipient, email) => {
+  if (!recipient || !email) return false;
+
+  const identity = String(recipient.identity || "");
+  if (recipient.hashed) {
+    return identity.toLowerCase() === hashRecipientIdentity(email, recipient.salt || "").toLowerCase();
+  }
+
+  return identity.replace(/^mailto:/i, "").toLowerCase() === String(email).toLowerCase();
+};
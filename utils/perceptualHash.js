@@ -0,0 +1,105 @@
+// utils/perceptualHash.js
+import sharp from "sharp";
+
+/**
+ * Perceptual image comparison used to detect edited credential images.
+ *
+ * Both images are normalized to the same dimensions first; regions are given
+ * in those reference coordinates. Two measures are combined:
+ *  - difference hash (dHash): robust to compression, scaling and colour shifts
+ *  - mean absolute difference of a small grayscale thumbnail: catches edits
+ *    that keep the overall gradient structure (e.g. one changed digit)
+ */
+
+const clampRegion = (region, width, height) => {
+  const left = Math.max(0, Math.floor(region.x));
+  const top = Math.max(0, Math.floor(region.y));
+  return {
+    left,
+    top,
+    width: Math.max(1, Math.min(width - left, Math.ceil(region.width))),
+    height: Math.max(1, Math.min(height - top, Math.ceil(region.height)))
+  };
+};
+
+const grayscalePixels = async (buffer, region, gridWidth, gridHeight, { width, height }) => {
+  let image = sharp(buffer).resize(width, height, { fit: "fill" });
+  if (region) {
+    // extract after resize requires a materialized buffer
+    image = sharp(await image.png().toBuffer()).extract(clampRegion(region, width, height));
+  }
+
+  return image
+    .grayscale()
+    .resize(gridWidth, gridHeight, { fit: "fill" })
+    .raw()
+    .toBuffer();
+};
+
+/**
+ * dHash bits as an array of 0/1, comparing each pixel with its right neighbour
+ */
+export const differenceHash = async (buffer, { region, size, hashWidth = 16, hashHeight = 8 }) => {
+  const pixels = await grayscalePixels(buffer, region, hashWidth + 1, hashHeight, size);
+  const bits = [];
+
+  for (let row = 0; row < hashHeight; row++) {
+    for (let col = 0; col < hashWidth; col++) {
+      const offset = row * (hashWidth + 1) + col;
+      bits.push(pixels[offset] > pixels[offset + 1] ? 1 : 0);
+    }
+  }
+
+  return bits;
+};
+
+export const hammingDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) distance++;
+  }
+  return distance;
+};
+
+const meanAbsoluteDifference = async (a, b, { region, size }) => {
+  const [pixelsA, pixelsB] = await Promise.all([
+    grayscalePixels(a, region, 64, 16, size),
+    grayscalePixels(b, region, 64, 16, size)
+  ]);
+
+  let total = 0;
+  for (let i = 0; i < pixelsA.length; i++) {
+    total += Math.abs(pixelsA[i] - pixelsB[i]);
+  }
+  return total / (pixelsA.length * 255);
+};
+
+/**
+ * Compare a region (or the whole image) of two images.
+ * Returns normalized distances in [0, 1] and whether they exceed the thresholds.
+ */
+export const compareImageRegion = async (candidate, reference, {
+  region,
+  size,
+  hashThreshold = 0.15,
+  pixelThreshold = 0.08
+}) => {
+  const [hashA, hashB] = await Promise.all([
+    differenceHash(candidate, { region, size }),
+    differenceHash(reference, { region, size })
+  ]);
+
+  const hashDistance = hammingDistance(hashA, hashB) / hashA.length;
+  const pixelDistance = await meanAbsoluteDifference(candidate, reference, { region, size });
+
+  return {
+    hashDistance: Number(hashDistance.toFixed(4)),
+    pixelDistance: Number(pixelDistance.toFixed(4)),
+    differs: hashDistance > hashThreshold || pixelDistance > pixelThreshold
+  };
+};
+
+export const getImageSize = async (buffer) => {
+  const { width, height } = await sharp(buffer).metadata();
+  return { width, height };
+};
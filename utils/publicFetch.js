@@ -0,0 +1,127 @@
+// utils/publicFetch.js
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import axios from "axios";
+
+/**
+ * Fetching URLs taken from user input (hosted badge assertions, webhooks).
+ *
+ * Only https URLs on public addresses are fetched (webhooks may also use
+ * http): the host is resolved
+ * first and refused when any address is private, loopback, link-local or
+ * otherwise not routable on the internet, and the connection is pinned to
+ * the address that was checked so a second DNS answer cannot swap it.
+ * Redirects are not followed and responses are capped in size.
+ */
+
+export const PUBLIC_FETCH_MAX_BYTES = 256 * 1024;
+const PUBLIC_FETCH_TIMEOUT_MS = 8000;
+
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8],
+  ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24],
+  ["192.168.0.0", 16], ["198.18.0.0", 15], ["198.51.100.0", 24], ["203.0.113.0", 24],
+  ["224.0.0.0", 4], ["240.0.0.0", 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv4"));
+[
+  // IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges
+  ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["100::", 64],
+  ["2001:db8::", 32], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv6"));
+
+export const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !blockedAddresses.check(address, family === 6 ? "ipv6" : "ipv4");
+};
+
+const refuse = (message) => Object.assign(new Error(message), { status: 400, refused: true });
+
+// Connect to the checked address only, whatever the resolver says next
+const createPinnedAgent = ({ url, address, family }) => {
+  const Agent = url.protocol === "https:" ? https.Agent : http.Agent;
+  return new Agent({
+    lookup: (hostname, options, callback) => (options?.all
+      ? callback(null, [{ address, family }])
+      : callback(null, address, family))
+  });
+};
+
+/**
+ * Check a URL may be fetched and resolve its host
+ * @param {string} value
+ * @param {{ allowHttp?: boolean }} options - allowHttp accepts http URLs as well as https
+ * @returns {Promise<{url: URL, address: string, family: number}>}
+ * @throws {Error} with `refused: true` when the URL is not allowed
+ */
+export const resolvePublicUrl = async (value, { allowHttp = false } = {}) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw refuse("Not a valid URL");
+  }
+  if (url.protocol !== "https:" && !(allowHttp && url.protocol === "http:")) {
+    throw refuse(allowHttp ? "Only http and https URLs are fetched" : "Only https URLs are fetched");
+  }
+  if (url.username || url.password) throw refuse("URLs with credentials are not fetched");
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname, family: net.isIP(hostname) }]
+    : await dns.promises.lookup(hostname, { all: true, verbatim: true }).catch(() => {
+      throw refuse(`Host ${hostname} could not be resolved`);
+    });
+
+  if (!addresses.length || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw refuse(`Host ${hostname} is not a public address`);
+  }
+  return { url, ...addresses[0] };
+};
+
+/**
+ * GET a JSON document from a public https URL
+ * @returns {Promise<{status: number, data: any}>} any status below 500
+ * @throws {Error} `refused: true` for URLs that are not fetched; otherwise network,
+ * redirect (3xx), size and 5xx errors
+ */
+export const fetchPublicJson = async (value, { maxBytes = PUBLIC_FETCH_MAX_BYTES } = {}) => {
+  const target = await resolvePublicUrl(value);
+
+  const response = await axios.get(target.url.href, {
+    httpsAgent: createPinnedAgent(target),
+    proxy: false,
+    maxRedirects: 0,
+    maxContentLength: maxBytes,
+    timeout: PUBLIC_FETCH_TIMEOUT_MS,
+    headers: { Accept: "application/ld+json, application/json" },
+    validateStatus: status => status < 300 || (status >= 400 && status < 500)
+  });
+  return { status: response.status, data: response.data };
+};
+
+/**
+ * POST a JSON body to a public http(s) URL (webhook deliveries), with the
+ * same address checks as fetchPublicJson. The response body is not returned.
+ * @returns {Promise<{status: number, statusText: string}>} 2xx responses only
+ * @throws {Error} `refused: true` for URLs that are not fetched; otherwise network,
+ * timeout, redirect and non-2xx errors
+ */
+export const postPublicJson = async (value, body, { headers = {}, timeout = PUBLIC_FETCH_TIMEOUT_MS } = {}) => {
+  const target = await resolvePublicUrl(value, { allowHttp: true });
+  const agent = createPinnedAgent(target);
+
+  const response = await axios.post(target.url.href, body, {
+    httpAgent: agent,
+    httpsAgent: agent,
+    proxy: false,
+    maxRedirects: 0,
+    maxContentLength: PUBLIC_FETCH_MAX_BYTES,
+    timeout,
+    headers
+  });
+  return { status: response.status, statusText: response.statusText };
+};
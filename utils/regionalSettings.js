@@ -0,0 +1,115 @@
+// utils/regionalSettings.js
+import { normalizeLocale } from "./designTranslations.js";
+
+/**
+ * Locale and time zone for the dates and numbers of a credential.
+ *
+ * Organizations, events and templates (designData.content) may each set a
+ * locale and a timezone. A credential takes each from the most specific level
+ * that has one when it is issued, and the result is written into its
+ * designData.content, so its text, verification page and emails print dates
+ * the same way wherever the server runs and however the settings change later.
+ */
+
+export const DEFAULT_LOCALE = "en-US";
+export const DEFAULT_TIMEZONE = "UTC";
+
+/**
+ * Canonical IANA time zone name ("africa/nairobi" -> "Africa/Nairobi"), or null
+ */
+export const normalizeTimeZone = (timezone) => {
+  if (typeof timezone !== "string" || !timezone.trim()) return null;
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: timezone.trim() }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+};
+
+const language = (locale) => locale.split("-")[0].toLowerCase();
+
+/**
+ * Locale and time zone to issue a credential with
+ * @param {string|null} textLocale - locale the credential's text is in, from
+ *   pickDesignLocale; null when the design names no language
+ * @param {Array<Object>} sources - objects with locale and timezone, most
+ *   specific first (template content, participant, event, organization);
+ *   empty entries are skipped
+ * @returns {{ locale: string, timezone: string }} the first locale in the
+ *   language of the text (so an English certificate is not given French
+ *   month names), else the text's own locale; the first valid time zone
+ */
+export const resolveRegionalSettings = (textLocale, sources = []) => {
+  const text = normalizeLocale(textLocale);
+  const locales = sources.map(source => normalizeLocale(source?.locale)).filter(Boolean);
+  const timezone = sources.map(source => normalizeTimeZone(source?.timezone)).find(Boolean);
+
+  return {
+    locale: (text ? locales.find(locale => language(locale) === language(text)) || text : locales[0]) || DEFAULT_LOCALE,
+    timezone: timezone || DEFAULT_TIMEZONE
+  };
+};
+
+/**
+ * The design with its regional settings fixed for issuance
+ */
+export const applyRegionalSettings = (designData, { locale, timezone }) => ({
+  ...designData,
+  content: { ...(designData?.content || {}), locale, timezone }
+});
+
+/**
+ * Regional settings of an issued credential. Credentials issued before they
+ * were recorded fall back to the organization's, kept to the credential's language.
+ * @param {Object} credential
+ * @param {Object} [organization] - the issuing Admin, with locale and timezone selected
+ */
+export const getCredentialRegionalSettings = (credential, organization) => {
+  const content = credential?.designData?.content || {};
+  return resolveRegionalSettings(credential?.locale, [content, organization]);
+};
+
+/**
+ * Check the locale and timezone of an organization, event or template
+ * @param {{ locale?: string, timezone?: string }} settings
+ * @param {string} [where] - prefix for the problems
+ * @returns {Array<string>} problems
+ */
+export const validateRegionalSettings = (settings, where) => {
+  const problems = [];
+  const prefix = where ? `${where}: ` : "";
+  if (settings?.locale !== undefined && settings.locale !== null && settings.locale !== "" && !normalizeLocale(settings.locale)) {
+    problems.push(`${prefix}locale "${settings.locale}" is not a valid language tag, like "en-KE" or "sw"`);
+  }
+  if (settings?.timezone !== undefined && settings.timezone !== null && settings.timezone !== "" && !normalizeTimeZone(settings.timezone)) {
+    problems.push(`${prefix}timezone "${settings.timezone}" is not an IANA time zone, like "Africa/Nairobi"`);
+  }
+  return problems;
+};
+
+// A date with no time of day (a "2026-10-19" string, or midnight UTC, as
+// date-only values are stored) is a calendar date and keeps its day in every
+// time zone
+const isCalendarDate = (date) => date.getUTCHours() === 0 && date.getUTCMinutes() === 0
+  && date.getUTCSeconds() === 0 && date.getUTCMilliseconds() === 0;
+
+/**
+ * Time zone to print a date in
+ */
+export const getDisplayTimeZone = (date, timezone) => (isCalendarDate(date) ? "UTC" : normalizeTimeZone(timezone) || DEFAULT_TIMEZONE);
+
+/**
+ * A date for verification pages and emails ("19 October 2026" in en-KE)
+ * @param {Date|string} value
+ * @param {{ locale?: string, timezone?: string }} settings - from getCredentialRegionalSettings
+ * @returns {string|null} null when the value is not a date
+ */
+export const formatDisplayDate = (value, { locale, timezone } = {}) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return new Intl.DateTimeFormat(normalizeLocale(locale) || DEFAULT_LOCALE, {
+    dateStyle: "long",
+    timeZone: getDisplayTimeZone(date, timezone)
+  }).format(date);
+};
@@ -0,0 +1,152 @@
+// utils/renderBackends/canvas.js
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createCanvas, loadImage, registerFont } from "canvas";
+import { getGenericFamily } from "../credentialScene.js";
+
+/**
+ * PNG and JPEG output for credential scenes, drawn with node-canvas.
+ */
+
+// node-canvas registers fonts from files, process-wide; faces are written
+// here once, named by their key
+const FONT_DIRECTORY = path.join(os.tmpdir(), "sifapass-fonts");
+const registeredFaces = new Set();
+
+// Must run before the canvas is created, or the canvas will not see the font
+const registerFaces = (scene) => {
+  for (const node of scene.nodes) {
+    const face = node.type === "text" ? node.font.face : null;
+    if (!face?.canvas || registeredFaces.has(face.key)) continue;
+
+    try {
+      const file = path.join(FONT_DIRECTORY, `${face.key}.${face.format}`);
+      if (!fs.existsSync(file)) {
+        fs.mkdirSync(FONT_DIRECTORY, { recursive: true });
+        fs.writeFileSync(file, face.data);
+      }
+      registerFont(file, { family: face.key });
+      registeredFaces.add(face.key);
+    } catch (error) {
+      console.error("Failed to register font with canvas:", face.family, error.message);
+    }
+  }
+};
+
+const toCanvasFont = ({ family, size, weight, style, face }) => (face && registeredFaces.has(face.key)
+  ? `${size}px "${face.key}"`
+  : `${style} ${weight} ${size}px "${family}", ${getGenericFamily(family)}`);
+
+const toStyle = (ctx, fill) => {
+  if (typeof fill === "string") return fill;
+  const gradient = ctx.createLinearGradient(fill.x1, fill.y1, fill.x2, fill.y2);
+  fill.stops.forEach(stop => gradient.addColorStop(stop.offset, stop.color));
+  return gradient;
+};
+
+// Fill then stroke the current path
+const applyPaint = (ctx, node) => {
+  if (node.fill) {
+    ctx.fillStyle = toStyle(ctx, node.fill);
+    ctx.fill();
+  }
+  if (node.stroke) {
+    ctx.strokeStyle = node.stroke;
+    ctx.lineWidth = node.strokeWidth || 1;
+    ctx.stroke();
+  }
+};
+
+const NODE_RENDERERS = {
+  rect: (ctx, node) => {
+    ctx.beginPath();
+    ctx.rect(node.x, node.y, node.width, node.height);
+    applyPaint(ctx, node);
+  },
+
+  ellipse: (ctx, node) => {
+    ctx.beginPath();
+    ctx.ellipse(node.cx, node.cy, node.rx, node.ry, 0, 0, 2 * Math.PI);
+    applyPaint(ctx, node);
+  },
+
+  polygon: (ctx, node) => {
+    ctx.beginPath();
+    node.points.forEach(([x, y], index) => (index ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+    ctx.closePath();
+    applyPaint(ctx, node);
+  },
+
+  line: (ctx, node) => {
+    ctx.beginPath();
+    ctx.moveTo(node.x1, node.y1);
+    ctx.lineTo(node.x2, node.y2);
+    ctx.strokeStyle = node.stroke;
+    ctx.lineWidth = node.strokeWidth || 1;
+    ctx.stroke();
+  },
+
+  image: async (ctx, node) => {
+    ctx.drawImage(await loadImage(node.data), node.x, node.y, node.width, node.height);
+  },
+
+  qr: (ctx, { x, y, size, modules }) => {
+    const cell = size / modules.size;
+    ctx.fillStyle = "#000000";
+    for (let row = 0; row < modules.size; row++) {
+      for (let col = 0; col < modules.size; col++) {
+        if (modules.data[row * modules.size + col]) ctx.fillRect(x + col * cell, y + row * cell, cell, cell);
+      }
+    }
+  },
+
+  text: (ctx, node) => {
+    ctx.font = toCanvasFont(node.font);
+    ctx.fillStyle = node.color;
+    ctx.textAlign = "left";
+    ctx.textBaseline = "alphabetic";
+    // Pango shapes each run; the run's direction sets its base direction
+    for (const line of node.lines) {
+      for (const run of line.runs) {
+        if (!run.text) continue;
+        ctx.direction = run.rtl ? "rtl" : "ltr";
+        if (line.condensed) ctx.fillText(run.text, run.x, line.y, run.width);
+        else ctx.fillText(run.text, run.x, line.y);
+      }
+    }
+  }
+};
+
+/**
+ * Render a scene to an image
+ * @param {Object} scene - from buildScene
+ * @param {{ format?: "png"|"jpeg", quality?: number }} options - quality (0-1) applies to JPEG
+ * @returns {Promise<Buffer>}
+ */
+export const renderCanvas = async (scene, { format = "png", quality = 0.9 } = {}) => {
+  registerFaces(scene);
+  const canvas = createCanvas(scene.width, scene.height);
+  const ctx = canvas.getContext("2d");
+  ctx.antialias = "subpixel";
+  ctx.quality = "best";
+
+  for (const node of scene.nodes) {
+    const render = NODE_RENDERERS[node.type];
+    if (!render) continue;
+
+    ctx.save();
+    if (node.opacity !== undefined) ctx.globalAlpha = node.opacity;
+    if (node.rotation) {
+      ctx.translate(node.origin.x, node.origin.y);
+      ctx.rotate(node.rotation * Math.PI / 180);
+      ctx.translate(-node.origin.x, -node.origin.y);
+    }
+    await render(ctx, node);
+    ctx.restore();
+  }
+
+  return format === "jpeg"
+    ? canvas.toBuffer("image/jpeg", { quality })
+    : canvas.toBuffer("image/png");
+};
@@ -0,0 +1,196 @@
+// utils/renderBackends/svg.js
+import { getGenericFamily } from "../credentialScene.js";
+
+/**
+ * SVG and HTML output for credential scenes. The HTML document embeds the
+ * SVG (one per page), so previews and browser-rendered exports draw exactly
+ * what the SVG does.
+ * Uploaded fonts travel inside the document as @font-face rules.
+ */
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&#39;");
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const attributes = (values) => Object.entries(values)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([name, value]) => `${name}="${escapeXml(typeof value === "number" ? round(value) : value)}"`)
+  .join(" ");
+
+const paint = (fill, defs) => {
+  if (!fill) return "none";
+  if (typeof fill === "string") return fill;
+
+  const id = `${defs.idPrefix || ""}gradient${defs.length}`;
+  const stops = fill.stops
+    .map(stop => `<stop ${attributes({ offset: stop.offset, "stop-color": stop.color })}/>`)
+    .join("");
+  defs.push(`<linearGradient ${attributes({ id, gradientUnits: "userSpaceOnUse", x1: fill.x1, y1: fill.y1, x2: fill.x2, y2: fill.y2 })}>${stops}</linearGradient>`);
+  return `url(#${id})`;
+};
+
+const strokeAttributes = (node) => (node.stroke
+  ? { stroke: node.stroke, "stroke-width": node.strokeWidth || 1 }
+  : {});
+
+// One path for all dark modules keeps large symbols compact
+const qrPath = ({ x, y, size, modules }) => {
+  const cell = size / modules.size;
+  let path = "";
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.data[row * modules.size + col]) {
+        path += `M${round(x + col * cell)} ${round(y + row * cell)}h${round(cell)}v${round(cell)}h${-round(cell)}z`;
+      }
+    }
+  }
+  return path;
+};
+
+// @font-face rules for the uploaded faces the scenes' text uses
+const fontFaceCss = (...scenes) => {
+  const faces = new Map();
+  for (const node of scenes.flatMap(scene => scene.nodes)) {
+    if (node.type === "text" && node.font.face) faces.set(node.font.face.key, node.font.face);
+  }
+  return [...faces.values()].map(face => `@font-face { font-family: '${face.key}'; `
+    + `src: url(data:${face.mimeType};base64,${face.data.toString("base64")}) format('${face.cssFormat}'); `
+    + `font-weight: ${face.weight}; font-style: ${face.style}; }`).join("\n");
+};
+
+const fontAttributes = ({ family, size, weight, style, face }) => ({
+  "font-family": face
+    ? `'${face.key}', '${family}', ${getGenericFamily(family)}`
+    : `'${family}', ${getGenericFamily(family)}`,
+  "font-size": size,
+  "font-weight": face ? face.weight : weight,
+  "font-style": face ? face.style : style
+});
+
+const NODE_RENDERERS = {
+  rect: (node, defs) => `<rect ${attributes({ x: node.x, y: node.y, width: node.width, height: node.height, fill: paint(node.fill, defs), ...strokeAttributes(node) })}/>`,
+
+  ellipse: (node, defs) => `<ellipse ${attributes({ cx: node.cx, cy: node.cy, rx: node.rx, ry: node.ry, fill: paint(node.fill, defs), ...strokeAttributes(node) })}/>`,
+
+  polygon: (node, defs) => `<polygon ${attributes({
+    points: node.points.map(([px, py]) => `${round(px)},${round(py)}`).join(" "),
+    fill: paint(node.fill, defs),
+    ...strokeAttributes(node)
+  })}/>`,
+
+  line: (node) => `<line ${attributes({ x1: node.x1, y1: node.y1, x2: node.x2, y2: node.y2, stroke: node.stroke, "stroke-width": node.strokeWidth })}/>`,
+
+  image: (node) => `<image ${attributes({
+    x: node.x,
+    y: node.y,
+    width: node.width,
+    height: node.height,
+    preserveAspectRatio: "none",
+    href: `data:image/${node.format};base64,${node.data.toString("base64")}`
+  })}/>`,
+
+  qr: (node) => `<path ${attributes({ d: qrPath(node), fill: "#000000", "shape-rendering": "crispEdges" })}/>`,
+
+  // A right-to-left run starts at its right edge
+  text: (node) => node.lines.flatMap(line => line.runs.filter(run => run.text).map(run => `<text ${attributes({
+    x: run.rtl ? run.x + run.width : run.x,
+    y: line.y,
+    ...fontAttributes(node.font),
+    fill: node.color,
+    direction: run.rtl ? "rtl" : undefined,
+    "unicode-bidi": run.rtl ? "embed" : undefined,
+    "xml:lang": node.lang,
+    "xml:space": "preserve",
+    textLength: line.condensed ? run.width : undefined,
+    lengthAdjust: line.condensed ? "spacingAndGlyphs" : undefined
+  })}>${escapeXml(run.text)}</text>`)).join("")
+};
+
+const renderNode = (node, defs) => {
+  const markup = NODE_RENDERERS[node.type]?.(node, defs) || "";
+  if (!markup || (node.opacity === undefined && !node.rotation)) return markup;
+
+  return `<g ${attributes({
+    opacity: node.opacity,
+    transform: node.rotation ? `rotate(${round(node.rotation)} ${round(node.origin.x)} ${round(node.origin.y)})` : undefined
+  })}>${markup}</g>`;
+};
+
+/**
+ * Render a scene as an SVG document
+ * @param {Object} scene - from buildScene
+ * @param {{ reference?: string, embedFonts?: boolean, idPrefix?: string }} options - credential
+ *   reference, written as the document title; embedFonts: false leaves @font-face rules to the
+ *   enclosing document; idPrefix keeps element ids apart when one document holds several SVGs
+ * @returns {string}
+ */
+export const renderSvg = (scene, { reference, embedFonts = true, idPrefix = "" } = {}) => {
+  const defs = Object.assign([], { idPrefix });
+  const body = scene.nodes.map(node => renderNode(node, defs)).join("");
+  const fontCss = embedFonts ? fontFaceCss(scene) : "";
+  if (fontCss) defs.unshift(`<style>${escapeXml(fontCss)}</style>`);
+
+  return `<svg ${attributes({
+    xmlns: "http://www.w3.org/2000/svg",
+    width: scene.width,
+    height: scene.height,
+    viewBox: `0 0 ${scene.width} ${scene.height}`
+  })}>${reference ? `<title>${escapeXml(reference)}</title>` : ""}${defs.length ? `<defs>${defs.join("")}</defs>` : ""}${body}</svg>`;
+};
+
+/**
+ * Render a scene as a standalone HTML page sized to the design, for previews
+ * and browser-rendered exports
+ * @returns {string}
+ */
+export const renderHtml = (scene, { reference } = {}) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+${reference ? `<title>${escapeXml(reference)}</title>` : ""}
+<style>
+${fontFaceCss(scene)}
+html, body { margin: 0; padding: 0; }
+body { width: ${scene.width}px; height: ${scene.height}px; overflow: hidden; }
+svg { display: block; }
+</style>
+</head>
+<body>${renderSvg(scene, { embedFonts: false })}</body>
+</html>`;
+
+/**
+ * Render scenes as one HTML document with a page each, for previews and
+ * browser-rendered PDFs, which print every page on a sheet of its own size
+ * @param {Array<Object>} scenes - from buildScenes
+ * @returns {string}
+ */
+export const renderHtmlPages = (scenes, { reference } = {}) => {
+  if (scenes.length === 1) return renderHtml(scenes[0], { reference });
+
+  const pageCss = scenes.map((scene, index) => `@page page${index + 1} { size: ${scene.width}px ${scene.height}px; margin: 0; }\n`
+    + `.page${index + 1} { page: page${index + 1}; width: ${scene.width}px; height: ${scene.height}px; }`).join("\n");
+  const pages = scenes.map((scene, index) => `<div class="page page${index + 1}">`
+    + `${renderSvg(scene, { embedFonts: false, idPrefix: `page${index + 1}-` })}</div>`).join("\n");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+${reference ? `<title>${escapeXml(reference)}</title>` : ""}
+<style>
+${fontFaceCss(...scenes)}
+${pageCss}
+html, body { margin: 0; padding: 0; }
+.page { overflow: hidden; break-after: page; }
+.page:last-child { break-after: auto; }
+svg { display: block; }
+</style>
+</head>
+<body>${pages}</body>
+</html>`;
+};
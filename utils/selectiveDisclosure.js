@@ -0,0 +1,257 @@
+// utils/selectiveDisclosure.js
+import crypto from "crypto";
+import Credential from "../models/Credentials.js";
+import { canonicalize, signCompactJws, verifyCompactJws } from "./credentialSigning.js";
+import { buildVerificationKeySet } from "./compactCredential.js";
+import { evaluateCredential } from "./credentialVerification.js";
+
+/**
+ * Selective disclosure of credential fields, SD-JWT style (RFC 9901).
+ *
+ * The issuer signs a JWT holding only salted SHA-256 digests of each
+ * recipient field. Every field has a disclosure ([salt, name, value],
+ * base64url) kept server-side; a presentation is the signed JWT plus the
+ * disclosures the holder chose:
+ *
+ *   <issuer-signed JWT>~<disclosure>~<disclosure>~
+ *
+ * A verifier recomputes each digest and finds it in the signed _sd list, so
+ * the revealed fields are proven issued while the rest stay hidden.
+ */
+
+export const SD_JWT_TYPE = "vc+sd-jwt";
+const SD_ALG = "sha-256";
+
+// Revealed when the participant does not pick fields
+export const DEFAULT_DISCLOSED_FIELDS = ["name", "eventTitle"];
+
+// participantData entries that are plumbing, not facts about the recipient
+const INTERNAL_FIELDS = new Set(["verificationUrl", "blockchainHash", "qrPayload", "participantEmail"]);
+
+const FIELD_LABELS = {
+  name: "Recipient",
+  eventTitle: "Event",
+  eventDate: "Event date",
+  issueDate: "Issue date",
+  email: "Email",
+  skills: "Skills",
+  grade: "Grade"
+};
+
+export const getClaimLabel = (name) => FIELD_LABELS[name]
+  || name.replace(/[_-]+/g, " ").replace(/([a-z])([A-Z])/g, "$1 $2").replace(/^./, char => char.toUpperCase());
+
+/**
+ * Recipient fields that can be disclosed one by one
+ */
+export const getDisclosableClaims = (credential) => {
+  const participantData = credential.participantData || {};
+  const claims = {};
+
+  for (const [name, value] of Object.entries(participantData)) {
+    if (INTERNAL_FIELDS.has(name) || value === undefined || value === null || value === "") continue;
+    claims[name] = value;
+  }
+
+  // The signed recipient name and event title win over editable participantData
+  if (credential.signedPayload?.subject?.name) claims.name = credential.signedPayload.subject.name;
+  if (credential.signedPayload?.event?.title) claims.eventTitle = credential.signedPayload.event.title;
+  if (!claims.email && participantData.participantEmail) claims.email = participantData.participantEmail;
+
+  return claims;
+};
+
+const digest = (disclosure) => crypto.createHash("sha256").update(disclosure, "ascii").digest("base64url");
+
+export const createDisclosure = (name, value) => {
+  const disclosure = Buffer.from(JSON.stringify([crypto.randomBytes(16).toString("base64url"), name, value]))
+    .toString("base64url");
+  return { name, disclosure, digest: digest(disclosure) };
+};
+
+export const decodeDisclosure = (disclosure) => {
+  const decoded = JSON.parse(Buffer.from(disclosure, "base64url").toString("utf8"));
+  if (!Array.isArray(decoded) || decoded.length !== 3 || typeof decoded[1] !== "string") {
+    throw new Error("Malformed disclosure");
+  }
+  return { salt: decoded[0], name: decoded[1], value: decoded[2] };
+};
+
+const claimsDigest = (claims) => crypto.createHash("sha256").update(canonicalize(claims)).digest("hex");
+
+/**
+ * Issuer-signed SD-JWT over all disclosable fields of a credential. Its jti
+ * is an opaque id kept for the credential's lifetime, never the credential
+ * id, so a presentation cannot be used to look up the full record.
+ * @returns {{ jwt: string, jti: string, disclosures: string[], claimsDigest: string, issuedAt: Date }}
+ */
+export const issueSdJwt = async (credential) => {
+  const payload = credential.signedPayload;
+  if (!payload) {
+    throw new Error("Only signed credentials support selective disclosure");
+  }
+
+  const claims = getDisclosableClaims(credential);
+  const disclosures = Object.entries(claims).map(([name, value]) => createDisclosure(name, value));
+  const jti = credential.sdJwt?.jti || `urn:uuid:${crypto.randomUUID()}`;
+
+  const { jws: jwt } = await signCompactJws(payload.issuer, {
+    iss: payload.issuer,
+    jti,
+    title: payload.title,
+    type: payload.type,
+    iat: Math.floor(new Date(payload.issuedAt).getTime() / 1000),
+    exp: payload.expiresAt ? Math.floor(new Date(payload.expiresAt).getTime() / 1000) : undefined,
+    // Sorted so digest order says nothing about which field is which
+    _sd: disclosures.map(entry => entry.digest).sort(),
+    _sd_alg: SD_ALG
+  }, { typ: SD_JWT_TYPE });
+
+  return {
+    jwt,
+    jti,
+    disclosures: disclosures.map(entry => entry.disclosure),
+    claimsDigest: claimsDigest(claims),
+    issuedAt: new Date()
+  };
+};
+
+/**
+ * The credential's stored SD-JWT, re-issued when its fields changed since
+ * @param {Object} credential - loaded with +sdJwt
+ */
+export const getCredentialSdJwt = async (credential) => {
+  const current = claimsDigest(getDisclosableClaims(credential));
+  // SD-JWTs from before opaque ids carry the credential id and are replaced
+  if (credential.sdJwt?.jwt && credential.sdJwt.jti && credential.sdJwt.claimsDigest === current) {
+    return credential.sdJwt;
+  }
+
+  const sdJwt = await issueSdJwt(credential);
+  await Credential.updateOne({ _id: credential._id }, { sdJwt });
+  return sdJwt;
+};
+
+/**
+ * Presentation revealing only the named fields
+ * @throws when a requested field is not disclosable
+ */
+export const buildPresentation = (sdJwt, fields) => {
+  const byName = new Map(sdJwt.disclosures.map(disclosure => [decodeDisclosure(disclosure).name, disclosure]));
+
+  const unknown = fields.filter(field => !byName.has(field));
+  if (unknown.length) {
+    throw Object.assign(new Error(`Fields cannot be disclosed: ${unknown.join(", ")}`), { status: 400 });
+  }
+
+  const selected = [...new Set(fields)].map(field => byName.get(field));
+  return `${sdJwt.jwt}~${selected.map(disclosure => `${disclosure}~`).join("")}`;
+};
+
+/**
+ * Verify a presentation against issuer keys (see verifyCompactJws). Returns
+ * only the disclosed fields.
+ * @param {string} presentation
+ * @param {Array|Object} keySet
+ * @param {{ now?: Date }} options
+ */
+export const verifyPresentation = (presentation, keySet, { now = new Date() } = {}) => {
+  const [jwt, ...rest] = String(presentation).split("~");
+  // A trailing key-binding JWT is not used; the last element is empty
+  const disclosures = rest.filter(Boolean);
+
+  const { valid, reason, header, payload } = verifyCompactJws(jwt, keySet);
+  if (!payload) return { valid: false, status: "invalid", reason };
+
+  const result = (status, failure, extra = {}) => ({
+    valid: status === "valid",
+    status,
+    reason: failure,
+    kid: header.kid,
+    issuer: payload.iss,
+    credential: {
+      id: payload.jti,
+      title: payload.title,
+      type: payload.type,
+      issuedAt: payload.iat ? new Date(payload.iat * 1000) : null,
+      expiresAt: payload.exp ? new Date(payload.exp * 1000) : null
+    },
+    ...extra
+  });
+
+  if (reason === "unknown_key") return result("inconclusive", reason);
+  if (!valid) return result("invalid", reason);
+  if (header.typ !== SD_JWT_TYPE || payload._sd_alg !== SD_ALG || !Array.isArray(payload._sd)) {
+    return result("invalid", "not_sd_jwt");
+  }
+
+  const signedDigests = new Set(payload._sd);
+  const disclosed = {};
+  for (const disclosure of disclosures) {
+    let decoded;
+    try {
+      decoded = decodeDisclosure(disclosure);
+    } catch {
+      return result("invalid", "malformed_disclosure");
+    }
+    if (!signedDigests.has(digest(disclosure))) {
+      return result("invalid", "undisclosed_digest");
+    }
+    if (Object.hasOwn(disclosed, decoded.name)) {
+      return result("invalid", "duplicate_disclosure");
+    }
+    disclosed[decoded.name] = decoded.value;
+  }
+
+  const expired = payload.exp && payload.exp * 1000 <= now.getTime();
+  return result(expired ? "expired" : "valid", null, { disclosed });
+};
+
+/**
+ * Presentation of the chosen fields from the credential's current SD-JWT
+ * @param {Object} credential - loaded with +sdJwt
+ * @returns {Promise<{ presentation: string, disclosedFields: string[] }>}
+ */
+export const presentCredential = async (credential, fields) => {
+  const sdJwt = await getCredentialSdJwt(credential);
+
+  return {
+    presentation: buildPresentation(sdJwt, fields),
+    disclosedFields: [...new Set(fields)]
+  };
+};
+
+// Presentations made before opaque ids name the credential id itself
+const findPresentedCredential = (jti) => {
+  if (typeof jti !== "string") return null;
+  return /^[a-f0-9]{24}$/i.test(jti) ? Credential.findById(jti) : Credential.findOne({ "sdJwt.jti": jti });
+};
+
+/**
+ * Verify a presentation with the issuer keys on record, then add the
+ * credential's current status (revocation, suspension, expiry)
+ * @returns {{ status: string, presentation: Object, current: Object|null, credential: Object|null }}
+ */
+export const checkPresentation = async (presentation) => {
+  let kid = null;
+  try {
+    kid = JSON.parse(Buffer.from(String(presentation).split(".")[0], "base64url").toString("utf8")).kid;
+  } catch {
+    // Reported as malformed by verifyPresentation
+  }
+
+  const keySet = kid ? await buildVerificationKeySet({ kid: String(kid) }) : { keys: [] };
+  const verified = verifyPresentation(presentation, keySet);
+
+  const credential = verified.valid || verified.status === "expired"
+    ? await findPresentedCredential(verified.credential.id)
+    : null;
+  const current = credential ? await evaluateCredential(credential) : null;
+
+  return {
+    status: verified.valid && current ? current.status : verified.status,
+    presentation: verified,
+    current,
+    credential
+  };
+};
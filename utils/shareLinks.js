@@ -0,0 +1,223 @@
+// utils/shareLinks.js
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import ShareLink from "../models/ShareLink.js";
+import ShareLinkAccess from "../models/ShareLinkAccess.js";
+import { DEFAULT_DISCLOSED_FIELDS, presentCredential } from "./selectiveDisclosure.js";
+import { classifyUserAgent, getRequestCountry } from "./verificationTracking.js";
+import { getShareLinkUrl } from "./verificationPage.js";
+
+/**
+ * Share links: named links to a credential with optional expiry, passcode,
+ * view limit and allowed referring domains. Every attempt to open one is
+ * recorded, whether it was allowed or not.
+ */
+
+// Wrong passcodes allowed before the link locks (the owner can create a new one)
+export const MAX_PASSCODE_ATTEMPTS = 10;
+
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)(\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)+$/;
+
+const optionError = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Validate share link options from a request body
+ * @throws {Error} with status 400
+ */
+export const parseShareLinkOptions = (body = {}, now = new Date()) => {
+  const { name, expiresAt, passcode, maxViews, allowedDomains = [], disclose = DEFAULT_DISCLOSED_FIELDS } = body;
+
+  if (!Array.isArray(disclose) || disclose.some(field => typeof field !== "string")) {
+    throw optionError("disclose must be an array of field names");
+  }
+
+  let expiry = null;
+  if (expiresAt) {
+    expiry = new Date(expiresAt);
+    if (Number.isNaN(expiry.getTime())) throw optionError("expiresAt must be a valid date");
+    if (expiry <= now) throw optionError("expiresAt must be in the future");
+  }
+
+  if (passcode !== undefined && passcode !== null && passcode !== "") {
+    if (typeof passcode !== "string" || passcode.length < 4 || passcode.length > 64) {
+      throw optionError("passcode must be 4 to 64 characters");
+    }
+  }
+
+  if (maxViews !== undefined && maxViews !== null && maxViews !== "") {
+    if (!Number.isInteger(Number(maxViews)) || Number(maxViews) < 1) {
+      throw optionError("maxViews must be a positive integer");
+    }
+  }
+
+  if (!Array.isArray(allowedDomains)) throw optionError("allowedDomains must be an array of hostnames");
+  const domains = [...new Set(allowedDomains.map(domain => String(domain).trim().toLowerCase().replace(/^\*\./, "")))];
+  const invalid = domains.filter(domain => !HOSTNAME_PATTERN.test(domain));
+  if (invalid.length) throw optionError(`Invalid domains: ${invalid.join(", ")}`);
+
+  return {
+    name: name ? String(name).trim().slice(0, 100) : undefined,
+    expiresAt: expiry,
+    passcode: passcode || null,
+    maxViews: maxViews ? Number(maxViews) : null,
+    allowedDomains: domains,
+    disclose
+  };
+};
+
+/**
+ * Create a share link for a credential
+ * @param {Object} credential - loaded with +sdJwt
+ * @param {{ createdByType: string, createdBy: string, sharedWith?: string, message?: string }} owner
+ * @param {Object} options - from parseShareLinkOptions
+ */
+export const createShareLink = async (credential, owner, options) => {
+  const { presentation, disclosedFields } = await presentCredential(credential, options.disclose);
+
+  return ShareLink.create({
+    token: crypto.randomBytes(24).toString("base64url"),
+    credentialId: credential._id,
+    name: options.name,
+    createdByType: owner.createdByType,
+    createdBy: owner.createdBy,
+    disclosedFields,
+    presentation,
+    sharedWith: owner.sharedWith,
+    message: owner.message,
+    expiresAt: options.expiresAt,
+    passcodeHash: options.passcode ? await bcrypt.hash(options.passcode, 10) : undefined,
+    maxViews: options.maxViews,
+    allowedDomains: options.allowedDomains
+  });
+};
+
+/**
+ * Share link as shown to its owner (never the passcode hash)
+ */
+export const toShareLinkSummary = (link) => {
+  const now = new Date();
+  let state = "active";
+  if (link.revokedAt) state = "revoked";
+  else if (link.expiresAt && link.expiresAt <= now) state = "expired";
+  else if (link.maxViews && link.viewCount >= link.maxViews) state = "view_limit_reached";
+  else if (link.failedPasscodeAttempts >= MAX_PASSCODE_ATTEMPTS) state = "locked";
+
+  return {
+    id: link._id,
+    name: link.name || null,
+    url: getShareLinkUrl(link.token),
+    state,
+    createdByType: link.createdByType,
+    disclosedFields: link.disclosedFields,
+    sharedWith: link.sharedWith || null,
+    expiresAt: link.expiresAt || null,
+    hasPasscode: Boolean(link.passcodeHash),
+    maxViews: link.maxViews || null,
+    viewCount: link.viewCount,
+    allowedDomains: link.allowedDomains,
+    lastAccessedAt: link.lastAccessedAt || null,
+    revokedAt: link.revokedAt || null,
+    createdAt: link.createdAt
+  };
+};
+
+/**
+ * Host the request came from, per Origin or Referer
+ */
+export const getRequestDomain = (req) => {
+  const source = req.get?.("origin") || req.get?.("referer");
+  if (!source) return null;
+  try {
+    return new URL(source).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+};
+
+export const isDomainAllowed = (domain, allowedDomains) => {
+  if (!allowedDomains?.length) return true;
+  if (!domain) return false;
+  return allowedDomains.some(allowed => domain === allowed || domain.endsWith(`.${allowed}`));
+};
+
+const recordAccess = async (req, link, outcome) => {
+  try {
+    await ShareLinkAccess.create({
+      shareLinkId: link._id,
+      credentialId: link.credentialId,
+      outcome,
+      domain: getRequestDomain(req),
+      userAgentClass: classifyUserAgent(req.get?.("user-agent")),
+      country: getRequestCountry(req)
+    });
+  } catch (error) {
+    console.error("Failed to record share link access:", error);
+  }
+};
+
+const decideAccess = async (req, link, passcode) => {
+  const now = new Date();
+
+  if (link.revokedAt) return "revoked";
+  if (link.expiresAt && link.expiresAt <= now) return "expired";
+  if (classifyUserAgent(req.get?.("user-agent")) === "bot") return "bot_preview";
+  if (!isDomainAllowed(getRequestDomain(req), link.allowedDomains)) return "domain_not_allowed";
+  if (link.failedPasscodeAttempts >= MAX_PASSCODE_ATTEMPTS) return "locked";
+
+  if (link.passcodeHash) {
+    if (!passcode) return "passcode_required";
+
+    // Claim the attempt before comparing, so parallel guesses cannot pass the limit
+    const claimed = await ShareLink.findOneAndUpdate(
+      { _id: link._id, failedPasscodeAttempts: { $lt: MAX_PASSCODE_ATTEMPTS } },
+      { $inc: { failedPasscodeAttempts: 1 } }
+    );
+    if (!claimed) return "locked";
+
+    if (!(await bcrypt.compare(String(passcode), link.passcodeHash))) return "passcode_incorrect";
+    // The right passcode gives its attempt back
+    await ShareLink.updateOne({ _id: link._id }, { $inc: { failedPasscodeAttempts: -1 } });
+  }
+
+  // Count the view only while under the limit, atomically
+  const viewFilter = link.maxViews ? { $expr: { $lt: ["$viewCount", "$maxViews"] } } : {};
+  const counted = await ShareLink.findOneAndUpdate(
+    { _id: link._id, revokedAt: null, ...viewFilter },
+    { $inc: { viewCount: 1 }, lastAccessedAt: now },
+    { new: true }
+  );
+  if (!counted) return link.maxViews ? "view_limit_reached" : "revoked";
+
+  return "granted";
+};
+
+/**
+ * Apply a link's controls to a request and count the view when allowed.
+ * Every attempt is recorded.
+ * @param {Object} link - loaded with +passcodeHash
+ * @param {string|undefined} passcode - supplied by the viewer
+ * @returns {Promise<string>} access outcome ("granted" or the reason it was refused)
+ */
+export const openShareLink = async (req, link, passcode) => {
+  const outcome = await decideAccess(req, link, passcode);
+  await recordAccess(req, link, outcome);
+  return outcome;
+};
+
+/**
+ * Revoke a link; revoked links stop opening immediately
+ */
+export const revokeShareLink = async (linkId, credentialId) => {
+  return ShareLink.findOneAndUpdate(
+    { _id: linkId, credentialId, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  ).select("+passcodeHash");
+};
+
+export const getShareLinkAccesses = async (link, { limit = 100 } = {}) => {
+  return ShareLinkAccess.find({ shareLinkId: link._id })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .select("outcome domain userAgentClass country timestamp");
+};
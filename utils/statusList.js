@@ -0,0 +1,248 @@
+// utils/statusList.js
+import crypto from "crypto";
+import zlib from "zlib";
+import StatusList from "../models/StatusList.js";
+import Credential from "../models/Credentials.js";
+import { getBaseUrl, getIssuerDid, VC_CONTEXT_V2 } from "./verifiableCredential.js";
+
+/**
+ * W3C Bitstring Status List revocation and suspension.
+ *
+ * Each credential is assigned an index in one of its issuer's status lists.
+ * The list is published twice, once per status purpose, as a signed
+ * BitstringStatusListCredential whose encodedList is the GZIP-compressed
+ * bitstring (multibase base64url). Verifiers fetch the whole list and read
+ * the bit locally, so we never learn which credential they are checking.
+ * Indexes are handed out in a random order within each list, so a
+ * credential's index says nothing about when it was issued or about its
+ * neighbours.
+ */
+
+export const STATUS_PURPOSES = ["revocation", "suspension"];
+
+// How long verifiers may cache a published list (milliseconds)
+export const STATUS_LIST_TTL = 5 * 60 * 1000;
+
+const indexField = (purpose) => (purpose === "suspension" ? "suspendedIndexes" : "revokedIndexes");
+
+export const getStatusListUrl = (organizationId, listNumber, purpose) => {
+  return `${getBaseUrl()}/api/status-lists/${organizationId}/${listNumber}/${purpose}`;
+};
+
+// ---------------- Bitstring encoding ----------------
+
+// Index 0 is the left-most (most significant) bit of the first byte
+export const encodeStatusBitstring = (size, setIndexes) => {
+  const bits = Buffer.alloc(Math.ceil(size / 8));
+  for (const index of setIndexes) {
+    if (index >= 0 && index < size) {
+      bits[index >> 3] |= 0x80 >> (index % 8);
+    }
+  }
+  return `u${zlib.gzipSync(bits).toString("base64url")}`;
+};
+
+export const decodeStatusBitstring = (encodedList) => {
+  if (typeof encodedList !== "string" || !encodedList.startsWith("u")) {
+    throw new Error("encodedList must be multibase base64url");
+  }
+  return zlib.gunzipSync(Buffer.from(encodedList.slice(1), "base64url"));
+};
+
+export const readStatusBit = (bits, index) => {
+  if (index < 0 || index >= bits.length * 8) throw new Error(`Status index ${index} is out of range`);
+  return (bits[index >> 3] & (0x80 >> (index % 8))) !== 0;
+};
+
+// ---------------- Allocation ----------------
+
+/**
+ * The position-th index of a list in its random order: a Feistel permutation
+ * of [0, size) keyed by the list's seed (cycle-walking past size), so every
+ * position maps to a different index without storing which ones are taken.
+ */
+export const permuteStatusIndex = (position, size, seed) => {
+  const halfBits = Math.ceil(Math.ceil(Math.log2(size)) / 2);
+  const mask = (1 << halfBits) - 1;
+  const roundKey = (value, round) => crypto.createHmac("sha256", seed)
+    .update(`${round}:${value}`)
+    .digest()
+    .readUInt32BE(0) & mask;
+
+  let value = position;
+  do {
+    let left = value >>> halfBits;
+    let right = value & mask;
+    for (let round = 0; round < 4; round++) {
+      [left, right] = [right, left ^ roundKey(right, round)];
+    }
+    value = left * (mask + 1) + right;
+  } while (value >= size);
+
+  return value;
+};
+
+/**
+ * Reserve the next free index in the organization's current status list,
+ * opening a new list when the current one is full.
+ */
+export const allocateStatusListEntry = async (organizationId) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const list = await StatusList.findOneAndUpdate(
+      { organizationId, $expr: { $lt: ["$nextIndex", "$size"] } },
+      { $inc: { nextIndex: 1 } },
+      { sort: { listNumber: -1 } }
+    );
+    if (list) {
+      // Lists opened before random allocation keep handing out indexes in order
+      const index = list.seed ? permuteStatusIndex(list.nextIndex, list.size, list.seed) : list.nextIndex;
+      return { listNumber: list.listNumber, index };
+    }
+
+    const latest = await StatusList.findOne({ organizationId }).sort({ listNumber: -1 }).select("listNumber");
+    try {
+      await StatusList.create({
+        organizationId,
+        listNumber: latest ? latest.listNumber + 1 : 1,
+        seed: crypto.randomBytes(32).toString("hex")
+      });
+    } catch (error) {
+      // Another request opened the list first; allocate from it
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error("Could not allocate a status list index");
+};
+
+/**
+ * Status list entry for a credential, allocating one for credentials issued
+ * before status lists existed.
+ */
+export const ensureStatusListEntry = async (credential) => {
+  if (credential.statusListEntry?.listNumber) return credential.statusListEntry;
+
+  const organizationId = credential.signedPayload?.issuer || credential.createdBy;
+  const entry = await allocateStatusListEntry(organizationId);
+  await Credential.updateOne({ _id: credential._id }, { $set: { statusListEntry: entry } });
+  credential.statusListEntry = entry;
+
+  return entry;
+};
+
+// ---------------- Status changes ----------------
+
+/**
+ * Set or clear a credential's bit in the revocation or suspension list
+ */
+export const setCredentialStatusFlag = async (credential, purpose, value) => {
+  if (!STATUS_PURPOSES.includes(purpose)) throw new Error(`Unknown status purpose "${purpose}"`);
+
+  const { listNumber, index } = await ensureStatusListEntry(credential);
+  const organizationId = credential.signedPayload?.issuer || credential.createdBy;
+  const field = indexField(purpose);
+
+  await StatusList.updateOne(
+    { organizationId, listNumber },
+    value ? { $addToSet: { [field]: index } } : { $pull: { [field]: index } }
+  );
+};
+
+/**
+ * Current revocation / suspension bits for a stored credential, or null when
+ * it has no status list entry.
+ */
+export const getCredentialStatusFlags = async (credential) => {
+  const entry = credential.statusListEntry;
+  if (!entry?.listNumber) return null;
+
+  const organizationId = credential.signedPayload?.issuer || credential.createdBy;
+  const list = await StatusList.findOne({ organizationId, listNumber: entry.listNumber })
+    .select("revokedIndexes suspendedIndexes");
+  if (!list) return null;
+
+  return {
+    listNumber: entry.listNumber,
+    index: entry.index,
+    revoked: list.revokedIndexes.includes(entry.index),
+    suspended: list.suspendedIndexes.includes(entry.index)
+  };
+};
+
+// ---------------- Publication ----------------
+
+/**
+ * credentialStatus entries to embed in a credential's VC export
+ */
+export const buildCredentialStatusEntries = (credential) => {
+  const entry = credential.statusListEntry;
+  if (!entry?.listNumber) return undefined;
+
+  const organizationId = credential.signedPayload?.issuer || String(credential.createdBy);
+
+  return STATUS_PURPOSES.map(purpose => {
+    const listUrl = getStatusListUrl(organizationId, entry.listNumber, purpose);
+    return {
+      id: `${listUrl}#${entry.index}`,
+      type: "BitstringStatusListEntry",
+      statusPurpose: purpose,
+      statusListIndex: String(entry.index),
+      statusListCredential: listUrl
+    };
+  });
+};
+
+/**
+ * Unsigned BitstringStatusListCredential for one list and purpose
+ */
+export const buildStatusListCredential = (list, purpose) => {
+  const url = getStatusListUrl(list.organizationId, list.listNumber, purpose);
+  const now = new Date();
+
+  return {
+    "@context": [VC_CONTEXT_V2],
+    id: url,
+    type: ["VerifiableCredential", "BitstringStatusListCredential"],
+    issuer: getIssuerDid(list.organizationId),
+    validFrom: now.toISOString(),
+    validUntil: new Date(now.getTime() + 24 * 60 * 60 * 1000).toISOString(),
+    credentialSubject: {
+      id: `${url}#list`,
+      type: "BitstringStatusList",
+      statusPurpose: purpose,
+      encodedList: encodeStatusBitstring(list.size, list[indexField(purpose)]),
+      ttl: STATUS_LIST_TTL
+    }
+  };
+};
+
+// ---------------- Checking embedded entries ----------------
+
+const STATUS_LIST_PATH = /\/api\/status-lists\/([a-f0-9]{24})\/(\d+)\/(revocation|suspension)$/;
+
+/**
+ * Check the credentialStatus entries of a VC against our own status lists.
+ * Entries pointing at other issuers' lists are reported as unchecked.
+ */
+export const checkCredentialStatusEntries = async (credentialStatus) => {
+  const entries = Array.isArray(credentialStatus) ? credentialStatus : credentialStatus ? [credentialStatus] : [];
+  const prefix = `${getBaseUrl()}/api/status-lists/`;
+
+  return Promise.all(entries
+    .filter(entry => entry?.type === "BitstringStatusListEntry")
+    .map(async (entry) => {
+      const result = { purpose: entry.statusPurpose, index: Number(entry.statusListIndex), set: null };
+      const match = typeof entry.statusListCredential === "string" &&
+        entry.statusListCredential.startsWith(prefix) &&
+        entry.statusListCredential.match(STATUS_LIST_PATH);
+
+      if (!match) return { ...result, error: "Status list is not hosted by this service" };
+      if (match[3] !== entry.statusPurpose) return { ...result, error: "statusPurpose does not match the list" };
+
+      const list = await StatusList.findOne({ organizationId: match[1], listNumber: Number(match[2]) })
+        .select(indexField(entry.statusPurpose));
+      if (!list) return { ...result, error: "Status list not found" };
+
+      return { ...result, set: list[indexField(entry.statusPurpose)].includes(result.index) };
+    }));
+};
@@ -0,0 +1,110 @@
+// utils/textDirection.js
+import bidiFactory from "bidi-js";
+
+/**
+ * Bidirectional text for the credential scene.
+ *
+ * Text stays in logical order everywhere but here. Each laid-out line is split
+ * into directional runs with the Unicode Bidirectional Algorithm and the runs
+ * are placed left to right in visual order. Backends draw each run on its own
+ * with its direction, leaving glyph shaping and ordering within a run to
+ * their shaping engine (fontkit in PDFKit, Pango in node-canvas, the browser
+ * for SVG/HTML), so every backend puts the same words in the same places.
+ */
+
+const bidi = bidiFactory();
+
+export const TEXT_DIRECTIONS = ["auto", "ltr", "rtl"];
+
+// ISO 15924 scripts written right to left
+const RTL_SCRIPTS = ["Arab", "Hebr", "Syrc", "Thaa", "Nkoo", "Samr", "Mand", "Adlm", "Rohg"];
+
+// Languages whose usual script is written right to left
+const RTL_LANGUAGES = ["ar", "he", "iw", "fa", "ur", "ps", "sd", "ug", "yi", "dv", "ckb", "ks"];
+
+const RTL_CHARACTERS = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF\u{10800}-\u{10FFF}\u{1E800}-\u{1EFFF}]/u;
+
+export const hasRtlText = (text) => RTL_CHARACTERS.test(text);
+
+// "arab" -> "Arab"
+export const normalizeScript = (script) => (/^[A-Za-z]{4}$/.test(String(script || ""))
+  ? script[0].toUpperCase() + script.slice(1).toLowerCase()
+  : null);
+
+// The script subtag of a language tag, as in "ha-Arab"
+const getLanguageScript = (lang) => normalizeScript(String(lang || "").split(/[-_]/).slice(1).find(tag => tag.length === 4));
+
+const isRtlLanguage = ({ script, lang }) => {
+  const hinted = normalizeScript(script) || getLanguageScript(lang);
+  if (hinted) return RTL_SCRIPTS.includes(hinted);
+  return RTL_LANGUAGES.includes(String(lang || "").split(/[-_]/)[0].toLowerCase());
+};
+
+/**
+ * Base direction of a text element: its direction setting, else that of the
+ * first strong character of its text (like dir="auto"), else that of its
+ * script or language
+ * @param {string} text
+ * @param {{ direction?: string, script?: string, lang?: string }} element
+ * @returns {"ltr"|"rtl"}
+ */
+export const resolveDirection = (text, { direction, script, lang } = {}) => {
+  if (direction === "ltr" || direction === "rtl") return direction;
+  for (const char of String(text || "")) {
+    const type = bidi.getBidiCharTypeName(char);
+    if (type === "L") return "ltr";
+    if (type === "R" || type === "AL") return "rtl";
+  }
+  return isRtlLanguage({ script, lang }) ? "rtl" : "ltr";
+};
+
+// Runs of equal embedding level, reordered visually (rule L2 of the algorithm)
+const toVisualRuns = (levels, length) => {
+  const runs = [];
+  for (let index = 0; index < length; index++) {
+    const last = runs[runs.length - 1];
+    if (last && last.level === levels[index]) last.end = index + 1;
+    else runs.push({ start: index, end: index + 1, level: levels[index] });
+  }
+
+  const highest = Math.max(...runs.map(run => run.level));
+  const lowestOdd = Math.min(...runs.map(run => (run.level % 2 ? run.level : Infinity)));
+  for (let level = highest; level >= lowestOdd; level--) {
+    for (let index = 0; index < runs.length;) {
+      if (runs[index].level < level) {
+        index++;
+        continue;
+      }
+      let end = index;
+      while (end < runs.length && runs[end].level >= level) end++;
+      runs.splice(index, end - index, ...runs.slice(index, end).reverse());
+      index = end;
+    }
+  }
+  return runs;
+};
+
+/**
+ * A line of text split into directional runs, in visual order from the left
+ * @param {string} text - one line, in logical order
+ * @param {"ltr"|"rtl"} [direction] - base direction, from resolveDirection
+ * @returns {Array<{ text: string, rtl: boolean }>} each run's text in logical
+ *   order, to be drawn right to left when rtl. A right-to-left run with no
+ *   right-to-left letters (punctuation between runs) comes back reversed and
+ *   mirrored as a left-to-right run, since shapers choose the direction of a
+ *   run from its letters.
+ */
+export const getBidiRuns = (text, direction) => {
+  if (!text || (direction !== "rtl" && !hasRtlText(text))) return [{ text: text || "", rtl: false }];
+
+  const { levels } = bidi.getEmbeddingLevels(text, direction);
+  return toVisualRuns(levels, text.length).map(({ start, end, level }) => {
+    const run = text.slice(start, end);
+    if (level % 2 === 0) return { text: run, rtl: false };
+    if (hasRtlText(run)) return { text: run, rtl: true };
+    return {
+      text: Array.from(run).reverse().map(char => bidi.getMirroredCharacter(char) || char).join(""),
+      rtl: false
+    };
+  });
+};
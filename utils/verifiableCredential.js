@@ -0,0 +1,316 @@
+// utils/verifiableCredential.js
+import crypto from "crypto";
+import SigningKey from "../models/SigningKey.js";
+import { canonicalize, getActiveSigningKey, signBytes, verifyBytes } from "./credentialSigning.js";
+
+/**
+ * W3C Verifiable Credentials 2.0 export.
+ *
+ * Issuers are identified with did:web (https://<host>/issuers/<orgId>/did.json)
+ * and credentials are secured with a Data Integrity proof using the
+ * eddsa-jcs-2022 cryptosuite, signed by the organization's Ed25519 key.
+ */
+
+export const VC_CONTEXT_V2 = "https://www.w3.org/ns/credentials/v2";
+export const CRYPTOSUITE = "eddsa-jcs-2022";
+
+// participantData keys that are rendering/verification plumbing, not subject claims
+const INTERNAL_PARTICIPANT_FIELDS = [
+  "verificationUrl",
+  "blockchainHash",
+  "participantEmail",
+  "qrPayload"
+];
+
+export const getBaseUrl = () => {
+  return (process.env.BASE_URL || "https://sifapass.onrender.com").replace(/\/$/, "");
+};
+
+// ---------------- base58btc / multibase ----------------
+
+const BASE58_ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+export const base58Encode = (buffer) => {
+  const bytes = [...buffer];
+  const digits = [];
+
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+
+  let leadingZeros = "";
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    leadingZeros += BASE58_ALPHABET[0];
+  }
+
+  return leadingZeros + digits.reverse().map(d => BASE58_ALPHABET[d]).join("");
+};
+
+export const base58Decode = (text) => {
+  const bytes = [];
+
+  for (const char of text) {
+    const value = BASE58_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error(`Invalid base58 character "${char}"`);
+
+    let carry = value;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  let leadingZeros = 0;
+  for (const char of text) {
+    if (char !== BASE58_ALPHABET[0]) break;
+    leadingZeros++;
+  }
+
+  return Buffer.from([...new Array(leadingZeros).fill(0), ...bytes.reverse()]);
+};
+
+// ---------------- DIDs ----------------
+
+const getDidWebHost = () => {
+  const host = process.env.DID_WEB_HOST || new URL(getBaseUrl()).host;
+  // did:web encodes the port separator as %3A
+  return host.replace(":", "%3A");
+};
+
+export const getIssuerDid = (organizationId) => {
+  return `did:web:${getDidWebHost()}:issuers:${organizationId}`;
+};
+
+export const getVerificationMethodId = (organizationId, kid) => {
+  return `${getIssuerDid(organizationId)}#${kid}`;
+};
+
+// Ed25519 public key as Multikey: multibase(base58btc, 0xed01 || raw key)
+export const toPublicKeyMultibase = (publicKeyPem) => {
+  const jwk = crypto.createPublicKey(publicKeyPem).export({ format: "jwk" });
+  const raw = Buffer.from(jwk.x, "base64url");
+  return `z${base58Encode(Buffer.concat([Buffer.from([0xed, 0x01]), raw]))}`;
+};
+
+/**
+ * Build the did:web document for an issuing organization
+ */
+export const buildIssuerDidDocument = (organizationId, signingKeys) => {
+  const did = getIssuerDid(organizationId);
+  const usableKeys = signingKeys.filter(key => key.status !== "revoked");
+
+  return {
+    "@context": [
+      "https://www.w3.org/ns/did/v1",
+      "https://w3id.org/security/multikey/v1"
+    ],
+    id: did,
+    verificationMethod: usableKeys.map(key => ({
+      id: `${did}#${key.kid}`,
+      type: "Multikey",
+      controller: did,
+      publicKeyMultibase: toPublicKeyMultibase(key.publicKeyPem)
+    })),
+    assertionMethod: usableKeys.map(key => `${did}#${key.kid}`)
+  };
+};
+
+// ---------------- Credential export ----------------
+
+export const getCredentialVcId = (credentialId) => {
+  return `${getBaseUrl()}/api/credentials/${credentialId}/vc`;
+};
+
+/**
+ * Build the unsigned VC document for a stored credential.
+ *
+ * Only the issuer and the holder get every participantData claim
+ * (allClaims); anyone else gets the recipient name and event title the
+ * issuer signed, as the public verification page shows them.
+ */
+export const buildVerifiableCredential = (credential, { organization, event, types = [], contexts = [], credentialStatus, allClaims = false } = {}) => {
+  const organizationId = credential.signedPayload?.issuer || String(credential.createdBy);
+  const participantData = credential.participantData || {};
+
+  const claims = {};
+  if (allClaims) {
+    Object.entries(participantData).forEach(([key, value]) => {
+      if (!INTERNAL_PARTICIPANT_FIELDS.includes(key) && value !== undefined && value !== null && value !== "") {
+        claims[key] = value;
+      }
+    });
+  } else {
+    claims.name = credential.signedPayload?.subject?.name || undefined;
+  }
+
+  const eventClaims = event ? {
+    id: `urn:sifapass:event:${event._id}`,
+    title: allClaims ? event.title : credential.signedPayload?.event?.title || undefined,
+    ...(allClaims ? { startDate: event.startDate, endDate: event.endDate, location: event.location } : {})
+  } : undefined;
+
+  const vc = {
+    "@context": [VC_CONTEXT_V2, ...contexts],
+    id: getCredentialVcId(credential._id),
+    type: ["VerifiableCredential", ...types],
+    issuer: {
+      id: getIssuerDid(organizationId),
+      name: organization?.organization || undefined,
+      url: organization?.website || undefined,
+      image: organization?.logo && !organization.logo.startsWith("data:") ? organization.logo : undefined
+    },
+    name: credential.title,
+    validFrom: new Date(credential.issuedAt || credential.createdAt).toISOString(),
+    credentialSubject: {
+      id: `urn:sifapass:participant:${credential.participantId?._id || credential.participantId}`,
+      type: credential.type,
+      ...claims,
+      event: eventClaims
+    },
+    evidence: [{
+      id: `${getBaseUrl()}/verify/${credential.blockchainHash}`,
+      type: ["Evidence"],
+      blockchainHash: credential.blockchainHash
+    }],
+    credentialStatus
+  };
+
+  if (credential.expiresAt) {
+    vc.validUntil = new Date(credential.expiresAt).toISOString();
+  }
+
+  return JSON.parse(JSON.stringify(vc));
+};
+
+// ---------------- Data Integrity (eddsa-jcs-2022) ----------------
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest();
+
+const proofHashData = (proofConfig, unsecuredDocument) => {
+  return Buffer.concat([
+    sha256(canonicalize(proofConfig)),
+    sha256(canonicalize(unsecuredDocument))
+  ]);
+};
+
+/**
+ * Add a DataIntegrityProof signed by the organization's active key
+ */
+export const signDocument = async (document, organizationId, proofPurpose = "assertionMethod") => {
+  const { proof, ...unsecured } = document;
+
+  const { kid } = await getActiveSigningKey(organizationId);
+
+  const proofConfig = {
+    "@context": unsecured["@context"],
+    type: "DataIntegrityProof",
+    cryptosuite: CRYPTOSUITE,
+    created: new Date().toISOString(),
+    verificationMethod: getVerificationMethodId(organizationId, kid),
+    proofPurpose
+  };
+
+  const { signature } = await signBytes(organizationId, proofHashData(proofConfig, unsecured));
+  const { "@context": context, ...proofFields } = proofConfig;
+
+  return {
+    ...unsecured,
+    proof: {
+      ...proofFields,
+      proofValue: `z${base58Encode(signature)}`
+    }
+  };
+};
+
+/**
+ * Verify a Data Integrity secured document against our issuer keys.
+ * Purely local: no network fetches, keys come from our own key store.
+ */
+export const verifyDocument = async (document) => {
+  const errors = [];
+
+  if (!document || typeof document !== "object") {
+    return { verified: false, errors: ["Document must be a JSON object"] };
+  }
+
+  const { proof, ...unsecured } = document;
+  const proofs = Array.isArray(proof) ? proof : [proof];
+  const primary = proofs[0];
+
+  if (!primary) {
+    return { verified: false, errors: ["Document has no proof"] };
+  }
+  if (primary.type !== "DataIntegrityProof" || primary.cryptosuite !== CRYPTOSUITE) {
+    return { verified: false, errors: [`Unsupported proof type ${primary.type}/${primary.cryptosuite}`] };
+  }
+  if (typeof primary.proofValue !== "string" || !primary.proofValue.startsWith("z")) {
+    return { verified: false, errors: ["proofValue must be base58btc multibase"] };
+  }
+
+  const [controllerDid, kid] = String(primary.verificationMethod || "").split("#");
+  if (!kid) {
+    return { verified: false, errors: ["verificationMethod must reference a key fragment"] };
+  }
+
+  const signingKey = await SigningKey.findOne({ kid });
+  if (!signingKey) {
+    return { verified: false, errors: [`Unknown verification method ${primary.verificationMethod}`] };
+  }
+
+  const expectedDid = getIssuerDid(signingKey.organizationId);
+  if (controllerDid !== expectedDid) {
+    errors.push("verificationMethod is not controlled by the key's issuing organization");
+  }
+
+  const issuerId = typeof unsecured.issuer === "string" ? unsecured.issuer : unsecured.issuer?.id;
+  if (issuerId && issuerId !== expectedDid && primary.proofPurpose === "assertionMethod") {
+    errors.push("issuer does not match the proof's verification method");
+  }
+
+  const { proofValue, ...proofFields } = primary;
+  const proofConfig = { "@context": unsecured["@context"], ...proofFields };
+
+  let signatureBytes;
+  try {
+    signatureBytes = base58Decode(proofValue.slice(1));
+  } catch (error) {
+    return { verified: false, errors: [`Malformed proofValue: ${error.message}`] };
+  }
+
+  const result = await verifyBytes(kid, proofHashData(proofConfig, unsecured), signatureBytes);
+  if (!result.valid) {
+    errors.push(result.reason === "key_revoked" ? "Signing key has been revoked" : "Signature is invalid");
+  }
+
+  const now = new Date();
+  if (unsecured.validFrom && new Date(unsecured.validFrom) > now) {
+    errors.push("Credential is not yet valid");
+  }
+  if (unsecured.validUntil && new Date(unsecured.validUntil) < now) {
+    errors.push("Credential has expired");
+  }
+
+  return {
+    verified: errors.length === 0,
+    errors,
+    issuer: expectedDid,
+    organizationId: signingKey.organizationId,
+    kid,
+    keyStatus: signingKey.status
+  };
+};
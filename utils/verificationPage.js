@@ -0,0 +1,350 @@
+// utils/verificationPage.js
+import { getBaseUrl } from "./verifiableCredential.js";
+import { formatDisplayDate } from "./regionalSettings.js";
+
+/**
+ * Server-rendered public verification page for /verify/:hash.
+ *
+ * The page is self-contained (inline CSS, no scripts) so it renders even when
+ * the frontend is down, and carries OpenGraph / Twitter meta so shared links
+ * preview with the credential's verdict.
+ */
+
+export const getVerificationPageUrl = (blockchainHash) => `${getBaseUrl()}/verify/${blockchainHash}`;
+
+// Share links get their own page that shows only the fields the holder disclosed
+export const getShareLinkUrl = (token) => `${getBaseUrl()}/verify/shared/${token}`;
+
+// QR codes tag the link so scans can be told apart from clicked links
+export const getVerificationQrUrl = (blockchainHash) => `${getVerificationPageUrl(blockchainHash)}?src=qr`;
+
+const STATUS_DISPLAY = {
+  valid: { label: "Verified", summary: "This credential is authentic and currently valid.", tone: "success" },
+  revoked: { label: "Revoked", summary: "This credential was revoked by its issuer and is no longer valid.", tone: "danger" },
+  suspended: { label: "Suspended", summary: "This credential is temporarily suspended by its issuer.", tone: "warning" },
+  superseded: { label: "Superseded", summary: "This credential was replaced by an amended version from its issuer.", tone: "warning" },
+  expired: { label: "Expired", summary: "This credential was authentic but has passed its expiry date.", tone: "warning" },
+  invalid: { label: "Not verified", summary: "The issuer's signature on this credential could not be verified.", tone: "danger" }
+};
+
+const TONE_COLORS = {
+  success: { background: "#e7f6ec", border: "#1e7b3a", text: "#14532d" },
+  warning: { background: "#fff6e0", border: "#a15c00", text: "#663c00" },
+  danger: { background: "#fdecec", border: "#b42318", text: "#7a1a12" },
+  neutral: { background: "#eef1f5", border: "#475467", text: "#1d2939" }
+};
+
+export const getStatusDisplay = (status) => {
+  return STATUS_DISPLAY[status] || {
+    label: "Not valid",
+    summary: `This credential is in the "${status}" state and is not currently valid.`,
+    tone: "neutral"
+  };
+};
+
+export const escapeHtml = (value) => String(value ?? "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&#39;");
+
+const metaTags = (tags) => tags
+  .filter(([, content]) => content)
+  .map(([property, content]) => {
+    const attribute = property.startsWith("og:") ? "property" : "name";
+    return `<meta ${attribute}="${property}" content="${escapeHtml(content)}">`;
+  })
+  .join("\n    ");
+
+const detailRow = (label, value, { isoDate } = {}) => {
+  if (!value) return "";
+  const content = isoDate
+    ? `<time datetime="${escapeHtml(new Date(isoDate).toISOString())}">${escapeHtml(value)}</time>`
+    : escapeHtml(value);
+  return `<div class="row"><dt>${escapeHtml(label)}</dt><dd>${content}</dd></div>`;
+};
+
+const STYLES = `
+    *{box-sizing:border-box}
+    body{margin:0;font-family:system-ui,-apple-system,"Segoe UI",Roboto,Arial,sans-serif;background:#f5f7fa;color:#1d2939;line-height:1.5}
+    main{max-width:640px;margin:0 auto;padding:32px 16px}
+    .card{background:#fff;border:1px solid #d0d5dd;border-radius:12px;padding:24px}
+    header.issuer{display:flex;align-items:center;gap:16px;margin-bottom:24px}
+    header.issuer img{max-height:56px;max-width:160px;object-fit:contain}
+    header.issuer p{margin:0;color:#475467;font-size:.875rem}
+    header.issuer h2{margin:0;font-size:1.125rem}
+    h1{font-size:1.5rem;margin:0 0 16px}
+    .status{border-left:6px solid;border-radius:8px;padding:16px;margin-bottom:24px}
+    .status strong{display:block;font-size:1.25rem}
+    .status p{margin:4px 0 0}
+    dl{margin:0}
+    .row{display:flex;flex-wrap:wrap;gap:4px 16px;padding:10px 0;border-top:1px solid #eaecf0}
+    dt{flex:0 0 150px;font-weight:600;color:#475467}
+    dd{margin:0;flex:1 1 240px;overflow-wrap:anywhere}
+    .hash{font-family:ui-monospace,Menlo,Consolas,monospace;font-size:.8125rem}
+    .preview{width:100%;height:auto;border-radius:8px;border:1px solid #eaecf0;margin-top:24px}
+    nav ul{list-style:none;padding:0;margin:24px 0 0;display:flex;flex-wrap:wrap;gap:8px 16px}
+    a{color:#1849a9}
+    a:focus-visible{outline:3px solid #1849a9;outline-offset:2px}
+    footer{margin-top:24px;color:#475467;font-size:.8125rem;text-align:center}
+    form label{display:block;font-weight:600;margin-bottom:8px}
+    form input{width:100%;padding:10px 12px;border:1px solid #98a2b3;border-radius:8px;font-size:1rem}
+    form button{margin-top:12px;padding:10px 20px;border:0;border-radius:8px;background:#1849a9;color:#fff;font-size:1rem;cursor:pointer}
+    form button:focus-visible,form input:focus-visible{outline:3px solid #1849a9;outline-offset:2px}`;
+
+const renderDocument = ({ title, description, meta, body }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(title)}</title>
+    <meta name="description" content="${escapeHtml(description)}">
+    ${meta}
+    <style>${STYLES}
+    </style>
+</head>
+<body>
+    <main>
+${body}
+        <footer>Verified by Sifapass</footer>
+    </main>
+</body>
+</html>`;
+
+/**
+ * Verification page for a credential
+ * @param {Object} view - see buildVerificationView in the controller
+ */
+export const renderVerificationPage = (view) => {
+  const display = getStatusDisplay(view.status);
+  const colors = TONE_COLORS[display.tone];
+  const issuerName = view.issuer.name || "Unknown issuer";
+
+  const title = `${display.label}: ${view.title}`;
+  const description = [
+    view.recipientName ? `${view.title} awarded to ${view.recipientName}` : view.title,
+    `issued by ${issuerName}.`,
+    display.summary
+  ].join(" ");
+
+  const meta = metaTags([
+    ["og:type", "website"],
+    ["og:site_name", "Sifapass"],
+    ["og:title", title],
+    ["og:description", description],
+    ["og:url", view.pageUrl],
+    ["og:image", view.imageUrl],
+    ["twitter:card", view.imageUrl ? "summary_large_image" : "summary"],
+    ["twitter:title", title],
+    ["twitter:description", description],
+    ["twitter:image", view.imageUrl]
+  ]);
+
+  const logo = view.issuer.logo
+    ? `<img src="${escapeHtml(view.issuer.logo)}" alt="${escapeHtml(issuerName)} logo">`
+    : "";
+
+  const reason = view.statusReason;
+  const revocation = reason
+    ? detailRow(view.status === "revoked" ? "Revoked on" : "Suspended on", formatDisplayDate(reason.date, view.regional), { isoDate: reason.date }) +
+      detailRow("Reason", [reason.label, reason.note].filter(Boolean).join(": ") || "No reason given")
+    : "";
+
+  const links = [
+    ["Download Verifiable Credential (JSON)", view.links.verifiableCredential],
+    ["Ledger inclusion proof", view.links.ledgerProof],
+    view.links.renewedCredential ? ["Renewed credential", view.links.renewedCredential] : null,
+    view.links.previousCredential ? ["Previous credential", view.links.previousCredential] : null,
+    view.links.newerVersion ? ["Amended version", view.links.newerVersion] : null,
+    view.links.previousVersion ? ["Previous version", view.links.previousVersion] : null,
+    view.issuer.website ? [`About ${issuerName}`, view.issuer.website] : null
+  ].filter(Boolean);
+
+  const body = `        <article class="card" aria-labelledby="credential-title">
+            <header class="issuer">
+                ${logo}
+                <div>
+                    <p>Issued by</p>
+                    <h2>${escapeHtml(issuerName)}</h2>
+                </div>
+            </header>
+
+            <h1 id="credential-title">${escapeHtml(view.title)}</h1>
+
+            <section class="status" role="status" style="background:${colors.background};border-color:${colors.border};color:${colors.text}">
+                <strong>${escapeHtml(display.label)}</strong>
+                <p>${escapeHtml(display.summary)}</p>
+            </section>
+
+            <dl>
+                ${detailRow("Recipient", view.recipientName)}
+                ${detailRow("Event", view.eventTitle)}
+                ${detailRow("Credential type", view.type)}
+                ${detailRow("Issued on", formatDisplayDate(view.issuedAt, view.regional), { isoDate: view.issuedAt })}
+                ${detailRow(view.status === "expired" ? "Expired on" : "Expires on", formatDisplayDate(view.expiresAt, view.regional), { isoDate: view.expiresAt })}
+                ${revocation}
+                <div class="row"><dt>Credential hash</dt><dd class="hash">${escapeHtml(view.hash)}</dd></div>
+            </dl>
+
+            ${view.imageUrl ? `<img class="preview" src="${escapeHtml(view.imageUrl)}" alt="Image of the credential ${escapeHtml(view.title)}">` : ""}
+
+            <nav aria-label="Verification resources">
+                <ul>
+                    ${links.map(([label, href]) => `<li><a href="${escapeHtml(href)}">${escapeHtml(label)}</a></li>`).join("\n                    ")}
+                </ul>
+            </nav>
+        </article>`;
+
+  return renderDocument({ title, description, meta, body });
+};
+
+/**
+ * Page for a selective-disclosure presentation: only the fields the holder
+ * shared, no hash or links that would lead to the full credential
+ * @param {Object} view - see buildPresentationView in the controller
+ */
+export const renderPresentationPage = (view) => {
+  const display = getStatusDisplay(view.status);
+  const colors = TONE_COLORS[display.tone];
+  const issuerName = view.issuer.name || "Unknown issuer";
+  const title = `${display.label}: ${view.title}`;
+  const description = `${view.title} issued by ${issuerName}. ${display.summary}`;
+
+  const logo = view.issuer.logo
+    ? `<img src="${escapeHtml(view.issuer.logo)}" alt="${escapeHtml(issuerName)} logo">`
+    : "";
+
+  const fields = view.fields
+    .map(({ label, value }) => detailRow(label, typeof value === "string" ? value : JSON.stringify(value)))
+    .join("\n                ");
+
+  const body = `        <article class="card" aria-labelledby="credential-title">
+            <header class="issuer">
+                ${logo}
+                <div>
+                    <p>Issued by</p>
+                    <h2>${escapeHtml(issuerName)}</h2>
+                </div>
+            </header>
+
+            <h1 id="credential-title">${escapeHtml(view.title)}</h1>
+
+            <section class="status" role="status" style="background:${colors.background};border-color:${colors.border};color:${colors.text}">
+                <strong>${escapeHtml(display.label)}</strong>
+                <p>${escapeHtml(display.summary)}</p>
+            </section>
+
+            <dl>
+                ${detailRow("Credential type", view.type)}
+                ${detailRow("Issued on", formatDisplayDate(view.issuedAt, view.regional), { isoDate: view.issuedAt })}
+                ${detailRow(view.status === "expired" ? "Expired on" : "Expires on", formatDisplayDate(view.expiresAt, view.regional), { isoDate: view.expiresAt })}
+                ${fields}
+            </dl>
+
+            <p>The holder chose which details to share. Each detail shown is covered by ${escapeHtml(issuerName)}'s signature; other details of this credential are not revealed.</p>
+        </article>`;
+
+  return renderDocument({
+    title,
+    description,
+    meta: metaTags([["og:title", title], ["og:description", description], ["robots", "noindex"]]),
+    body
+  });
+};
+
+const SHARE_LINK_UNAVAILABLE = {
+  revoked: "The holder has revoked this share link.",
+  expired: "This share link has expired.",
+  view_limit_reached: "This share link has reached its maximum number of views.",
+  locked: "This share link is locked after too many incorrect passcodes.",
+  domain_not_allowed: "This share link can only be opened from the sites its holder allowed."
+};
+
+/**
+ * Shown when a share link exists but its controls refuse access
+ */
+export const renderShareLinkUnavailablePage = (reason) => {
+  const title = "Share link unavailable";
+  const description = SHARE_LINK_UNAVAILABLE[reason] || "This share link cannot be opened.";
+  const colors = TONE_COLORS.neutral;
+
+  const body = `        <article class="card" aria-labelledby="credential-title">
+            <h1 id="credential-title">${title}</h1>
+            <section class="status" role="status" style="background:${colors.background};border-color:${colors.border};color:${colors.text}">
+                <strong>Not available</strong>
+                <p>${escapeHtml(description)} Ask the holder for a new link.</p>
+            </section>
+        </article>`;
+
+  return renderDocument({ title, description, meta: metaTags([["robots", "noindex"]]), body });
+};
+
+/**
+ * Passcode prompt for protected share links; posts back to the same URL
+ */
+export const renderSharePasscodePage = ({ incorrect = false } = {}) => {
+  const title = "Passcode required";
+  const description = "The holder protected this credential with a passcode.";
+
+  const error = incorrect
+    ? `<p id="passcode-error" role="alert" style="color:${TONE_COLORS.danger.text}">Incorrect passcode. Please try again.</p>`
+    : "";
+
+  const body = `        <article class="card" aria-labelledby="credential-title">
+            <h1 id="credential-title">${title}</h1>
+            <p>${description} Enter it to view the shared details.</p>
+            ${error}
+            <form method="post">
+                <label for="passcode">Passcode</label>
+                <input id="passcode" name="passcode" type="password" autocomplete="off" required${incorrect ? ' aria-describedby="passcode-error"' : ""}>
+                <button type="submit">View credential</button>
+            </form>
+        </article>`;
+
+  return renderDocument({ title, description, meta: metaTags([["robots", "noindex"]]), body });
+};
+
+/**
+ * Neutral page for link-preview bots: no credential details, no view counted
+ */
+export const renderSharePreviewPage = () => {
+  const title = "Shared credential";
+  const description = "Open this link to view a credential shared with you.";
+
+  const body = `        <article class="card" aria-labelledby="credential-title">
+            <h1 id="credential-title">${title}</h1>
+            <p>${description}</p>
+        </article>`;
+
+  return renderDocument({
+    title,
+    description,
+    meta: metaTags([["og:title", title], ["og:description", description], ["robots", "noindex"]]),
+    body
+  });
+};
+
+export const renderVerificationNotFoundPage = (hash, { label = "Credential hash" } = {}) => {
+  const title = "Credential not found";
+  const description = "No credential matches this verification link. It may have been mistyped or tampered with.";
+  const colors = TONE_COLORS.danger;
+
+  const body = `        <article class="card" aria-labelledby="credential-title">
+            <h1 id="credential-title">${title}</h1>
+            <section class="status" role="status" style="background:${colors.background};border-color:${colors.border};color:${colors.text}">
+                <strong>Not verified</strong>
+                <p>${description}</p>
+            </section>
+            <dl>
+                <div class="row"><dt>${escapeHtml(label)}</dt><dd class="hash">${escapeHtml(hash)}</dd></div>
+            </dl>
+        </article>`;
+
+  return renderDocument({
+    title,
+    description,
+    meta: metaTags([["og:title", title], ["og:description", description], ["robots", "noindex"]]),
+    body
+  });
+};
@@ -0,0 +1,199 @@
+// utils/verificationTracking.js
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import Admin from "../models/Admin.js";
+import Verification, { VERIFICATION_CHANNELS, VERIFICATION_RESULTS } from "../models/Verification.js";
+import { logCredentialVerified } from "../controllers/activityLogController.js";
+
+/**
+ * Verification records: who verified which credential, how, and with what
+ * result. Every verification path calls recordVerification; issuer analytics
+ * are aggregated from these records.
+ */
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|facebookexternalhit|embedly|preview|whatsapp|telegram|discord|slack|linkedin|skype/i;
+const API_CLIENT_PATTERN = /^(curl|wget|axios|node-fetch|undici|node|python|java|go-http-client|okhttp|postmanruntime|insomnia|httpie)\b/i;
+const MOBILE_PATTERN = /mobi|android|iphone|ipad|ipod/i;
+
+export const classifyUserAgent = (userAgent) => {
+  if (!userAgent) return "unknown";
+  if (BOT_PATTERN.test(userAgent)) return "bot";
+  if (API_CLIENT_PATTERN.test(userAgent)) return "api_client";
+  if (MOBILE_PATTERN.test(userAgent)) return "mobile";
+  if (/mozilla|opera/i.test(userAgent)) return "browser";
+  return "unknown";
+};
+
+// Geolocation headers set by the CDN / hosting proxy in front of the API
+const COUNTRY_HEADERS = ["cf-ipcountry", "cloudfront-viewer-country", "x-vercel-ip-country", "x-country-code"];
+
+export const getRequestCountry = (req) => {
+  for (const header of COUNTRY_HEADERS) {
+    const value = req.headers?.[header];
+    if (typeof value === "string" && /^[A-Za-z]{2}$/.test(value) && value.toUpperCase() !== "XX") {
+      return value.toUpperCase();
+    }
+  }
+  return null;
+};
+
+/**
+ * Channel of a verification request. Links can say where they came from
+ * (QR codes encode ?src=qr) and frontends can forward that value.
+ */
+export const getVerificationChannel = (req, fallback) => {
+  const source = req.query?.src;
+  return VERIFICATION_CHANNELS.includes(source) ? source : fallback;
+};
+
+/**
+ * Map an evaluateCredential status (or file verdict) onto a stored result
+ */
+export const toVerificationResult = (status) => {
+  if (VERIFICATION_RESULTS.includes(status)) return status;
+  if (status === "authentic") return "valid";
+  if (status === "unknown") return "inconclusive";
+  return "inactive";
+};
+
+const toObjectId = (id) => (id && mongoose.Types.ObjectId.isValid(id) ? new mongoose.Types.ObjectId(String(id)) : null);
+
+/**
+ * Organization behind the request, when the verifier identified themselves
+ * (API key or an admin token on an otherwise public endpoint). A signed-in
+ * participant is not an organization and counts as anonymous.
+ */
+export const resolveVerifierOrganization = async (req) => {
+  const signedInAdmin = req.user?.role === "admin" || req.userType === "admin" ? req.user : null;
+  const known = toObjectId(req.apiKey?.organizationId) || toObjectId(signedInAdmin?.organizationId || signedInAdmin?.id);
+  if (known) return known;
+
+  const token = req.headers?.authorization?.replace("Bearer ", "");
+  if (!token || token.startsWith("sk_") || !process.env.JWT_SECRET) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const admin = await Admin.findById(decoded.id).select("_id");
+    return admin ? admin._id : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Store a verification. Never throws: a failed write must not fail the
+ * verification itself.
+ * @param {import("express").Request} req
+ * @param {{ credential?: Object, channel: string, method?: string, result: string }} details
+ */
+export const recordVerification = async (req, { credential = null, channel, method, result }) => {
+  try {
+    const verifierOrganizationId = await resolveVerifierOrganization(req);
+
+    const verification = await Verification.create({
+      credentialId: credential?._id || null,
+      organizationId: toObjectId(credential?.signedPayload?.issuer || credential?.createdBy),
+      channel,
+      method,
+      verifierOrganizationId,
+      userAgentClass: classifyUserAgent(req.get?.("user-agent")),
+      country: getRequestCountry(req),
+      result: toVerificationResult(result)
+    });
+
+    if (credential) {
+      await logCredentialVerified(credential._id, method || channel, verifierOrganizationId ? String(verifierOrganizationId) : "anonymous");
+    }
+
+    return verification;
+  } catch (error) {
+    console.error("Failed to record verification:", error);
+    return null;
+  }
+};
+
+// ---------------- Querying ----------------
+
+/**
+ * Mongo filter from history query parameters (from, to, channel, result)
+ */
+export const buildVerificationFilter = (base, query = {}) => {
+  const filter = { ...base };
+
+  if (VERIFICATION_CHANNELS.includes(query.channel)) filter.channel = query.channel;
+  if (VERIFICATION_RESULTS.includes(query.result)) filter.result = query.result;
+
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if (from && !Number.isNaN(from.getTime())) filter.timestamp = { ...filter.timestamp, $gte: from };
+  if (to && !Number.isNaN(to.getTime())) filter.timestamp = { ...filter.timestamp, $lte: to };
+
+  return filter;
+};
+
+const countBy = (field) => [
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1 } }
+];
+
+// Group by the field, then count the groups, so no list of ids is built in memory
+const countDistinct = (field) => [
+  { $match: { [field]: { $ne: null } } },
+  { $group: { _id: `$${field}` } },
+  { $group: { _id: null, count: { $sum: 1 } } }
+];
+
+/**
+ * Aggregate counts for a set of verifications
+ */
+export const summarizeVerifications = async (filter) => {
+  const [summary] = await Verification.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              valid: { $sum: { $cond: [{ $eq: ["$result", "valid"] }, 1, 0] } },
+              anonymous: { $sum: { $cond: [{ $eq: ["$verifierOrganizationId", null] }, 1, 0] } }
+            }
+          }
+        ],
+        uniqueCredentials: countDistinct("credentialId"),
+        uniqueVerifierOrganizations: countDistinct("verifierOrganizationId"),
+        byChannel: countBy("channel"),
+        byResult: countBy("result"),
+        byUserAgentClass: countBy("userAgentClass"),
+        byCountry: [...countBy("country"), { $limit: 20 }],
+        hourly: [
+          { $group: { _id: { $hour: "$timestamp" }, count: { $sum: 1 } } },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, hour: "$_id", count: 1 } }
+        ],
+        daily: [
+          { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: "$timestamp" } }, count: { $sum: 1 } } },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, date: "$_id", count: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const totals = summary.totals[0];
+
+  return {
+    total: totals?.total || 0,
+    valid: totals?.valid || 0,
+    anonymous: totals?.anonymous || 0,
+    uniqueCredentials: summary.uniqueCredentials[0]?.count || 0,
+    uniqueVerifierOrganizations: summary.uniqueVerifierOrganizations[0]?.count || 0,
+    byChannel: summary.byChannel,
+    byResult: summary.byResult,
+    byUserAgentClass: summary.byUserAgentClass,
+    byCountry: summary.byCountry,
+    hourly: summary.hourly,
+    daily: summary.daily
+  };
+};